@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+// Health check for a deployment: configuration, storage, schema and the
+// external APIs the sync depends on. Read-only; it never writes to the
+// store. The offline test suite is `npm test`.
+
+const { createStorage } = require('./lib/storage');
+const { loadSources, getEnabledSources } = require('./lib/sources');
+const { createAIProvider } = require('./lib/ai-providers');
+const { parseWebhooks } = require('./lib/notifier');
+const { requestWithRetry } = require('./lib/http');
+const { NEWSAPI_DEFAULTS, loadNewsAPIQueries, createNewsAPIClient } = require('./lib/newsapi');
+const { loadEntityAliases } = require('./lib/entities');
+const { loadContentRules } = require('./lib/content-rules');
+require('dotenv').config();
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase';
+const AI_PROVIDER = process.env.AI_PROVIDER || 'anthropic';
+const NEWSAPI_BASE_URL = process.env.NEWSAPI_BASE_URL || NEWSAPI_DEFAULTS.baseUrl;
+
+// Set by testStorage() when the store can be created
+let store = null;
+
+// Columns the sync writes; selecting them fails if a migration is missing
+const ARTICLE_COLUMNS = [
+  'article_url',
+  'canonical_url',
+  'article_title',
+  'description',
+  'ai_summary',
+  'image_url',
+  'published_at',
+  'source_id',
+  'source_name',
+  'category',
+  'category_tags',
+  'author',
+  'extracted_text_length',
+  'cluster_id',
+  'minhash',
+  'enrichment_status',
+  'enrichment_attempts',
+  'ai_provider',
+  'ai_model',
+  'language',
+  'translations',
+  'entities_extracted_at',
+  'fingerprint',
+  'revision_count',
+  'content_updated_at',
+  'description_html',
+  'image_width',
+  'image_height',
+  'image_blurhash',
+  'image_cached_url',
+  'significance',
+  'importance_score',
+  'outlet_count',
+  'trending',
+  'source_type',
+  'deleted_at',
+];
+
+async function testEnvironmentVariables() {
+  console.log('\nChecking environment variables...');
+
+  const required = ['NEWSAPI_KEY'];
+  if (STORAGE_BACKEND === 'supabase') required.push('SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY');
+  if (AI_PROVIDER === 'anthropic') required.push('ANTHROPIC_API_KEY');
+
+  let allPresent = true;
+
+  for (const varName of required) {
+    if (process.env[varName]) {
+      console.log(`✅ ${varName} is set`);
+    } else {
+      console.log(`❌ ${varName} is missing`);
+      allPresent = false;
+    }
+  }
+
+  try {
+    const provider = createAIProvider({ provider: AI_PROVIDER, fallbackProvider: process.env.AI_FALLBACK_PROVIDER || null, model: process.env.AI_MODEL || undefined });
+    console.log(`✅ AI provider: ${provider.name} (${provider.model})`);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    allPresent = false;
+  }
+
+  if (process.env.NEWSAPI_QUERIES_PATH !== 'none') {
+    try {
+      const queries = loadNewsAPIQueries(process.env.NEWSAPI_QUERIES_PATH || undefined);
+      console.log(`✅ NewsAPI queries: ${queries.map(query => query.id).join(', ') || 'none'}`);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      allPresent = false;
+    }
+  }
+
+  try {
+    const aliases = loadEntityAliases(process.env.ENTITY_ALIASES_PATH || undefined);
+    console.log(`✅ Entity aliases: ${aliases.length} entities`);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    allPresent = false;
+  }
+
+  if (process.env.CONTENT_RULES_PATH !== 'none') {
+    try {
+      const rules = loadContentRules(process.env.CONTENT_RULES_PATH || undefined);
+      console.log(`✅ Content rules: ${rules.filter(rule => rule.enabled !== false).map(rule => rule.id).join(', ') || 'none'}`);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      allPresent = false;
+    }
+  }
+
+  // Only parsed: the doctor never posts to the webhooks
+  try {
+    const webhooks = parseWebhooks(process.env.NOTIFY_WEBHOOKS);
+    console.log(webhooks.length > 0
+      ? `✅ Notifications: ${webhooks.map(webhook => webhook.type).join(', ')} webhook(s)`
+      : '⚠️  NOTIFY_WEBHOOKS is not set, failures will not be notified');
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    allPresent = false;
+  }
+
+  return allPresent;
+}
+
+// Reads every live article with the columns the sync writes. Resolves to the
+// rows, or null when the store or schema is unusable.
+async function testStorage() {
+  console.log(`\nTesting ${STORAGE_BACKEND} storage...`);
+
+  try {
+    store = createStorage();
+    const rows = await store.listArticles({ columns: ARTICLE_COLUMNS });
+    await store.listArticleEntities({ limit: 1 });
+    // Updates nothing, but fails when the scoring function is missing
+    await store.updateArticleScores([]);
+    console.log(`✅ ${store.name} storage is reachable`);
+    console.log('✅ Database schema is up to date');
+    return rows;
+  } catch (error) {
+    console.error(`❌ Storage check failed: ${error.message}`);
+    if (STORAGE_BACKEND === 'supabase') {
+      console.error('   Apply the migrations in supabase/migrations if a column or function is missing');
+    }
+    return null;
+  }
+}
+
+async function testAPIs() {
+  console.log('\nTesting external APIs...');
+  let allReachable = true;
+
+  // Test NewsAPI
+  if (process.env.NEWSAPI_KEY) {
+    try {
+      const client = createNewsAPIClient({ apiKey: process.env.NEWSAPI_KEY, baseUrl: NEWSAPI_BASE_URL, requestOptions: { retries: 0 } });
+      await client.request('top-headlines', { sources: 'techcrunch', pageSize: 1 });
+      console.log('✅ NewsAPI connection successful');
+    } catch (error) {
+      console.log('❌ NewsAPI connection failed:', error.message);
+      allReachable = false;
+    }
+  }
+
+  // Test every enabled RSS feed
+  let feeds = [];
+  try {
+    // SOURCES_BACKEND=supabase falls back to the config file without a store
+    feeds = getEnabledSources(await loadSources({ store }), 'rss');
+  } catch (error) {
+    console.log('❌ Could not load sources:', error.message);
+    return false;
+  }
+
+  for (const source of feeds) {
+    try {
+      await requestWithRetry(source.url, { retries: 0 });
+      console.log(`✅ ${source.name} feed accessible`);
+    } catch (error) {
+      console.log(`❌ ${source.name} feed not accessible: ${error.message}`);
+      allReachable = false;
+    }
+  }
+
+  return allReachable;
+}
+
+function getArticleStats(rows) {
+  console.log('\nArticle statistics...');
+  console.log(`📊 Total live articles: ${rows.length}`);
+
+  const sourceCounts = {};
+  rows.forEach(row => {
+    sourceCounts[row.source_name] = (sourceCounts[row.source_name] || 0) + 1;
+  });
+
+  console.log('\n📈 Articles by source:');
+  Object.entries(sourceCounts)
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .forEach(([source, count]) => {
+      console.log(`   ${source}: ${count}`);
+    });
+
+  const statusCounts = {};
+  rows.forEach(row => {
+    statusCounts[row.enrichment_status] = (statusCounts[row.enrichment_status] || 0) + 1;
+  });
+  console.log(`\n🤖 Enrichment: ${Object.entries(statusCounts).map(([status, count]) => `${count} ${status}`).join(', ') || 'none'}`);
+
+  const categoryCount = {};
+  rows.forEach(row => {
+    if (row.category_tags && Array.isArray(row.category_tags)) {
+      row.category_tags.forEach(tag => {
+        categoryCount[tag] = (categoryCount[tag] || 0) + 1;
+      });
+    }
+  });
+
+  console.log('\n🏷️  Top categories:');
+  Object.entries(categoryCount)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 10)
+    .forEach(([category, count]) => {
+      console.log(`   ${category}: ${count}`);
+    });
+
+  console.log('\n📰 Most recent articles:');
+  rows
+    .slice()
+    .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+    .slice(0, 5)
+    .forEach(article => {
+      const date = new Date(article.published_at).toLocaleString();
+      console.log(`   - ${article.article_title}`);
+      console.log(`     ${article.source_name} | ${date}`);
+      if (article.category_tags && article.category_tags.length > 0) {
+        console.log(`     Tags: ${article.category_tags.join(', ')}`);
+      }
+    });
+}
+
+async function runChecks() {
+  console.log('🩺 News App Sync Doctor\n');
+  console.log('================================\n');
+
+  let allChecksPassed = await testEnvironmentVariables();
+
+  const rows = await testStorage();
+  if (rows) {
+    getArticleStats(rows);
+  } else {
+    allChecksPassed = false;
+  }
+
+  allChecksPassed = (await testAPIs()) && allChecksPassed;
+
+  console.log('\n================================\n');
+
+  if (allChecksPassed) {
+    console.log('✅ All checks passed! Ready to sync.');
+  } else {
+    console.log('❌ Some checks failed. Please fix the issues before running sync.');
+    process.exit(1);
+  }
+}
+
+runChecks().catch(error => {
+  console.error('Doctor failed:', error);
+  process.exit(1);
+});
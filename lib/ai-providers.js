@@ -0,0 +1,109 @@
+// AI providers for article summaries and categories
+//
+// Every provider implements:
+//
+//   name, model                   what produced the analysis (stored per row)
+//   usage                         tracker of calls and tokens (lib/ai-usage.js)
+//   analyze(article, { locale })  resolves to { summary, categories, provider,
+//                                 model } with the summary in the locale's
+//                                 language (default English); throws when no
+//                                 valid analysis was produced so the article
+//                                 is flagged
+//   analyzeMany(articles, { locale })
+//                                 optional: Map of article URL -> analysis for
+//                                 the articles it could do in bulk
+//
+// Providers:
+//   anthropic  - Messages API with forced tool use (lib/anthropic-provider.js)
+//   openai     - any OpenAI-compatible /chat/completions endpoint, including
+//                local servers (lib/openai-provider.js)
+//   extractive - offline extractive summary and keyword classifier
+//                (lib/extractive-provider.js)
+
+const fs = require('fs');
+const { createAnthropicProvider } = require('./anthropic-provider');
+const { createOpenAIProvider } = require('./openai-provider');
+const { createExtractiveProvider } = require('./extractive-provider');
+const { createUsageTracker } = require('./ai-usage');
+
+const AI_PROVIDERS = ['anthropic', 'openai', 'extractive'];
+
+class AIProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AIProviderConfigError';
+  }
+}
+
+// Read a prompt template (see DEFAULT_PROMPT_TEMPLATE in
+// lib/article-analysis.js). It must include {{content}}.
+function loadPromptTemplate(filePath) {
+  let template;
+  try {
+    template = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new AIProviderConfigError(`Could not read prompt template ${filePath}: ${error.message}`);
+  }
+  if (!template.includes('{{content}}')) {
+    throw new AIProviderConfigError(`Prompt template ${filePath} has no {{content}} placeholder`);
+  }
+  return template;
+}
+
+function createProvider(name, options) {
+  switch (name) {
+    case 'anthropic':
+      return createAnthropicProvider({ ...options.anthropic, ...options });
+    case 'openai':
+      return createOpenAIProvider({ ...options.openai, ...options });
+    case 'extractive':
+      return createExtractiveProvider(options);
+    default:
+      throw new AIProviderConfigError(`AI provider must be one of ${AI_PROVIDERS.join(', ')}, got "${name}"`);
+  }
+}
+
+// Use `fallback` for any article the primary provider fails on
+function withFallback(primary, fallback) {
+  return {
+    name: primary.name,
+    model: primary.model,
+    usage: primary.usage,
+    fallback,
+
+    async analyze(article, options = {}) {
+      try {
+        return await primary.analyze(article, options);
+      } catch (error) {
+        console.log(`🪂 ${primary.name} failed for "${article.title.substring(0, 50)}" (${error.message}), using ${fallback.name}`);
+        return fallback.analyze(article, options);
+      }
+    },
+
+    async analyzeMany(articles, options = {}) {
+      return primary.analyzeMany ? primary.analyzeMany(articles, options) : new Map();
+    },
+  };
+}
+
+// provider: one of AI_PROVIDERS. model only applies to the primary provider;
+// a fallback uses its own default. The rest (maxTokens, maxPromptChars,
+// promptTemplate, limiter, defaultCategory, entityAliases) is shared, plus
+// per-provider settings under `anthropic` and `openai`. Both providers record
+// their calls in the same usage tracker.
+function createAIProvider({ provider = 'anthropic', fallbackProvider = null, model, usage = createUsageTracker(), ...options }) {
+  options = { ...options, usage };
+  const primary = createProvider(provider, { ...options, ...(model ? { model } : {}) });
+  if (!fallbackProvider || fallbackProvider === provider) {
+    return primary;
+  }
+  return withFallback(primary, createProvider(fallbackProvider, options));
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  AIProviderConfigError,
+  loadPromptTemplate,
+  withFallback,
+  createAIProvider,
+};
@@ -0,0 +1,73 @@
+// AI usage and cost accounting
+//
+// Providers record every model call here so the run report can show calls,
+// tokens and an estimated cost. Prices are USD per million tokens; the
+// Message Batches API is billed at half price. Models without a known price
+// are counted but leave the cost estimate null.
+
+const MODEL_PRICES = {
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'extractive-v1': { input: 0, output: 0 },
+};
+
+const BATCH_DISCOUNT = 0.5;
+
+// Cost in USD, or null when the model has no price
+function estimateCost({ model, inputTokens, outputTokens, batch = false }, prices = MODEL_PRICES) {
+  const price = prices[model];
+  if (!price) return null;
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  return batch ? cost * BATCH_DISCOUNT : cost;
+}
+
+// prices: extra or overriding entries for MODEL_PRICES
+function createUsageTracker({ prices = {} } = {}) {
+  const allPrices = { ...MODEL_PRICES, ...prices };
+  let calls = [];
+
+  return {
+    // { provider, model, inputTokens, outputTokens, batch }
+    record(call) {
+      calls.push({ inputTokens: 0, outputTokens: 0, batch: false, ...call });
+    },
+
+    reset() {
+      calls = [];
+    },
+
+    // { calls, inputTokens, outputTokens, estimatedCostUsd, byModel }.
+    // estimatedCostUsd is null if any call's model has no price.
+    totals() {
+      const byModel = {};
+      let estimatedCostUsd = 0;
+      for (const call of calls) {
+        const key = `${call.provider}/${call.model}`;
+        const entry = byModel[key] || (byModel[key] = { calls: 0, inputTokens: 0, outputTokens: 0 });
+        entry.calls++;
+        entry.inputTokens += call.inputTokens;
+        entry.outputTokens += call.outputTokens;
+
+        const cost = estimateCost(call, allPrices);
+        estimatedCostUsd = cost === null || estimatedCostUsd === null ? null : estimatedCostUsd + cost;
+      }
+
+      return {
+        calls: calls.length,
+        inputTokens: calls.reduce((sum, call) => sum + call.inputTokens, 0),
+        outputTokens: calls.reduce((sum, call) => sum + call.outputTokens, 0),
+        estimatedCostUsd: estimatedCostUsd === null ? null : Math.round(estimatedCostUsd * 1e6) / 1e6,
+        byModel,
+      };
+    },
+  };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  estimateCost,
+  createUsageTracker,
+};
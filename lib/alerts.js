@@ -0,0 +1,151 @@
+// Alerts and the daily digest
+//
+// Decides which notifications (see lib/notifier.js) a finished run calls
+// for. Everything is derived from the run report and the reports of earlier
+// runs (sync_runs, newest first), so no extra state is kept:
+//
+//   run-failed      the run threw or went over an error threshold
+//   source-failing  a source failed `sourceFailureRuns` runs in a row (sent
+//                   once, when it reaches that count)
+//   ai-error-rate   the share of flagged enrichments reached aiErrorPercent
+//   cleanup-spike   retention removed far more rows than usual
+//   daily-digest    the first run after `digestHour` (UTC) each day
+//
+// Each alert is { event, values }; values fill the event's template.
+
+const { RUN_STATUS, isFailedFetch } = require('./run-report');
+
+const ALERT_DEFAULTS = {
+  // Consecutive failed runs before a source is reported
+  sourceFailureRuns: 3,
+  // Flagged enrichments, as a share of those attempted
+  aiErrorPercent: 20,
+  // ...only once at least this many were attempted
+  aiMinAttempts: 5,
+  // Rows removed by retention before it can count as a spike
+  cleanupMinRows: 50,
+  // ...and how many times the recent average it has to be
+  cleanupFactor: 3,
+  // Earlier runs the cleanup average is taken over
+  cleanupHistoryRuns: 10,
+};
+
+const DIGEST_EVENT = 'daily-digest';
+
+function percent(part, whole) {
+  return Math.round((part / whole) * 1000) / 10;
+}
+
+// Reports from sync_runs rows, newest first
+function runHistory(rows) {
+  return rows.map(row => row.report).filter(Boolean);
+}
+
+function sourceFailedIn(report, sourceId) {
+  const source = (report.sources || []).find(entry => entry.id === sourceId);
+  return Boolean(source && isFailedFetch(source.status));
+}
+
+// report: the finished run. history: earlier reports, newest first.
+function detectAlerts(report, history = [], settings = ALERT_DEFAULTS) {
+  const alerts = [];
+
+  if (report.status !== RUN_STATUS.OK) {
+    alerts.push({
+      event: 'run-failed',
+      values: { status: report.status, problems: report.error || report.thresholdsExceeded.join('; ') },
+    });
+  }
+
+  for (const source of report.sources.filter(entry => isFailedFetch(entry.status))) {
+    let runs = 1;
+    while (runs < history.length + 1 && sourceFailedIn(history[runs - 1], source.id)) runs++;
+    if (runs === settings.sourceFailureRuns) {
+      alerts.push({
+        event: 'source-failing',
+        values: { sourceId: source.id, sourceName: source.name || source.id, runs, status: source.status, error: source.error || source.status },
+      });
+    }
+  }
+
+  const flagged = report.flagged || [];
+  if (report.attempted >= settings.aiMinAttempts && percent(flagged.length, report.attempted) >= settings.aiErrorPercent) {
+    alerts.push({
+      event: 'ai-error-rate',
+      values: {
+        flagged: flagged.length,
+        attempted: report.attempted,
+        percent: percent(flagged.length, report.attempted),
+        provider: report.ai ? report.ai.provider : 'unknown',
+        model: report.ai ? report.ai.model : 'unknown',
+        lastError: flagged.length > 0 ? flagged[flagged.length - 1].error : null,
+      },
+    });
+  }
+
+  const removed = report.expired || 0;
+  const earlier = history.filter(run => typeof run.expired === 'number').slice(0, settings.cleanupHistoryRuns);
+  const average = earlier.length > 0 ? earlier.reduce((sum, run) => sum + run.expired, 0) / earlier.length : 0;
+  if (removed >= settings.cleanupMinRows && removed > settings.cleanupFactor * average) {
+    alerts.push({ event: 'cleanup-spike', values: { removed, average: Math.round(average * 10) / 10 } });
+  }
+
+  return alerts;
+}
+
+// Start of today's digest window (digestHour UTC)
+function digestCutoff(now, digestHour) {
+  const cutoff = new Date(now);
+  cutoff.setUTCHours(digestHour, 0, 0, 0);
+  return cutoff;
+}
+
+// True when it's past digestHour and no run since then sent the digest
+function isDigestDue(history, { now = new Date(), digestHour = 8 } = {}) {
+  const cutoff = digestCutoff(now, digestHour);
+  if (now < cutoff) return false;
+  return !history.some(run => new Date(run.startedAt) >= cutoff && (run.notifications || []).includes(DIGEST_EVENT));
+}
+
+// Totals over the reports of the 24 hours before `now`
+function buildDigest(reports, { now = new Date() } = {}) {
+  const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const runs = reports.filter(run => new Date(run.startedAt) >= since && new Date(run.startedAt) <= now);
+
+  const sum = pick => runs.reduce((total, run) => total + (pick(run) || 0), 0);
+  const costs = runs.filter(run => run.ai && run.ai.calls > 0).map(run => run.ai.estimatedCostUsd);
+  const cost = costs.includes(null)
+    ? 'cost unknown'
+    : `~$${costs.reduce((total, value) => total + value, 0).toFixed(4)}`;
+
+  const failures = new Map();
+  for (const run of runs) {
+    for (const source of (run.sources || []).filter(entry => isFailedFetch(entry.status))) {
+      failures.set(source.id, (failures.get(source.id) || 0) + 1);
+    }
+  }
+  const failingSources = failures.size > 0
+    ? ` Failing sources: ${[...failures].map(([id, count]) => `${id} (${count}/${runs.length} runs)`).join(', ')}.`
+    : '';
+
+  return {
+    date: now.toISOString().slice(0, 10),
+    runs: runs.length,
+    failedRuns: runs.filter(run => run.status !== RUN_STATUS.OK).length,
+    saved: sum(run => run.saved),
+    flagged: sum(run => (run.flagged ? run.flagged.length : 0)),
+    removed: sum(run => run.expired),
+    aiCalls: sum(run => run.ai && run.ai.calls),
+    cost,
+    failingSources,
+  };
+}
+
+module.exports = {
+  ALERT_DEFAULTS,
+  DIGEST_EVENT,
+  runHistory,
+  detectAlerts,
+  isDigestDue,
+  buildDigest,
+};
@@ -0,0 +1,117 @@
+// Anthropic model provider
+//
+// Analyzes articles with the Messages API and forced tool use (see
+// lib/article-analysis.js). Requests go through lib/anthropic.js so they
+// share the rate limiter and its retries; large backlogs can use the Message
+// Batches API through analyzeMany().
+
+const {
+  buildAnalysisRequest,
+  validateAnalysis,
+  finalizeAnalysis,
+  buildCorrectionRequest,
+} = require('./article-analysis');
+const { createMessage, runMessageBatch } = require('./anthropic');
+const { createUsageTracker } = require('./ai-usage');
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-haiku-20240307';
+
+// client: an Anthropic SDK client; created from apiKey on first use when
+// omitted. batch: { enabled, minArticles, maxWaitMs } for analyzeMany().
+// usage: tracker that every call's token counts are recorded in.
+function createAnthropicProvider({
+  client = null,
+  apiKey,
+  model = DEFAULT_ANTHROPIC_MODEL,
+  maxTokens,
+  maxPromptChars,
+  promptTemplate,
+  limiter = null,
+  defaultCategory = () => null,
+  batch = { enabled: false },
+  usage = createUsageTracker(),
+}) {
+  const getClient = () => {
+    if (!client) {
+      const Anthropic = require('@anthropic-ai/sdk');
+      // Retries are handled by lib/anthropic.js so they can share the rate limiter
+      client = new Anthropic({ apiKey, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  const buildRequest = (article, locale) => buildAnalysisRequest(article, { model, maxTokens, maxPromptChars, promptTemplate, locale });
+  const result = analysis => ({ ...analysis, provider: 'anthropic', model });
+  const recordUsage = (message, batched = false) => usage.record({
+    provider: 'anthropic',
+    model,
+    inputTokens: message.usage ? message.usage.input_tokens : 0,
+    outputTokens: message.usage ? message.usage.output_tokens : 0,
+    batch: batched,
+  });
+
+  async function send(params) {
+    const message = await createMessage(getClient(), params, { limiter });
+    recordUsage(message);
+    return message;
+  }
+
+  return {
+    name: 'anthropic',
+    model,
+    usage,
+
+    // Invalid output gets one corrective retry; if that fails too, or the
+    // API call fails, this throws so the article is flagged instead of being
+    // stored with a placeholder summary. locale: the summary's language.
+    async analyze(article, { locale } = {}) {
+      const request = buildRequest(article, locale);
+      const response = await send(request);
+
+      const first = validateAnalysis(response);
+      if (first.analysis) return result(first.analysis);
+
+      console.log(`🔧 Invalid analysis for "${article.title.substring(0, 50)}" (${first.problems.join('; ')}), asking for a correction`);
+      const corrected = await send(buildCorrectionRequest(request, response, first));
+
+      return result(finalizeAnalysis(validateAnalysis(corrected), defaultCategory(article)));
+    },
+
+    // Summarize a large backlog through the Message Batches API. Returns a
+    // Map of article URL -> analysis for the articles with valid results;
+    // the caller sends the rest through analyze().
+    async analyzeMany(articles, { locale } = {}) {
+      if (!batch.enabled || articles.length < batch.minArticles) {
+        return new Map();
+      }
+
+      try {
+        const requests = articles.map((article, index) => ({
+          customId: `article-${index}`,
+          params: buildRequest(article, locale),
+        }));
+        const results = await runMessageBatch(getClient(), requests, { maxWaitMs: batch.maxWaitMs });
+
+        const analyses = new Map();
+        articles.forEach((article, index) => {
+          const batchResult = results.get(`article-${index}`);
+          if (batchResult && batchResult.message) recordUsage(batchResult.message, true);
+          const { analysis } = batchResult && batchResult.message ? validateAnalysis(batchResult.message) : {};
+          if (analysis) {
+            analyses.set(article.url, result(analysis));
+          }
+        });
+        console.log(`📦 Message batch summarized ${analyses.size}/${articles.length} articles`);
+        return analyses;
+      } catch (error) {
+        console.error('Error running message batch, falling back to direct requests:', error);
+        return new Map();
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ANTHROPIC_MODEL,
+  createAnthropicProvider,
+};
@@ -0,0 +1,122 @@
+// Anthropic API helpers
+//
+// createMessage() wraps client.messages.create with the shared rate limiter
+// and retries 429/529/5xx and connection errors, honouring retry-after. The
+// client should be created with maxRetries: 0 so retries happen only here.
+//
+// runMessageBatch() sends many requests through the Message Batches API,
+// which is cheaper for large backlogs but asynchronous: it polls until the
+// batch ends or maxWaitMs passes, then cancels what is left.
+
+const { sleep: defaultSleep } = require('./concurrency');
+
+const DEFAULT_RETRIES = 4;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+function isRetryableAnthropicError(error) {
+  if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') return true;
+  return error.status === 429 || error.status === 529 || error.status >= 500;
+}
+
+// retry-after-ms (non-standard) or retry-after in seconds
+function retryAfterMs(error) {
+  const headers = error.headers || {};
+  const ms = Number(headers['retry-after-ms']);
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const seconds = Number(headers['retry-after']);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  return null;
+}
+
+// Rough token estimate for rate limiting: ~4 characters per token plus the
+// completion budget
+function estimateTokens(params) {
+  const text = JSON.stringify(params.messages) + (params.system || '') + JSON.stringify(params.tools || []);
+  return Math.ceil(text.length / 4) + (params.max_tokens || 0);
+}
+
+async function createMessage(client, params, { limiter, retries = DEFAULT_RETRIES, sleep = defaultSleep } = {}) {
+  const estimate = estimateTokens(params);
+
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) await limiter.acquire(estimate);
+
+    try {
+      const message = await client.messages.create(params);
+      if (limiter && message.usage) {
+        limiter.settle(estimate, message.usage.input_tokens + message.usage.output_tokens);
+      }
+      return message;
+    } catch (error) {
+      if (attempt >= retries || !isRetryableAnthropicError(error)) {
+        throw error;
+      }
+      const retryAfter = retryAfterMs(error);
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, RETRY_MAX_MS)
+        : Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+      // Rate limit and overload responses hold back every worker, not just this one
+      if (limiter && (error.status === 429 || error.status === 529)) {
+        limiter.pause(delay);
+      }
+      console.log(`🔁 Anthropic ${error.status || error.name}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// requests: [{ customId, params }]. Resolves to a Map of customId ->
+// { message } or { error } for every request that finished; requests that
+// did not finish in time are left out so the caller can retry them.
+async function runMessageBatch(client, requests, { pollIntervalMs = 30000, maxWaitMs = 15 * 60 * 1000, sleep = defaultSleep, now = Date.now } = {}) {
+  let batch = await client.post('/v1/messages/batches', {
+    body: {
+      requests: requests.map(({ customId, params }) => ({ custom_id: customId, params })),
+    },
+  });
+  console.log(`📦 Submitted message batch ${batch.id} with ${requests.length} requests`);
+
+  const deadline = now() + maxWaitMs;
+  while (batch.processing_status !== 'ended' && now() < deadline) {
+    await sleep(pollIntervalMs);
+    batch = await client.get(`/v1/messages/batches/${batch.id}`);
+  }
+
+  if (batch.processing_status !== 'ended') {
+    console.log(`⏱️  Message batch ${batch.id} still running after ${Math.round(maxWaitMs / 1000)}s, canceling`);
+    await client.post(`/v1/messages/batches/${batch.id}/cancel`);
+    // Canceling finishes quickly; whatever already succeeded is still returned
+    while (batch.processing_status !== 'ended') {
+      await sleep(Math.min(pollIntervalMs, 5000));
+      batch = await client.get(`/v1/messages/batches/${batch.id}`);
+    }
+  }
+
+  const response = await client.get(`/v1/messages/batches/${batch.id}/results`, { __binaryResponse: true });
+  const text = await response.text();
+
+  const results = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const { custom_id: customId, result } = JSON.parse(line);
+    if (result.type === 'succeeded') {
+      results.set(customId, { message: result.message });
+    } else if (result.type === 'errored') {
+      results.set(customId, { error: new Error(result.error?.error?.message || 'Batch request errored') });
+    }
+    // canceled / expired requests are left for the caller to retry
+  }
+
+  const counts = batch.request_counts || {};
+  console.log(`📦 Message batch ${batch.id} ended: ${counts.succeeded || 0} succeeded, ${counts.errored || 0} errored, ${(counts.canceled || 0) + (counts.expired || 0)} unfinished`);
+  return results;
+}
+
+module.exports = {
+  isRetryableAnthropicError,
+  retryAfterMs,
+  estimateTokens,
+  createMessage,
+  runMessageBatch,
+};
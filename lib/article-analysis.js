@@ -0,0 +1,244 @@
+// Structured article analysis via tool use
+//
+// The model is forced to call a single tool whose input schema describes the
+// analysis we store: a summary, 1-3 categories from an enum built from
+// AVAILABLE_CATEGORIES, and optionally the entities and keywords the article
+// is about (see lib/entities.js) and how significant the news is (see
+// lib/importance.js). Its output is still validated (and near-miss labels
+// fuzzy matched) because the enum is guidance, not a guarantee. The prompt
+// is a template (AI_PROMPT_FILE) shared by every model provider.
+
+const { ALL_CATEGORIES, matchCategory } = require('./categories');
+const { languageName } = require('./language');
+const { ENTITY_TYPES, MAX_ENTITIES, MAX_KEYWORDS, sanitizeEntities, sanitizeKeywords } = require('./entities');
+
+const ANALYSIS_TOOL_NAME = 'record_article_analysis';
+const MIN_SUMMARY_LENGTH = 40;
+const MAX_CATEGORIES = 3;
+
+const ANALYSIS_TOOL = {
+  name: ANALYSIS_TOOL_NAME,
+  description: 'Record the summary, categories, entities, keywords and significance for a news article.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'A 3-4 sentence summary focusing on the most important facts, broader context, and potential impact.',
+      },
+      categories: {
+        type: 'array',
+        description: 'The 1-3 most relevant categories, most relevant first.',
+        items: { type: 'string', enum: ALL_CATEGORIES },
+        minItems: 1,
+        maxItems: MAX_CATEGORIES,
+      },
+      entities: {
+        type: 'array',
+        description: `Up to ${MAX_ENTITIES} named companies, people, products, places and organizations the article is about, most salient first.`,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'The common name, e.g. "Nvidia", not "NVIDIA Corporation".' },
+            type: { type: 'string', enum: ENTITY_TYPES },
+            salience: { type: 'number', minimum: 0, maximum: 1, description: 'How central the entity is to the article.' },
+          },
+          required: ['name', 'type', 'salience'],
+        },
+        maxItems: MAX_ENTITIES,
+      },
+      keywords: {
+        type: 'array',
+        description: `Up to ${MAX_KEYWORDS} short topic keywords, most salient first.`,
+        items: {
+          type: 'object',
+          properties: {
+            keyword: { type: 'string' },
+            salience: { type: 'number', minimum: 0, maximum: 1 },
+          },
+          required: ['keyword', 'salience'],
+        },
+        maxItems: MAX_KEYWORDS,
+      },
+      significance: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'How significant the news is for a broad tech and business audience: about 0.1 for a routine update, 0.5 for notable news, 0.9 for a major event.',
+      },
+    },
+    required: ['summary', 'categories'],
+  },
+};
+
+// Raised when the model's output is still invalid after the corrective retry
+class AnalysisValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid article analysis: ${problems.join('; ')}`);
+    this.name = 'AnalysisValidationError';
+    this.problems = problems;
+  }
+}
+
+// Placeholders: {{title}}, {{content}}, {{toolName}}, {{maxCategories}},
+// {{language}} (the summary language, e.g. "Spanish")
+const DEFAULT_PROMPT_TEMPLATE = `Analyze this news article and record your analysis with the {{toolName}} tool.
+Write the summary in {{language}}, whatever language the article is in.
+
+Title: {{title}}
+Content: {{content}}
+
+Rules for categories:
+- Select minimum 1, maximum {{maxCategories}} categories
+- Use exact category names from the tool's list
+- Choose the most specific and relevant categories
+- Order by relevance (most relevant first)
+
+Rules for entities and keywords:
+- Only name entities the article is actually about, not passing mentions
+- Use the common English name ("Google", "Sam Altman"), without suffixes like "Inc."
+- Keywords are 1-3 word lowercase topics ("chip exports", "layoffs"), not entity names
+- Salience runs from 0 to 1; the article's main subject is close to 1
+
+Rules for significance:
+- Rate the news itself, not how well the article is written
+- Keep 0.8 and above for events with wide consequences (major acquisitions, regulation, outages, market moves)`;
+
+// The text a model analyzes: the extracted page text when there is some,
+// else the feed description, cut to maxPromptChars
+function articleContent(article, maxPromptChars) {
+  const content = article.fullText || article.description || '';
+  return content.length > maxPromptChars ? content.slice(0, maxPromptChars) : content;
+}
+
+// locale: the summary's locale (see lib/language.js)
+function renderPrompt(article, { maxPromptChars, promptTemplate = DEFAULT_PROMPT_TEMPLATE, locale = 'en' }) {
+  const values = {
+    title: article.title,
+    content: articleContent(article, maxPromptChars),
+    toolName: ANALYSIS_TOOL_NAME,
+    maxCategories: MAX_CATEGORIES,
+    language: languageName(locale),
+  };
+  return promptTemplate.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+}
+
+// Messages API request (Anthropic)
+function buildAnalysisRequest(article, { model, maxTokens, maxPromptChars, promptTemplate, locale }) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    tools: [ANALYSIS_TOOL],
+    tool_choice: { type: 'tool', name: ANALYSIS_TOOL_NAME },
+    messages: [{
+      role: 'user',
+      content: renderPrompt(article, { maxPromptChars, promptTemplate, locale }),
+    }]
+  };
+}
+
+// 0-1 rounded to two decimals, or null when the model gave none
+function sanitizeSignificance(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+// Check the tool input a model produced. Returns { analysis, summary,
+// entities, keywords, significance, problems }: analysis is { summary,
+// categories, entities, keywords, significance } when there are no
+// problems, summary is set whenever the summary itself is valid. Malformed
+// entities, keywords and significance are dropped without counting as
+// problems.
+function validateAnalysisInput(input) {
+  input = input || {};
+  const problems = [];
+
+  const summary = typeof input.summary === 'string' ? input.summary.trim() : '';
+  const summaryValid = summary.length >= MIN_SUMMARY_LENGTH;
+  if (!summaryValid) {
+    problems.push(`"summary" must be a ${MIN_SUMMARY_LENGTH}+ character string`);
+  }
+
+  const labels = Array.isArray(input.categories) ? input.categories : [];
+  const categories = [];
+  const unknown = [];
+  for (const label of labels) {
+    const category = matchCategory(label);
+    if (!category) unknown.push(label);
+    else if (!categories.includes(category)) categories.push(category);
+  }
+
+  if (categories.length === 0) {
+    problems.push(unknown.length > 0
+      ? `no known categories in ${JSON.stringify(unknown)}; use exact names from the enum`
+      : '"categories" must list 1-3 categories');
+  }
+
+  const entities = sanitizeEntities(input.entities);
+  const keywords = sanitizeKeywords(input.keywords);
+  const significance = sanitizeSignificance(input.significance);
+
+  return {
+    analysis: problems.length === 0 ? { summary, categories: categories.slice(0, MAX_CATEGORIES), entities, keywords, significance } : null,
+    summary: summaryValid ? summary : null,
+    entities,
+    keywords,
+    significance,
+    problems,
+  };
+}
+
+// Check a Messages API response; adds the tool_use block to the result
+function validateAnalysis(message) {
+  const toolUse = (message.content || []).find(block => block.type === 'tool_use' && block.name === ANALYSIS_TOOL_NAME);
+  if (!toolUse) {
+    return { analysis: null, summary: null, problems: [`no ${ANALYSIS_TOOL_NAME} tool call in the response`], toolUse: null };
+  }
+  return { ...validateAnalysisInput(toolUse.input), toolUse };
+}
+
+// The answer to keep after the corrective retry: the analysis, or a valid
+// summary with the source's default category. Throws AnalysisValidationError
+// when neither is usable.
+function finalizeAnalysis({ analysis, summary, entities = [], keywords = [], significance = null, problems }, defaultCategory) {
+  if (analysis) return analysis;
+  if (summary && defaultCategory) {
+    return { summary, categories: [defaultCategory], entities, keywords, significance };
+  }
+  throw new AnalysisValidationError(problems);
+}
+
+// Follow-up request telling the model what was wrong with its last answer
+function buildCorrectionRequest(request, message, { problems, toolUse }) {
+  const feedback = `Your analysis was invalid: ${problems.join('; ')}. Call ${ANALYSIS_TOOL_NAME} again with a corrected summary and categories.`;
+
+  const followUp = toolUse
+    ? { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: feedback }] }
+    : { role: 'user', content: feedback };
+
+  return {
+    ...request,
+    messages: [
+      ...request.messages,
+      { role: 'assistant', content: message.content },
+      followUp,
+    ],
+  };
+}
+
+module.exports = {
+  ANALYSIS_TOOL,
+  ANALYSIS_TOOL_NAME,
+  MIN_SUMMARY_LENGTH,
+  MAX_CATEGORIES,
+  DEFAULT_PROMPT_TEMPLATE,
+  AnalysisValidationError,
+  articleContent,
+  renderPrompt,
+  buildAnalysisRequest,
+  sanitizeSignificance,
+  validateAnalysisInput,
+  validateAnalysis,
+  finalizeAnalysis,
+  buildCorrectionRequest,
+};
@@ -0,0 +1,227 @@
+// Full-text article extraction
+//
+// Pulls the readable body out of an article page so summaries are written
+// from the story rather than the feed's teaser. Readability-style: drop
+// scripts, navigation and other page chrome, take the <article> (or
+// articleBody) container when there is one, and keep paragraphs that are
+// long enough and aren't mostly links. Metadata comes from JSON-LD, Open
+// Graph and <link rel="canonical">.
+//
+// Results are cached in the `article_extractions` table so retries and later
+// runs don't refetch pages. Failed fetches (timeouts, 5xx) are usually
+// transient, so they are only cached briefly.
+
+const { decodeHTMLEntities } = require('./html-sanitizer');
+
+const EXTRACTION_STATUS = {
+  OK: 'ok',
+  PAYWALLED: 'paywalled',
+  DISALLOWED: 'disallowed',
+  TOO_SHORT: 'too-short',
+  FAILED: 'failed',
+};
+
+const MIN_PARAGRAPH_CHARS = 40;
+const MAX_LINK_DENSITY = 0.5;
+// Less text than this is a teaser, cookie wall or error page
+const MIN_ARTICLE_CHARS = 500;
+const MAX_STORED_CHARS = 50000;
+const FAILED_CACHE_HOURS = 1;
+
+const CHROME_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'header', 'footer', 'aside', 'figure', 'button'];
+const PAYWALL_MARKERS = /class\s*=\s*["'][^"']*\b(paywall|subscriber-only|premium-content|meteredContent)\b/i;
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const attributeRegex = /([^\s=/<>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = attributeRegex.exec(tag)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = decodeHTMLEntities(value, { attribute: true });
+  }
+  return attributes;
+}
+
+function htmlToText(html) {
+  return decodeHTMLEntities(
+    html
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+// Every <meta> as { property|name: content }
+function readMetaTags(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) meta[key] = attributes.content.trim();
+  }
+  return meta;
+}
+
+// JSON-LD objects, flattening arrays and @graph
+function readJSONLD(html) {
+  const objects = [];
+  const scriptRegex = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  for (const [, body] of html.matchAll(scriptRegex)) {
+    try {
+      const queue = [JSON.parse(body.trim())];
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (Array.isArray(item)) queue.push(...item);
+        else if (item && typeof item === 'object') {
+          objects.push(item);
+          if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+        }
+      }
+    } catch (error) {
+      // Broken JSON-LD is common; the rest of the page is still usable
+    }
+  }
+  return objects;
+}
+
+function isArticleObject(object) {
+  const types = [].concat(object['@type'] || []);
+  return types.some(type => /Article$|^BlogPosting$|^Report$/.test(type));
+}
+
+function authorName(author) {
+  const first = [].concat(author || [])[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name || null;
+}
+
+function readCanonicalURL(html, pageUrl) {
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if ((attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attributes.href) {
+      try {
+        return new URL(attributes.href, pageUrl).toString();
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function removeChrome(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const name of CHROME_ELEMENTS) {
+    cleaned = cleaned.replace(new RegExp(`<${name}\\b[\\s\\S]*?<\\/${name}>`, 'gi'), ' ');
+  }
+  return cleaned;
+}
+
+// The largest <article>, or the element marked itemprop="articleBody", or the <body>
+function findContainer(html) {
+  const articles = [...html.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi)].map(match => match[1]);
+  if (articles.length > 0) {
+    return articles.reduce((largest, candidate) => (candidate.length > largest.length ? candidate : largest));
+  }
+  const bodyStart = html.search(/<[^>]+itemprop\s*=\s*["']articleBody["']/i);
+  if (bodyStart !== -1) return html.slice(bodyStart);
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  return body ? body[1] : html;
+}
+
+function readParagraphs(container) {
+  const paragraphs = [];
+  for (const [, inner] of container.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)) {
+    const text = htmlToText(inner);
+    if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+    const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+      .reduce((total, [, anchor]) => total + htmlToText(anchor).length, 0);
+    if (linkText / text.length > MAX_LINK_DENSITY) continue;
+
+    paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+// Extract the readable article from a page. Returns { status, text,
+// textLength, imageUrl, author, canonicalUrl }; text is null unless status
+// is "ok".
+function extractArticle(html, pageUrl) {
+  const meta = readMetaTags(html);
+  const ld = readJSONLD(html).find(isArticleObject) || {};
+
+  const result = {
+    status: EXTRACTION_STATUS.OK,
+    text: null,
+    textLength: 0,
+    imageUrl: meta['og:image'] || meta['twitter:image'] || null,
+    author: authorName(ld.author) || meta.author || meta['article:author'] || null,
+    canonicalUrl: readCanonicalURL(html, pageUrl) || meta['og:url'] || null,
+  };
+
+  const accessibleForFree = String(ld.isAccessibleForFree ?? '').toLowerCase();
+  if (accessibleForFree === 'false' || PAYWALL_MARKERS.test(html)) {
+    return { ...result, status: EXTRACTION_STATUS.PAYWALLED };
+  }
+
+  let text = readParagraphs(findContainer(removeChrome(html))).join('\n\n');
+  // Some publishers ship the whole body in JSON-LD but render it client side
+  if (typeof ld.articleBody === 'string' && ld.articleBody.length > text.length) {
+    text = htmlToText(ld.articleBody);
+  }
+
+  if (text.length < MIN_ARTICLE_CHARS) {
+    return { ...result, status: EXTRACTION_STATUS.TOO_SHORT, textLength: text.length };
+  }
+
+  return { ...result, text: text.slice(0, MAX_STORED_CHARS), textLength: text.length };
+}
+
+// Cached extraction for `url` if it is younger than maxAgeHours (or
+// failedMaxAgeHours for a failed fetch), else null
+async function loadCachedExtraction(store, url, { maxAgeHours, failedMaxAgeHours = FAILED_CACHE_HOURS, now = new Date() }) {
+  try {
+    const data = await store.getExtraction(url);
+    if (!data) return null;
+    const ttlHours = data.status === EXTRACTION_STATUS.FAILED ? Math.min(failedMaxAgeHours, maxAgeHours) : maxAgeHours;
+    if (now - new Date(data.extracted_at) > ttlHours * 60 * 60 * 1000) return null;
+
+    return {
+      status: data.status,
+      text: data.text,
+      textLength: data.text_length,
+      imageUrl: data.image_url,
+      author: data.author,
+      canonicalUrl: data.canonical_url,
+    };
+  } catch (error) {
+    console.error('Error loading cached extraction:', error.message);
+    return null;
+  }
+}
+
+async function saveExtraction(store, url, extraction, now = new Date()) {
+  try {
+    await store.upsertExtraction({
+      article_url: url,
+      status: extraction.status,
+      text: extraction.text,
+      text_length: extraction.textLength,
+      image_url: extraction.imageUrl,
+      author: extraction.author,
+      canonical_url: extraction.canonicalUrl,
+      error: extraction.error || null,
+      extracted_at: now.toISOString(),
+    });
+  } catch (error) {
+    console.error('Error saving extraction:', error.message);
+  }
+}
+
+module.exports = {
+  EXTRACTION_STATUS,
+  MIN_ARTICLE_CHARS,
+  extractArticle,
+  loadCachedExtraction,
+  saveExtraction,
+};
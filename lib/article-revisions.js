@@ -0,0 +1,108 @@
+// Article updates and corrections
+//
+// Publishers edit headlines, correct facts and swap images after an article
+// goes out. Every stored row keeps a fingerprint of its title, description
+// and image; when a later fetch has a different one, the row is updated and
+// its previous values are kept in article_revisions (the app shows an
+// "Updated" badge from revision_count and content_updated_at). Only a
+// material change to the text regenerates the summary: a new image or a
+// reworded sentence keeps the one we have. Case, punctuation and whitespace
+// are ignored, so they never count as a change.
+
+const crypto = require('crypto');
+const { htmlToPlainText } = require('./html-sanitizer');
+
+const REVISION_FIELDS = ['title', 'description', 'image'];
+
+const REVISION_DEFAULTS = {
+  // Title or description word overlap below which a change is material
+  materialSimilarity: 0.85,
+};
+
+function normalizeText(text) {
+  return (text || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// The compared values of a fetched article or, with fromRow, a stored row
+// (rows stored before sanitizing hold HTML descriptions)
+function revisionFields(article, { fromRow = false } = {}) {
+  return fromRow
+    ? { title: article.article_title, description: htmlToPlainText(article.description), image: article.image_url }
+    : { title: article.title, description: article.description, image: article.urlToImage };
+}
+
+function comparable(fields) {
+  return {
+    title: normalizeText(fields.title),
+    description: normalizeText(fields.description),
+    image: fields.image || '',
+  };
+}
+
+// Hex digest of an article's normalized title, description and image URL
+function fingerprintArticle(article) {
+  const { title, description, image } = comparable(revisionFields(article));
+  return crypto.createHash('sha256').update(JSON.stringify([title, description, image])).digest('hex');
+}
+
+// REVISION_FIELDS that differ between two revisionFields() results
+function changedFields(previous, current) {
+  const before = comparable(previous);
+  const after = comparable(current);
+  return REVISION_FIELDS.filter(field => before[field] !== after[field]);
+}
+
+// Share of distinct words two texts have in common (Jaccard), 1 for equal
+function textSimilarity(a, b) {
+  const wordsA = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeText(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// True when the title or description changed enough to need a new summary
+function isMaterialChange(previous, current, { materialSimilarity = REVISION_DEFAULTS.materialSimilarity } = {}) {
+  return textSimilarity(previous.title, current.title) < materialSimilarity
+    || textSimilarity(previous.description, current.description) < materialSimilarity;
+}
+
+// Compare a stored row with the fetched article. Returns { changes,
+// material }; changes is empty when only the fingerprint was missing.
+// The stored image is the one image selection chose (lib/images.js), so it
+// counts as unchanged while the feed still offers it as a candidate.
+function detectRevision(row, article, options = {}) {
+  const previous = revisionFields(row, { fromRow: true });
+  const current = revisionFields(article);
+  if ((article.imageCandidates || []).some(candidate => candidate.url === previous.image)) {
+    current.image = previous.image;
+  }
+  const changes = changedFields(previous, current);
+  return { changes, material: changes.length > 0 && isMaterialChange(previous, current, options) };
+}
+
+// The article_revisions row keeping a stored row's previous values
+function revisionRow(row, { changes, material }, revisedAt = new Date()) {
+  return {
+    article_url: row.article_url,
+    revised_at: revisedAt.toISOString(),
+    changed_fields: changes,
+    material,
+    previous_title: row.article_title,
+    previous_description: row.description || null,
+    previous_image_url: row.image_url || null,
+    previous_summary: row.ai_summary || null,
+  };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  REVISION_DEFAULTS,
+  normalizeText,
+  fingerprintArticle,
+  changedFields,
+  textSimilarity,
+  isMaterialChange,
+  detectRevision,
+  revisionRow,
+};
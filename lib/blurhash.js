@@ -0,0 +1,117 @@
+// Blurhash encoding (https://blurha.sh)
+//
+// A blurhash is a ~30 character string the app decodes into a blurred
+// placeholder while the real image loads: the image's average color plus a
+// few low-frequency cosine components, quantized and base-83 encoded.
+// Encoding from a 32px thumbnail gives the same result as from the full
+// image, so pixels are box-downscaled first.
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const BLURHASH_DEFAULTS = {
+  componentsX: 4,
+  componentsY: 3,
+  // Longest side of the thumbnail the hash is computed from
+  maxSize: 32,
+};
+
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308 ? Math.trunc(v * 12.92 * 255 + 0.5) : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.abs(value) ** exponent;
+}
+
+// Average RGBA pixels into a thumbnail at most maxSize on its longest side
+function downscale({ width, height, data }, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  if (outWidth === width && outHeight === height) return { width, height, data };
+
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+  for (let y = 0; y < outHeight; y++) {
+    const top = Math.floor((y * height) / outHeight);
+    const bottom = Math.max(top + 1, Math.floor(((y + 1) * height) / outHeight));
+    for (let x = 0; x < outWidth; x++) {
+      const left = Math.floor((x * width) / outWidth);
+      const right = Math.max(left + 1, Math.floor(((x + 1) * width) / outWidth));
+      const sum = [0, 0, 0, 0];
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          for (let c = 0; c < 4; c++) sum[c] += data[(sy * width + sx) * 4 + c];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      out.set(sum.map(value => value / count), (y * outWidth + x) * 4);
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+// Blurhash of RGBA pixels ({ width, height, data }). Alpha is ignored.
+function encodeBlurhash(pixels, {
+  componentsX = BLURHASH_DEFAULTS.componentsX,
+  componentsY = BLURHASH_DEFAULTS.componentsY,
+  maxSize = BLURHASH_DEFAULTS.maxSize,
+} = {}) {
+  const { width, height, data } = downscale(pixels, maxSize);
+
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos((Math.PI * i * x) / width) * Math.cos((Math.PI * j * y) / height);
+          const o = (y * width + x) * 4;
+          factor[0] += basis * sRGBToLinear(data[o]);
+          factor[1] += basis * sRGBToLinear(data[o + 1]);
+          factor[2] += basis * sRGBToLinear(data[o + 2]);
+        }
+      }
+      factors.push(factor.map(value => value / (width * height)));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map(value => Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5))));
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
+
+module.exports = {
+  BLURHASH_DEFAULTS,
+  encodeBlurhash,
+};
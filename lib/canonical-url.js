@@ -0,0 +1,65 @@
+// Canonical article URLs
+//
+// The same story arrives under several URLs: with utm_* and other tracking
+// parameters, with or without "www." or a trailing slash, over http or
+// https. canonicalizeUrl() maps those variants to one key used for
+// deduplication and stored as canonical_url. It is an identity, not
+// necessarily a link to show users; keep article_url for that.
+
+// Query parameters that only identify a campaign, referrer or click
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'twclid',
+  'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi',
+  'ref', 'ref_src', 'ref_url', 'referrer',
+  'cmpid', 'ncid', 'ito', 'taid', 'guccounter', 'guce_referrer', 'guce_referrer_sig',
+  'sr_share', 'smid', 'soc_src', 'soc_trk', 'ocid',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'at_', 'hsa_', 'stm_'];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+// Canonical form of `url`, or null when it isn't an http(s) URL
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|amp)\./, '').replace(/\.$/, '');
+  parsed.port = '';
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+
+  let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+  // AMP variants of the article page
+  pathname = pathname.replace(/\/amp\/?$/, '/').replace(/\.amp(\.html)?$/, '$1');
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  parsed.pathname = pathname;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString();
+}
+
+// Canonical key for an article: its <link rel="canonical"> when known,
+// else its own URL
+function articleCanonicalUrl(article) {
+  return (article.canonicalUrl && canonicalizeUrl(article.canonicalUrl)) || canonicalizeUrl(article.url);
+}
+
+module.exports = {
+  isTrackingParam,
+  canonicalizeUrl,
+  articleCanonicalUrl,
+};
@@ -0,0 +1,137 @@
+// Available categories for AI tagging
+const AVAILABLE_CATEGORIES = {
+  Tech: [
+    'Artificial Intelligence (AI)',
+    'Machine Learning',
+    'Software Development',
+    'Cybersecurity',
+    'Cloud Computing',
+    'Gadgets & Devices',
+    'Startups & Innovation',
+    'Blockchain & Crypto',
+    'Mobile & Apps',
+    'Data Science',
+    'Web Development',
+    'Big Data',
+    'Robotics',
+    'AR/VR (Augmented/Virtual Reality)',
+    'Tech Policy & Regulation'
+  ],
+  Business: [
+    'Markets & Stocks',
+    'Finance & Investing',
+    'Leadership',
+    'Management',
+    'Marketing & Advertising',
+    'E-commerce',
+    'Mergers & Acquisitions',
+    'Small Business',
+    'Corporate Strategy',
+    'Economics',
+    'Real Estate',
+    'Human Resources',
+    'Supply Chain & Logistics',
+    'Sustainability & ESG (Environmental, Social, Governance)',
+    'Business Law'
+  ],
+  Entrepreneurship: [
+    'Startup Stories',
+    'Fundraising & Venture Capital',
+    'Pitching & Networking',
+    'Growth Hacking',
+    'Product Management',
+    'Bootstrapping',
+    'Founder Interviews',
+    'Incubators & Accelerators',
+    'Failure & Lessons Learned',
+    'Side Hustles',
+    'Remote Work & Digital Nomads'
+  ],
+  General: [
+    'World News',
+    'Politics',
+    'Science & Research',
+    'Health & Wellness',
+    'Education',
+    'Lifestyle',
+    'Opinion & Analysis',
+    'Culture & Society',
+    'Technology in Society',
+    'Work & Careers',
+    'Events & Conferences'
+  ]
+};
+
+// Flatten categories for easier reference
+const ALL_CATEGORIES = Object.entries(AVAILABLE_CATEGORIES).flatMap(([section, cats]) => 
+  cats.map(cat => `${section}: ${cat}`)
+);
+
+// Lowercase alphanumerics only, for comparing labels loosely
+function normalizeLabel(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Minimum similarity (1 - edit distance / length) for a fuzzy match
+const FUZZY_MATCH_THRESHOLD = 0.85;
+
+const NORMALIZED_CATEGORIES = ALL_CATEGORIES.map(category => ({
+  category,
+  full: normalizeLabel(category),
+  name: normalizeLabel(category.slice(category.indexOf(':') + 1)),
+}));
+
+// Map a model-produced label onto a known category. Handles brackets, quotes,
+// case, a missing "Section: " prefix and small typos. Returns null when
+// nothing is close enough.
+function matchCategory(label) {
+  if (typeof label !== 'string') return null;
+
+  const cleaned = label.trim().replace(/^[\s"'`[\](){}]+|[\s"'`[\](){}.,;]+$/g, '');
+  if (ALL_CATEGORIES.includes(cleaned)) return cleaned;
+
+  const normalized = normalizeLabel(cleaned);
+  if (!normalized) return null;
+
+  // "Technology: Robotics" - the model got the section wrong but the name right
+  const namePart = cleaned.includes(':') ? normalizeLabel(cleaned.slice(cleaned.indexOf(':') + 1)) : normalized;
+
+  const exact = NORMALIZED_CATEGORIES.find(c => c.full === normalized || c.name === normalized || c.name === namePart);
+  if (exact) return exact.category;
+
+  let best = null;
+  let bestScore = 0;
+  for (const candidate of NORMALIZED_CATEGORIES) {
+    for (const target of [candidate.full, candidate.name]) {
+      const score = 1 - editDistance(normalized, target) / Math.max(normalized.length, target.length);
+      if (score > bestScore) {
+        best = candidate.category;
+        bestScore = score;
+      }
+    }
+  }
+
+  return bestScore >= FUZZY_MATCH_THRESHOLD ? best : null;
+}
+
+module.exports = {
+  AVAILABLE_CATEGORIES,
+  ALL_CATEGORIES,
+  matchCategory,
+};
@@ -0,0 +1,171 @@
+// Localized category labels
+//
+// category_tags always hold the English category from AVAILABLE_CATEGORIES;
+// readers in other languages get these labels, stored with each summary
+// translation. Sections and names are translated separately and joined the
+// same way ("Tecnología: Robótica").
+
+const { AVAILABLE_CATEGORIES } = require('./categories');
+const { localeLanguage } = require('./language');
+
+const CATEGORY_LABELS = {
+  es: {
+    sections: {
+      Tech: 'Tecnología',
+      Business: 'Negocios',
+      Entrepreneurship: 'Emprendimiento',
+      General: 'General',
+    },
+    names: {
+      'Artificial Intelligence (AI)': 'Inteligencia artificial (IA)',
+      'Machine Learning': 'Aprendizaje automático',
+      'Software Development': 'Desarrollo de software',
+      Cybersecurity: 'Ciberseguridad',
+      'Cloud Computing': 'Computación en la nube',
+      'Gadgets & Devices': 'Gadgets y dispositivos',
+      'Startups & Innovation': 'Startups e innovación',
+      'Blockchain & Crypto': 'Blockchain y criptomonedas',
+      'Mobile & Apps': 'Móviles y apps',
+      'Data Science': 'Ciencia de datos',
+      'Web Development': 'Desarrollo web',
+      'Big Data': 'Big data',
+      Robotics: 'Robótica',
+      'AR/VR (Augmented/Virtual Reality)': 'RA/RV (realidad aumentada/virtual)',
+      'Tech Policy & Regulation': 'Política y regulación tecnológica',
+      'Markets & Stocks': 'Mercados y bolsa',
+      'Finance & Investing': 'Finanzas e inversión',
+      Leadership: 'Liderazgo',
+      Management: 'Gestión',
+      'Marketing & Advertising': 'Marketing y publicidad',
+      'E-commerce': 'Comercio electrónico',
+      'Mergers & Acquisitions': 'Fusiones y adquisiciones',
+      'Small Business': 'Pequeñas empresas',
+      'Corporate Strategy': 'Estrategia corporativa',
+      Economics: 'Economía',
+      'Real Estate': 'Inmobiliario',
+      'Human Resources': 'Recursos humanos',
+      'Supply Chain & Logistics': 'Cadena de suministro y logística',
+      'Sustainability & ESG (Environmental, Social, Governance)': 'Sostenibilidad y ESG (ambiental, social y de gobernanza)',
+      'Business Law': 'Derecho mercantil',
+      'Startup Stories': 'Historias de startups',
+      'Fundraising & Venture Capital': 'Financiación y capital riesgo',
+      'Pitching & Networking': 'Presentaciones y networking',
+      'Growth Hacking': 'Growth hacking',
+      'Product Management': 'Gestión de producto',
+      Bootstrapping: 'Autofinanciación',
+      'Founder Interviews': 'Entrevistas a fundadores',
+      'Incubators & Accelerators': 'Incubadoras y aceleradoras',
+      'Failure & Lessons Learned': 'Fracasos y lecciones aprendidas',
+      'Side Hustles': 'Proyectos paralelos',
+      'Remote Work & Digital Nomads': 'Teletrabajo y nómadas digitales',
+      'World News': 'Internacional',
+      Politics: 'Política',
+      'Science & Research': 'Ciencia e investigación',
+      'Health & Wellness': 'Salud y bienestar',
+      Education: 'Educación',
+      Lifestyle: 'Estilo de vida',
+      'Opinion & Analysis': 'Opinión y análisis',
+      'Culture & Society': 'Cultura y sociedad',
+      'Technology in Society': 'Tecnología y sociedad',
+      'Work & Careers': 'Trabajo y carreras',
+      'Events & Conferences': 'Eventos y conferencias',
+    },
+  },
+  de: {
+    sections: {
+      Tech: 'Technik',
+      Business: 'Wirtschaft',
+      Entrepreneurship: 'Unternehmertum',
+      General: 'Allgemein',
+    },
+    names: {
+      'Artificial Intelligence (AI)': 'Künstliche Intelligenz (KI)',
+      'Machine Learning': 'Maschinelles Lernen',
+      'Software Development': 'Softwareentwicklung',
+      Cybersecurity: 'Cybersicherheit',
+      'Cloud Computing': 'Cloud-Computing',
+      'Gadgets & Devices': 'Gadgets & Geräte',
+      'Startups & Innovation': 'Start-ups & Innovation',
+      'Blockchain & Crypto': 'Blockchain & Krypto',
+      'Mobile & Apps': 'Mobil & Apps',
+      'Data Science': 'Data Science',
+      'Web Development': 'Webentwicklung',
+      'Big Data': 'Big Data',
+      Robotics: 'Robotik',
+      'AR/VR (Augmented/Virtual Reality)': 'AR/VR (Erweiterte/Virtuelle Realität)',
+      'Tech Policy & Regulation': 'Technologiepolitik & Regulierung',
+      'Markets & Stocks': 'Märkte & Aktien',
+      'Finance & Investing': 'Finanzen & Geldanlage',
+      Leadership: 'Führung',
+      Management: 'Management',
+      'Marketing & Advertising': 'Marketing & Werbung',
+      'E-commerce': 'E-Commerce',
+      'Mergers & Acquisitions': 'Fusionen & Übernahmen',
+      'Small Business': 'Kleinunternehmen',
+      'Corporate Strategy': 'Unternehmensstrategie',
+      Economics: 'Volkswirtschaft',
+      'Real Estate': 'Immobilien',
+      'Human Resources': 'Personalwesen',
+      'Supply Chain & Logistics': 'Lieferkette & Logistik',
+      'Sustainability & ESG (Environmental, Social, Governance)': 'Nachhaltigkeit & ESG (Umwelt, Soziales, Unternehmensführung)',
+      'Business Law': 'Wirtschaftsrecht',
+      'Startup Stories': 'Gründergeschichten',
+      'Fundraising & Venture Capital': 'Finanzierung & Risikokapital',
+      'Pitching & Networking': 'Pitching & Networking',
+      'Growth Hacking': 'Growth-Hacking',
+      'Product Management': 'Produktmanagement',
+      Bootstrapping: 'Bootstrapping',
+      'Founder Interviews': 'Gründerinterviews',
+      'Incubators & Accelerators': 'Inkubatoren & Acceleratoren',
+      'Failure & Lessons Learned': 'Scheitern & Lehren',
+      'Side Hustles': 'Nebenprojekte',
+      'Remote Work & Digital Nomads': 'Remote-Arbeit & digitale Nomaden',
+      'World News': 'Weltnachrichten',
+      Politics: 'Politik',
+      'Science & Research': 'Wissenschaft & Forschung',
+      'Health & Wellness': 'Gesundheit & Wohlbefinden',
+      Education: 'Bildung',
+      Lifestyle: 'Lifestyle',
+      'Opinion & Analysis': 'Meinung & Analyse',
+      'Culture & Society': 'Kultur & Gesellschaft',
+      'Technology in Society': 'Technik & Gesellschaft',
+      'Work & Careers': 'Arbeit & Karriere',
+      'Events & Conferences': 'Veranstaltungen & Konferenzen',
+    },
+  },
+};
+
+// "Tech: Robotics" in the locale's language; English and unknown
+// categories are returned as is
+function localizeCategory(category, locale) {
+  const labels = CATEGORY_LABELS[localeLanguage(locale)];
+  const separator = category.indexOf(': ');
+  if (!labels || separator === -1) return category;
+
+  const section = category.slice(0, separator);
+  const name = category.slice(separator + 2);
+  return `${labels.sections[section] || section}: ${labels.names[name] || name}`;
+}
+
+function localizeCategories(categories, locale) {
+  return categories.map(category => localizeCategory(category, locale));
+}
+
+// Categories in AVAILABLE_CATEGORIES without a label in some language
+function missingCategoryLabels() {
+  const missing = [];
+  for (const [language, labels] of Object.entries(CATEGORY_LABELS)) {
+    for (const [section, names] of Object.entries(AVAILABLE_CATEGORIES)) {
+      if (!labels.sections[section]) missing.push(`${language}: ${section}`);
+      names.filter(name => !labels.names[name]).forEach(name => missing.push(`${language}: ${section}: ${name}`));
+    }
+  }
+  return missing;
+}
+
+module.exports = {
+  CATEGORY_LABELS,
+  localizeCategory,
+  localizeCategories,
+  missingCategoryLabels,
+};
@@ -0,0 +1,97 @@
+// Command line options for sync-articles.js
+
+const USAGE = `Usage: node sync-articles.js [options]
+
+Options:
+  --dry-run          Fetch feeds and print what would be inserted, re-enriched
+                     and expired, without writing anything or calling the AI
+  --source <id>      Only sync these sources (repeat or comma-separate ids)
+  --limit <n>        Enrich and save at most n articles this run (up to
+                     LIMIT_BACKLOG_PERCENT of them updates and retries); new
+                     articles over it are saved for a later run
+  --no-cleanup       Skip the retention cleanup
+  --digest           Send the daily digest of the last 24 hours of runs to the
+                     NOTIFY_WEBHOOKS now instead of syncing
+  --json             Print the plan (with --dry-run), run summary or digest as
+                     JSON on stdout; logs go to stderr
+  -h, --help         Show this help
+
+Exit status is 0 on success, 1 when the sync fails or goes over an error
+threshold (SYNC_MAX_* settings) or when --digest reaches no webhook, and 2 for
+invalid options.`;
+
+const CLI_DEFAULTS = {
+  dryRun: false,
+  sourceIds: [],
+  limit: null,
+  cleanup: true,
+  digest: false,
+  json: false,
+  help: false,
+};
+
+class CLIUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CLIUsageError';
+  }
+}
+
+// Parse process.argv.slice(2). Accepts "--flag value" and "--flag=value".
+function parseArgs(argv) {
+  const options = { ...CLI_DEFAULTS, sourceIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=')
+      ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+      : [argv[i], undefined];
+
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) throw new CLIUsageError(`${flag} needs a value`);
+      i++;
+      return next;
+    };
+
+    switch (flag) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--source':
+        options.sourceIds.push(...value().split(',').map(id => id.trim()).filter(Boolean));
+        break;
+      case '--limit': {
+        const raw = value();
+        const limit = Number(raw);
+        if (!Number.isInteger(limit) || limit < 0) throw new CLIUsageError(`--limit must be a non-negative integer, got "${raw}"`);
+        options.limit = limit;
+        break;
+      }
+      case '--no-cleanup':
+        options.cleanup = false;
+        break;
+      case '--digest':
+        options.digest = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new CLIUsageError(`Unknown option "${argv[i]}"`);
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  USAGE,
+  CLI_DEFAULTS,
+  CLIUsageError,
+  parseArgs,
+};
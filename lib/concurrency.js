@@ -0,0 +1,61 @@
+// Concurrency helpers
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+// Results keep the input order. fn should handle its own errors; a rejection
+// rejects the whole map once in-flight calls settle.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  if (failure) throw failure;
+  return results;
+}
+
+// Collects items and hands them to flush(items) in groups of `size`.
+// add() resolves once the item's group has been flushed when it filled the
+// group; call flush() at the end for the remainder. Flushes run one at a time.
+function createBatcher(size, flush) {
+  let pending = [];
+  let chain = Promise.resolve();
+
+  function flushPending() {
+    const items = pending;
+    pending = [];
+    if (items.length === 0) return chain;
+    chain = chain.then(() => flush(items));
+    return chain;
+  }
+
+  return {
+    add(item) {
+      pending.push(item);
+      return pending.length >= size ? flushPending() : Promise.resolve();
+    },
+    flush: flushPending,
+  };
+}
+
+module.exports = {
+  sleep,
+  mapWithConcurrency,
+  createBatcher,
+};
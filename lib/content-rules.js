@@ -0,0 +1,264 @@
+// Content rules
+//
+// Declarative filters applied between fetching and enrichment, so deal
+// roundups, sponsored posts, podcasts and near-empty items are never
+// summarized or shown. Rules live in config/content-rules.json:
+//
+//   { "rules": [{ "id", "type", "description"?, "sources"?, "exceptSources"?,
+//                 "enabled"?, ...options }] }
+//
+// Types and their options:
+//   title       "pattern": regex tested against the title ("flags", default "i")
+//   url         "pattern": regex tested against the article URL
+//   keywords    "keywords": words or phrases matched as whole words in
+//               "fields" (default ["title", "description"])
+//   sponsored   "markers" (default SPONSORED_MARKERS): a "Sponsored:" or
+//               "[Partner content]" title, a marker feed category or URL path
+//               segment, or a description opening with "Sponsored by"
+//   category    "allow" and/or "deny": the item's own categories (RSS
+//               <category>, Atom term, dc:subject) and its NewsAPI query
+//               category. "Business" also matches "Business: Markets & Stocks".
+//               Items without categories pass allow lists.
+//   min-length  "minLength": characters of description. Sources with
+//               "fullText" are exempt: their text comes from the page.
+//
+// "sources" limits a rule to those source ids, "exceptSources" exempts them.
+// The first rule an article matches drops it, with a reason to log.
+
+const fs = require('fs');
+const path = require('path');
+
+const RULE_TYPES = ['title', 'url', 'keywords', 'sponsored', 'category', 'min-length'];
+const KEYWORD_FIELDS = ['title', 'description'];
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'content-rules.json');
+
+// Labels publishers put on paid content
+const SPONSORED_MARKERS = [
+  'sponsored',
+  'sponsored content',
+  'sponsored post',
+  'partner content',
+  'paid content',
+  'paid post',
+  'advertorial',
+  'promoted',
+  'brandvoice',
+];
+
+class ContentRulesConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentRulesConfigError';
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive whole-word match of any of the phrases
+function phraseRegExp(phrases) {
+  const alternatives = phrases.map(phrase => escapeRegExp(phrase.trim()).replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function articleCategories(article) {
+  return [...(article.feedCategories || []), ...(article.queryCategory ? [article.queryCategory] : [])];
+}
+
+// "Business" matches "business" and "Business: Markets & Stocks"
+function categoryMatches(entry, label) {
+  const a = entry.trim().toLowerCase();
+  const b = label.trim().toLowerCase();
+  return a === b || b.startsWith(`${a}:`);
+}
+
+// Each type compiles its options into test(article, source), returning the
+// reason the article is dropped or null
+const COMPILERS = {
+  title(rule) {
+    const pattern = new RegExp(rule.pattern, rule.flags ?? 'i');
+    return (article) => {
+      const match = (article.title || '').match(pattern);
+      return match ? `title matches "${match[0]}"` : null;
+    };
+  },
+
+  url(rule) {
+    const pattern = new RegExp(rule.pattern, rule.flags ?? 'i');
+    return (article) => {
+      const match = (article.url || '').match(pattern);
+      return match ? `URL matches "${match[0]}"` : null;
+    };
+  },
+
+  keywords(rule) {
+    const pattern = phraseRegExp(rule.keywords);
+    const fields = rule.fields || KEYWORD_FIELDS;
+    return (article) => {
+      for (const field of fields) {
+        const match = (article[field] || '').match(pattern);
+        if (match) return `${field} contains "${match[0]}"`;
+      }
+      return null;
+    };
+  },
+
+  sponsored(rule) {
+    const markers = rule.markers || SPONSORED_MARKERS;
+    const marker = phraseRegExp(markers).source;
+    const titleLabel = new RegExp(`^\\s*(?:[\\[(]\\s*${marker}\\s*[\\])]|${marker}\\s*[:|–—-])|[\\[(]\\s*${marker}\\s*[\\])]\\s*$`, 'iu');
+    const descriptionLabel = new RegExp(`^\\s*(?:${marker}\\s+by|this\\s+(?:post|article|story|content)\\s+(?:is|was)\\s+sponsored)\\b`, 'iu');
+    const slugs = new Set(markers.map(slugify));
+
+    return (article) => {
+      if (titleLabel.test(article.title || '')) return 'title is labelled sponsored';
+      if (descriptionLabel.test(article.description || '')) return 'description is labelled sponsored';
+      const category = (article.feedCategories || []).find(label => markers.some(m => categoryMatches(m, label)));
+      if (category) return `category "${category}" marks sponsored content`;
+      try {
+        const segment = new URL(article.url).pathname.split('/').find(part => slugs.has(part.toLowerCase()));
+        if (segment) return `URL path has "/${segment}/"`;
+      } catch (error) {
+        // Not a URL; nothing to check
+      }
+      return null;
+    };
+  },
+
+  category(rule) {
+    return (article) => {
+      const categories = articleCategories(article);
+      const denied = (rule.deny || []).length > 0 && categories.find(label => rule.deny.some(entry => categoryMatches(entry, label)));
+      if (denied) return `category "${denied}" is denied`;
+      if (rule.allow && categories.length > 0 && !categories.some(label => rule.allow.some(entry => categoryMatches(entry, label)))) {
+        return `no category in ${rule.allow.join(', ')} (has ${categories.join(', ')})`;
+      }
+      return null;
+    };
+  },
+
+  'min-length'(rule) {
+    return (article, source) => {
+      if (source && source.fullText) return null;
+      const length = (article.description || '').trim().length;
+      return length < rule.minLength ? `description has ${length} characters (min ${rule.minLength})` : null;
+    };
+  },
+};
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Problems with one rule's type-specific options
+function optionProblems(rule) {
+  const problems = [];
+  if (rule.type === 'title' || rule.type === 'url') {
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      problems.push('"pattern" is required');
+    } else {
+      try {
+        new RegExp(rule.pattern, rule.flags ?? 'i');
+      } catch (error) {
+        problems.push(`"pattern" is not a valid regex: ${error.message}`);
+      }
+    }
+  } else if (rule.type === 'keywords') {
+    if (!isStringArray(rule.keywords) || rule.keywords.length === 0) problems.push('"keywords" must be a non-empty array of strings');
+    if (rule.fields !== undefined && !(Array.isArray(rule.fields) && rule.fields.every(field => KEYWORD_FIELDS.includes(field)))) {
+      problems.push(`"fields" must only contain ${KEYWORD_FIELDS.join(', ')}`);
+    }
+  } else if (rule.type === 'sponsored') {
+    if (rule.markers !== undefined && (!isStringArray(rule.markers) || rule.markers.length === 0)) problems.push('"markers" must be a non-empty array of strings');
+  } else if (rule.type === 'category') {
+    if (rule.allow === undefined && rule.deny === undefined) problems.push('"allow" or "deny" is required');
+    for (const key of ['allow', 'deny']) {
+      if (rule[key] !== undefined && !isStringArray(rule[key])) problems.push(`"${key}" must be an array of strings`);
+    }
+  } else if (rule.type === 'min-length') {
+    if (!Number.isInteger(rule.minLength) || rule.minLength < 1) problems.push('"minLength" must be a positive integer');
+  }
+  return problems;
+}
+
+// Validate rules (parsed config/content-rules.json "rules"); throws
+// ContentRulesConfigError listing every problem. `label` names the file.
+function validateContentRules(rules, label = 'content rules') {
+  if (!Array.isArray(rules)) {
+    throw new ContentRulesConfigError(`Invalid ${label}: "rules" must be an array`);
+  }
+
+  const problems = [];
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const name = rule && rule.id ? `rules[${index}] (${rule.id})` : `rules[${index}]`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      problems.push(`${name}: "id" is required`);
+    } else if (seen.has(rule.id)) {
+      problems.push(`${name}: duplicate rule id`);
+    }
+    if (rule) seen.add(rule.id);
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      problems.push(`${name}: "type" must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+    for (const key of ['sources', 'exceptSources']) {
+      if (rule[key] !== undefined && !isStringArray(rule[key])) problems.push(`${name}: "${key}" must be an array of source ids`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') problems.push(`${name}: "enabled" must be true or false`);
+    optionProblems(rule).forEach(problem => problems.push(`${name}: ${problem}`));
+  });
+
+  if (problems.length > 0) {
+    throw new ContentRulesConfigError(`Invalid ${label}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return rules;
+}
+
+// Read and validate the rules file
+function loadContentRules(filePath = DEFAULT_RULES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ContentRulesConfigError(`Could not read content rules ${filePath}: ${error.message}`);
+  }
+  return validateContentRules(config.rules, `content rules in ${filePath}`);
+}
+
+// check(article, source) returns { rule, reason } for the first enabled rule
+// that drops the article, or null to keep it. source is the article's entry
+// in the source registry, if any.
+function createContentFilter(rules = []) {
+  const compiled = validateContentRules(rules)
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({ rule, test: COMPILERS[rule.type](rule) }));
+
+  return {
+    size: compiled.length,
+
+    check(article, source = null) {
+      const sourceId = article.source && article.source.id;
+      for (const { rule, test } of compiled) {
+        if (rule.sources && !rule.sources.includes(sourceId)) continue;
+        if (rule.exceptSources && rule.exceptSources.includes(sourceId)) continue;
+        const reason = test(article, source);
+        if (reason) return { rule: rule.id, reason };
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  SPONSORED_MARKERS,
+  ContentRulesConfigError,
+  validateContentRules,
+  loadContentRules,
+  createContentFilter,
+};
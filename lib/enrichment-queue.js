@@ -0,0 +1,114 @@
+// AI enrichment status and retry queue
+//
+// Every row in article_summaries carries an enrichment status:
+//   pending - saved but not yet summarized
+//   done    - summary and categories are stored
+//   failed  - the last attempt failed; retried after enrichment_next_attempt_at
+// Failed rows back off exponentially. After MAX_ENRICHMENT_ATTEMPTS the next
+// attempt time is cleared and the row is no longer retried automatically.
+
+const { htmlToPlainText } = require('./html-sanitizer');
+
+const ENRICHMENT_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const MAX_ENRICHMENT_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 30;
+const RETRY_MAX_MINUTES = 24 * 60;
+
+// When to retry after `attempts` failed attempts, or null to stop retrying
+function nextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ENRICHMENT_ATTEMPTS) return null;
+  const minutes = Math.min(RETRY_BASE_MINUTES * 2 ** (attempts - 1), RETRY_MAX_MINUTES);
+  return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+// Column values for an article saved to be enriched on a later run
+function enrichmentPendingFields() {
+  return {
+    enrichment_status: ENRICHMENT_STATUS.PENDING,
+    enrichment_attempts: 0,
+    enrichment_last_error: null,
+    enrichment_last_attempt_at: null,
+    enrichment_next_attempt_at: null,
+  };
+}
+
+// Column values for a successful enrichment
+function enrichmentSuccessFields(attempts, now = new Date()) {
+  return {
+    enrichment_status: ENRICHMENT_STATUS.DONE,
+    enrichment_attempts: attempts,
+    enrichment_last_error: null,
+    enrichment_last_attempt_at: now.toISOString(),
+    enrichment_next_attempt_at: null,
+  };
+}
+
+// Column values for a failed enrichment; `attempts` includes this one
+function enrichmentFailureFields(attempts, error, now = new Date()) {
+  return {
+    enrichment_status: ENRICHMENT_STATUS.FAILED,
+    enrichment_attempts: attempts,
+    enrichment_last_error: (error && error.message) || String(error),
+    enrichment_last_attempt_at: now.toISOString(),
+    enrichment_next_attempt_at: nextAttemptAt(attempts, now),
+  };
+}
+
+// Rebuild the article shape used by the sync pipeline from a stored row
+function rowToArticle(row) {
+  return {
+    id: row.article_url,
+    title: row.article_title,
+    // Rows stored before sanitizing hold the feed's HTML
+    description: htmlToPlainText(row.description),
+    descriptionHtml: row.description_html || undefined,
+    url: row.article_url,
+    urlToImage: row.image_url,
+    // The image chosen when the row was first saved (see lib/images.js)
+    image: row.image_url
+      ? { url: row.image_url, width: row.image_width || null, height: row.image_height || null, blurhash: row.image_blurhash || null, cachedUrl: row.image_cached_url || null }
+      : null,
+    publishedAt: row.published_at,
+    author: row.author || undefined,
+    // source_type is null on rows saved before it was stored
+    source: { id: row.source_id, name: row.source_name, type: row.source_type || null },
+    enrichmentAttempts: row.enrichment_attempts || 0,
+    // Saved back unchanged (see articleToRow in sync-articles.js)
+    revisionCount: row.revision_count || 0,
+    contentUpdatedAt: row.content_updated_at || null,
+    clustering: { minhash: row.minhash || null, cluster_id: row.cluster_id || null },
+  };
+}
+
+// Rows that are pending, or failed and due for another attempt (least
+// recently attempted first), optionally only from the given source ids
+async function loadRetryQueue(store, { limit = 100, sourceIds = [], now = new Date() } = {}) {
+  try {
+    const rows = await store.listRetryQueue({
+      statuses: { pending: ENRICHMENT_STATUS.PENDING, failed: ENRICHMENT_STATUS.FAILED },
+      limit,
+      sourceIds,
+      now,
+    });
+    return rows.map(rowToArticle);
+  } catch (error) {
+    console.error('Error loading enrichment retry queue:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  ENRICHMENT_STATUS,
+  MAX_ENRICHMENT_ATTEMPTS,
+  nextAttemptAt,
+  enrichmentPendingFields,
+  enrichmentSuccessFields,
+  enrichmentFailureFields,
+  rowToArticle,
+  loadRetryQueue,
+};
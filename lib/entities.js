@@ -0,0 +1,228 @@
+// Named entities and keywords
+//
+// The analysis step also returns the companies, people, products, places and
+// organizations an article is about, and its keywords, each with a salience
+// score (0-1, how central it is to the article). Names are normalized and
+// resolved through an alias map (config/entity-aliases.json) so "Google" and
+// "Alphabet Inc." become one entity that readers can follow. Results are
+// stored in the article_entities table, one row per article and entity key:
+//
+//   company:alphabet, person:sam-altman, keyword:data-centers, ...
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTITY_TYPES = ['company', 'person', 'product', 'place', 'organization'];
+const KEYWORD_TYPE = 'keyword';
+const MAX_ENTITIES = 10;
+const MAX_KEYWORDS = 8;
+
+const DEFAULT_ALIASES_PATH = path.join(__dirname, '..', 'config', 'entity-aliases.json');
+
+// Dropped from company names before matching ("Nvidia Corp." -> "Nvidia")
+const COMPANY_SUFFIXES = /[\s,]+(inc|incorporated|corp|corporation|co|company|ltd|limited|llc|plc|ag|sa|se|nv|gmbh|holdings)\.?$/i;
+
+class EntityConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EntityConfigError';
+  }
+}
+
+function clampSalience(value) {
+  const number = typeof value === 'number' && Number.isFinite(value) ? value : 0.5;
+  return Math.round(Math.min(1, Math.max(0, number)) * 100) / 100;
+}
+
+// "  The Nvidia Corp.'s " -> "Nvidia"
+function normalizeEntityName(name, type = null) {
+  let normalized = name.trim().replace(/\s+/g, ' ').replace(/[’']s$/i, '').replace(/^the\s+/i, '');
+  if (type === 'company' || type === null) normalized = normalized.replace(COMPANY_SUFFIXES, '');
+  return normalized.trim();
+}
+
+// Lowercase ASCII slug for entity keys: "Société Générale" -> "societe-generale"
+function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Keep the well-formed entities a model returned, most salient first:
+// [{ name, type, salience }]. Malformed items are dropped, not reported;
+// entities are extra information and never fail an analysis.
+function sanitizeEntities(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter(item => item && typeof item.name === 'string' && item.name.trim() && ENTITY_TYPES.includes(item.type))
+    .map(item => ({ name: item.name.trim(), type: item.type, salience: clampSalience(item.salience) }))
+    .sort((a, b) => b.salience - a.salience)
+    .slice(0, MAX_ENTITIES);
+}
+
+// [{ keyword, salience }], lowercased, duplicates merged
+function sanitizeKeywords(items) {
+  if (!Array.isArray(items)) return [];
+  const keywords = new Map();
+  for (const item of items) {
+    if (!item || typeof item.keyword !== 'string') continue;
+    const keyword = item.keyword.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!keyword) continue;
+    const salience = clampSalience(item.salience);
+    if (!keywords.has(keyword) || keywords.get(keyword) < salience) keywords.set(keyword, salience);
+  }
+  return [...keywords]
+    .map(([keyword, salience]) => ({ keyword, salience }))
+    .sort((a, b) => b.salience - a.salience)
+    .slice(0, MAX_KEYWORDS);
+}
+
+// Read and validate the alias map:
+// { "entities": [{ "id", "name", "type", "aliases": [...] }] }
+function loadEntityAliases(filePath = DEFAULT_ALIASES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new EntityConfigError(`Could not read entity aliases ${filePath}: ${error.message}`);
+  }
+
+  const entities = config.entities || [];
+  const problems = [];
+  const seen = new Map();
+  entities.forEach((entity, index) => {
+    const label = entity.id ? `entities[${index}] (${entity.id})` : `entities[${index}]`;
+    if (!entity.id || slugify(entity.id) !== entity.id) problems.push(`${label}: "id" must be a lowercase slug`);
+    if (!entity.name || typeof entity.name !== 'string') problems.push(`${label}: "name" is required`);
+    if (!ENTITY_TYPES.includes(entity.type)) problems.push(`${label}: "type" must be one of ${ENTITY_TYPES.join(', ')}`);
+    if (entity.aliases !== undefined && !Array.isArray(entity.aliases)) problems.push(`${label}: "aliases" must be an array`);
+
+    for (const alias of [entity.name, ...(entity.aliases || [])].filter(value => typeof value === 'string')) {
+      const key = normalizeEntityName(alias).toLowerCase();
+      if (seen.has(key) && seen.get(key) !== entity.id) problems.push(`${label}: alias "${alias}" is also used by ${seen.get(key)}`);
+      seen.set(key, entity.id);
+    }
+  });
+  if (problems.length > 0) {
+    throw new EntityConfigError(`Invalid entity aliases in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return entities;
+}
+
+// Resolves names through the alias map. resolve() returns { key, name, type }:
+// the canonical entity for a known alias (its type wins over the model's),
+// otherwise the normalized name with a slug key.
+function createEntityResolver(aliases = []) {
+  const byAlias = new Map();
+  for (const entity of aliases) {
+    for (const alias of [entity.name, ...(entity.aliases || [])]) {
+      byAlias.set(normalizeEntityName(alias).toLowerCase(), entity);
+    }
+  }
+
+  return {
+    aliases,
+
+    resolve(name, type) {
+      const normalized = normalizeEntityName(name, type);
+      const known = byAlias.get(normalized.toLowerCase()) || byAlias.get(name.trim().toLowerCase());
+      if (known) return { key: `${known.type}:${known.id}`, name: known.name, type: known.type };
+      return { key: `${type}:${slugify(normalized)}`, name: normalized, type };
+    },
+  };
+}
+
+// Rows for article_entities: entities resolved and merged (the highest
+// salience wins), then keywords. Entries that slug to nothing are dropped.
+function entityRows(articleUrl, { entities = [], keywords = [] }, resolver = createEntityResolver()) {
+  const rows = new Map();
+  const add = (row) => {
+    if (row.entity_key.endsWith(':')) return;
+    const existing = rows.get(row.entity_key);
+    if (!existing || existing.salience < row.salience) rows.set(row.entity_key, row);
+  };
+
+  for (const entity of entities) {
+    const { key, name, type } = resolver.resolve(entity.name, entity.type);
+    add({ article_url: articleUrl, entity_key: key, name, type, salience: entity.salience });
+  }
+  for (const { keyword, salience } of keywords) {
+    add({ article_url: articleUrl, entity_key: `${KEYWORD_TYPE}:${slugify(keyword)}`, name: keyword, type: KEYWORD_TYPE, salience });
+  }
+  return [...rows.values()];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Names this short ("X", "US", "Fed") are also ordinary words or parts of
+// other names, so their mentions need context (see isStandaloneMention)
+const SHORT_ALIAS_LENGTH = 3;
+
+const endsSentence = word => /[.!?]["'”’)]*$/u.test(word);
+
+// A short name counts as a whole token ("X-ray", "X.com" and "X/Twitter"
+// don't). Unless it is an acronym ("US"), it also doesn't count at the start
+// of a sentence, where any word is capitalized ("Fed up with..."), or after
+// a capitalized word, where it is part of a longer name ("Xbox Series X").
+function isStandaloneMention(text, name, start) {
+  const before = text.slice(0, start);
+  const after = text.slice(start + name.length);
+  if (!/(^|[\s([{"'“‘])$/u.test(before) || !/^(['’]s)?[.,;:!?)\]}"'”’]*(\s|$)/u.test(after)) return false;
+  if (/^\p{Lu}{2,}$/u.test(name)) return true;
+
+  const words = before.split(/\s+/).filter(Boolean);
+  const previous = words[words.length - 1];
+  if (!previous || endsSentence(previous)) return false;
+  const previousStartsSentence = words.length === 1 || endsSentence(words[words.length - 2]);
+  return previousStartsSentence || !/^["'“‘(]*\p{Lu}/u.test(previous);
+}
+
+function countMentions(text, pattern) {
+  let count = 0;
+  for (const match of text.matchAll(pattern)) {
+    const name = match[2];
+    if (name.length > SHORT_ALIAS_LENGTH || isStandaloneMention(text, name, match.index + match[1].length)) count++;
+  }
+  return count;
+}
+
+// Offline entity extraction: the alias map's entities mentioned in the text,
+// salience by share of mentions (title mentions count double). Used by the
+// extractive provider and to backfill articles enriched before entities.
+function findKnownEntities({ title = '', text = '' }, aliases = []) {
+  const counts = [];
+  for (const entity of aliases) {
+    const names = [entity.name, ...(entity.aliases || [])];
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${names.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'gu');
+    const mentions = countMentions(title, pattern) * 2 + countMentions(text, pattern);
+    if (mentions > 0) counts.push({ entity, mentions });
+  }
+
+  const top = Math.max(0, ...counts.map(({ mentions }) => mentions));
+  return counts
+    .map(({ entity, mentions }) => ({ name: entity.name, type: entity.type, salience: clampSalience(mentions / top) }))
+    .sort((a, b) => b.salience - a.salience)
+    .slice(0, MAX_ENTITIES);
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  KEYWORD_TYPE,
+  MAX_ENTITIES,
+  MAX_KEYWORDS,
+  EntityConfigError,
+  normalizeEntityName,
+  slugify,
+  sanitizeEntities,
+  sanitizeKeywords,
+  loadEntityAliases,
+  createEntityResolver,
+  entityRows,
+  findKnownEntities,
+};
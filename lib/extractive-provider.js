@@ -0,0 +1,235 @@
+// Offline summarizer and classifier
+//
+// A provider that needs no network or API key: the summary is the highest
+// scoring sentences of the article (word frequency, lightly favouring the
+// lead), categories come from keyword matches against the title and text,
+// keywords are the most frequent terms and entities are the alias map's
+// entities mentioned (lib/entities.js). Output is deterministic, which
+// makes it useful for local runs, CI and as a fallback when the model
+// provider is down. It can't translate: summaries are only produced in the
+// article's own language.
+
+const { AnalysisValidationError, MIN_SUMMARY_LENGTH, MAX_CATEGORIES, articleContent } = require('./article-analysis');
+const { createUsageTracker } = require('./ai-usage');
+const { localeLanguage, languageName } = require('./language');
+const { MAX_KEYWORDS, findKnownEntities } = require('./entities');
+
+const EXTRACTIVE_MODEL = 'extractive-v1';
+const SUMMARY_SENTENCES = 3;
+const FALLBACK_CATEGORY = 'General: World News';
+
+const STOP_WORDS = new Set(`a about after again against all also an and any are as at be because been
+before being between both but by can could did do does doing down during each few for from further had
+has have having he her here hers him his how i if in into is it its itself just me more most my no nor
+not now of off on once only or other our out over own said same says she should so some such than that
+the their them then there these they this those through to too under until up very was we were what when
+where which while who whom why will with would you your new one two year years`.split(/\s+/));
+
+// Keywords (lowercase, matched as whole words or phrases) per category.
+// Title matches count double.
+const CATEGORY_KEYWORDS = {
+  'Tech: Artificial Intelligence (AI)': ['ai', 'artificial intelligence', 'chatgpt', 'openai', 'anthropic', 'llm', 'large language model', 'generative', 'chatbot', 'gemini', 'copilot'],
+  'Tech: Machine Learning': ['machine learning', 'neural network', 'deep learning', 'training data', 'model training'],
+  'Tech: Software Development': ['software', 'developer', 'developers', 'programming', 'open source', 'github', 'coding', 'api'],
+  'Tech: Cybersecurity': ['cybersecurity', 'hack', 'hacker', 'hackers', 'breach', 'ransomware', 'malware', 'vulnerability', 'phishing', 'data leak'],
+  'Tech: Cloud Computing': ['cloud', 'aws', 'azure', 'google cloud', 'data center', 'data centers', 'saas'],
+  'Tech: Gadgets & Devices': ['iphone', 'smartphone', 'laptop', 'tablet', 'gadget', 'wearable', 'headphones', 'smartwatch', 'pixel', 'galaxy', 'device', 'devices'],
+  'Tech: Startups & Innovation': ['innovation', 'tech startup', 'unicorn', 'disrupt'],
+  'Tech: Blockchain & Crypto': ['bitcoin', 'crypto', 'cryptocurrency', 'blockchain', 'ethereum', 'nft', 'stablecoin'],
+  'Tech: Mobile & Apps': ['app', 'apps', 'android', 'ios', 'app store', 'mobile'],
+  'Tech: Data Science': ['data science', 'analytics', 'data scientist', 'dataset'],
+  'Tech: Web Development': ['web development', 'javascript', 'browser', 'website', 'chrome', 'firefox'],
+  'Tech: Big Data': ['big data', 'data warehouse', 'data lake'],
+  'Tech: Robotics': ['robot', 'robots', 'robotics', 'drone', 'drones', 'autonomous', 'self-driving', 'humanoid'],
+  'Tech: AR/VR (Augmented/Virtual Reality)': ['vr', 'virtual reality', 'augmented reality', 'mixed reality', 'headset', 'vision pro', 'quest', 'metaverse'],
+  'Tech: Tech Policy & Regulation': ['antitrust', 'regulation', 'regulators', 'ftc', 'privacy law', 'ban', 'lawsuit', 'gdpr'],
+  'Business: Markets & Stocks': ['stock', 'stocks', 'shares', 'nasdaq', 's&p 500', 'dow', 'wall street', 'investors', 'market cap', 'ipo'],
+  'Business: Finance & Investing': ['investing', 'investment', 'bank', 'banks', 'interest rates', 'fund', 'bonds', 'wealth', 'portfolio'],
+  'Business: Leadership': ['ceo', 'leadership', 'executive', 'executives', 'chief executive'],
+  'Business: Management': ['management', 'managers', 'layoffs', 'restructuring', 'workforce'],
+  'Business: Marketing & Advertising': ['marketing', 'advertising', 'ads', 'brand', 'campaign', 'influencer'],
+  'Business: E-commerce': ['e-commerce', 'ecommerce', 'amazon', 'shopify', 'online shopping', 'retailer', 'retail'],
+  'Business: Mergers & Acquisitions': ['merger', 'acquisition', 'acquire', 'acquires', 'acquired', 'takeover', 'buyout', 'deal'],
+  'Business: Small Business': ['small business', 'small businesses', 'local business'],
+  'Business: Corporate Strategy': ['strategy', 'revenue', 'earnings', 'profit', 'quarter', 'growth'],
+  'Business: Economics': ['economy', 'economic', 'inflation', 'recession', 'gdp', 'federal reserve', 'tariff', 'tariffs', 'jobs report', 'unemployment'],
+  'Business: Real Estate': ['real estate', 'housing', 'mortgage', 'property', 'home prices', 'rent'],
+  'Business: Human Resources': ['hiring', 'hr', 'employees', 'benefits', 'salary', 'salaries'],
+  'Business: Supply Chain & Logistics': ['supply chain', 'logistics', 'shipping', 'freight', 'warehouse', 'chip shortage'],
+  'Business: Sustainability & ESG (Environmental, Social, Governance)': ['sustainability', 'esg', 'climate', 'emissions', 'renewable', 'solar', 'carbon', 'electric vehicle', 'ev'],
+  'Business: Business Law': ['court', 'lawsuit', 'settlement', 'sued', 'judge', 'legal'],
+  'Entrepreneurship: Startup Stories': ['startup', 'startups', 'founded', 'co-founder'],
+  'Entrepreneurship: Fundraising & Venture Capital': ['venture capital', 'funding', 'raised', 'series a', 'series b', 'seed round', 'valuation', 'investors'],
+  'Entrepreneurship: Pitching & Networking': ['pitch', 'pitching', 'networking', 'demo day'],
+  'Entrepreneurship: Growth Hacking': ['growth hacking', 'user acquisition', 'viral growth'],
+  'Entrepreneurship: Product Management': ['product manager', 'product management', 'roadmap', 'product launch'],
+  'Entrepreneurship: Bootstrapping': ['bootstrapped', 'bootstrapping', 'self-funded'],
+  'Entrepreneurship: Founder Interviews': ['founder', 'founders', 'interview'],
+  'Entrepreneurship: Incubators & Accelerators': ['incubator', 'accelerator', 'y combinator', 'techstars'],
+  'Entrepreneurship: Failure & Lessons Learned': ['shut down', 'shutting down', 'bankrupt', 'bankruptcy', 'lessons learned', 'failure'],
+  'Entrepreneurship: Side Hustles': ['side hustle', 'side hustles', 'freelance', 'passive income'],
+  'Entrepreneurship: Remote Work & Digital Nomads': ['remote work', 'work from home', 'hybrid work', 'digital nomad'],
+  'General: World News': ['war', 'government', 'international', 'country', 'minister', 'united nations', 'crisis'],
+  'General: Politics': ['election', 'president', 'congress', 'senate', 'trump', 'biden', 'democrats', 'republicans', 'policy', 'parliament', 'vote'],
+  'General: Science & Research': ['science', 'scientists', 'research', 'researchers', 'study', 'nasa', 'space', 'physics', 'discovery'],
+  'General: Health & Wellness': ['health', 'medical', 'disease', 'vaccine', 'fda', 'hospital', 'wellness', 'drug', 'covid'],
+  'General: Education': ['education', 'school', 'schools', 'students', 'university', 'college', 'teachers'],
+  'General: Lifestyle': ['lifestyle', 'travel', 'food', 'fashion', 'gift', 'deals', 'review'],
+  'General: Opinion & Analysis': ['opinion', 'analysis', 'commentary', 'op-ed', 'explainer'],
+  'General: Culture & Society': ['culture', 'society', 'movie', 'music', 'film', 'streaming', 'netflix', 'game', 'games', 'gaming'],
+  'General: Technology in Society': ['social media', 'misinformation', 'screen time', 'digital divide', 'online safety'],
+  'General: Work & Careers': ['career', 'careers', 'job', 'jobs', 'workplace', 'workers'],
+  'General: Events & Conferences': ['conference', 'summit', 'event', 'keynote', 'expo', 'ces', 'wwdc'],
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CATEGORY_MATCHERS = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => ({
+  category,
+  regex: new RegExp(`(?<![\\w-])(?:${keywords.map(escapeRegex).join('|')})(?![\\w-])`, 'g'),
+}));
+
+function words(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+function splitSentences(text) {
+  return (text.replace(/\s+/g, ' ').match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+// The top `count` sentences by average word frequency, in their original
+// order. Earlier sentences get a small boost since news leads with the facts.
+function extractSummary(text, count = SUMMARY_SENTENCES) {
+  const sentences = splitSentences(text);
+  const frequency = new Map();
+  for (const word of words(text)) frequency.set(word, (frequency.get(word) || 0) + 1);
+
+  const scored = sentences.map((sentence, index) => {
+    const sentenceWords = words(sentence);
+    const total = sentenceWords.reduce((sum, word) => sum + frequency.get(word), 0);
+    const score = sentenceWords.length > 0 ? total / Math.sqrt(sentenceWords.length) : 0;
+    return { sentence, index, score: score * (1 + 1 / (index + 2)) };
+  });
+
+  return scored
+    .slice()
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(({ sentence }) => sentence)
+    .join(' ');
+}
+
+// The most frequent terms and two-word phrases, title mentions counting
+// double; salience is relative to the top term. Terms must occur at least
+// twice, and a word already covered by a chosen phrase is skipped.
+function extractKeywords(title, text, count = MAX_KEYWORDS) {
+  const counts = new Map();
+  const occurrences = new Map();
+  const addTerm = (term, weight) => {
+    counts.set(term, (counts.get(term) || 0) + weight);
+    occurrences.set(term, (occurrences.get(term) || 0) + 1);
+  };
+  const isTerm = token => token && token.length >= 3 && !STOP_WORDS.has(token) && !/^\d+$/.test(token);
+  // Phrases don't span sentences
+  const addTerms = (source, weight) => {
+    for (const sentence of splitSentences(source || '')) {
+      const tokens = sentence.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [];
+      tokens.forEach((token, index) => {
+        if (!isTerm(token)) return;
+        addTerm(token, weight);
+        if (isTerm(tokens[index + 1])) addTerm(`${token} ${tokens[index + 1]}`, weight);
+      });
+    }
+  };
+  addTerms(title, 2);
+  addTerms(text, 1);
+
+  const ranked = [...counts]
+    .filter(([term]) => occurrences.get(term) >= 2)
+    // Phrases are rarer than words; weigh them by length
+    .map(([term, weighted]) => ({ term, score: weighted * term.split(' ').length }))
+    .sort((a, b) => b.score - a.score || (a.term < b.term ? -1 : 1));
+
+  const chosen = [];
+  for (const { term, score } of ranked) {
+    if (chosen.length >= count) break;
+    if (chosen.some(({ keyword }) => keyword.split(' ').includes(term) || term.split(' ').includes(keyword))) continue;
+    chosen.push({ keyword: term, score });
+  }
+  const top = chosen.length > 0 ? chosen[0].score : 1;
+  return chosen.map(({ keyword, score }) => ({ keyword, salience: Math.round((score / top) * 100) / 100 }));
+}
+
+// Categories whose keywords appear, best first. Categories scoring under
+// half of the best are dropped as incidental mentions.
+function classifyText(title, text) {
+  const lowerTitle = (title || '').toLowerCase();
+  const lowerText = (text || '').toLowerCase();
+
+  const scores = CATEGORY_MATCHERS
+    .map(({ category, regex }) => ({
+      category,
+      score: 2 * (lowerTitle.match(regex) || []).length + (lowerText.match(regex) || []).length,
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (scores.length === 0) return [];
+  return scores
+    .filter(({ score }) => score >= scores[0].score / 2)
+    .slice(0, MAX_CATEGORIES)
+    .map(({ category }) => category);
+}
+
+// entityAliases: the alias map (see lib/entities.js) entities are found with
+function createExtractiveProvider({ maxPromptChars = Infinity, defaultCategory = () => null, entityAliases = [], usage = createUsageTracker() } = {}) {
+  return {
+    name: 'extractive',
+    model: EXTRACTIVE_MODEL,
+    usage,
+
+    // Throws AnalysisValidationError when there is too little text to
+    // summarize, or when the locale isn't the article's (detected) language
+    async analyze(article, { locale = 'en' } = {}) {
+      if (article.language && article.language !== localeLanguage(locale)) {
+        throw new AnalysisValidationError([`cannot write a ${languageName(locale)} summary of a ${languageName(article.language)} article`]);
+      }
+      const text = articleContent(article, maxPromptChars);
+      usage.record({ provider: 'extractive', model: EXTRACTIVE_MODEL });
+      const summary = extractSummary(text);
+      if (summary.length < MIN_SUMMARY_LENGTH) {
+        throw new AnalysisValidationError([`not enough text to summarize (${text.length} characters)`]);
+      }
+
+      const categories = classifyText(article.title, text);
+      if (categories.length === 0) {
+        categories.push(defaultCategory(article) || FALLBACK_CATEGORY);
+      }
+      return {
+        summary,
+        categories,
+        entities: findKnownEntities({ title: article.title, text }, entityAliases),
+        keywords: extractKeywords(article.title, text),
+        // Only a model can judge how significant the news is
+        significance: null,
+        provider: 'extractive',
+        model: EXTRACTIVE_MODEL,
+      };
+    },
+  };
+}
+
+module.exports = {
+  EXTRACTIVE_MODEL,
+  CATEGORY_KEYWORDS,
+  splitSentences,
+  extractSummary,
+  extractKeywords,
+  classifyText,
+  createExtractiveProvider,
+};
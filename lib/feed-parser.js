@@ -0,0 +1,412 @@
+// Feed parsing - RSS 2.0, Atom 1.0 and RDF/RSS 1.0
+//
+// Feeds are read with the streaming tokenizer in ./xml-tokenizer, so markup
+// quirks (attribute order, nested CDATA, namespace prefixes, self-closing
+// tags) don't change what we extract. Every format is normalized into the
+// article shape used by the rest of the sync pipeline:
+// { id, title, description, descriptionHtml, url, urlToImage, imageCandidates,
+// feedCategories, publishedAt, source }.
+// description is plain text and descriptionHtml the sanitized HTML (see
+// ./html-sanitizer).
+
+const { StringDecoder } = require('string_decoder');
+const { createXMLTokenizer } = require('./xml-tokenizer');
+const { decodeHTMLEntities, sanitizeHTML, htmlToPlainText } = require('./html-sanitizer');
+const { imageCandidate, htmlImageCandidates } = require('./images');
+
+const FEED_FORMATS = {
+  RSS: 'rss',
+  ATOM: 'atom',
+  RDF: 'rdf',
+};
+
+// Namespace URI -> the prefix we use internally, whatever prefix the feed declares
+const NAMESPACE_PREFIXES = {
+  'http://www.w3.org/2005/Atom': 'atom',
+  'http://purl.org/rss/1.0/': '',
+  'http://search.yahoo.com/mrss/': 'media',
+  'http://search.yahoo.com/mrss': 'media',
+  'http://purl.org/rss/1.0/modules/content/': 'content',
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+};
+
+// Item children whose text we keep (first occurrence wins)
+const CAPTURED_FIELDS = new Set([
+  'title',
+  'link',
+  'guid',
+  'description',
+  'content:encoded',
+  'pubDate',
+  'dc:date',
+  'content',
+  'summary',
+  'published',
+  'updated',
+]);
+
+// Item children that repeat, collected into item.categories (Atom
+// <category term="..."/> is read from its attribute)
+const CATEGORY_FIELDS = new Set(['category', 'dc:subject']);
+
+// The document is not an RSS, Atom or RDF feed (e.g. an HTML error page)
+class FeedParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedParseError';
+  }
+}
+
+// Helper functions
+function parseDate(dateString) {
+  try {
+    const date = new Date(dateString);
+    return date.toISOString();
+  } catch (error) {
+    console.error('Error parsing date:', dateString, error);
+    return new Date().toISOString();
+  }
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function serializeTag(name, attributes, selfClosing) {
+  const attrs = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeHTML(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+  return `<${name}${attrs}${selfClosing ? ' /' : ''}>`;
+}
+
+function formatFromRoot(name) {
+  if (name === 'rss') return FEED_FORMATS.RSS;
+  if (name === 'atom:feed' || name === 'feed') return FEED_FORMATS.ATOM;
+  if (name === 'rdf:RDF') return FEED_FORMATS.RDF;
+  return null;
+}
+
+// Tracks xmlns declarations and maps element names onto our internal prefixes
+function createNamespaceResolver() {
+  const scopes = [];
+
+  return {
+    push(attributes) {
+      const scope = {};
+      for (const [key, value] of Object.entries(attributes)) {
+        if (key === 'xmlns') scope[''] = value;
+        else if (key.startsWith('xmlns:')) scope[key.slice(6)] = value;
+      }
+      scopes.push(scope);
+    },
+    pop() {
+      scopes.pop();
+    },
+    resolve(rawName) {
+      const colon = rawName.indexOf(':');
+      const prefix = colon === -1 ? '' : rawName.slice(0, colon);
+      const local = colon === -1 ? rawName : rawName.slice(colon + 1);
+
+      let uri;
+      for (let i = scopes.length - 1; i >= 0; i--) {
+        if (Object.prototype.hasOwnProperty.call(scopes[i], prefix)) {
+          uri = scopes[i][prefix];
+          break;
+        }
+      }
+
+      // Undeclared or unknown namespaces keep the prefix the feed used
+      const known = uri !== undefined && Object.prototype.hasOwnProperty.call(NAMESPACE_PREFIXES, uri);
+      const canonicalPrefix = known ? NAMESPACE_PREFIXES[uri] : prefix;
+      return canonicalPrefix ? `${canonicalPrefix}:${local}` : local;
+    },
+  };
+}
+
+// Every image an item lists, in the order we prefer them when their sizes
+// are unknown: media:content, media:thumbnail, image enclosures, then <img>
+// and srcset in the item's HTML. The "media-image" imageStrategy (see
+// lib/sources.js) only trusts media:content with medium="image". urlToImage
+// is the first of them, else the source's logo; the sync's image pipeline
+// (lib/images.js) picks among all of them.
+function extractImages(media, htmlParts, source, link) {
+  const isImage = m => (!m.medium || m.medium === 'image') && (!m.type || /^image\//i.test(m.type));
+
+  let found;
+  if (source.imageStrategy === 'media-image') {
+    found = media.filter(m => m.tag === 'media:content' && m.medium === 'image');
+  } else {
+    found = [
+      ...media.filter(m => m.tag === 'media:content' && isImage(m)),
+      ...media.filter(m => m.tag === 'media:thumbnail'),
+      ...media.filter(m => m.tag === 'enclosure' && /^image\//i.test(m.type || '')),
+    ];
+  }
+
+  const candidates = found.map(m => imageCandidate(m.url, m, link)).filter(Boolean);
+  if (source.imageStrategy !== 'media-image') {
+    candidates.push(...htmlImageCandidates(htmlParts.filter(Boolean).join(''), link || undefined));
+  }
+
+  const imageUrl = candidates.length > 0 ? candidates[0].url : (source.fallbackLogo || undefined);
+  return { imageUrl, imageCandidates: candidates };
+}
+
+function fieldText(fields, name) {
+  return fields[name] ? fields[name].text.trim() : '';
+}
+
+// The item's own category labels, decoded and without duplicates
+function feedCategories(categories) {
+  const labels = categories.map(category => decodeHTMLEntities(category).trim()).filter(Boolean);
+  return [...new Set(labels)];
+}
+
+// RSS 2.0 and RDF share the <item> layout; RDF items carry dc:date instead of pubDate
+function finishRSSItem(item, source) {
+  const { fields, media } = item;
+
+  let link = fieldText(fields, 'link');
+  if (!link && fields.guid && fields.guid.attributes.isPermaLink !== 'false' && /^https?:\/\//i.test(fieldText(fields, 'guid'))) {
+    link = fieldText(fields, 'guid');
+  }
+
+  const description = fieldText(fields, 'description');
+  const contentEncoded = fieldText(fields, 'content:encoded');
+
+  return {
+    title: decodeHTMLEntities(fieldText(fields, 'title')),
+    html: contentEncoded || description,
+    link,
+    pubDate: fieldText(fields, 'pubDate') || fieldText(fields, 'dc:date') || undefined,
+    categories: feedCategories(item.categories),
+    ...extractImages(media, [description, contentEncoded], source, link),
+  };
+}
+
+// Atom entries: <link href="..."/>, <published>/<updated>, <content type="html">
+function finishAtomEntry(item, source) {
+  const { fields, links, media } = item;
+
+  // Prefer rel="alternate" (the default when rel is missing), then any link
+  const alternate = links.find(l => (l.rel || 'alternate') === 'alternate' && l.href);
+  const link = alternate || links.find(l => l.href);
+
+  for (const enclosure of links.filter(l => l.rel === 'enclosure')) {
+    media.push({ tag: 'enclosure', url: enclosure.href, type: enclosure.type });
+  }
+
+  const content = fieldText(fields, 'content');
+  const summary = fieldText(fields, 'summary');
+
+  return {
+    title: decodeHTMLEntities(fieldText(fields, 'title')),
+    html: content || summary,
+    link: link ? link.href.trim() : '',
+    pubDate: fieldText(fields, 'published') || fieldText(fields, 'updated') || undefined,
+    categories: feedCategories(item.categories),
+    ...extractImages(media, [content, summary], source, link ? link.href.trim() : ''),
+  };
+}
+
+// Builds items from tokenizer events. Only the item currently being read is
+// kept in memory.
+function createFeedBuilder(source) {
+  const namespaces = createNamespaceResolver();
+  const stack = [];
+  const items = [];
+  let format = null;
+  let item = null;
+  let capture = null;
+
+  // Atom elements are compared without their prefix
+  function localName(name) {
+    return format === FEED_FORMATS.ATOM && name.startsWith('atom:') ? name.slice(5) : name;
+  }
+
+  function onOpenTag({ name: rawName, attributes, selfClosing }) {
+    namespaces.push(attributes);
+    const name = localName(namespaces.resolve(rawName));
+    stack.push({ name, rawName });
+
+    if (stack.length === 1) {
+      format = formatFromRoot(name);
+      return;
+    }
+
+    if (!item) {
+      if (name === 'item' || name === 'entry') {
+        item = { depth: stack.length, fields: {}, links: [], media: [], categories: [] };
+      }
+      return;
+    }
+
+    if (name === 'media:content' || name === 'media:thumbnail') {
+      item.media.push({
+        tag: name,
+        url: attributes.url,
+        medium: attributes.medium,
+        type: attributes.type,
+        width: attributes.width,
+        height: attributes.height,
+      });
+    } else if (name === 'enclosure') {
+      item.media.push({ tag: 'enclosure', url: attributes.url, type: attributes.type });
+    } else if (name === 'link' && format === FEED_FORMATS.ATOM && stack.length === item.depth + 1) {
+      item.links.push({ rel: attributes.rel, type: attributes.type, href: attributes.href });
+    }
+
+    if (capture) {
+      // Markup inside a captured field, e.g. Atom type="xhtml" content
+      capture.text += serializeTag(rawName, attributes, selfClosing);
+    } else if (stack.length === item.depth + 1 && CAPTURED_FIELDS.has(name) && !item.fields[name]) {
+      capture = { name, depth: stack.length, text: '', attributes };
+    } else if (stack.length === item.depth + 1 && CATEGORY_FIELDS.has(name)) {
+      if (attributes.term) item.categories.push(attributes.term);
+      else capture = { name, depth: stack.length, text: '', attributes, category: true };
+    }
+  }
+
+  function onCloseTag(rawName, selfClosing) {
+    // Tolerate mismatched close tags by unwinding to the matching element
+    const name = localName(namespaces.resolve(rawName));
+    const index = stack.findLastIndex(entry => entry.name === name);
+    if (index === -1) return;
+
+    while (stack.length > index) {
+      const depth = stack.length;
+      const closing = stack.pop();
+      namespaces.pop();
+
+      if (capture) {
+        if (depth === capture.depth && capture.category) {
+          item.categories.push(capture.text);
+          capture = null;
+        } else if (depth === capture.depth) {
+          item.fields[capture.name] = { text: capture.text, attributes: capture.attributes };
+          capture = null;
+        } else if (!selfClosing) {
+          capture.text += `</${closing.rawName}>`;
+        }
+      }
+
+      if (item && depth === item.depth && (closing.name === 'item' || closing.name === 'entry')) {
+        const finished = format === FEED_FORMATS.ATOM
+          ? finishAtomEntry(item, source)
+          : finishRSSItem(item, source);
+        if (finished.title && finished.link) {
+          items.push(finished);
+        }
+        item = null;
+        capture = null;
+      }
+    }
+  }
+
+  function onText(text) {
+    if (!capture) return;
+    // Text nested inside captured markup is re-escaped so the field stays valid HTML
+    capture.text += stack.length > capture.depth ? escapeHTML(text) : text;
+  }
+
+  function onCDATA(text) {
+    if (capture) capture.text += text;
+  }
+
+  return {
+    handlers: { onOpenTag, onCloseTag, onText, onCDATA },
+    items,
+    getFormat: () => format,
+  };
+}
+
+function toArticles(items, source) {
+  // UNLIMITED FETCHING - Return ALL items instead of limiting to 100
+  return items.map((item, index) => ({
+    id: item.link || `${item.title}-${index}`,
+    title: item.title,
+    description: htmlToPlainText(item.html),
+    descriptionHtml: sanitizeHTML(item.html, { baseUrl: item.link }),
+    url: item.link,
+    urlToImage: item.imageUrl,
+    imageCandidates: item.imageCandidates,
+    feedCategories: item.categories,
+    publishedAt: item.pubDate ? parseDate(item.pubDate) : new Date().toISOString(),
+    source: {
+      id: source.id,
+      name: source.name,
+      type: 'rss',
+    },
+  }));
+}
+
+// Detect the feed format from the root element
+function detectFeedFormat(xmlText) {
+  let format = null;
+  const namespaces = createNamespaceResolver();
+  const tokenizer = createXMLTokenizer({
+    onOpenTag({ name, attributes }) {
+      namespaces.push(attributes);
+      format = formatFromRoot(namespaces.resolve(name));
+      tokenizer.stop();
+    },
+  });
+  tokenizer.write(xmlText);
+  tokenizer.end();
+  return format;
+}
+
+// Feed Parsing - UNLIMITED FETCHING (no slice limit)
+function parseRSSXML(xmlText, source) {
+  try {
+    const builder = createFeedBuilder(source);
+    const tokenizer = createXMLTokenizer(builder.handlers);
+    tokenizer.write(xmlText);
+    tokenizer.end();
+    return toArticles(builder.items, source);
+  } catch (error) {
+    console.error('Error parsing feed XML:', error);
+    return [];
+  }
+}
+
+// Same as parseRSSXML, but reads the feed from a stream chunk by chunk.
+// Rejects with FeedParseError if the document is not a feed.
+function parseFeedStream(stream, source) {
+  return new Promise((resolve, reject) => {
+    const builder = createFeedBuilder(source);
+    const tokenizer = createXMLTokenizer(builder.handlers);
+    const decoder = new StringDecoder('utf8');
+
+    stream.on('data', chunk => {
+      try {
+        tokenizer.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+      } catch (error) {
+        stream.destroy(error);
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      try {
+        tokenizer.write(decoder.end());
+        tokenizer.end();
+        if (!builder.getFormat()) {
+          throw new FeedParseError(`${source.name} did not return an RSS, Atom or RDF feed`);
+        }
+        resolve(toArticles(builder.items, source));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FeedParseError,
+  parseDate,
+  detectFeedFormat,
+  parseRSSXML,
+  parseFeedStream,
+};
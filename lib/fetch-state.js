@@ -0,0 +1,150 @@
+// Per-feed fetch state
+//
+// One row per RSS source in the `feed_fetch_state` table records the cache
+// validators (ETag / Last-Modified) for conditional GETs, when the feed was
+// last fetched, and how it has been failing. The state decides whether a feed
+// is due: sources are fetched every `fetchIntervalMinutes`, and feeds that
+// keep failing back off exponentially up to MAX_BACKOFF_MINUTES.
+
+// Cron runs drift by a few minutes; don't skip a feed that is only just due
+const FETCH_INTERVAL_GRACE_MS = 5 * 60 * 1000;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+function emptyFetchState(sourceId) {
+  return {
+    sourceId,
+    etag: null,
+    lastModified: null,
+    lastStatus: null,
+    lastFetchedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    lastErrorAt: null,
+    consecutiveFailures: 0,
+    itemCount: 0,
+  };
+}
+
+function fetchStateFromRow(row) {
+  return {
+    sourceId: row.source_id,
+    etag: row.etag,
+    lastModified: row.last_modified,
+    lastStatus: row.last_status,
+    lastFetchedAt: row.last_fetched_at,
+    lastSuccessAt: row.last_success_at,
+    lastError: row.last_error,
+    lastErrorAt: row.last_error_at,
+    consecutiveFailures: row.consecutive_failures || 0,
+    itemCount: row.item_count || 0,
+  };
+}
+
+function fetchStateToRow(state) {
+  return {
+    source_id: state.sourceId,
+    etag: state.etag,
+    last_modified: state.lastModified,
+    last_status: state.lastStatus,
+    last_fetched_at: state.lastFetchedAt,
+    last_success_at: state.lastSuccessAt,
+    last_error: state.lastError,
+    last_error_at: state.lastErrorAt,
+    consecutive_failures: state.consecutiveFailures,
+    item_count: state.itemCount,
+  };
+}
+
+// Load all fetch state rows keyed by source id. Missing state only means
+// feeds are fetched unconditionally, so errors are logged, not thrown.
+async function loadFetchState(store) {
+  try {
+    const rows = await store.listFetchStates();
+    return new Map(rows.map(row => [row.source_id, fetchStateFromRow(row)]));
+  } catch (error) {
+    console.error('Error loading feed fetch state:', error.message);
+    return new Map();
+  }
+}
+
+async function saveFetchState(store, state) {
+  try {
+    await store.upsertFetchState(fetchStateToRow(state));
+    return true;
+  } catch (error) {
+    console.error(`Error saving fetch state for ${state.sourceId}:`, error.message);
+    return false;
+  }
+}
+
+// Request headers for a conditional GET
+function conditionalHeaders(state) {
+  const headers = {};
+  if (state && state.etag) headers['If-None-Match'] = state.etag;
+  if (state && state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+  return headers;
+}
+
+// Backoff after `failures` consecutive failures: the fetch interval doubled
+// per extra failure, capped at MAX_BACKOFF_MINUTES
+function backoffMinutes(source, failures) {
+  if (failures <= 0) return 0;
+  return Math.min(source.fetchIntervalMinutes * 2 ** (failures - 1), MAX_BACKOFF_MINUTES);
+}
+
+// When the source may next be fetched, or null if it has never been fetched
+function getNextFetchTime(source, state) {
+  if (!state || !state.lastFetchedAt) return null;
+
+  const lastFetched = new Date(state.lastFetchedAt).getTime();
+  const waitMinutes = state.consecutiveFailures > 0
+    ? Math.max(source.fetchIntervalMinutes, backoffMinutes(source, state.consecutiveFailures))
+    : source.fetchIntervalMinutes;
+
+  return new Date(lastFetched + waitMinutes * 60 * 1000);
+}
+
+function isFetchDue(source, state, now = new Date()) {
+  const next = getNextFetchTime(source, state);
+  return !next || next.getTime() - FETCH_INTERVAL_GRACE_MS <= now.getTime();
+}
+
+// 200 or 304. Validators are only replaced when the server sends new ones.
+function recordFetchSuccess(state, { status, etag, lastModified, itemCount }, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    ...state,
+    etag: etag || state.etag,
+    lastModified: lastModified || state.lastModified,
+    lastStatus: status,
+    lastFetchedAt: timestamp,
+    lastSuccessAt: timestamp,
+    consecutiveFailures: 0,
+    // A 304 means the feed still holds what we counted last time
+    itemCount: status === 304 ? state.itemCount : itemCount,
+  };
+}
+
+function recordFetchFailure(state, error, status = null, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    ...state,
+    lastStatus: status,
+    lastFetchedAt: timestamp,
+    lastError: error.message || String(error),
+    lastErrorAt: timestamp,
+    consecutiveFailures: state.consecutiveFailures + 1,
+  };
+}
+
+module.exports = {
+  emptyFetchState,
+  loadFetchState,
+  saveFetchState,
+  conditionalHeaders,
+  backoffMinutes,
+  getNextFetchTime,
+  isFetchDue,
+  recordFetchSuccess,
+  recordFetchFailure,
+};
@@ -0,0 +1,301 @@
+// Local storage backend
+//
+// Implements the storage interface described in lib/storage.js with plain
+// objects, optionally persisted to one JSON file so a full sync can run
+// without a Supabase project. Without a path everything stays in memory,
+// which is what the tests use. Column defaults mirror the migrations in
+// supabase/migrations.
+//
+// Rewriting the whole file on every change would make a sync's saves cost
+// O(n²), so changes are written together SAVE_DELAY_MS after the first one;
+// flush() writes them right away.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 200;
+
+const ARTICLE_DEFAULTS = {
+  deleted_at: null,
+  enrichment_status: 'done',
+  enrichment_attempts: 0,
+  enrichment_last_error: null,
+  enrichment_last_attempt_at: null,
+  enrichment_next_attempt_at: null,
+  ai_provider: null,
+  ai_model: null,
+  language: null,
+  translations: {},
+  entities_extracted_at: null,
+  fingerprint: null,
+  revision_count: 0,
+  content_updated_at: null,
+  description_html: null,
+  image_width: null,
+  image_height: null,
+  image_blurhash: null,
+  image_cached_url: null,
+  significance: null,
+  importance_score: null,
+  outlet_count: null,
+  trending: false,
+  source_type: null,
+};
+
+function emptyData() {
+  return {
+    article_summaries: {},
+    article_summaries_archive: {},
+    feed_fetch_state: {},
+    article_extractions: {},
+    // article_url -> article_entities rows
+    article_entities: {},
+    article_revisions: [],
+    sources: [],
+    sync_runs: [],
+  };
+}
+
+function readData(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return emptyData();
+  return { ...emptyData(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+// Write to a temporary file first so a crash can't leave half a file behind
+function writeData(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+  fs.renameSync(temporary, filePath);
+}
+
+function pick(row, columns) {
+  if (columns.includes('*')) return { ...row };
+  return Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+// filePath: JSON file to load from and save to, or null for memory only
+function createFileStore({ filePath = null, data = readData(filePath) } = {}) {
+  let dirty = false;
+  let timer = null;
+
+  const flush = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    writeData(filePath, data);
+    dirty = false;
+  };
+  const save = () => {
+    if (!filePath) return;
+    dirty = true;
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        // Still dirty: the next write or flush() tries again
+        console.error(`Error writing ${filePath}:`, error.message);
+      }
+    }, SAVE_DELAY_MS);
+  };
+  const articles = () => Object.values(data.article_summaries);
+
+  return {
+    name: 'file',
+    // Exposed for tests and debugging
+    data,
+
+    // Articles (article_summaries)
+
+    async listArticles({ columns = ['*'], includeDeleted = false } = {}) {
+      return articles()
+        .filter(row => includeDeleted || !row.deleted_at)
+        .sort((a, b) => (a.article_url < b.article_url ? -1 : 1))
+        .map(row => pick(row, columns));
+    },
+
+    async getArticle(url) {
+      const row = data.article_summaries[url];
+      return row ? { ...row } : null;
+    },
+
+    async upsertArticles(rows) {
+      for (const row of rows) {
+        const existing = data.article_summaries[row.article_url] || ARTICLE_DEFAULTS;
+        data.article_summaries[row.article_url] = { ...existing, ...row };
+      }
+      save();
+    },
+
+    async updateArticle(url, fields) {
+      if (data.article_summaries[url]) Object.assign(data.article_summaries[url], fields);
+      save();
+    },
+
+    async updateArticleScores(rows) {
+      for (const { article_url: url, ...fields } of rows) {
+        if (data.article_summaries[url]) Object.assign(data.article_summaries[url], fields);
+      }
+      save();
+    },
+
+    async listRetryQueue({ statuses, limit, sourceIds = [], now }) {
+      return articles()
+        .filter(row => !row.deleted_at)
+        .filter(row => sourceIds.length === 0 || sourceIds.includes(row.source_id))
+        .filter(row => row.enrichment_status === statuses.pending
+          || (row.enrichment_status === statuses.failed
+            && row.enrichment_next_attempt_at
+            && new Date(row.enrichment_next_attempt_at) <= now))
+        .sort((a, b) => {
+          if (!a.enrichment_last_attempt_at) return b.enrichment_last_attempt_at ? -1 : 0;
+          if (!b.enrichment_last_attempt_at) return 1;
+          return new Date(a.enrichment_last_attempt_at) - new Date(b.enrichment_last_attempt_at);
+        })
+        .slice(0, limit)
+        .map(row => ({ ...row }));
+    },
+
+    async listRecentSignatures({ since, limit }) {
+      return articles()
+        .filter(row => row.minhash && new Date(row.published_at) >= since)
+        .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+        .slice(0, limit)
+        .map(row => pick(row, ['article_url', 'cluster_id', 'minhash']));
+    },
+
+    async listRecentArticles({ since, limit }) {
+      return articles()
+        .filter(row => !row.deleted_at && (new Date(row.published_at) >= since || row.trending))
+        .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+        .slice(0, limit)
+        .map(row => pick(row, ['article_url', 'source_id', 'source_type', 'cluster_id', 'published_at', 'significance', 'importance_score', 'outlet_count', 'trending']));
+    },
+
+    async softDeleteArticles(urls, deletedAt) {
+      for (const url of urls) {
+        if (data.article_summaries[url]) data.article_summaries[url].deleted_at = deletedAt.toISOString();
+      }
+      save();
+    },
+
+    async archiveArticles(urls, archivedAt) {
+      for (const url of urls) {
+        const row = data.article_summaries[url];
+        if (!row) continue;
+        data.article_summaries_archive[url] = { ...row, archived_at: archivedAt.toISOString() };
+        delete data.article_summaries[url];
+        delete data.article_entities[url];
+      }
+      data.article_revisions = data.article_revisions.filter(row => !urls.includes(row.article_url));
+      save();
+    },
+
+    async deleteArticles(urls) {
+      for (const url of urls) {
+        delete data.article_summaries[url];
+        // on delete cascade
+        delete data.article_entities[url];
+      }
+      data.article_revisions = data.article_revisions.filter(row => !urls.includes(row.article_url));
+      save();
+    },
+
+    // Entities and keywords (article_entities)
+
+    async replaceArticleEntities(urls, rows, extractedAt) {
+      for (const url of urls) {
+        if (!data.article_summaries[url]) continue;
+        data.article_entities[url] = rows.filter(row => row.article_url === url).map(row => ({ ...row }));
+        data.article_summaries[url].entities_extracted_at = extractedAt.toISOString();
+      }
+      save();
+    },
+
+    async listArticleEntities({ articleUrl = null, entityKey = null, limit = 1000 } = {}) {
+      return Object.values(data.article_entities)
+        .flat()
+        .filter(row => (!articleUrl || row.article_url === articleUrl) && (!entityKey || row.entity_key === entityKey))
+        .sort((a, b) => b.salience - a.salience || (a.entity_key < b.entity_key ? -1 : 1))
+        .slice(0, limit)
+        .map(row => ({ ...row }));
+    },
+
+    async listEntityBackfill({ limit }) {
+      return articles()
+        .filter(row => !row.deleted_at && row.enrichment_status === 'done' && !row.entities_extracted_at)
+        .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+        .slice(0, limit)
+        .map(row => pick(row, ['article_url', 'article_title', 'description', 'ai_summary']));
+    },
+
+    // Revision history (article_revisions)
+
+    async insertRevisions(rows) {
+      for (const row of rows) {
+        data.article_revisions.push({ id: data.article_revisions.length + 1, ...row });
+      }
+      save();
+    },
+
+    async listRevisions({ articleUrl = null, limit = 50 } = {}) {
+      return data.article_revisions
+        .filter(row => !articleUrl || row.article_url === articleUrl)
+        .map(row => ({ ...row }))
+        .sort((a, b) => (a.revised_at < b.revised_at ? 1 : a.revised_at > b.revised_at ? -1 : b.id - a.id))
+        .slice(0, limit);
+    },
+
+    // Feed fetch state (feed_fetch_state)
+
+    async listFetchStates() {
+      return Object.values(data.feed_fetch_state).map(row => ({ ...row }));
+    },
+
+    async upsertFetchState(row) {
+      data.feed_fetch_state[row.source_id] = { ...data.feed_fetch_state[row.source_id], ...row };
+      save();
+    },
+
+    // Full-text extraction cache (article_extractions)
+
+    async getExtraction(url) {
+      const row = data.article_extractions[url];
+      return row ? { ...row } : null;
+    },
+
+    async upsertExtraction(row) {
+      data.article_extractions[row.article_url] = { ...row };
+      save();
+    },
+
+    // Source registry (sources)
+
+    async listSources() {
+      return data.sources.map(row => ({ ...row })).sort((a, b) => (a.id < b.id ? -1 : 1));
+    },
+
+    // Run history (sync_runs)
+
+    async insertSyncRun(row) {
+      data.sync_runs.push({ id: data.sync_runs.length + 1, ...row });
+      save();
+    },
+
+    async listSyncRuns({ limit = 50 } = {}) {
+      return data.sync_runs
+        .map(row => ({ ...row }))
+        .sort((a, b) => (a.started_at < b.started_at ? 1 : -1))
+        .slice(0, limit);
+    },
+
+    async flush() {
+      flush();
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
@@ -0,0 +1,324 @@
+// Feed HTML sanitizing
+//
+// Feed descriptions (content:encoded, Atom content) are publisher HTML with
+// scripts, tracking pixels, iframes and inline styles. sanitizeHTML keeps an
+// allow-list of formatting tags and attributes for the app to render, and
+// htmlToPlainText gives the clean text we store in `description` and send to
+// the model. Both decode every HTML5 named entity (lib/html-entities.json)
+// and numeric references the way browsers do.
+
+const HTML_ENTITIES = require('./html-entities.json');
+
+// Allowed tags and, for each, the attributes it keeps
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  code: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height'],
+  li: [],
+  ol: [],
+  p: [],
+  pre: [],
+  q: ['cite'],
+  s: [],
+  small: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  u: [],
+  ul: [],
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+const URL_PROTOCOLS = ['http:', 'https:'];
+const LINK_PROTOCOLS = [...URL_PROTOCOLS, 'mailto:'];
+
+// Removed with everything inside them; other unknown tags are unwrapped
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math',
+  'form', 'button', 'select', 'textarea', 'audio', 'video', 'canvas', 'head', 'title',
+]);
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Start a new paragraph in plain text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'table', 'tr', 'ul',
+]);
+
+// Images this small (width or height, in pixels) are tracking pixels
+const TRACKING_PIXEL_MAX_SIZE = 1;
+
+// Numeric references to C1 controls mean the windows-1252 character
+const WINDOWS_1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+  0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function decodeCodePoint(code) {
+  if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+  return String.fromCodePoint(has(WINDOWS_1252, code) ? WINDOWS_1252[code] : code);
+}
+
+// Decode named (HTML5) and numeric character references. Legacy names
+// without a semicolon ("&copy 2024", "&ampnbsp") are decoded as browsers do,
+// except in attribute values (attribute: true) where "?a=1&copy=2" stays.
+function decodeHTMLEntities(text, { attribute = false } = {}) {
+  if (!text || text.indexOf('&') === -1) return text || '';
+  return text.replace(/&(?:#[xX]([\da-fA-F]+);?|#(\d+);?|([A-Za-z][A-Za-z\d]*;?))/g, (reference, hex, decimal, name, offset) => {
+    if (hex !== undefined) return decodeCodePoint(parseInt(hex, 16));
+    if (decimal !== undefined) return decodeCodePoint(parseInt(decimal, 10));
+    if (has(HTML_ENTITIES, name)) {
+      const next = text[offset + reference.length];
+      if (name.endsWith(';') || !attribute || next !== '=') return HTML_ENTITIES[name];
+      return reference;
+    }
+    if (attribute) return reference;
+    // The longest legacy name the reference starts with, rest kept as text
+    for (let length = name.length - 1; length >= 2; length--) {
+      const prefix = name.slice(0, length);
+      if (has(HTML_ENTITIES, prefix)) return HTML_ENTITIES[prefix] + name.slice(length);
+    }
+    return reference;
+  });
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return escapeText(text).replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const attributeRegex = /([^\s=/"'<>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = attributeRegex.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    if (!has(attributes, name)) attributes[name] = decodeHTMLEntities(value, { attribute: true });
+  }
+  return attributes;
+}
+
+// Walk an HTML fragment, calling text(decodedText), openTag(name,
+// attributes, isVoid) and closeTag(name). Tag names are lowercased without
+// their namespace prefix. Comments, doctypes and processing instructions
+// are skipped; DROPPED_ELEMENTS are skipped with their contents.
+function walkHTML(html, { text = () => {}, openTag = () => {}, closeTag = () => {} }) {
+  const tagRegex = /<(\/?)([A-Za-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+  let pending = '';
+  let position = 0;
+
+  const flush = () => {
+    if (pending) text(decodeHTMLEntities(pending));
+    pending = '';
+  };
+  const skipPast = (marker, from) => {
+    const end = html.indexOf(marker, from);
+    return end === -1 ? html.length : end + marker.length;
+  };
+
+  while (position < html.length) {
+    const next = html.indexOf('<', position);
+    if (next === -1) {
+      pending += html.slice(position);
+      break;
+    }
+    pending += html.slice(position, next);
+    position = next;
+
+    if (html.startsWith('<!--', position)) {
+      position = skipPast('-->', position + 4);
+      continue;
+    }
+    if (html.startsWith('<![CDATA[', position)) {
+      const end = skipPast(']]>', position + 9);
+      flush();
+      text(html.slice(position + 9, end === html.length ? end : end - 3));
+      position = end;
+      continue;
+    }
+    if (html.startsWith('<!', position) || html.startsWith('<?', position)) {
+      position = skipPast('>', position);
+      continue;
+    }
+
+    tagRegex.lastIndex = position;
+    const match = tagRegex.exec(html);
+    if (!match) {
+      // A lone "<" in text, e.g. "a < b"
+      pending += '<';
+      position++;
+      continue;
+    }
+    flush();
+    position = tagRegex.lastIndex;
+
+    const [, slash, rawName, rest] = match;
+    const name = rawName.toLowerCase().replace(/^.*:/, '');
+    if (slash) {
+      closeTag(name);
+      continue;
+    }
+
+    const selfClosing = /\/\s*$/.test(rest);
+    if (DROPPED_ELEMENTS.has(name)) {
+      if (!selfClosing && !VOID_ELEMENTS.has(name)) {
+        const closing = new RegExp(`</(?:[^\\s/>]*:)?${name}\\s*>`, 'ig');
+        closing.lastIndex = position;
+        position = closing.exec(html) ? closing.lastIndex : html.length;
+      }
+      continue;
+    }
+    openTag(name, parseAttributes(rest), selfClosing || VOID_ELEMENTS.has(name));
+  }
+  flush();
+}
+
+// Absolute URL for an attribute value, or null when it isn't http(s) (or
+// mailto: for links). Relative URLs are resolved against baseUrl.
+function safeUrl(value, baseUrl, protocols = URL_PROTOCOLS) {
+  try {
+    const url = baseUrl ? new URL(value.trim(), baseUrl) : new URL(value.trim());
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isTrackingPixel(attributes) {
+  return ['width', 'height'].some(name => /^\d+$/.test(attributes[name] || '') && Number(attributes[name]) <= TRACKING_PIXEL_MAX_SIZE);
+}
+
+// The allowed attributes of a tag, or null to leave the tag out
+function allowedAttributes(name, attributes, baseUrl) {
+  const kept = {};
+  for (const attribute of ALLOWED_TAGS[name]) {
+    let value = attributes[attribute];
+    if (value === undefined) continue;
+    if (URL_ATTRIBUTES.has(attribute)) {
+      value = safeUrl(value, baseUrl, attribute === 'href' ? LINK_PROTOCOLS : URL_PROTOCOLS);
+      if (!value) continue;
+    } else if ((attribute === 'width' || attribute === 'height') && !/^\d+$/.test(value.trim())) {
+      continue;
+    }
+    kept[attribute] = value.trim();
+  }
+
+  if (name === 'a') {
+    if (!kept.href) return null;
+    kept.rel = 'nofollow noopener';
+  }
+  if (name === 'img' && (!kept.src || isTrackingPixel(kept))) return null;
+  return kept;
+}
+
+function serializeTag(name, attributes) {
+  const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`).join('');
+  return `<${name}${attrs}>`;
+}
+
+// Allow-listed HTML: ALLOWED_TAGS with their attributes, http(s) URLs only
+// (relative ones resolved against baseUrl), links marked rel="nofollow
+// noopener", tracking pixels and empty elements removed and tags balanced.
+function sanitizeHTML(html, { baseUrl } = {}) {
+  if (!html) return '';
+  const output = [];
+  const open = [];
+
+  walkHTML(html, {
+    text(text) {
+      output.push(escapeText(text));
+    },
+    openTag(name, attributes, isVoid) {
+      if (!has(ALLOWED_TAGS, name)) return;
+      const kept = allowedAttributes(name, attributes, baseUrl);
+      if (!kept) return;
+      // A new block ends an open paragraph and a new <li> the previous item,
+      // as in browsers
+      const implied = name === 'li' ? 'li' : BLOCK_ELEMENTS.has(name) ? 'p' : null;
+      const index = implied ? open.lastIndexOf(implied) : -1;
+      if (index !== -1 && open.slice(index + 1).every(tag => !BLOCK_ELEMENTS.has(tag))) {
+        while (open.length > index) output.push(`</${open.pop()}>`);
+      }
+      output.push(serializeTag(name, kept));
+      if (!VOID_ELEMENTS.has(name)) {
+        if (isVoid) output.push(`</${name}>`);
+        else open.push(name);
+      }
+    },
+    closeTag(name) {
+      const index = open.lastIndexOf(name);
+      if (index === -1) return;
+      while (open.length > index) output.push(`</${open.pop()}>`);
+    },
+  });
+  while (open.length > 0) output.push(`</${open.pop()}>`);
+
+  let sanitized = output.join('');
+  let previous;
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/<([a-z][a-z\d]*)\b[^>]*>\s*<\/\1>/g, '');
+  } while (sanitized !== previous);
+  return sanitized.trim();
+}
+
+// Readable text: block elements become paragraphs separated by a blank
+// line, <br> a line break, everything else a single space
+function htmlToPlainText(html) {
+  if (!html) return '';
+  const parts = [];
+  const block = () => parts.push('\n\n');
+
+  walkHTML(html, {
+    text(text) {
+      parts.push(text.replace(/\s+/g, ' '));
+    },
+    openTag(name) {
+      if (name === 'br') parts.push('\n');
+      else if (BLOCK_ELEMENTS.has(name)) block();
+    },
+    closeTag(name) {
+      if (BLOCK_ELEMENTS.has(name)) block();
+    },
+  });
+
+  return parts.join('')
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  decodeHTMLEntities,
+  sanitizeHTML,
+  htmlToPlainText,
+};
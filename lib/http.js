@@ -0,0 +1,215 @@
+// HTTP requests with timeouts, retries and response limits
+//
+// requestWithRetry() wraps node-fetch for outbound calls to publishers and
+// APIs. Each attempt has a hard timeout covering both the response and the
+// body, 5xx/429/network failures are retried with exponential backoff and
+// full jitter, and bodies larger than maxBytes are cut off. URLs that carry
+// secrets (webhook tokens) can be logged under options.logLabel instead.
+
+const fetch = require('node-fetch');
+const { PassThrough } = require('stream');
+const { sleep } = require('./concurrency');
+const { version } = require('../package.json');
+
+const DEFAULT_USER_AGENT = `news-app-sync/${version} (feed sync bot)`;
+
+const REQUEST_DEFAULTS = {
+  timeoutMs: 15000,
+  retries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 10000,
+  maxRedirects: 5,
+  maxBytes: 10 * 1024 * 1024,
+  userAgent: DEFAULT_USER_AGENT,
+};
+
+// Error bodies kept with readErrorBody
+const ERROR_BODY_MAX_BYTES = 64 * 1024;
+
+class HTTPError extends Error {
+  constructor(response) {
+    super(`HTTP ${response.status}: ${response.statusText}`);
+    this.name = 'HTTPError';
+    this.status = response.status;
+    this.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`Request to ${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+class ResponseSizeError extends Error {
+  constructor(label, maxBytes) {
+    super(`Response from ${label} is larger than ${maxBytes} bytes`);
+    this.name = 'ResponseSizeError';
+  }
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  if (error instanceof TimeoutError) return true;
+  if (error instanceof HTTPError) return error.status >= 500 || error.status === 429;
+  // node-fetch reports DNS, connection and socket errors as type "system"
+  return error.name === 'FetchError' && error.type === 'system';
+}
+
+// Exponential backoff with full jitter; Retry-After wins when the server sends it
+function retryDelay(attempt, { retryBaseMs, retryMaxMs }, error) {
+  if (error && error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, retryMaxMs);
+  }
+  return Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+}
+
+// Pass a body stream through, failing it once more than maxBytes have been read
+function limitStreamSize(stream, maxBytes, label) {
+  if (!maxBytes) return stream;
+
+  const limited = new PassThrough();
+  let bytes = 0;
+
+  stream.on('data', chunk => {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      stream.unpipe(limited);
+      stream.destroy();
+      limited.destroy(new ResponseSizeError(label, maxBytes));
+    }
+  });
+  stream.on('error', error => limited.destroy(error));
+  stream.pipe(limited);
+
+  return limited;
+}
+
+// Read a whole (size limited) body stream into a Buffer
+function readBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Read a whole (size limited) body stream as UTF-8 text
+function readText(stream) {
+  return readBuffer(stream).then(buffer => buffer.toString('utf8'));
+}
+
+function readJSON(stream) {
+  return readText(stream).then(text => JSON.parse(text));
+}
+
+async function requestOnce(url, options, readBody) {
+  const label = options.logLabel || url;
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, options.timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: options.method || 'GET',
+      headers: { 'User-Agent': options.userAgent, ...options.headers },
+      body: options.body,
+      signal: controller.signal,
+      redirect: 'follow',
+      follow: options.maxRedirects,
+    });
+
+    if (response.status === 304) {
+      response.body.resume();
+      return { response, body: undefined };
+    }
+
+    if (!response.ok) {
+      const error = new HTTPError(response);
+      // APIs explain errors in the body (see lib/newsapi.js)
+      if (options.readErrorBody) {
+        error.body = await readText(limitStreamSize(response.body, ERROR_BODY_MAX_BYTES, label)).catch(() => null);
+      } else {
+        response.body.resume();
+      }
+      throw error;
+    }
+
+    const contentLength = Number(response.headers.get('content-length'));
+    if (options.maxBytes && contentLength > options.maxBytes) {
+      response.body.resume();
+      throw new ResponseSizeError(label, options.maxBytes);
+    }
+
+    const body = readBody
+      ? await readBody(response, limitStreamSize(response.body, options.maxBytes, label))
+      : undefined;
+    return { response, body };
+  } catch (error) {
+    if (timedOut || error.name === 'AbortError') {
+      throw new TimeoutError(label, options.timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Request `url`, retrying transient failures. readBody(response, stream) is
+// called inside the timeout window and should consume `stream` (the size
+// limited body). Resolves to { response, body, attempts }; errors carry
+// `attempts` too. options.isRetryable(error) replaces the default retry
+// policy; with options.readErrorBody HTTP errors keep their body as text.
+// options.logLabel stands in for the URL in logs and error messages.
+async function requestWithRetry(url, options = {}, readBody) {
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const settings = { ...REQUEST_DEFAULTS, ...overrides };
+  const label = settings.logLabel || url;
+  const wait = options.sleep || sleep;
+  const retryable = options.isRetryable || isRetryable;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await requestOnce(url, settings, readBody);
+      return { ...result, attempts: attempt + 1 };
+    } catch (error) {
+      error.attempts = attempt + 1;
+      // node-fetch puts the request (or redirect) URL in its own messages
+      if (settings.logLabel) error.message = error.message.replace(/https?:\/\/\S+/g, label);
+      if (attempt >= settings.retries || !retryable(error)) {
+        throw error;
+      }
+      const delay = retryDelay(attempt, settings, error);
+      console.log(`🔁 Retrying ${label} in ${Math.round(delay)}ms after: ${error.message}`);
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  REQUEST_DEFAULTS,
+  HTTPError,
+  TimeoutError,
+  ResponseSizeError,
+  parseRetryAfter,
+  isRetryable,
+  retryDelay,
+  readBuffer,
+  readText,
+  readJSON,
+  requestWithRetry,
+};
@@ -0,0 +1,98 @@
+// Image copies
+//
+// Chosen article images can be copied so the app doesn't hot-link
+// publishers (or the Wikipedia/Tumblr logos some sources fall back to).
+// Backends implement one async method:
+//
+//   save(key, buffer, contentType)   store the file, resolve to its public URL
+//
+// Keys are derived from the original URL, so an image shared by many
+// articles (a source logo) is stored once. Backends:
+//   none      - images are hot-linked (the default)
+//   supabase  - a public Supabase Storage bucket
+//   directory - a local directory, served from IMAGE_CACHE_PUBLIC_URL
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const IMAGE_CACHE_BACKENDS = ['none', 'supabase', 'directory'];
+const DEFAULT_IMAGE_DIR = path.join(__dirname, '..', 'data', 'images');
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+class ImageCacheConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageCacheConfigError';
+  }
+}
+
+// "3f2a...9c.jpg": a hash of the original URL plus the format's extension
+function imageCacheKey(url, type) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 40);
+  return EXTENSIONS[type] ? `${hash}.${EXTENSIONS[type]}` : hash;
+}
+
+function createSupabaseImageCache(client, bucket) {
+  return {
+    name: 'supabase',
+
+    async save(key, buffer, contentType) {
+      const { error } = await client.storage.from(bucket).upload(key, buffer, { contentType, upsert: true });
+      if (error) throw new Error(`Upload to ${bucket}/${key} failed: ${error.message}`);
+      return client.storage.from(bucket).getPublicUrl(key).data.publicUrl;
+    },
+  };
+}
+
+// publicUrl is the base URL the directory is served from; without one the
+// stored files are referenced by file: URL (local runs)
+function createDirectoryImageCache(dir, publicUrl) {
+  return {
+    name: 'directory',
+
+    async save(key, buffer) {
+      const filePath = path.join(dir, key);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${key}` : pathToFileURL(filePath).href;
+    },
+  };
+}
+
+// The image cache selected by IMAGE_CACHE (default "none"), or null for none
+function createImageCache({
+  backend = process.env.IMAGE_CACHE || 'none',
+  dir = process.env.IMAGE_CACHE_DIR || DEFAULT_IMAGE_DIR,
+  publicUrl = process.env.IMAGE_CACHE_PUBLIC_URL,
+  bucket = process.env.IMAGE_CACHE_BUCKET || 'article-images',
+  supabaseUrl = process.env.SUPABASE_URL,
+  supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY,
+} = {}) {
+  if (backend === 'none') return null;
+
+  if (backend === 'directory') {
+    return createDirectoryImageCache(dir, publicUrl);
+  }
+
+  if (backend === 'supabase') {
+    if (!supabaseUrl || !supabaseKey) {
+      throw new ImageCacheConfigError('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for IMAGE_CACHE=supabase');
+    }
+    const { createClient } = require('@supabase/supabase-js');
+    return createSupabaseImageCache(createClient(supabaseUrl, supabaseKey), bucket);
+  }
+
+  throw new ImageCacheConfigError(`IMAGE_CACHE must be one of ${IMAGE_CACHE_BACKENDS.join(', ')}, got "${backend}"`);
+}
+
+module.exports = {
+  IMAGE_CACHE_BACKENDS,
+  ImageCacheConfigError,
+  imageCacheKey,
+  createSupabaseImageCache,
+  createDirectoryImageCache,
+  createImageCache,
+};
@@ -0,0 +1,455 @@
+// Image headers and pixels
+//
+// readImageSize reads the format and dimensions from the first bytes of a
+// JPEG, PNG, GIF or WebP file, so a ranged request is enough to size an
+// image. decodePixels decodes PNG and JPEG files to RGBA for blurhashes
+// (see lib/blurhash.js). JPEGs are decoded at 1/8 scale from the DC
+// coefficient of each 8x8 block, the block's average color: plenty for a
+// blur, and it skips the inverse DCT and, for progressive files, every AC
+// scan.
+
+const zlib = require('zlib');
+
+// Start-of-frame markers; C0-C2 are the Huffman coded ones we decode
+const SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+// Decoded images larger than this many pixels are refused
+const MAX_DECODED_PIXELS = 50 * 1000 * 1000;
+
+// PNG color type -> channels per pixel
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { type: 'webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { type: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { type: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Markers without a length: SOI, RSTn and TEM
+function isStandaloneMarker(marker) {
+  return marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01;
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+    } else if (isStandaloneMarker(marker)) {
+      offset += 2;
+    } else if (SOF_MARKERS.has(marker)) {
+      return { type: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// { type, width, height } from a file's first bytes, or null when the
+// format is unknown or the header is cut off
+function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return webpSize(buffer);
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return jpegSize(buffer);
+  }
+  return null;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Non-interlaced PNGs of every color type and bit depth
+function decodePNG(buffer) {
+  let header = null;
+  let palette = null;
+  const chunks = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.interlace !== 0) return null;
+  const { width, height, bitDepth, colorType } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || (colorType === 3 && !palette) || width * height > MAX_DECODED_PIXELS) return null;
+
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = y * (stride + 1) + 1;
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? pixels[out + x - bpp] : 0;
+      const b = y > 0 ? pixels[out - stride + x] : 0;
+      const c = x >= bpp && y > 0 ? pixels[out - stride + x - bpp] : 0;
+      let value = raw[line + x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      pixels[out + x] = value & 0xFF;
+    }
+  }
+
+  const maxValue = (1 << bitDepth) - 1;
+  const sample = (x, y, channel) => {
+    const index = x * channels + channel;
+    if (bitDepth === 8) return pixels[y * stride + index];
+    if (bitDepth === 16) return pixels[y * stride + index * 2];
+    const bit = index * bitDepth;
+    const value = (pixels[y * stride + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+  };
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (colorType === 3) {
+        const entry = sample(x, y, 0) * 3;
+        data.set([palette[entry], palette[entry + 1], palette[entry + 2], 255], o);
+      } else if (channels <= 2) {
+        const gray = sample(x, y, 0);
+        data.set([gray, gray, gray, channels === 2 ? sample(x, y, 1) : 255], o);
+      } else {
+        data.set([sample(x, y, 0), sample(x, y, 1), sample(x, y, 2), channels === 4 ? sample(x, y, 3) : 255], o);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// Canonical Huffman table as min/max code per code length
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const minCode = new Int32Array(17);
+  const offsets = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    offsets[length] = index;
+    minCode[length] = code;
+    if (count > 0) maxCode[length] = code + count - 1;
+    code = (code + count) << 1;
+    index += count;
+  }
+  return { maxCode, minCode, offsets, symbols };
+}
+
+// Entropy-coded data reader. Stops at the next marker (reading zeros) and
+// skips stuffed 0xFF00 bytes.
+function createBitReader(buffer, start) {
+  let position = start;
+  let bits = 0;
+  let count = 0;
+  let atMarker = false;
+
+  function readByte() {
+    if (atMarker || position >= buffer.length) return 0;
+    const byte = buffer[position];
+    if (byte === 0xFF) {
+      if (buffer[position + 1] === 0x00) {
+        position += 2;
+        return 0xFF;
+      }
+      atMarker = true;
+      return 0;
+    }
+    position++;
+    return byte;
+  }
+
+  // Position of the next marker that isn't a restart
+  function nextMarker(from) {
+    let offset = from;
+    while (offset + 1 < buffer.length) {
+      const marker = buffer[offset + 1];
+      if (buffer[offset] === 0xFF && marker !== 0x00 && marker !== 0xFF && !(marker >= 0xD0 && marker <= 0xD7)) return offset;
+      offset++;
+    }
+    return buffer.length;
+  }
+
+  const reader = {
+    bit() {
+      if (count === 0) {
+        bits = readByte();
+        count = 8;
+      }
+      count--;
+      return (bits >> count) & 1;
+    },
+    receive(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value << 1) | reader.bit();
+      return value;
+    },
+    // A coefficient difference of `length` bits
+    receiveExtend(length) {
+      if (length === 0) return 0;
+      const value = reader.receive(length);
+      return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    },
+    decode(table) {
+      if (!table) throw new Error('JPEG scan uses an undefined Huffman table');
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | reader.bit();
+        if (code <= table.maxCode[length]) return table.symbols[table.offsets[length] + code - table.minCode[length]];
+      }
+      throw new Error('Invalid JPEG Huffman code');
+    },
+    // Drop the partial byte and step over the RSTn marker
+    restart() {
+      count = 0;
+      atMarker = false;
+      while (position + 1 < buffer.length && !(buffer[position] === 0xFF && buffer[position + 1] >= 0xD0 && buffer[position + 1] <= 0xD7)) position++;
+      position += 2;
+    },
+    end() {
+      return nextMarker(position);
+    },
+  };
+  return reader;
+}
+
+function readFrame(data, progressive) {
+  const frame = { progressive, height: data.readUInt16BE(1), width: data.readUInt16BE(3), components: [] };
+  for (let i = 0; i < data[5]; i++) {
+    const offset = 6 + i * 3;
+    frame.components.push({ id: data[offset], h: data[offset + 1] >> 4, v: data[offset + 1] & 15, quantId: data[offset + 2] });
+  }
+  frame.maxH = Math.max(...frame.components.map(c => c.h));
+  frame.maxV = Math.max(...frame.components.map(c => c.v));
+  frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+  frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+  for (const component of frame.components) {
+    component.blocksX = frame.mcusX * component.h;
+    component.blocksY = frame.mcusY * component.v;
+    // Blocks of a non-interleaved scan, which skips the MCU padding
+    component.lineBlocks = Math.ceil(Math.ceil((frame.width * component.h) / frame.maxH) / 8);
+    component.columnBlocks = Math.ceil(Math.ceil((frame.height * component.v) / frame.maxV) / 8);
+    component.dc = new Int32Array(component.blocksX * component.blocksY);
+  }
+  return frame;
+}
+
+// Decode one scan's DC coefficients into the frame; returns the offset of
+// the marker after the scan. Progressive AC scans are skipped unread.
+function decodeScan(buffer, start, header, frame, huffman, restartInterval) {
+  const reader = createBitReader(buffer, start);
+  const count = header[0];
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const component = frame.components.find(c => c.id === header[1 + i * 2]);
+    if (!component) throw new Error('JPEG scan references an unknown component');
+    const tables = header[2 + i * 2];
+    entries.push({ component, dcTable: huffman.dc[tables >> 4], acTable: huffman.ac[tables & 15], predictor: 0 });
+  }
+  const params = 1 + count * 2;
+  const spectralStart = header[params];
+  const successiveHigh = header[params + 2] >> 4;
+  const successiveLow = header[params + 2] & 15;
+  if (frame.progressive && spectralStart !== 0) return reader.end();
+
+  const decodeBlock = (entry, index) => {
+    const { component } = entry;
+    if (frame.progressive && successiveHigh > 0) {
+      if (reader.bit()) component.dc[index] |= 1 << successiveLow;
+      return;
+    }
+    entry.predictor += reader.receiveExtend(reader.decode(entry.dcTable));
+    component.dc[index] = entry.predictor << (frame.progressive ? successiveLow : 0);
+    if (frame.progressive) return;
+
+    // Baseline blocks carry their AC coefficients too; read past them
+    for (let k = 1; k < 64;) {
+      const symbol = reader.decode(entry.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run < 15) break;
+        k += 16;
+      } else {
+        k += run;
+        reader.receive(size);
+        k++;
+      }
+    }
+  };
+
+  const single = entries.length === 1 ? entries[0].component : null;
+  const total = single ? single.lineBlocks * single.columnBlocks : frame.mcusX * frame.mcusY;
+  for (let mcu = 0; mcu < total; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      entries.forEach((entry) => { entry.predictor = 0; });
+    }
+    if (single) {
+      decodeBlock(entries[0], Math.floor(mcu / single.lineBlocks) * single.blocksX + (mcu % single.lineBlocks));
+      continue;
+    }
+    const mcuX = mcu % frame.mcusX;
+    const mcuY = Math.floor(mcu / frame.mcusX);
+    for (const entry of entries) {
+      const { component } = entry;
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          decodeBlock(entry, (mcuY * component.v + v) * component.blocksX + mcuX * component.h + h);
+        }
+      }
+    }
+  }
+  return reader.end();
+}
+
+// RGBA at 1/8 scale from the DC coefficients (DC / 8 is the block's mean
+// sample minus 128)
+function dcImage(frame, quantization, adobeTransform) {
+  const width = Math.ceil(frame.width / 8);
+  const height = Math.ceil(frame.height / 8);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const rgb = frame.components.length === 3 && adobeTransform === 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [c1, c2, c3] = frame.components.map((component) => {
+        const blockX = Math.floor((x * component.h) / frame.maxH);
+        const blockY = Math.floor((y * component.v) / frame.maxV);
+        const quantizer = quantization[component.quantId] || 1;
+        return (component.dc[blockY * component.blocksX + blockX] * quantizer) / 8 + 128;
+      });
+      const o = (y * width + x) * 4;
+      if (c2 === undefined) {
+        data.set([c1, c1, c1, 255], o);
+      } else if (rgb) {
+        data.set([c1, c2, c3, 255], o);
+      } else {
+        data.set([
+          c1 + 1.402 * (c3 - 128),
+          c1 - 0.344136 * (c2 - 128) - 0.714136 * (c3 - 128),
+          c1 + 1.772 * (c2 - 128),
+          255,
+        ], o);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// Baseline and progressive Huffman-coded JPEGs, grayscale or YCbCr
+function decodeJPEG(buffer) {
+  const quantization = [];
+  const huffman = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+
+  for (let offset = 2; offset + 4 <= buffer.length;) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (isStandaloneMarker(marker)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xD9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const data = buffer.subarray(offset + 4, offset + 2 + length);
+    offset += 2 + length;
+
+    if (marker === 0xDB) {
+      for (let i = 0; i < data.length;) {
+        const wide = data[i] >> 4;
+        quantization[data[i] & 15] = wide ? data.readUInt16BE(i + 1) : data[i + 1];
+        i += 1 + 64 * (wide ? 2 : 1);
+      }
+    } else if (marker === 0xC4) {
+      for (let i = 0; i < data.length;) {
+        const counts = data.subarray(i + 1, i + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildHuffmanTable(counts, data.subarray(i + 17, i + 17 + total));
+        (data[i] >> 4 === 0 ? huffman.dc : huffman.ac)[data[i] & 15] = table;
+        i += 17 + total;
+      }
+    } else if (marker === 0xDD) {
+      restartInterval = data.readUInt16BE(0);
+    } else if (marker === 0xEE && data.toString('ascii', 0, 5) === 'Adobe') {
+      adobeTransform = data[11];
+    } else if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+      frame = readFrame(data, marker === 0xC2);
+      if (frame.width === 0 || frame.height === 0 || frame.width * frame.height > MAX_DECODED_PIXELS * 64) return null;
+      if (frame.components.length !== 1 && frame.components.length !== 3) return null;
+    } else if (SOF_MARKERS.has(marker)) {
+      // Lossless and arithmetic-coded JPEGs are too rare to support
+      return null;
+    } else if (marker === 0xDA) {
+      if (!frame) return null;
+      offset = decodeScan(buffer, offset, data, frame, huffman, restartInterval);
+    }
+  }
+  return frame ? dcImage(frame, quantization, adobeTransform) : null;
+}
+
+// { width, height, data } with RGBA data, or null for formats we can't
+// decode (GIF, WebP, CMYK JPEGs, ...). JPEGs come out at 1/8 scale.
+// Throws on corrupt files.
+function decodePixels(buffer) {
+  const info = readImageSize(buffer);
+  if (!info) return null;
+  if (info.type === 'png') return decodePNG(buffer);
+  if (info.type === 'jpeg') return decodeJPEG(buffer);
+  return null;
+}
+
+module.exports = {
+  readImageSize,
+  decodePixels,
+};
@@ -0,0 +1,333 @@
+// Article image selection
+//
+// Feeds list several images per item (media groups with sizes, thumbnails,
+// enclosures, <img> and srcset in the content) and article pages add
+// og:image. Every candidate is collected, tracking pixels and beacon hosts
+// are dropped, and the most promising ones are probed: a HEAD request
+// rejects broken links and non-images, and the first bytes of the file
+// give its dimensions (lib/image-decoder.js). The best size and aspect
+// ratio wins; the source's fallback logo is only used when nothing does.
+// The chosen image can be copied to an image cache (lib/image-cache.js),
+// which also records its dimensions and blurhash (lib/blurhash.js).
+
+const { HTTPError, readBuffer, requestWithRetry } = require('./http');
+const { decodeHTMLEntities } = require('./html-sanitizer');
+const { readImageSize, decodePixels } = require('./image-decoder');
+const { encodeBlurhash } = require('./blurhash');
+const { imageCacheKey } = require('./image-cache');
+
+const IMAGE_DEFAULTS = {
+  // Candidates considered per article, and how many of the best are probed
+  maxCandidates: 8,
+  maxProbes: 3,
+  // Narrower images are thumbnails or icons
+  minWidth: 300,
+  // Smaller files are tracking pixels or spacers
+  minBytes: 1024,
+  // Declared or measured sides this small (in pixels) are tracking pixels
+  trackingPixelMaxSize: 2,
+  // The app's cards are 16:9; at idealWidth an image is sharp enough
+  targetRatio: 16 / 9,
+  idealWidth: 1200,
+  probeTimeoutMs: 5000,
+  // Bytes read to find the dimensions (JPEG EXIF blocks can be long)
+  headerBytes: 64 * 1024,
+  // Largest image copied to the image cache
+  maxBytes: 10 * 1024 * 1024,
+};
+
+// Score of a candidate whose size we don't know: below a decent image, above
+// a small thumbnail
+const UNKNOWN_SIZE_SCORE = 0.4;
+
+// Analytics and feed beacons that serve 1x1 images
+const TRACKING_HOSTS = [
+  'feeds.feedburner.com',
+  'feedproxy.google.com',
+  'feeds.feedblitz.com',
+  'pixel.wp.com',
+  'stats.wp.com',
+  'pixel.quantserve.com',
+  'sb.scorecardresearch.com',
+  'b.scorecardresearch.com',
+  'www.google-analytics.com',
+  'ad.doubleclick.net',
+  'pubads.g.doubleclick.net',
+  'www.facebook.com',
+  'pixel.tapad.com',
+  'count.livetracker.com',
+];
+const TRACKING_PATHS = /(^|\/)(1x1|pixel|spacer|blank|clear|transparent|beacon|tracker)\.(gif|png)$|\/~(r|ff)\//i;
+
+function toDimension(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// { url, width, height } with http(s) URLs resolved against baseUrl, or null
+function imageCandidate(url, { width, height } = {}, baseUrl = undefined) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url.trim(), baseUrl);
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return null;
+    return { url: resolved.href, width: toDimension(width), height: toDimension(height) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function readAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([^\s=/<>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    const name = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    if (!(name in attributes)) attributes[name] = decodeHTMLEntities(value, { attribute: true });
+  }
+  return attributes;
+}
+
+// "a.jpg 640w, b.jpg 1280w" -> [{ url, width }]; density descriptors ("2x")
+// multiply the declared width
+function parseSrcset(srcset, declaredWidth) {
+  return srcset.split(/,\s+/).map((entry) => {
+    const [url, descriptor = ''] = entry.trim().split(/\s+/);
+    const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/i);
+    let width = null;
+    if (match && match[2].toLowerCase() === 'w') width = Math.round(Number(match[1]));
+    else if (match && declaredWidth) width = Math.round(Number(match[1]) * declaredWidth);
+    return { url, width };
+  }).filter(entry => entry.url);
+}
+
+// Candidates from the <img> and <picture><source> tags of feed HTML
+function htmlImageCandidates(html, baseUrl) {
+  const candidates = [];
+  for (const [tag] of (html || '').matchAll(/<(?:img|source)\b[^>]*>/gi)) {
+    const attributes = readAttributes(tag);
+    const width = toDimension(attributes.width);
+    const height = toDimension(attributes.height);
+    const src = attributes.src || attributes['data-src'];
+    if (src) candidates.push(imageCandidate(src, { width, height }, baseUrl));
+
+    for (const entry of parseSrcset(attributes.srcset || attributes['data-srcset'] || '', width)) {
+      const scaledHeight = entry.width && width && height ? Math.round((height * entry.width) / width) : null;
+      candidates.push(imageCandidate(entry.url, { width: entry.width, height: scaledHeight }, baseUrl));
+    }
+  }
+  return candidates.filter(Boolean);
+}
+
+function isTrackingPixel({ url, width, height }, { trackingPixelMaxSize = IMAGE_DEFAULTS.trackingPixelMaxSize } = {}) {
+  if ((width && width <= trackingPixelMaxSize) || (height && height <= trackingPixelMaxSize)) return true;
+  const { hostname, pathname } = new URL(url);
+  return TRACKING_HOSTS.includes(hostname.toLowerCase()) || TRACKING_PATHS.test(pathname);
+}
+
+// 0-1: how close the aspect ratio is to targetRatio and the width to
+// idealWidth
+function imageScore({ width, height }, { targetRatio = IMAGE_DEFAULTS.targetRatio, idealWidth = IMAGE_DEFAULTS.idealWidth } = {}) {
+  if (!width || !height) return UNKNOWN_SIZE_SCORE;
+  const aspect = Math.max(0, 1 - Math.abs(Math.log(width / height / targetRatio)) / Math.log(4));
+  return 0.5 * aspect + 0.5 * Math.min(1, width / idealWidth);
+}
+
+// Unique candidates without tracking pixels and `exclude` URLs (logos),
+// best first; candidates with the same score keep their order
+function rankImageCandidates(candidates, { exclude = [], ...options } = {}) {
+  const seen = new Set(exclude.filter(Boolean));
+  const unique = [];
+  for (const candidate of candidates.filter(Boolean)) {
+    if (seen.has(candidate.url)) continue;
+    seen.add(candidate.url);
+    if (!isTrackingPixel(candidate, options)) unique.push(candidate);
+  }
+  return unique
+    .map((candidate, index) => ({ candidate, index, score: imageScore(candidate, options) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ candidate }) => candidate)
+    .slice(0, options.maxCandidates || IMAGE_DEFAULTS.maxCandidates);
+}
+
+// The first `bytes` bytes of a body stream; the rest is not read
+function readHead(stream, bytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      resolve(Buffer.concat(chunks));
+    };
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) {
+        finish();
+        stream.destroy();
+      }
+    });
+    stream.on('end', finish);
+    stream.on('error', (error) => {
+      if (done) return;
+      done = true;
+      reject(error);
+    });
+  });
+}
+
+const isImageType = contentType => !contentType || /^image\//i.test(contentType);
+
+// probe(url) resolves to { contentType, bytes, width, height } (unknown
+// values null), or null when the link is broken or not an image. Network
+// errors and timeouts reject: the image may be fine.
+function createImageProber({
+  timeoutMs = IMAGE_DEFAULTS.probeTimeoutMs,
+  headerBytes = IMAGE_DEFAULTS.headerBytes,
+  userAgent,
+} = {}) {
+  const options = { timeoutMs, retries: 0, userAgent };
+
+  return async function probe(url) {
+    let contentType = null;
+    let bytes = null;
+    try {
+      const { response } = await requestWithRetry(url, { ...options, method: 'HEAD' });
+      contentType = response.headers.get('content-type');
+      bytes = toDimension(response.headers.get('content-length'));
+    } catch (error) {
+      if (!(error instanceof HTTPError)) throw error;
+      // Some CDNs refuse HEAD; the ranged GET below decides
+      if (![403, 405, 501].includes(error.status)) return null;
+    }
+    if (!isImageType(contentType)) return null;
+
+    try {
+      const { response, body } = await requestWithRetry(
+        url,
+        { ...options, maxBytes: 0, headers: { Range: `bytes=0-${headerBytes - 1}` } },
+        (res, stream) => readHead(stream, headerBytes)
+      );
+      contentType = contentType || response.headers.get('content-type');
+      const size = readImageSize(body);
+      if (!size && !isImageType(response.headers.get('content-type'))) return null;
+      return { contentType, bytes, width: size ? size.width : null, height: size ? size.height : null };
+    } catch (error) {
+      if (error instanceof HTTPError) return null;
+      throw error;
+    }
+  };
+}
+
+// download(url) resolves to { buffer, contentType }
+function createImageDownloader({
+  timeoutMs = IMAGE_DEFAULTS.probeTimeoutMs * 3,
+  maxBytes = IMAGE_DEFAULTS.maxBytes,
+  userAgent,
+} = {}) {
+  return async function download(url) {
+    const { body } = await requestWithRetry(url, { timeoutMs, retries: 1, maxBytes, userAgent }, async (res, stream) => ({
+      buffer: await readBuffer(stream),
+      contentType: res.headers.get('content-type'),
+    }));
+    return body;
+  };
+}
+
+// Blurhash of a PNG or JPEG file, or null for other formats
+function imageBlurhash(buffer) {
+  try {
+    const pixels = decodePixels(buffer);
+    return pixels ? encodeBlurhash(pixels) : null;
+  } catch (error) {
+    console.error(`🖼️  Could not decode image for a blurhash: ${error.message}`);
+    return null;
+  }
+}
+
+// Picks and optionally copies article images. probe is
+// createImageProber()'s function or null to rank by declared sizes only;
+// cache is an image cache (lib/image-cache.js) or null to hot-link.
+function createImagePipeline({ probe = null, download = createImageDownloader(), cache = null, ...settings } = {}) {
+  const options = { ...IMAGE_DEFAULTS, ...settings };
+
+  function isUsable(image) {
+    if (isTrackingPixel(image, options)) return false;
+    if (image.width && image.width < options.minWidth) return false;
+    return !(image.bytes && image.bytes < options.minBytes);
+  }
+
+  // Probe the best candidates; unreachable ones are kept unverified
+  async function verify(candidates) {
+    const usable = [];
+    for (const candidate of candidates.slice(0, options.maxProbes)) {
+      let result;
+      try {
+        result = await probe(candidate.url);
+      } catch (error) {
+        usable.push(candidate);
+        continue;
+      }
+      if (!result) continue;
+      const image = { ...candidate, bytes: result.bytes };
+      if (result.width && result.height) Object.assign(image, { width: result.width, height: result.height });
+      if (isUsable(image)) usable.push(image);
+    }
+    return rankImageCandidates(usable, options);
+  }
+
+  // Copy to the cache, adding the real dimensions and a blurhash
+  async function copy(image) {
+    try {
+      const { buffer, contentType } = await download(image.url);
+      const size = readImageSize(buffer);
+      if (!size && !/^image\//i.test(contentType || '')) throw new Error(`not an image (${contentType || 'no content type'})`);
+
+      const cachedUrl = await cache.save(imageCacheKey(image.url, size && size.type), buffer, contentType || `image/${size.type}`);
+      return {
+        ...image,
+        width: size ? size.width : image.width,
+        height: size ? size.height : image.height,
+        blurhash: imageBlurhash(buffer),
+        cachedUrl,
+      };
+    } catch (error) {
+      console.error(`🖼️  Could not copy image ${image.url}: ${error.message}`);
+      return image;
+    }
+  }
+
+  return {
+    // The image for an article: { url, width, height, blurhash, cachedUrl }
+    // (unknown values null), or null. Candidates are article.imageCandidates,
+    // article.urlToImage and article.pageImageUrl (og:image); fallbackLogo
+    // and `logos` (every source's logo) are never candidates.
+    async select(article, { fallbackLogo = null, logos = [] } = {}) {
+      const candidates = rankImageCandidates([
+        ...(article.imageCandidates || []),
+        imageCandidate(article.urlToImage),
+        imageCandidate(article.pageImageUrl),
+      ], { ...options, exclude: [fallbackLogo, ...logos] });
+
+      const [best] = probe ? await verify(candidates) : candidates;
+      const chosen = best || (fallbackLogo ? { url: fallbackLogo } : null);
+      if (!chosen) return null;
+
+      const image = { url: chosen.url, width: chosen.width || null, height: chosen.height || null, blurhash: null, cachedUrl: null };
+      return cache ? copy(image) : image;
+    },
+  };
+}
+
+module.exports = {
+  IMAGE_DEFAULTS,
+  imageCandidate,
+  htmlImageCandidates,
+  isTrackingPixel,
+  imageScore,
+  rankImageCandidates,
+  createImageProber,
+  createImageDownloader,
+  imageBlurhash,
+  createImagePipeline,
+};
@@ -0,0 +1,107 @@
+// Article importance and trending stories
+//
+// Every recent article gets an importance score (0-1) for the app's top
+// stories rail, combining:
+//   - significance: the model's rating of the news (see lib/article-analysis.js)
+//   - coverage: how many outlets cover the same story (its story cluster,
+//     see lib/story-clusters.js)
+//   - trust: whether the source is marked "trusted" (see lib/sources.js)
+// multiplied by a recency decay with a half-life of halfLifeHours. A story is
+// trending when trendingMinOutlets outlets published it within the last
+// trendingWindowHours; its recent articles get trending = true. Scores decay
+// and coverage grows between runs, so each run rescores the last
+// windowHours of articles.
+
+const IMPORTANCE_DEFAULTS = {
+  weights: { significance: 0.45, coverage: 0.35, trust: 0.2 },
+  // Used for articles the model did not rate (extractive provider, stored
+  // analyses from before significance existed)
+  unknownSignificance: 0.4,
+  // Outlets at which coverage counts fully; it grows logarithmically below
+  coverageSaturation: 6,
+  halfLifeHours: 24,
+  trendingMinOutlets: 3,
+  trendingWindowHours: 12,
+  // Articles published this recently are rescored every run
+  windowHours: 72,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function ageHours(publishedAt, now) {
+  const published = new Date(publishedAt).getTime();
+  if (Number.isNaN(published)) return Infinity;
+  // Feeds sometimes date items in the future
+  return Math.max(0, (now.getTime() - published) / HOUR_MS);
+}
+
+// 0 for a single outlet, 1 at coverageSaturation outlets or more
+function coverageScore(outlets, { coverageSaturation = IMPORTANCE_DEFAULTS.coverageSaturation } = {}) {
+  if (outlets <= 1) return 0;
+  return Math.min(1, Math.log(outlets) / Math.log(coverageSaturation));
+}
+
+// 1 when just published, 0.5 after halfLifeHours, 0.25 after twice that...
+function recencyFactor(publishedAt, now = new Date(), { halfLifeHours = IMPORTANCE_DEFAULTS.halfLifeHours } = {}) {
+  return 0.5 ** (ageHours(publishedAt, now) / halfLifeHours);
+}
+
+// Score of one article: { significance, outlets, trusted, publishedAt }
+function importanceScore({ significance, outlets = 1, trusted = false, publishedAt }, { now = new Date(), ...settings } = {}) {
+  const options = { ...IMPORTANCE_DEFAULTS, ...settings };
+  const { weights } = options;
+  const rating = typeof significance === 'number' ? significance : options.unknownSignificance;
+  const base = weights.significance * rating
+    + weights.coverage * coverageScore(outlets, options)
+    + weights.trust * (trusted ? 1 : 0);
+  const total = weights.significance + weights.coverage + weights.trust;
+  return Math.round((base / total) * recencyFactor(publishedAt, now, options) * 1000) / 1000;
+}
+
+// Scores for stored rows (article_url, source_id, source_type, cluster_id,
+// published_at, significance): Map of article_url -> { importance_score,
+// outlet_count, trending }. Outlets are the distinct sources in a row's
+// story cluster; rows without a cluster are their own story. isTrusted(row)
+// tells whether the row's source is trusted.
+function scoreArticles(rows, { isTrusted = () => false, now = new Date(), ...settings } = {}) {
+  const options = { ...IMPORTANCE_DEFAULTS, ...settings };
+  const storyOf = row => row.cluster_id || row.article_url;
+
+  const outlets = new Map();
+  const recentOutlets = new Map();
+  for (const row of rows) {
+    const story = storyOf(row);
+    if (!outlets.has(story)) {
+      outlets.set(story, new Set());
+      recentOutlets.set(story, new Set());
+    }
+    outlets.get(story).add(row.source_id);
+    if (ageHours(row.published_at, now) <= options.trendingWindowHours) recentOutlets.get(story).add(row.source_id);
+  }
+
+  const scores = new Map();
+  for (const row of rows) {
+    const story = storyOf(row);
+    const outletCount = outlets.get(story).size;
+    scores.set(row.article_url, {
+      importance_score: importanceScore({
+        significance: row.significance,
+        outlets: outletCount,
+        trusted: isTrusted(row),
+        publishedAt: row.published_at,
+      }, { now, ...options }),
+      outlet_count: outletCount,
+      trending: recentOutlets.get(story).size >= options.trendingMinOutlets
+        && ageHours(row.published_at, now) <= options.trendingWindowHours,
+    });
+  }
+  return scores;
+}
+
+module.exports = {
+  IMPORTANCE_DEFAULTS,
+  coverageScore,
+  recencyFactor,
+  importanceScore,
+  scoreArticles,
+};
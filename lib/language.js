@@ -0,0 +1,109 @@
+// Article language detection and summary locales
+//
+// Detects an article's language offline by counting stopwords: short
+// function words are frequent in every text and distinct per language, which
+// is enough for news copy without a model call. Locales are BCP 47 tags
+// ("es", "de-AT"); summaries and category labels use the language part.
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+};
+
+// Languages summaries can be written in (they have category labels, see
+// lib/category-labels.js)
+const SUMMARY_LANGUAGES = ['en', 'es', 'de'];
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'by', 'this', 'be', 'from', 'at', 'has', 'have', 'its', 'an', 'will', 'which', 'their', 'after', 'said', 'were', 'been'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ha', 'este', 'sobre', 'entre', 'también', 'fue'],
+  de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat', 'dass', 'sie', 'nach'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'en', 'un', 'une', 'du', 'est', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'au', 'par', 'plus', 'avec', 'ce', 'il', 'sont', 'mais', 'ont', 'aux', 'cette', 'leur', 'été'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'in', 'del', 'non', 'una', 'della', 'sono', 'le', 'con', 'gli', 'si', 'al', 'anche', 'da', 'nel', 'alla', 'dei', 'più', 'questo', 'ha', 'come', 'ma', 'delle', 'stato'],
+  pt: ['de', 'que', 'e', 'o', 'a', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'foi', 'ao', 'ele', 'das', 'tem', 'seu', 'sua'],
+  nl: ['de', 'en', 'van', 'het', 'een', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'niet', 'aan', 'er', 'om', 'ook', 'als', 'dan', 'maar', 'bij', 'nog', 'door', 'naar', 'wordt', 'heeft', 'werd', 'uit', 'over'],
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+
+// Below these the text is too short or too ambiguous to call
+const DETECTION_DEFAULTS = {
+  minWords: 6,
+  // Stopword hits of the best language over those of the best two; related
+  // languages share many stopwords, so 0.5 is a tie
+  minConfidence: 0.55,
+};
+
+class LocaleConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocaleConfigError';
+  }
+}
+
+function words(text) {
+  return (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+}
+
+// Returns { language, confidence }; language is null when undetermined
+function detectLanguage(text, { minWords = DETECTION_DEFAULTS.minWords, minConfidence = DETECTION_DEFAULTS.minConfidence } = {}) {
+  const tokens = words(text);
+  if (tokens.length < minWords) return { language: null, confidence: 0 };
+
+  const hits = Object.fromEntries(Object.keys(STOPWORDS).map(language => [language, 0]));
+  for (const token of tokens) {
+    for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+      if (stopwords.has(token)) hits[language]++;
+    }
+  }
+
+  const [[language, count], [, runnerUp]] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (count === 0) return { language: null, confidence: 0 };
+
+  const confidence = Math.round((count / (count + runnerUp)) * 100) / 100;
+  return confidence >= minConfidence ? { language, confidence } : { language: null, confidence };
+}
+
+// The text detection looks at: title, feed description and extracted text
+function detectArticleLanguage(article) {
+  return detectLanguage([article.title, article.description, article.fullText].filter(Boolean).join(' ')).language;
+}
+
+// "es-MX" -> "es"
+function localeLanguage(locale) {
+  return locale.split('-')[0].toLowerCase();
+}
+
+function languageName(locale) {
+  return LANGUAGE_NAMES[localeLanguage(locale)] || locale;
+}
+
+// "en, es, de-AT" -> ['en', 'es', 'de-AT']. The first is the primary
+// locale, written to ai_summary.
+function parseLocales(spec) {
+  const locales = [...new Set((spec || '').split(',').map(locale => locale.trim()).filter(Boolean))];
+  if (locales.length === 0) return ['en'];
+
+  const unsupported = locales.filter(locale => !/^[a-z]{2}(-[A-Za-z]{2})?$/.test(locale) || !SUMMARY_LANGUAGES.includes(localeLanguage(locale)));
+  if (unsupported.length > 0) {
+    throw new LocaleConfigError(`Summary locales must be in ${SUMMARY_LANGUAGES.join(', ')} (optionally with a region, e.g. es-MX), got ${unsupported.join(', ')}`);
+  }
+  return locales;
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  SUMMARY_LANGUAGES,
+  DETECTION_DEFAULTS,
+  LocaleConfigError,
+  detectLanguage,
+  detectArticleLanguage,
+  localeLanguage,
+  languageName,
+  parseLocales,
+};
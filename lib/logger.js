@@ -0,0 +1,86 @@
+// Structured logging
+//
+// The pipeline logs with console.log/console.error throughout. routeConsole()
+// sends those calls through a logger instead, which filters by level and
+// writes either the plain message (format "text", for people) or one JSON
+// object per line (format "json", for log tooling). A log file, when set,
+// always gets JSON lines so CI can keep a machine-readable copy of the run.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['text', 'json'];
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+// One log record: { time, level, msg, ...fields }. An Error among the
+// console arguments is also recorded under `error`.
+function buildRecord(level, args, fields, now = new Date()) {
+  const record = { time: now.toISOString(), level, msg: util.format(...args), ...fields };
+  const error = args.find(arg => arg instanceof Error);
+  if (error) record.error = serializeError(error);
+  return record;
+}
+
+// level: minimum level written. stream: where text/JSON output goes;
+// errorStream: where warn and error records go instead (stderr for the CLI).
+// filePath: optional file that JSON lines are appended to.
+function createLogger({
+  level = 'info',
+  format = 'text',
+  stream = process.stdout,
+  errorStream = stream,
+  filePath = null,
+  fields = {},
+} = {}) {
+  const minimum = LOG_LEVELS[level] || LOG_LEVELS.info;
+  let file = null;
+  if (filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    file = fs.openSync(filePath, 'a');
+  }
+
+  function write(recordLevel, args) {
+    if (LOG_LEVELS[recordLevel] < minimum) return;
+    const record = buildRecord(recordLevel, args, fields);
+    const json = `${JSON.stringify(record)}\n`;
+    const output = LOG_LEVELS[recordLevel] >= LOG_LEVELS.warn ? errorStream : stream;
+    output.write(format === 'json' ? json : `${record.msg}\n`);
+    if (file !== null) fs.writeSync(file, json);
+  }
+
+  return {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    close() {
+      if (file !== null) fs.closeSync(file);
+      file = null;
+    },
+  };
+}
+
+// Route console.debug/log/info/warn/error through `logger`. Returns a
+// function that restores the original console methods.
+function routeConsole(logger) {
+  const original = { debug: console.debug, log: console.log, info: console.info, warn: console.warn, error: console.error };
+  console.debug = logger.debug;
+  console.log = logger.info;
+  console.info = logger.info;
+  console.warn = logger.warn;
+  console.error = logger.error;
+  return () => Object.assign(console, original);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  buildRecord,
+  createLogger,
+  routeConsole,
+};
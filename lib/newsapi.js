@@ -0,0 +1,256 @@
+// NewsAPI client
+//
+// Pages through /top-headlines (per source) and /everything (keyword
+// queries per category, see config/newsapi-queries.json). The API key goes
+// in the X-Api-Key header so it never ends up in a logged URL. NewsAPI
+// reports errors as { status: "error", code, message }, sometimes with a 200,
+// and those become NewsAPIError. Quota and key errors stop every further
+// request for the run, and each run has a request budget so a sync schedule
+// can't burn the daily quota on its own.
+
+const fs = require('fs');
+const path = require('path');
+const { HTTPError, isRetryable, requestWithRetry, readJSON } = require('./http');
+const { decodeHTMLEntities, sanitizeHTML, htmlToPlainText } = require('./html-sanitizer');
+const { ALL_CATEGORIES } = require('./categories');
+
+const NEWSAPI_ENDPOINTS = ['top-headlines', 'everything'];
+
+const NEWSAPI_DEFAULTS = {
+  baseUrl: 'https://newsapi.org/v2',
+  pageSize: 100,
+  maxPages: 3,
+  // Requests per run; the developer plan allows 100 a day
+  maxRequests: 8,
+  // How far back /everything queries look
+  everythingHours: 24,
+  language: 'en',
+};
+
+// NewsAPI rejects requests naming more than 20 sources
+const MAX_SOURCES_PER_REQUEST = 20;
+
+// Out of requests until the quota resets
+const QUOTA_ERROR_CODES = ['rateLimited', 'apiKeyExhausted', 'requestBudgetExhausted'];
+// The key itself is unusable
+const KEY_ERROR_CODES = ['apiKeyDisabled', 'apiKeyInvalid', 'apiKeyMissing'];
+
+const DEFAULT_QUERIES_PATH = path.join(__dirname, '..', 'config', 'newsapi-queries.json');
+
+class NewsAPIError extends Error {
+  constructor(code, message, status = null) {
+    super(`NewsAPI ${code}: ${message}`);
+    this.name = 'NewsAPIError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class NewsAPIConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NewsAPIConfigError';
+  }
+}
+
+function isQuotaError(error) {
+  return error instanceof NewsAPIError && QUOTA_ERROR_CODES.includes(error.code);
+}
+
+// Errors after which no request can succeed this run
+function isFatalNewsAPIError(error) {
+  return isQuotaError(error) || (error instanceof NewsAPIError && KEY_ERROR_CODES.includes(error.code));
+}
+
+// Turn an HTTP error with a NewsAPI error body into a NewsAPIError
+function toNewsAPIError(error) {
+  if (!(error instanceof HTTPError) || !error.body) return error;
+  try {
+    const body = JSON.parse(error.body);
+    if (body.status === 'error' && body.code) {
+      const apiError = new NewsAPIError(body.code, body.message || error.message, error.status);
+      apiError.attempts = error.attempts;
+      return apiError;
+    }
+  } catch (parseError) {
+    // Not JSON: keep the HTTP error
+  }
+  return error;
+}
+
+// A 429 from NewsAPI means the quota is spent; retrying only wastes requests
+function isRetryableNewsAPIError(error) {
+  return isRetryable(error) && error.status !== 429;
+}
+
+// Read and validate /everything queries:
+// { "queries": [{ "id", "category", "q" }] }
+function loadNewsAPIQueries(filePath = DEFAULT_QUERIES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new NewsAPIConfigError(`Could not read NewsAPI queries ${filePath}: ${error.message}`);
+  }
+
+  const queries = config.queries || [];
+  const problems = [];
+  const seen = new Set();
+  queries.forEach((query, index) => {
+    const label = query.id ? `queries[${index}] (${query.id})` : `queries[${index}]`;
+    if (!query.id || typeof query.id !== 'string') problems.push(`${label}: "id" is required`);
+    if (!query.q || typeof query.q !== 'string') problems.push(`${label}: "q" is required`);
+    if (!ALL_CATEGORIES.includes(query.category)) problems.push(`${label}: "category" "${query.category}" is not a known category`);
+    if (seen.has(query.id)) problems.push(`${label}: duplicate query id`);
+    seen.add(query.id);
+  });
+  if (problems.length > 0) {
+    throw new NewsAPIConfigError(`Invalid NewsAPI queries in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return queries;
+}
+
+// Split sources into groups NewsAPI accepts in one request
+function chunkSources(sources, size = MAX_SOURCES_PER_REQUEST) {
+  const chunks = [];
+  for (let i = 0; i < sources.length; i += size) chunks.push(sources.slice(i, i + size));
+  return chunks;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// The configured source for a NewsAPI article: by source.id, or for outlets
+// NewsAPI has no id for, by the article URL's domain (source.url)
+function matchSource(raw, newsSources) {
+  const id = raw.source && raw.source.id;
+  if (id) return newsSources.find(source => source.id === id) || null;
+  const host = hostOf(raw.url);
+  if (!host) return null;
+  return newsSources.find(source => source.url && (host === source.url || host.endsWith(`.${source.url}`))) || null;
+}
+
+// Articles from configured sources in the sync's article shape; the rest are
+// dropped. fields are added to every article (e.g. queryCategory).
+function toArticles(rawArticles, newsSources, fields = {}) {
+  const articles = [];
+  rawArticles.forEach((raw, idx) => {
+    const source = matchSource(raw, newsSources);
+    if (!source || !raw.url || raw.title === '[Removed]') return;
+    articles.push({
+      id: raw.url || `${raw.title}-${idx}`,
+      title: decodeHTMLEntities(raw.title || ''),
+      description: htmlToPlainText(raw.description),
+      descriptionHtml: sanitizeHTML(raw.description, { baseUrl: raw.url }),
+      url: raw.url,
+      urlToImage: raw.urlToImage || source.fallbackLogo || undefined,
+      publishedAt: raw.publishedAt,
+      author: raw.author || undefined,
+      source: { id: source.id, name: source.name, type: 'newsapi' },
+      ...fields,
+    });
+  });
+  return articles;
+}
+
+// requestOptions are passed to requestWithRetry
+function createNewsAPIClient({
+  apiKey,
+  baseUrl = NEWSAPI_DEFAULTS.baseUrl,
+  pageSize = NEWSAPI_DEFAULTS.pageSize,
+  maxPages = NEWSAPI_DEFAULTS.maxPages,
+  maxRequests = NEWSAPI_DEFAULTS.maxRequests,
+  requestOptions = {},
+}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  let requests = 0;
+  // The fatal error that stopped the client, thrown for every later request
+  let stopped = null;
+
+  // One page. Resolves to the response body; throws NewsAPIError for API errors.
+  async function request(endpoint, params) {
+    if (!NEWSAPI_ENDPOINTS.includes(endpoint)) {
+      throw new NewsAPIConfigError(`NewsAPI endpoint must be one of ${NEWSAPI_ENDPOINTS.join(', ')}, got "${endpoint}"`);
+    }
+    if (!apiKey) throw new NewsAPIError('apiKeyMissing', 'NEWSAPI_KEY is not set');
+    if (stopped) throw stopped;
+    if (requests >= maxRequests) {
+      stopped = new NewsAPIError('requestBudgetExhausted', `used all ${maxRequests} requests allowed per run`);
+      throw stopped;
+    }
+
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+    requests++;
+    try {
+      const { body } = await requestWithRetry(`${root}/${endpoint}?${query}`, {
+        isRetryable: isRetryableNewsAPIError,
+        ...requestOptions,
+        headers: { 'X-Api-Key': apiKey },
+        readErrorBody: true,
+      }, (response, stream) => readJSON(stream));
+
+      if (body.status === 'error') throw new NewsAPIError(body.code || 'unexpectedError', body.message || 'unknown error');
+      return body;
+    } catch (error) {
+      const apiError = toNewsAPIError(error);
+      if (isFatalNewsAPIError(apiError)) stopped = apiError;
+      throw apiError;
+    }
+  }
+
+  return {
+    get requests() {
+      return requests;
+    },
+
+    request,
+
+    // Every page up to maxPages. Resolves to { articles, totalResults,
+    // pages }. A failure after the first page keeps what was read.
+    async fetchPages(endpoint, params) {
+      const articles = [];
+      let totalResults = 0;
+      let pages = 0;
+      for (let page = 1; page <= maxPages; page++) {
+        let body;
+        try {
+          body = await request(endpoint, { ...params, pageSize, page });
+        } catch (error) {
+          if (page === 1) throw error;
+          // Developer plans can't page past 100 results
+          if (error.code !== 'maximumResultsReached') {
+            console.error(`NewsAPI ${endpoint} stopped at page ${page}: ${error.message}`);
+          }
+          break;
+        }
+
+        const pageArticles = body.articles || [];
+        pages++;
+        articles.push(...pageArticles);
+        totalResults = body.totalResults || 0;
+        if (pageArticles.length < pageSize || articles.length >= totalResults) break;
+      }
+      return { articles, totalResults, pages };
+    },
+  };
+}
+
+module.exports = {
+  NEWSAPI_ENDPOINTS,
+  NEWSAPI_DEFAULTS,
+  MAX_SOURCES_PER_REQUEST,
+  NewsAPIError,
+  NewsAPIConfigError,
+  isQuotaError,
+  isFatalNewsAPIError,
+  loadNewsAPIQueries,
+  chunkSources,
+  matchSource,
+  toArticles,
+  createNewsAPIClient,
+};
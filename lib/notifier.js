@@ -0,0 +1,157 @@
+// Webhook notifications
+//
+// Posts templated messages to Slack, Discord or generic JSON webhooks.
+// Webhooks are configured as a comma-separated list of "type:url" entries
+// (NOTIFY_WEBHOOKS); a bare URL is a generic webhook. Sending never throws:
+// a broken webhook must not fail the sync. Webhook URLs carry their token in
+// the path, so logs only ever name a webhook by type and host.
+//
+// Templates use {{name}} placeholders (dotted paths reach into objects) and
+// can be overridden per event from a JSON file (NOTIFY_TEMPLATES_FILE).
+
+const fs = require('fs');
+const { requestWithRetry } = require('./http');
+
+const WEBHOOK_TYPES = ['slack', 'discord', 'generic'];
+
+const NOTIFY_EVENTS = ['run-failed', 'source-failing', 'ai-error-rate', 'cleanup-spike', 'daily-digest'];
+
+const DEFAULT_TEMPLATES = {
+  'run-failed': '🚨 News sync {{status}}: {{problems}}{{runLink}}',
+  'source-failing': '⚠️ {{sourceName}} ({{sourceId}}) has failed {{runs}} runs in a row: {{error}}{{runLink}}',
+  'ai-error-rate': '🤖 AI enrichment failed for {{flagged}}/{{attempted}} articles ({{percent}}%) with {{provider}} ({{model}}). Last error: {{lastError}}{{runLink}}',
+  'cleanup-spike': '🧹 Retention removed {{removed}} articles this run (recent average {{average}}){{runLink}}',
+  'daily-digest': '📰 News sync digest for {{date}}: {{runs}} runs ({{failedRuns}} failed), {{saved}} articles saved, {{flagged}} flagged, {{removed}} removed, {{aiCalls}} AI calls ({{cost}}).{{failingSources}}',
+};
+
+// Discord rejects messages over 2000 characters
+const DISCORD_MAX_CHARS = 2000;
+
+class NotifierConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotifierConfigError';
+  }
+}
+
+// "slack:https://hooks.slack.com/...,https://example.com/hook" ->
+// [{ type: 'slack', url }, { type: 'generic', url }]
+function parseWebhooks(spec) {
+  if (!spec) return [];
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    const prefix = entry.slice(0, separator);
+    const [type, url] = WEBHOOK_TYPES.includes(prefix) ? [prefix, entry.slice(separator + 1)] : ['generic', entry];
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new NotifierConfigError(`Invalid ${type} webhook URL`);
+    }
+    return { type, url };
+  });
+}
+
+// "slack webhook (hooks.slack.com)"
+function webhookLabel({ type, url }) {
+  return `${type} webhook (${new URL(url).host})`;
+}
+
+// Read per-event template overrides from a JSON file
+function loadTemplates(filePath) {
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new NotifierConfigError(`Could not read notification templates ${filePath}: ${error.message}`);
+  }
+  const unknown = Object.keys(overrides).filter(event => !NOTIFY_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new NotifierConfigError(`Unknown notification event(s) in ${filePath}: ${unknown.join(', ')}`);
+  }
+  return { ...DEFAULT_TEMPLATES, ...overrides };
+}
+
+// Replace {{path.to.value}} placeholders; unknown ones are left as is
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+    const value = name.split('.').reduce((object, key) => (object == null ? undefined : object[key]), values);
+    return value === undefined || value === null ? placeholder : String(value);
+  });
+}
+
+// Request body for one webhook type
+function formatPayload(type, { event, text, values, time }) {
+  switch (type) {
+    case 'slack':
+      return { text };
+    case 'discord':
+      return { content: text.length > DISCORD_MAX_CHARS ? `${text.slice(0, DISCORD_MAX_CHARS - 1)}…` : text };
+    default:
+      return { event, text, data: values, time };
+  }
+}
+
+// webhooks: from parseWebhooks(). events: the events to send (default all).
+// runUrl: link to the CI run, appended to messages that use {{runLink}}.
+function createNotifier({
+  webhooks = [],
+  templates = DEFAULT_TEMPLATES,
+  events = NOTIFY_EVENTS,
+  runUrl = null,
+  requestOptions = {},
+  now = () => new Date(),
+} = {}) {
+  const unknown = events.filter(event => !NOTIFY_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new NotifierConfigError(`Notification events must be among ${NOTIFY_EVENTS.join(', ')}, got ${unknown.join(', ')}`);
+  }
+
+  return {
+    enabled: webhooks.length > 0,
+
+    // Render the event's template and post it to every webhook. Resolves to
+    // the number of webhooks that accepted it.
+    async send(event, values = {}) {
+      if (!events.includes(event) || webhooks.length === 0) return 0;
+
+      const text = renderTemplate(templates[event] || DEFAULT_TEMPLATES[event], {
+        runLink: runUrl ? ` (${runUrl})` : '',
+        ...values,
+      });
+      const message = { event, text, values, time: now().toISOString() };
+
+      let delivered = 0;
+      for (const webhook of webhooks) {
+        try {
+          await requestWithRetry(webhook.url, {
+            timeoutMs: 10000,
+            retries: 2,
+            ...requestOptions,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(formatPayload(webhook.type, message)),
+            logLabel: webhookLabel(webhook),
+          });
+          delivered++;
+        } catch (error) {
+          console.error(`Error sending ${event} notification to ${webhookLabel(webhook)}:`, error.message);
+        }
+      }
+      console.log(`📣 Sent ${event} notification to ${delivered}/${webhooks.length} webhooks`);
+      return delivered;
+    },
+  };
+}
+
+module.exports = {
+  WEBHOOK_TYPES,
+  NOTIFY_EVENTS,
+  DEFAULT_TEMPLATES,
+  NotifierConfigError,
+  parseWebhooks,
+  webhookLabel,
+  loadTemplates,
+  renderTemplate,
+  formatPayload,
+  createNotifier,
+};
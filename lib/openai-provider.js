@@ -0,0 +1,151 @@
+// OpenAI-compatible model provider
+//
+// Analyzes articles through a /chat/completions endpoint with a forced
+// function call, so it works with OpenAI itself and with local servers that
+// speak the same API (llama.cpp, Ollama, vLLM, LM Studio). The function's
+// parameters are the analysis tool's input schema and its arguments are
+// validated exactly like an Anthropic tool call.
+
+const {
+  ANALYSIS_TOOL,
+  ANALYSIS_TOOL_NAME,
+  renderPrompt,
+  validateAnalysisInput,
+  finalizeAnalysis,
+} = require('./article-analysis');
+const { estimateTokens } = require('./anthropic');
+const { requestWithRetry, readJSON } = require('./http');
+const { createUsageTracker } = require('./ai-usage');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const FUNCTION_TOOL = {
+  type: 'function',
+  function: {
+    name: ANALYSIS_TOOL_NAME,
+    description: ANALYSIS_TOOL.description,
+    parameters: ANALYSIS_TOOL.input_schema,
+  },
+};
+
+// Check a chat completion. Same result shape as validateAnalysis(), with the
+// assistant message and its tool call instead of a tool_use block.
+function validateCompletion(completion) {
+  const message = completion.choices?.[0]?.message || {};
+  const toolCall = (message.tool_calls || []).find(call => call.function?.name === ANALYSIS_TOOL_NAME);
+
+  let input = null;
+  try {
+    // Servers without tool support sometimes answer with the JSON as text
+    input = JSON.parse(toolCall ? toolCall.function.arguments : message.content);
+  } catch (error) {
+    input = null;
+  }
+
+  if (!input || typeof input !== 'object') {
+    return { analysis: null, summary: null, problems: [`no ${ANALYSIS_TOOL_NAME} function call in the response`], message, toolCall };
+  }
+  return { ...validateAnalysisInput(input), message, toolCall };
+}
+
+function buildChatRequest(article, { model, maxTokens, maxPromptChars, promptTemplate, locale }) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    tools: [FUNCTION_TOOL],
+    tool_choice: { type: 'function', function: { name: ANALYSIS_TOOL_NAME } },
+    messages: [{ role: 'user', content: renderPrompt(article, { maxPromptChars, promptTemplate, locale }) }],
+  };
+}
+
+// Follow-up request telling the model what was wrong with its last answer
+function buildChatCorrectionRequest(request, { problems, message, toolCall }) {
+  const feedback = `Your analysis was invalid: ${problems.join('; ')}. Call ${ANALYSIS_TOOL_NAME} again with a corrected summary and categories.`;
+
+  const followUp = toolCall
+    ? { role: 'tool', tool_call_id: toolCall.id, content: feedback }
+    : { role: 'user', content: feedback };
+
+  return {
+    ...request,
+    messages: [
+      ...request.messages,
+      { role: 'assistant', content: message.content || null, ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}) },
+      followUp,
+    ],
+  };
+}
+
+// baseUrl: the API root, e.g. http://localhost:11434/v1. apiKey is optional
+// for local servers. requestOptions are passed to requestWithRetry.
+function createOpenAIProvider({
+  baseUrl = DEFAULT_OPENAI_BASE_URL,
+  apiKey = null,
+  model = DEFAULT_OPENAI_MODEL,
+  maxTokens,
+  maxPromptChars,
+  promptTemplate,
+  limiter = null,
+  defaultCategory = () => null,
+  requestOptions = {},
+  usage = createUsageTracker(),
+}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function complete(params) {
+    const estimate = estimateTokens(params);
+    if (limiter) await limiter.acquire(estimate);
+
+    const { body } = await requestWithRetry(endpoint, {
+      timeoutMs: 60000,
+      ...requestOptions,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(params),
+    }, (response, stream) => readJSON(stream));
+
+    if (limiter && body.usage) {
+      limiter.settle(estimate, body.usage.prompt_tokens + body.usage.completion_tokens);
+    }
+    usage.record({
+      provider: 'openai',
+      model,
+      inputTokens: body.usage ? body.usage.prompt_tokens : 0,
+      outputTokens: body.usage ? body.usage.completion_tokens : 0,
+    });
+    return body;
+  }
+
+  const result = analysis => ({ ...analysis, provider: 'openai', model });
+
+  return {
+    name: 'openai',
+    model,
+    usage,
+
+    // One corrective retry, then throws like the Anthropic provider
+    async analyze(article, { locale } = {}) {
+      const request = buildChatRequest(article, { model, maxTokens, maxPromptChars, promptTemplate, locale });
+      const first = validateCompletion(await complete(request));
+      if (first.analysis) return result(first.analysis);
+
+      console.log(`🔧 Invalid analysis for "${article.title.substring(0, 50)}" (${first.problems.join('; ')}), asking for a correction`);
+      const second = validateCompletion(await complete(buildChatCorrectionRequest(request, first)));
+
+      return result(finalizeAnalysis(second, defaultCategory(article)));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_OPENAI_MODEL,
+  DEFAULT_OPENAI_BASE_URL,
+  validateCompletion,
+  buildChatRequest,
+  buildChatCorrectionRequest,
+  createOpenAIProvider,
+};
@@ -0,0 +1,78 @@
+// Request and token rate limiting
+//
+// Two token buckets refilled continuously: one for requests per minute, one
+// for (estimated) tokens per minute. Callers queue FIFO in acquire(), so a
+// large request can't be starved by a stream of small ones. pause() holds
+// every caller back, e.g. after a 429 with retry-after.
+
+const { sleep: defaultSleep } = require('./concurrency');
+
+const MINUTE_MS = 60 * 1000;
+
+function createBucket(perMinute) {
+  if (!perMinute || perMinute <= 0) return null;
+  return { capacity: perMinute, level: perMinute, ratePerMs: perMinute / MINUTE_MS };
+}
+
+// requestsPerMinute / tokensPerMinute of 0 or unset mean unlimited
+function createRateLimiter({ requestsPerMinute, tokensPerMinute, now = Date.now, sleep = defaultSleep } = {}) {
+  const requests = createBucket(requestsPerMinute);
+  const tokens = createBucket(tokensPerMinute);
+  let lastRefill = now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  function refill() {
+    const current = now();
+    const elapsed = current - lastRefill;
+    lastRefill = current;
+    for (const bucket of [requests, tokens]) {
+      if (bucket) bucket.level = Math.min(bucket.capacity, bucket.level + elapsed * bucket.ratePerMs);
+    }
+  }
+
+  // Milliseconds until `amount` is available in the bucket
+  function waitFor(bucket, amount) {
+    if (!bucket) return 0;
+    const needed = Math.min(amount, bucket.capacity) - bucket.level;
+    return needed > 0 ? needed / bucket.ratePerMs : 0;
+  }
+
+  function acquire(tokenCost = 0) {
+    const turn = queue.then(async () => {
+      for (;;) {
+        refill();
+        const wait = Math.max(
+          pausedUntil - now(),
+          waitFor(requests, 1),
+          waitFor(tokens, tokenCost)
+        );
+        if (wait <= 0) {
+          if (requests) requests.level -= 1;
+          if (tokens) tokens.level -= Math.min(tokenCost, tokens.capacity);
+          return;
+        }
+        await sleep(Math.ceil(wait));
+      }
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Correct the token bucket once the real usage of a request is known
+  function settle(estimatedTokens, actualTokens) {
+    if (!tokens) return;
+    refill();
+    tokens.level -= actualTokens - Math.min(estimatedTokens, tokens.capacity);
+  }
+
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+  }
+
+  return { acquire, settle, pause };
+}
+
+module.exports = {
+  createRateLimiter,
+};
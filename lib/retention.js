@@ -0,0 +1,118 @@
+// Article retention policy
+//
+// Decides which stored articles have expired, replacing the old "delete
+// everything that isn't in today's feeds" cleanup. An article is kept when
+// any of these hold:
+//   - it is still in a feed fetched this run
+//   - it was published within the last keepDays days
+//   - it is one of the newest minPerSource articles of its source
+//   - its source was not fetched successfully this run (failed, skipped or
+//     unchanged), so we can't tell what the feed still carries
+//   - the run is limited to some sources (onlySourceIds) and it isn't one
+// Expired rows are soft-deleted (deleted_at is set) or moved to
+// article_summaries_archive, never hard-deleted outright. A run that would
+// expire more than maxRemovePercent of the table is aborted.
+
+const RETENTION_MODES = ['soft-delete', 'archive'];
+
+const RETENTION_DEFAULTS = {
+  keepDays: 30,
+  minPerSource: 20,
+  maxRemovePercent: 25,
+  mode: 'soft-delete',
+};
+
+const BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionSafetyError extends Error {
+  constructor(expiring, total, maxRemovePercent) {
+    super(`Retention would remove ${expiring} of ${total} articles, more than the ${maxRemovePercent}% safety cap`);
+    this.name = 'RetentionSafetyError';
+    this.expiring = expiring;
+    this.total = total;
+  }
+}
+
+// rows: [{ article_url, source_id, published_at }] of live (not deleted)
+// articles; isCurrent(url) tells whether a URL is in this run's feeds.
+// Returns { expired, kept } lists of article URLs.
+function planRetention(rows, { keepDays, minPerSource, isCurrent = () => false, protectedSourceIds = new Set(), onlySourceIds = null, now = new Date() }) {
+  const cutoff = now.getTime() - keepDays * DAY_MS;
+
+  // Newest first within each source, for the per-source minimum
+  const bySource = new Map();
+  for (const row of rows) {
+    if (!bySource.has(row.source_id)) bySource.set(row.source_id, []);
+    bySource.get(row.source_id).push(row);
+  }
+
+  const expired = [];
+  const kept = [];
+  for (const [sourceId, sourceRows] of bySource) {
+    sourceRows.sort((a, b) => (Date.parse(b.published_at) || 0) - (Date.parse(a.published_at) || 0));
+    sourceRows.forEach((row, index) => {
+      const publishedAt = Date.parse(row.published_at);
+      const keep = protectedSourceIds.has(sourceId)
+        || (onlySourceIds !== null && !onlySourceIds.has(sourceId))
+        || index < minPerSource
+        || isCurrent(row.article_url)
+        // Unknown dates are kept rather than guessed old
+        || Number.isNaN(publishedAt)
+        || publishedAt >= cutoff;
+      (keep ? kept : expired).push(row.article_url);
+    });
+  }
+
+  return { expired, kept };
+}
+
+function exceedsSafetyCap(expiring, total, maxRemovePercent) {
+  return total > 0 && (expiring / total) * 100 > maxRemovePercent;
+}
+
+function assertWithinSafetyCap(expiring, total, maxRemovePercent) {
+  if (exceedsSafetyCap(expiring, total, maxRemovePercent)) {
+    throw new RetentionSafetyError(expiring, total, maxRemovePercent);
+  }
+}
+
+// Apply the policy. Resolves to { total, expired, removed, kept, errors,
+// exceedsSafetyCap }; a safety cap breach rejects with RetentionSafetyError
+// before anything is changed. With dryRun nothing is changed and a breach
+// is only reported.
+async function applyRetention(store, policy, { dryRun = false, now = new Date() } = {}) {
+  const rows = await store.listArticles({ columns: ['article_url', 'source_id', 'published_at'] });
+  const { expired, kept } = planRetention(rows, { ...policy, now });
+  if (dryRun) {
+    const overCap = exceedsSafetyCap(expired.length, rows.length, policy.maxRemovePercent);
+    return { total: rows.length, expired, removed: 0, kept: kept.length, errors: [], exceedsSafetyCap: overCap };
+  }
+  assertWithinSafetyCap(expired.length, rows.length, policy.maxRemovePercent);
+
+  const errors = [];
+  let removed = 0;
+  for (let i = 0; i < expired.length; i += BATCH_SIZE) {
+    const batch = expired.slice(i, i + BATCH_SIZE);
+    try {
+      if (policy.mode === 'archive') await store.archiveArticles(batch, now);
+      else await store.softDeleteArticles(batch, now);
+      removed += batch.length;
+    } catch (error) {
+      console.error(`❌ Error expiring batch ${i / BATCH_SIZE + 1}:`, error.message);
+      errors.push(error.message);
+    }
+  }
+
+  return { total: rows.length, expired, removed, kept: kept.length, errors, exceedsSafetyCap: false };
+}
+
+module.exports = {
+  RETENTION_MODES,
+  RETENTION_DEFAULTS,
+  RetentionSafetyError,
+  planRetention,
+  exceedsSafetyCap,
+  assertWithinSafetyCap,
+  applyRetention,
+};
@@ -0,0 +1,104 @@
+// robots.txt rules
+//
+// Only what's needed to decide whether we may fetch an article page: the
+// group for our user-agent token (or "*"), Allow/Disallow with "*" and "$"
+// wildcards, and the longest matching rule winning. A missing robots.txt
+// allows everything; one we couldn't fetch (5xx, timeout) disallows
+// everything until it can be read.
+
+const ROBOTS_TOKEN = 'news-app-sync';
+
+// Returns the Allow/Disallow rules that apply to `token`
+function parseRobotsTxt(text, token = ROBOTS_TOKEN) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    }
+  }
+
+  const lowerToken = token.toLowerCase();
+  const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && lowerToken.includes(agent)));
+  const chosen = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+  return chosen.flatMap(group => group.rules);
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins a tie
+function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.pattern).test(pathWithQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Checks URLs against each origin's robots.txt, fetching it once per origin.
+// fetchRobots(robotsUrl) resolves to the file's text, null when there is no
+// robots.txt (4xx), or rejects when it couldn't be read.
+function createRobotsChecker(fetchRobots, { token = ROBOTS_TOKEN } = {}) {
+  const rulesByOrigin = new Map();
+
+  function rulesFor(origin) {
+    if (!rulesByOrigin.has(origin)) {
+      const rules = Promise.resolve()
+        .then(() => fetchRobots(`${origin}/robots.txt`))
+        .then(text => (text ? parseRobotsTxt(text, token) : []))
+        .catch(error => {
+          console.log(`🤖 Could not read ${origin}/robots.txt (${error.message}), skipping that site`);
+          return [{ allow: false, pattern: '/' }];
+        });
+      rulesByOrigin.set(origin, rules);
+    }
+    return rulesByOrigin.get(origin);
+  }
+
+  return {
+    async isAllowed(url) {
+      const { origin, pathname, search } = new URL(url);
+      return isPathAllowed(await rulesFor(origin), pathname + search);
+    },
+  };
+}
+
+module.exports = {
+  ROBOTS_TOKEN,
+  parseRobotsTxt,
+  isPathAllowed,
+  createRobotsChecker,
+};
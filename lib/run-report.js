@@ -0,0 +1,182 @@
+// Sync run reports
+//
+// Every real (non dry-run) sync produces a report: per-source fetch and
+// enrichment counts, AI calls, tokens and estimated cost, duration, rows
+// removed and whether any error threshold was exceeded. It is written to a
+// JSON file for CI and stored as a row in the `sync_runs` table.
+
+const fs = require('fs');
+const path = require('path');
+
+const RUN_STATUS = {
+  OK: 'ok',
+  THRESHOLD_EXCEEDED: 'threshold-exceeded',
+  FAILED: 'failed',
+};
+
+// A run fails (non-zero exit) when it goes over any of these
+const RUN_THRESHOLD_DEFAULTS = {
+  // Share of source fetches that failed
+  maxFailedSourcePercent: 50,
+  // Share of attempted enrichments that were flagged
+  maxFlaggedPercent: 50,
+  // Rows that could not be saved
+  maxSaveErrors: 0,
+};
+
+// Fetch statuses that aren't failures (see FETCH_STATUS in sync-articles.js)
+const HEALTHY_FETCH_STATUSES = ['ok', 'not-modified', 'skipped'];
+
+function isFailedFetch(status) {
+  return status !== null && !HEALTHY_FETCH_STATUSES.includes(status);
+}
+
+// One entry per source id: { id, name, status, error, fetched, filtered,
+// new, saved, failed }. A source fetched both as RSS and through NewsAPI gets
+// a single entry whose status is the failure if either fetch failed.
+// `filtered` counts articles dropped by content rules, `failed` flagged
+// enrichments and `saved` the successful ones.
+function buildSourceStats({ fetchResults = [], filtered = [], newArticles = [], attempted = [], flagged = [] }) {
+  const stats = new Map();
+  const entry = (id, name = null) => {
+    if (!stats.has(id)) {
+      stats.set(id, { id, name, status: null, error: null, fetched: 0, filtered: 0, new: 0, saved: 0, failed: 0 });
+    }
+    return stats.get(id);
+  };
+
+  for (const result of fetchResults) {
+    const source = entry(result.sourceId, result.sourceName);
+    source.fetched += result.articles.length;
+    if (source.status === null || (!isFailedFetch(source.status) && isFailedFetch(result.status))) {
+      source.status = result.status;
+    }
+    if (result.error) {
+      source.error = source.error ? `${source.error}; ${result.error}` : result.error;
+    }
+  }
+
+  filtered.forEach(item => entry(item.sourceId).filtered++);
+  const flaggedUrls = new Set(flagged.map(item => item.url));
+  newArticles.forEach(article => entry(article.source.id, article.source.name).new++);
+  attempted.forEach((article) => {
+    const source = entry(article.source.id, article.source.name);
+    if (flaggedUrls.has(article.url)) source.failed++;
+    else source.saved++;
+  });
+
+  return [...stats.values()].sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+// Messages for every threshold the report goes over
+function checkThresholds(report, thresholds = RUN_THRESHOLD_DEFAULTS) {
+  const exceeded = [];
+
+  const fetchedSources = report.sources.filter(source => source.status !== null);
+  const failedSources = fetchedSources.filter(source => isFailedFetch(source.status));
+  if (fetchedSources.length > 0 && (failedSources.length / fetchedSources.length) * 100 > thresholds.maxFailedSourcePercent) {
+    exceeded.push(`${failedSources.length}/${fetchedSources.length} sources failed (max ${thresholds.maxFailedSourcePercent}%): ${failedSources.map(source => source.id).join(', ')}`);
+  }
+
+  if (report.attempted > 0 && (report.flagged.length / report.attempted) * 100 > thresholds.maxFlaggedPercent) {
+    exceeded.push(`${report.flagged.length}/${report.attempted} enrichments flagged (max ${thresholds.maxFlaggedPercent}%)`);
+  }
+
+  if (report.saveErrors > thresholds.maxSaveErrors) {
+    exceeded.push(`${report.saveErrors} articles could not be saved (max ${thresholds.maxSaveErrors})`);
+  }
+
+  return exceeded;
+}
+
+// summary: the run's counts (fetched, filtered, attempted, saved, deferred,
+// healed, updated, flagged, saveErrors, expired, cleanupErrors, scored,
+// trending).
+// ai: { provider, model } plus the usage tracker's totals.
+function buildRunReport({ startedAt, finishedAt = new Date(), summary, sources, ai, thresholds = RUN_THRESHOLD_DEFAULTS }) {
+  const report = {
+    dryRun: false,
+    status: RUN_STATUS.OK,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    ...summary,
+    sources,
+    ai,
+    thresholdsExceeded: [],
+    error: null,
+  };
+  report.thresholdsExceeded = checkThresholds(report, thresholds);
+  if (report.thresholdsExceeded.length > 0) report.status = RUN_STATUS.THRESHOLD_EXCEEDED;
+  return report;
+}
+
+// Report for a run that threw before it finished
+function buildFailedRunReport({ startedAt, finishedAt = new Date(), error }) {
+  return {
+    dryRun: false,
+    status: RUN_STATUS.FAILED,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    sources: [],
+    ai: null,
+    thresholdsExceeded: [],
+    error: error.message,
+  };
+}
+
+// The sync_runs row; the full report is kept in `report`
+function runReportRow(report) {
+  const ai = report.ai || {};
+  return {
+    started_at: report.startedAt,
+    finished_at: report.finishedAt,
+    duration_ms: report.durationMs,
+    status: report.status,
+    fetched: report.fetched || 0,
+    saved: report.saved || 0,
+    flagged: report.flagged ? report.flagged.length : 0,
+    removed: report.expired || 0,
+    ai_calls: ai.calls || 0,
+    input_tokens: ai.inputTokens || 0,
+    output_tokens: ai.outputTokens || 0,
+    estimated_cost_usd: ai.estimatedCostUsd ?? null,
+    errors: report.error ? [report.error] : report.thresholdsExceeded,
+    report,
+  };
+}
+
+// Write the report to filePath (when set) and to sync_runs. Failures are
+// logged, never thrown: losing the report must not fail the sync.
+async function saveRunReport(store, report, { filePath = null } = {}) {
+  if (filePath) {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      fs.writeFileSync(filePath, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`🧾 Run report written to ${filePath}`);
+    } catch (error) {
+      console.error(`Error writing run report to ${filePath}:`, error.message);
+    }
+  }
+
+  if (store) {
+    try {
+      await store.insertSyncRun(runReportRow(report));
+    } catch (error) {
+      console.error('Error saving run report:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  RUN_STATUS,
+  RUN_THRESHOLD_DEFAULTS,
+  isFailedFetch,
+  buildSourceStats,
+  checkThresholds,
+  buildRunReport,
+  buildFailedRunReport,
+  runReportRow,
+  saveRunReport,
+};
@@ -0,0 +1,174 @@
+// Source registry
+//
+// Sources are loaded from a JSON config file (config/sources.json by default)
+// or from the store's `sources` table, then validated and filled with
+// defaults. Each source is either an RSS/Atom feed (`type: "rss"`, `url` is
+// the feed URL) or a NewsAPI source (`type: "newsapi"`, `id` is the NewsAPI
+// source id and `url` the outlet's domain, see lib/newsapi.js).
+
+const fs = require('fs');
+const path = require('path');
+const { ALL_CATEGORIES } = require('./categories');
+
+const DEFAULT_SOURCES_PATH = path.join(__dirname, '..', 'config', 'sources.json');
+
+const SOURCE_TYPES = ['rss', 'newsapi'];
+
+// How images are picked from feed items:
+//   auto        - media:content, then media:thumbnail, then enclosures, then the first <img>
+//   media-image - only media:content tagged medium="image"
+const IMAGE_STRATEGIES = ['auto', 'media-image'];
+
+const SOURCE_DEFAULTS = {
+  enabled: true,
+  trusted: false,
+  fallbackLogo: null,
+  imageStrategy: 'auto',
+  defaultCategory: null,
+  fetchIntervalMinutes: 120,
+  // Fetch article pages and summarize the extracted text instead of the
+  // feed's teaser (see lib/article-extractor.js)
+  fullText: false,
+};
+
+class SourceConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid source configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'SourceConfigError';
+    this.problems = problems;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate raw source entries and apply defaults. Throws SourceConfigError
+// listing every problem found.
+function validateSources(rawSources) {
+  if (!Array.isArray(rawSources)) {
+    throw new SourceConfigError(['"sources" must be an array']);
+  }
+
+  const problems = [];
+  const seen = new Set();
+
+  const sources = rawSources.map((raw, index) => {
+    const label = raw && raw.id ? `sources[${index}] (${raw.id})` : `sources[${index}]`;
+    const source = { ...SOURCE_DEFAULTS, ...raw };
+
+    if (!source.id || typeof source.id !== 'string') problems.push(`${label}: "id" is required`);
+    if (!source.name || typeof source.name !== 'string') problems.push(`${label}: "name" is required`);
+    if (!SOURCE_TYPES.includes(source.type)) {
+      problems.push(`${label}: "type" must be one of ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (source.type === 'rss' && !isHttpUrl(source.url)) {
+      problems.push(`${label}: "url" must be an http(s) feed URL`);
+    }
+    if (typeof source.enabled !== 'boolean') problems.push(`${label}: "enabled" must be a boolean`);
+    if (typeof source.trusted !== 'boolean') problems.push(`${label}: "trusted" must be a boolean`);
+    if (typeof source.fullText !== 'boolean') problems.push(`${label}: "fullText" must be a boolean`);
+    if (source.fallbackLogo !== null && !isHttpUrl(source.fallbackLogo)) {
+      problems.push(`${label}: "fallbackLogo" must be an http(s) URL`);
+    }
+    if (!IMAGE_STRATEGIES.includes(source.imageStrategy)) {
+      problems.push(`${label}: "imageStrategy" must be one of ${IMAGE_STRATEGIES.join(', ')}`);
+    }
+    if (source.defaultCategory !== null && !ALL_CATEGORIES.includes(source.defaultCategory)) {
+      problems.push(`${label}: "defaultCategory" "${source.defaultCategory}" is not a known category`);
+    }
+    if (!Number.isInteger(source.fetchIntervalMinutes) || source.fetchIntervalMinutes <= 0) {
+      problems.push(`${label}: "fetchIntervalMinutes" must be a positive integer`);
+    }
+
+    const key = `${source.type}:${source.id}`;
+    if (seen.has(key)) problems.push(`${label}: duplicate ${source.type} source id "${source.id}"`);
+    seen.add(key);
+
+    return source;
+  });
+
+  if (problems.length > 0) {
+    throw new SourceConfigError(problems);
+  }
+
+  return sources;
+}
+
+function loadSourcesFromFile(filePath = DEFAULT_SOURCES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new SourceConfigError([`could not read ${filePath}: ${error.message}`]);
+  }
+  return validateSources(config.sources);
+}
+
+// Rows from the `sources` table use snake_case columns
+function sourceFromRow(row) {
+  const source = {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    url: row.url,
+    enabled: row.enabled,
+    trusted: row.trusted,
+    fallbackLogo: row.fallback_logo,
+    imageStrategy: row.image_strategy,
+    defaultCategory: row.default_category,
+    fetchIntervalMinutes: row.fetch_interval_minutes,
+    fullText: row.full_text,
+  };
+  // Let NULL columns fall back to defaults
+  return Object.fromEntries(Object.entries(source).filter(([, value]) => value !== null && value !== undefined));
+}
+
+async function loadSourcesFromStore(store) {
+  const rows = await store.listSources();
+  return validateSources(rows.map(sourceFromRow));
+}
+
+// Load the registry from SOURCES_BACKEND: "file" (the config file) or
+// "supabase" (the `sources` table of the store, see lib/storage.js).
+// A table failure falls back to the config file so a sync can still run.
+async function loadSources({ backend = process.env.SOURCES_BACKEND || 'file', filePath = process.env.SOURCES_CONFIG_PATH, store } = {}) {
+  if (backend === 'supabase') {
+    try {
+      const sources = await loadSourcesFromStore(store);
+      console.log(`📚 Loaded ${sources.length} sources from the ${store.name} sources table`);
+      return sources;
+    } catch (error) {
+      if (error instanceof SourceConfigError) throw error;
+      console.error(`${error.message} - falling back to config file`);
+    }
+  }
+
+  const sources = loadSourcesFromFile(filePath || DEFAULT_SOURCES_PATH);
+  console.log(`📚 Loaded ${sources.length} sources from ${filePath || 'config/sources.json'}`);
+  return sources;
+}
+
+function getEnabledSources(sources, type) {
+  return sources.filter(s => s.type === type && s.enabled);
+}
+
+function findSource(sources, type, id) {
+  return sources.find(s => s.type === type && s.id === id);
+}
+
+module.exports = {
+  IMAGE_STRATEGIES,
+  SOURCE_DEFAULTS,
+  SourceConfigError,
+  validateSources,
+  loadSourcesFromFile,
+  loadSources,
+  getEnabledSources,
+  findSource,
+};
@@ -0,0 +1,80 @@
+// Storage backends
+//
+// The sync pipeline reads and writes through a store object instead of a
+// Supabase client, so it can also run against local storage. Every backend
+// implements these async methods (rows use the database's snake_case
+// columns):
+//
+//   listArticles({ columns, includeDeleted })  article_summaries rows
+//   getArticle(url)                            one row or null
+//   upsertArticles(rows)                       insert or merge by article_url
+//   updateArticle(url, fields)                 set some columns of one row
+//   updateArticleScores(rows)                  importance_score, outlet_count
+//                                              and trending of several rows
+//   listRetryQueue({ statuses, limit, sourceIds, now })
+//   listRecentSignatures({ since, limit })     newest first
+//   listRecentArticles({ since, limit })       published since, or still
+//                                              trending; for importance scores
+//   softDeleteArticles(urls, deletedAt)
+//   archiveArticles(urls, archivedAt)
+//   deleteArticles(urls)
+//   replaceArticleEntities(urls, rows, extractedAt)
+//                                              article_entities of these
+//                                              articles, marks them extracted
+//   listArticleEntities({ articleUrl, entityKey, limit })
+//   listEntityBackfill({ limit })              done articles never extracted
+//   insertRevisions(rows)                      article_revisions history
+//   listRevisions({ articleUrl, limit })       newest first
+//   listFetchStates() / upsertFetchState(row)
+//   getExtraction(url) / upsertExtraction(row)
+//   listSources()
+//   insertSyncRun(row)                         sync_runs history
+//   listSyncRuns({ limit })                    newest first
+//   flush()                                    finish pending writes
+//
+// Methods throw on storage errors. Backends:
+//   supabase - the production database (lib/supabase-store.js)
+//   file     - a local JSON file, or memory only (lib/file-store.js)
+
+const path = require('path');
+const { createSupabaseStore } = require('./supabase-store');
+const { createFileStore } = require('./file-store');
+
+const STORAGE_BACKENDS = ['supabase', 'file'];
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'articles.json');
+
+class StorageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConfigError';
+  }
+}
+
+// Create the store selected by STORAGE_BACKEND (default "supabase")
+function createStorage({
+  backend = process.env.STORAGE_BACKEND || 'supabase',
+  filePath = process.env.STORAGE_FILE_PATH || DEFAULT_FILE_PATH,
+  supabaseUrl = process.env.SUPABASE_URL,
+  supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY,
+} = {}) {
+  if (backend === 'file') {
+    return createFileStore({ filePath });
+  }
+
+  if (backend === 'supabase') {
+    if (!supabaseUrl || !supabaseKey) {
+      throw new StorageConfigError('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for STORAGE_BACKEND=supabase (use STORAGE_BACKEND=file to run locally)');
+    }
+    // Loaded lazily so local runs don't need Supabase at all
+    const { createClient } = require('@supabase/supabase-js');
+    return createSupabaseStore(createClient(supabaseUrl, supabaseKey));
+  }
+
+  throw new StorageConfigError(`STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')}, got "${backend}"`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  StorageConfigError,
+  createStorage,
+};
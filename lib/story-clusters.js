@@ -0,0 +1,170 @@
+// Near-duplicate story clustering
+//
+// Syndicated and rewritten stories from different outlets share most of
+// their wording. Each article's title and description are cut into word
+// shingles and reduced to a MinHash signature; locality-sensitive hashing
+// over signature bands finds candidate pairs, and pairs whose estimated
+// Jaccard similarity reaches the threshold are joined into one cluster.
+//
+// New articles are clustered together with recently stored ones, so a story
+// that arrives in a later run joins the cluster id already in the database.
+
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 64;
+// 32 bands of 2 rows: pairs at 0.5 similarity almost always share a band
+const LSH_BANDS = 32;
+const DEFAULT_THRESHOLD = 0.5;
+
+// Fixed seeds so signatures stored by one run compare with the next
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b1) | 0);
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
+
+// MurmurHash3 finalizer, used to derive SIGNATURE_SIZE hash functions
+function mix(value, seed) {
+  let h = value ^ seed;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) | 0;
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Word shingles of the article's title and description
+function shingles(article, size = SHINGLE_SIZE) {
+  const words = normalizeText(`${article.title || ''} ${article.description || ''}`).split(' ').filter(Boolean);
+  const result = new Set();
+  if (words.length < size) {
+    if (words.length > 0) result.add(words.join(' '));
+    return result;
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+// Signed 32-bit integers so the signature fits a Postgres integer[]
+function minhashSignature(shingleSet) {
+  const signature = new Array(SIGNATURE_SIZE).fill(0x7fffffff);
+  for (const shingle of shingleSet) {
+    const base = hashString(shingle);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix(base, SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+// Estimated Jaccard similarity of the two shingle sets
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+function newClusterId(key) {
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// entries: [{ key, signature, clusterId }] where clusterId is set for stored
+// articles. Returns a Map of key -> cluster id for every entry. A cluster
+// keeps the first stored cluster id among its members (entries should be
+// ordered oldest first), else gets a new id derived from its first key.
+function clusterSignatures(entries, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const parent = entries.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // The earlier entry stays the root so cluster ids are stable
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  const rowsPerBand = SIGNATURE_SIZE / LSH_BANDS;
+  for (let band = 0; band < LSH_BANDS; band++) {
+    const buckets = new Map();
+    entries.forEach((entry, index) => {
+      if (!entry.signature || entry.signature.length !== SIGNATURE_SIZE) return;
+      const bucketKey = entry.signature.slice(band * rowsPerBand, (band + 1) * rowsPerBand).join(',');
+      const bucket = buckets.get(bucketKey);
+      if (bucket) bucket.push(index);
+      else buckets.set(bucketKey, [index]);
+    });
+
+    for (const bucket of buckets.values()) {
+      for (let i = 1; i < bucket.length; i++) {
+        for (let j = 0; j < i; j++) {
+          if (find(bucket[i]) === find(bucket[j])) continue;
+          if (estimateSimilarity(entries[bucket[i]].signature, entries[bucket[j]].signature) >= threshold) {
+            union(bucket[i], bucket[j]);
+          }
+        }
+      }
+    }
+  }
+
+  const clusterIds = new Map();
+  const rootClusterIds = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!rootClusterIds.has(root) || (!rootClusterIds.get(root).stored && entry.clusterId)) {
+      rootClusterIds.set(root, entry.clusterId
+        ? { id: entry.clusterId, stored: true }
+        : { id: newClusterId(entries[root].key), stored: false });
+    }
+  });
+  entries.forEach((entry, index) => {
+    clusterIds.set(entry.key, rootClusterIds.get(find(index)).id);
+  });
+  return clusterIds;
+}
+
+// Signatures and cluster ids of articles published in the last windowHours
+async function loadRecentSignatures(store, { windowHours, limit = 5000, now = new Date() }) {
+  try {
+    const since = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+    // Newest first, so a limit drops the oldest; clustered oldest first so
+    // the earliest article of a story stays its root
+    const rows = (await store.listRecentSignatures({ since, limit })).reverse();
+    return rows.map(row => ({ key: row.article_url, signature: row.minhash, clusterId: row.cluster_id }));
+  } catch (error) {
+    console.error('Error loading recent story signatures:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  SIGNATURE_SIZE,
+  shingles,
+  minhashSignature,
+  estimateSimilarity,
+  clusterSignatures,
+  loadRecentSignatures,
+};
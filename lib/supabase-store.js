@@ -0,0 +1,235 @@
+// Supabase storage backend
+//
+// Implements the storage interface described in lib/storage.js on top of a
+// Supabase client. Every method throws on a Supabase error; callers decide
+// whether that is fatal.
+
+const PAGE_SIZE = 1000;
+
+function check({ data, error }, action) {
+  if (error) throw new Error(`Error ${action}: ${error.message}`);
+  return data;
+}
+
+function createSupabaseStore(client) {
+  // PostgREST caps each response (1000 rows by default), so read large
+  // results a page at a time, up to `limit` rows
+  async function selectAll(buildQuery, action, limit = Infinity) {
+    const rows = [];
+    for (let from = 0; from < limit; from += PAGE_SIZE) {
+      const size = Math.min(PAGE_SIZE, limit - from);
+      const data = check(await buildQuery().range(from, from + size - 1), action);
+      rows.push(...data);
+      if (data.length < size) return rows;
+    }
+    return rows;
+  }
+
+  return {
+    name: 'supabase',
+
+    // Articles (article_summaries)
+
+    async listArticles({ columns = ['*'], includeDeleted = false } = {}) {
+      return selectAll(() => {
+        let query = client.from('article_summaries').select(columns.join(', '));
+        if (!includeDeleted) query = query.is('deleted_at', null);
+        return query.order('article_url');
+      }, 'listing articles');
+    },
+
+    async getArticle(url) {
+      return check(await client
+        .from('article_summaries')
+        .select('*')
+        .eq('article_url', url)
+        .maybeSingle(), 'reading article');
+    },
+
+    async upsertArticles(rows) {
+      check(await client
+        .from('article_summaries')
+        .upsert(rows, { onConflict: 'article_url' }), `saving ${rows.length} article(s)`);
+    },
+
+    async updateArticle(url, fields) {
+      check(await client
+        .from('article_summaries')
+        .update(fields)
+        .eq('article_url', url), 'updating article');
+    },
+
+    // One call per batch (see the update_article_scores migration)
+    async updateArticleScores(rows) {
+      check(await client.rpc('update_article_scores', { scores: rows }), `scoring ${rows.length} article(s)`);
+    },
+
+    async listRetryQueue({ statuses, limit, sourceIds = [], now }) {
+      let query = client
+        .from('article_summaries')
+        .select('*')
+        .or(`enrichment_status.eq.${statuses.pending},and(enrichment_status.eq.${statuses.failed},enrichment_next_attempt_at.lte.${now.toISOString()})`)
+        .is('deleted_at', null);
+      if (sourceIds.length > 0) query = query.in('source_id', sourceIds);
+
+      return check(await query
+        .order('enrichment_last_attempt_at', { ascending: true, nullsFirst: true })
+        .limit(limit), 'loading the enrichment retry queue');
+    },
+
+    async listRecentSignatures({ since, limit }) {
+      return selectAll(() => client
+        .from('article_summaries')
+        .select('article_url, cluster_id, minhash')
+        .gte('published_at', since.toISOString())
+        .not('minhash', 'is', null)
+        .order('published_at', { ascending: false })
+        .order('article_url'), 'loading recent story signatures', limit);
+    },
+
+    async listRecentArticles({ since, limit }) {
+      return selectAll(() => client
+        .from('article_summaries')
+        .select('article_url, source_id, source_type, cluster_id, published_at, significance, importance_score, outlet_count, trending')
+        .or(`published_at.gte.${since.toISOString()},trending.eq.true`)
+        .is('deleted_at', null)
+        .order('published_at', { ascending: false })
+        .order('article_url'), 'loading recent articles', limit);
+    },
+
+    async softDeleteArticles(urls, deletedAt) {
+      check(await client
+        .from('article_summaries')
+        .update({ deleted_at: deletedAt.toISOString() })
+        .in('article_url', urls), 'soft-deleting articles');
+    },
+
+    // Copy the full rows into the archive table, then remove them
+    async archiveArticles(urls, archivedAt) {
+      const rows = check(await client
+        .from('article_summaries')
+        .select('*')
+        .in('article_url', urls), 'reading articles to archive');
+
+      check(await client
+        .from('article_summaries_archive')
+        .upsert(rows.map(row => ({ ...row, archived_at: archivedAt.toISOString() })), { onConflict: 'article_url' }), 'archiving articles');
+
+      await this.deleteArticles(urls);
+    },
+
+    async deleteArticles(urls) {
+      check(await client
+        .from('article_summaries')
+        .delete()
+        .in('article_url', urls), 'deleting articles');
+    },
+
+    // Entities and keywords (article_entities)
+
+    async replaceArticleEntities(urls, rows, extractedAt) {
+      check(await client
+        .from('article_entities')
+        .delete()
+        .in('article_url', urls), 'clearing article entities');
+      if (rows.length > 0) {
+        check(await client.from('article_entities').insert(rows), `saving ${rows.length} article entities`);
+      }
+      check(await client
+        .from('article_summaries')
+        .update({ entities_extracted_at: extractedAt.toISOString() })
+        .in('article_url', urls), 'marking entities extracted');
+    },
+
+    async listArticleEntities({ articleUrl = null, entityKey = null, limit = 1000 } = {}) {
+      let query = client.from('article_entities').select('*');
+      if (articleUrl) query = query.eq('article_url', articleUrl);
+      if (entityKey) query = query.eq('entity_key', entityKey);
+      return check(await query
+        .order('salience', { ascending: false })
+        .order('entity_key')
+        .limit(limit), 'loading article entities');
+    },
+
+    async listEntityBackfill({ limit }) {
+      return check(await client
+        .from('article_summaries')
+        .select('article_url, article_title, description, ai_summary')
+        .eq('enrichment_status', 'done')
+        .is('entities_extracted_at', null)
+        .is('deleted_at', null)
+        .order('published_at', { ascending: false })
+        .limit(limit), 'loading articles without entities');
+    },
+
+    // Revision history (article_revisions)
+
+    async insertRevisions(rows) {
+      check(await client.from('article_revisions').insert(rows), `saving ${rows.length} article revision(s)`);
+    },
+
+    async listRevisions({ articleUrl = null, limit = 50 } = {}) {
+      let query = client.from('article_revisions').select('*');
+      if (articleUrl) query = query.eq('article_url', articleUrl);
+      return check(await query
+        .order('revised_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit), 'loading article revisions');
+    },
+
+    // Feed fetch state (feed_fetch_state)
+
+    async listFetchStates() {
+      return check(await client.from('feed_fetch_state').select('*'), 'loading feed fetch state');
+    },
+
+    async upsertFetchState(row) {
+      check(await client
+        .from('feed_fetch_state')
+        .upsert(row, { onConflict: 'source_id' }), `saving fetch state for ${row.source_id}`);
+    },
+
+    // Full-text extraction cache (article_extractions)
+
+    async getExtraction(url) {
+      return check(await client
+        .from('article_extractions')
+        .select('*')
+        .eq('article_url', url)
+        .maybeSingle(), 'loading cached extraction');
+    },
+
+    async upsertExtraction(row) {
+      check(await client
+        .from('article_extractions')
+        .upsert(row, { onConflict: 'article_url' }), 'saving extraction');
+    },
+
+    // Source registry (sources)
+
+    async listSources() {
+      return check(await client.from('sources').select('*').order('id'), 'loading sources');
+    },
+
+    // Run history (sync_runs)
+
+    async insertSyncRun(row) {
+      check(await client.from('sync_runs').insert(row), 'saving the sync run');
+    },
+
+    async listSyncRuns({ limit = 50 } = {}) {
+      return check(await client
+        .from('sync_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit), 'loading sync runs');
+    },
+
+    // Every write is sent right away
+    async flush() {},
+  };
+}
+
+module.exports = {
+  createSupabaseStore,
+};
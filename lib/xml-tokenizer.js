@@ -0,0 +1,201 @@
+// Streaming XML tokenizer
+//
+// A small SAX-style tokenizer for feeds. Input is written in chunks and
+// handlers are called as soon as a token is complete, so a feed never has to
+// be held in memory as one string. Only what feeds need is supported: it does
+// not validate, and DTD internal subsets are skipped rather than interpreted.
+//
+// Handlers (all optional):
+//   onOpenTag({ name, attributes, selfClosing })
+//   onCloseTag(name, selfClosing)
+//   onText(text)    - entity-decoded character data
+//   onCDATA(text)   - raw CDATA section contents
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+// Flush pending text once it grows past this many characters
+const MAX_PENDING_TEXT = 64 * 1024;
+
+function decodeEntities(text) {
+  if (text.indexOf('&') === -1) return text;
+  return text.replace(/&(#x[\da-fA-F]+|#\d+|\w+);/g, (entity, body) => {
+    if (body[0] === '#') {
+      const codePoint = body[1] === 'x' || body[1] === 'X'
+        ? parseInt(body.slice(2), 16)
+        : parseInt(body.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (error) {
+        return entity;
+      }
+    }
+    return Object.prototype.hasOwnProperty.call(XML_ENTITIES, body) ? XML_ENTITIES[body] : entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const attributeRegex = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = attributeRegex.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1]] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+// Index of the '>' that ends the tag starting at `start`, skipping quoted attribute values
+function findTagEnd(buffer, start) {
+  let quote = null;
+  for (let i = start; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function createXMLTokenizer(handlers = {}) {
+  let buffer = '';
+  let stopped = false;
+
+  function emitText(text) {
+    if (text && handlers.onText) handlers.onText(decodeEntities(text));
+  }
+
+  // Consume as much of the buffer as possible. Incomplete tokens stay
+  // buffered until more input arrives, unless this is the final flush.
+  function drain(final) {
+    let pos = 0;
+
+    while (pos < buffer.length && !stopped) {
+      if (buffer[pos] !== '<') {
+        const next = buffer.indexOf('<', pos);
+        if (next !== -1) {
+          emitText(buffer.slice(pos, next));
+          pos = next;
+          continue;
+        }
+        if (final) {
+          emitText(buffer.slice(pos));
+          pos = buffer.length;
+          break;
+        }
+        // Keep a trailing partial entity ("&am") for the next chunk
+        if (buffer.length - pos > MAX_PENDING_TEXT) {
+          const amp = buffer.lastIndexOf('&');
+          const cut = amp > pos && buffer.indexOf(';', amp) === -1 ? amp : buffer.length;
+          emitText(buffer.slice(pos, cut));
+          pos = cut;
+        }
+        break;
+      }
+
+      const rest = buffer.length - pos;
+
+      if (buffer.startsWith('<![CDATA[', pos)) {
+        const end = buffer.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        if (handlers.onCDATA) handlers.onCDATA(buffer.slice(pos + 9, end));
+        pos = end + 3;
+        continue;
+      }
+
+      if (buffer.startsWith('<!--', pos)) {
+        const end = buffer.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+        continue;
+      }
+
+      // Not enough input yet to tell a CDATA section or comment from a declaration
+      if (!final && rest < 9 && ('<![CDATA['.startsWith(buffer.slice(pos)) || '<!--'.startsWith(buffer.slice(pos)))) {
+        break;
+      }
+
+      if (buffer.startsWith('<?', pos)) {
+        const end = buffer.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+        continue;
+      }
+
+      if (buffer.startsWith('<!', pos)) {
+        // <!DOCTYPE ... [ internal subset ]>
+        const bracket = buffer.indexOf('[', pos);
+        const close = buffer.indexOf('>', pos);
+        if (close === -1) break;
+        if (bracket !== -1 && bracket < close) {
+          const end = buffer.indexOf(']>', bracket);
+          if (end === -1) break;
+          pos = end + 2;
+        } else {
+          pos = close + 1;
+        }
+        continue;
+      }
+
+      const end = findTagEnd(buffer, pos + 1);
+      if (end === -1) break;
+
+      const tag = buffer.slice(pos + 1, end);
+      pos = end + 1;
+
+      if (tag[0] === '/') {
+        if (handlers.onCloseTag) handlers.onCloseTag(tag.slice(1).trim(), false);
+        continue;
+      }
+
+      const selfClosing = tag.endsWith('/');
+      const body = selfClosing ? tag.slice(0, -1) : tag;
+      const nameMatch = body.match(/^\s*([^\s/>]+)/);
+      if (!nameMatch) continue;
+
+      const name = nameMatch[1];
+      if (handlers.onOpenTag) {
+        handlers.onOpenTag({
+          name,
+          attributes: parseAttributes(body.slice(nameMatch[0].length)),
+          selfClosing,
+        });
+      }
+      if (selfClosing && handlers.onCloseTag && !stopped) {
+        handlers.onCloseTag(name, true);
+      }
+    }
+
+    buffer = buffer.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      if (stopped) return;
+      buffer += chunk;
+      drain(false);
+    },
+    end() {
+      if (!stopped) drain(true);
+      buffer = '';
+    },
+    // Stop tokenizing; later writes are ignored
+    stop() {
+      stopped = true;
+    },
+  };
+}
+
+module.exports = {
+  createXMLTokenizer,
+  decodeEntities,
+};
@@ -0,0 +1,17 @@
+-- Source registry read by sync-articles.js when SOURCES_BACKEND=supabase.
+-- NULL columns fall back to the defaults in lib/sources.js.
+create table if not exists public.sources (
+  id text not null,
+  type text not null check (type in ('rss', 'newsapi')),
+  name text not null,
+  url text,
+  enabled boolean not null default true,
+  trusted boolean not null default false,
+  fallback_logo text,
+  image_strategy text check (image_strategy in ('auto', 'media-image')),
+  default_category text,
+  fetch_interval_minutes integer check (fetch_interval_minutes > 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (type, id)
+);
@@ -0,0 +1,14 @@
+-- Per-feed fetch state used for conditional GETs and failure backoff
+-- (see lib/fetch-state.js).
+create table if not exists public.feed_fetch_state (
+  source_id text primary key,
+  etag text,
+  last_modified text,
+  last_status integer,
+  last_fetched_at timestamptz,
+  last_success_at timestamptz,
+  last_error text,
+  last_error_at timestamptz,
+  consecutive_failures integer not null default 0,
+  item_count integer not null default 0
+);
@@ -0,0 +1,20 @@
+-- AI enrichment status and retry bookkeeping for article_summaries
+-- (see lib/enrichment-queue.js). Existing rows are treated as enriched,
+-- except those saved with the old placeholder summary, which are queued.
+alter table public.article_summaries
+  add column if not exists enrichment_status text not null default 'done'
+    check (enrichment_status in ('pending', 'done', 'failed')),
+  add column if not exists enrichment_attempts integer not null default 0,
+  add column if not exists enrichment_last_error text,
+  add column if not exists enrichment_last_attempt_at timestamptz,
+  add column if not exists enrichment_next_attempt_at timestamptz;
+
+update public.article_summaries
+set enrichment_status = 'pending',
+    ai_summary = null,
+    category_tags = '{}'
+where ai_summary = 'AI summary temporarily unavailable';
+
+create index if not exists article_summaries_enrichment_queue_idx
+  on public.article_summaries (enrichment_status, enrichment_next_attempt_at)
+  where enrichment_status <> 'done';
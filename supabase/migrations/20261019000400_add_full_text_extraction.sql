@@ -0,0 +1,23 @@
+-- Full-text extraction (see lib/article-extractor.js)
+
+-- Cache of extracted article pages, keyed by article URL
+create table if not exists public.article_extractions (
+  article_url text primary key,
+  status text not null check (status in ('ok', 'paywalled', 'disallowed', 'too-short', 'failed')),
+  text text,
+  text_length integer not null default 0,
+  image_url text,
+  author text,
+  canonical_url text,
+  error text,
+  extracted_at timestamptz not null default now()
+);
+
+-- Per-source opt-in; NULL falls back to the default (off)
+alter table public.sources
+  add column if not exists full_text boolean;
+
+-- NULL extracted_text_length means the summary was written from the feed description
+alter table public.article_summaries
+  add column if not exists author text,
+  add column if not exists extracted_text_length integer;
@@ -0,0 +1,12 @@
+-- Canonical URLs and near-duplicate story clusters
+-- (see lib/canonical-url.js and lib/story-clusters.js)
+alter table public.article_summaries
+  add column if not exists canonical_url text,
+  add column if not exists cluster_id text,
+  add column if not exists minhash integer[];
+
+create index if not exists article_summaries_canonical_url_idx
+  on public.article_summaries (canonical_url);
+
+create index if not exists article_summaries_cluster_id_idx
+  on public.article_summaries (cluster_id);
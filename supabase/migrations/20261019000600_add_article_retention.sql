@@ -0,0 +1,20 @@
+-- Retention policy (see lib/retention.js): expired articles are soft-deleted
+-- by setting deleted_at, or moved to article_summaries_archive when
+-- RETENTION_MODE=archive.
+alter table public.article_summaries
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists article_summaries_live_idx
+  on public.article_summaries (source_id, published_at desc)
+  where deleted_at is null;
+
+create table if not exists public.article_summaries_archive (
+  like public.article_summaries including all
+);
+
+alter table public.article_summaries_archive
+  add column if not exists archived_at timestamptz not null default now();
+
+-- What the app should read: articles that haven't expired
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
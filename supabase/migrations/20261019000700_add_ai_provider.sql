@@ -0,0 +1,13 @@
+-- Which AI provider and model wrote each summary (see lib/ai-providers.js).
+-- NULL for rows enriched before providers were recorded.
+alter table public.article_summaries
+  add column if not exists ai_provider text,
+  add column if not exists ai_model text;
+
+alter table public.article_summaries_archive
+  add column if not exists ai_provider text,
+  add column if not exists ai_model text;
+
+-- A view's columns are fixed when it is created, so pick up the new ones
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
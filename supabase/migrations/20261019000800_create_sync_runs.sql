@@ -0,0 +1,22 @@
+-- One row per sync run (see lib/run-report.js). The headline numbers are
+-- columns for dashboards; `report` has the full per-source breakdown.
+create table if not exists public.sync_runs (
+  id bigint generated always as identity primary key,
+  started_at timestamptz not null,
+  finished_at timestamptz not null,
+  duration_ms integer not null,
+  status text not null check (status in ('ok', 'threshold-exceeded', 'failed')),
+  fetched integer not null default 0,
+  saved integer not null default 0,
+  flagged integer not null default 0,
+  removed integer not null default 0,
+  ai_calls integer not null default 0,
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  estimated_cost_usd numeric(12, 6),
+  errors text[] not null default '{}',
+  report jsonb not null
+);
+
+create index if not exists sync_runs_started_at_idx
+  on public.sync_runs (started_at desc);
@@ -0,0 +1,42 @@
+-- Detected article language and per-locale summaries (see lib/language.js).
+-- translations is keyed by locale:
+--   { "es": { "summary": "...", "categories": ["Tecnología: Robótica"],
+--             "provider": "anthropic", "model": "..." }, ... }
+-- ai_summary keeps the primary locale's summary for existing readers.
+alter table public.article_summaries
+  add column if not exists language text,
+  add column if not exists translations jsonb not null default '{}'::jsonb;
+
+-- Postgres has no "add constraint if not exists"
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'article_summaries_translations_object'
+  ) then
+    alter table public.article_summaries
+      add constraint article_summaries_translations_object
+      check (jsonb_typeof(translations) = 'object');
+  end if;
+end
+$$;
+
+alter table public.article_summaries_archive
+  add column if not exists language text,
+  add column if not exists translations jsonb not null default '{}'::jsonb;
+
+-- Every summary written so far is English
+update public.article_summaries
+  set translations = jsonb_build_object('en', jsonb_build_object(
+    'summary', ai_summary,
+    'categories', to_jsonb(coalesce(category_tags, '{}'::text[])),
+    'provider', ai_provider,
+    'model', ai_model
+  ))
+  where ai_summary is not null and translations = '{}'::jsonb;
+
+create index if not exists article_summaries_language_idx
+  on public.article_summaries (language);
+
+-- A view's columns are fixed when it is created, so pick up the new ones
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
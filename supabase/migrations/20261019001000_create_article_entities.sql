@@ -0,0 +1,30 @@
+-- Named entities and keywords per article (see lib/entities.js). entity_key
+-- is "<type>:<id>" after alias resolution, so "Google" and "Alphabet" share
+-- company:alphabet; keywords use "keyword:<slug>". salience is 0-1.
+create table if not exists public.article_entities (
+  article_url text not null references public.article_summaries (article_url) on delete cascade,
+  entity_key text not null,
+  name text not null,
+  type text not null check (type in ('company', 'person', 'product', 'place', 'organization', 'keyword')),
+  salience numeric(3, 2) not null check (salience between 0 and 1),
+  created_at timestamptz not null default now(),
+  primary key (article_url, entity_key)
+);
+
+-- "Articles about Nvidia", most central first
+create index if not exists article_entities_entity_key_idx
+  on public.article_entities (entity_key, salience desc);
+
+-- When entities were last extracted; null rows are picked up by the backfill
+alter table public.article_summaries
+  add column if not exists entities_extracted_at timestamptz;
+
+alter table public.article_summaries_archive
+  add column if not exists entities_extracted_at timestamptz;
+
+create index if not exists article_summaries_entities_backfill_idx
+  on public.article_summaries (published_at desc)
+  where entities_extracted_at is null and deleted_at is null;
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
@@ -0,0 +1,34 @@
+-- Article updates and corrections (see lib/article-revisions.js).
+-- fingerprint hashes the normalized title, description and image URL; a
+-- fetch with a different one updates the row, bumps revision_count and
+-- content_updated_at, and keeps the previous values in article_revisions.
+-- Existing rows get their fingerprint the next time their feed lists them.
+alter table public.article_summaries
+  add column if not exists fingerprint text,
+  add column if not exists revision_count integer not null default 0,
+  add column if not exists content_updated_at timestamptz;
+
+alter table public.article_summaries_archive
+  add column if not exists fingerprint text,
+  add column if not exists revision_count integer not null default 0,
+  add column if not exists content_updated_at timestamptz;
+
+create table if not exists public.article_revisions (
+  id bigint generated always as identity primary key,
+  article_url text not null references public.article_summaries (article_url) on delete cascade,
+  revised_at timestamptz not null default now(),
+  -- Any of title, description, image
+  changed_fields text[] not null,
+  -- Whether the summary was regenerated
+  material boolean not null,
+  previous_title text,
+  previous_description text,
+  previous_image_url text,
+  previous_summary text
+);
+
+create index if not exists article_revisions_article_idx
+  on public.article_revisions (article_url, revised_at desc);
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
@@ -0,0 +1,12 @@
+-- Sanitized feed HTML (see lib/html-sanitizer.js). description now holds the
+-- plain text sent to the model; description_html keeps the allow-listed
+-- markup for the app. Rows stored earlier have HTML in description until
+-- their feed lists them again.
+alter table public.article_summaries
+  add column if not exists description_html text;
+
+alter table public.article_summaries_archive
+  add column if not exists description_html text;
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
@@ -0,0 +1,23 @@
+-- Chosen article images (see lib/images.js). image_url stays the publisher's
+-- URL; the app shows image_cached_url when IMAGE_CACHE copies images, sizes
+-- its placeholder from image_width/image_height and draws image_blurhash
+-- while the image loads. Unknown values are null.
+alter table public.article_summaries
+  add column if not exists image_width integer,
+  add column if not exists image_height integer,
+  add column if not exists image_blurhash text,
+  add column if not exists image_cached_url text;
+
+alter table public.article_summaries_archive
+  add column if not exists image_width integer,
+  add column if not exists image_height integer,
+  add column if not exists image_blurhash text,
+  add column if not exists image_cached_url text;
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
+
+-- Public bucket for IMAGE_CACHE=supabase (IMAGE_CACHE_BUCKET)
+insert into storage.buckets (id, name, public)
+  values ('article-images', 'article-images', true)
+  on conflict (id) do nothing;
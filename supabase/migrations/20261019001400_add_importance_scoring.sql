@@ -0,0 +1,23 @@
+-- Importance scores for the top stories rail (see lib/importance.js).
+-- significance is the model's 0-1 rating from the analysis (null when it
+-- wasn't rated); importance_score, outlet_count and trending are recomputed
+-- every run for recent articles. The app sorts the rail by importance_score
+-- and highlights trending stories.
+alter table public.article_summaries
+  add column if not exists significance real,
+  add column if not exists importance_score real,
+  add column if not exists outlet_count integer,
+  add column if not exists trending boolean not null default false;
+
+alter table public.article_summaries_archive
+  add column if not exists significance real,
+  add column if not exists importance_score real,
+  add column if not exists outlet_count integer,
+  add column if not exists trending boolean not null default false;
+
+create index if not exists article_summaries_importance_score_idx
+  on public.article_summaries (importance_score desc)
+  where deleted_at is null;
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
@@ -0,0 +1,12 @@
+-- The type of the source an article came from ("rss" or "newsapi"). Source
+-- ids are only unique per type (see lib/sources.js), so settings such as
+-- fullText, fallbackLogo and trusted are looked up by type and id. Null on
+-- rows saved before this column existed.
+alter table public.article_summaries
+  add column if not exists source_type text;
+
+alter table public.article_summaries_archive
+  add column if not exists source_type text;
+
+create or replace view public.live_article_summaries as
+  select * from public.article_summaries where deleted_at is null;
@@ -0,0 +1,20 @@
+-- Bulk importance score update (see updateImportanceScores in
+-- sync-articles.js). Recency decay changes nearly every recent score each
+-- run, so scores are written a batch per call instead of a request per row.
+-- scores is a JSON array of { article_url, importance_score, outlet_count,
+-- trending }; returns the number of rows updated.
+create or replace function public.update_article_scores(scores jsonb)
+returns integer
+language sql
+as $$
+  with updated as (
+    update public.article_summaries as a
+    set importance_score = s.importance_score,
+        outlet_count = s.outlet_count,
+        trending = s.trending
+    from jsonb_to_recordset(scores) as s(article_url text, importance_score real, outlet_count integer, trending boolean)
+    where a.article_url = s.article_url
+    returning 1
+  )
+  select count(*)::integer from updated;
+$$;
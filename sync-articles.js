@@ -1,487 +1,1118 @@
 #!/usr/bin/env node
 
-const fetch = require('node-fetch');
-const { createClient } = require('@supabase/supabase-js');
-const Anthropic = require('@anthropic-ai/sdk');
+const { FeedParseError, parseFeedStream } = require('./lib/feed-parser');
+const { loadSources, getEnabledSources, findSource } = require('./lib/sources');
+const {
+  emptyFetchState,
+  loadFetchState,
+  saveFetchState,
+  conditionalHeaders,
+  getNextFetchTime,
+  isFetchDue,
+  recordFetchSuccess,
+  recordFetchFailure,
+} = require('./lib/fetch-state');
+const {
+  HTTPError,
+  TimeoutError,
+  ResponseSizeError,
+  readText,
+  requestWithRetry,
+} = require('./lib/http');
+const { createRobotsChecker } = require('./lib/robots');
+const { canonicalizeUrl, articleCanonicalUrl } = require('./lib/canonical-url');
+const { createStorage } = require('./lib/storage');
+const { USAGE, CLI_DEFAULTS, CLIUsageError, parseArgs } = require('./lib/cli');
+const {
+  NEWSAPI_DEFAULTS,
+  NewsAPIError,
+  isQuotaError,
+  loadNewsAPIQueries,
+  chunkSources,
+  toArticles,
+  createNewsAPIClient,
+} = require('./lib/newsapi');
+const {
+  RETENTION_MODES,
+  RETENTION_DEFAULTS,
+  RetentionSafetyError,
+  applyRetention,
+} = require('./lib/retention');
+const {
+  shingles,
+  minhashSignature,
+  clusterSignatures,
+  loadRecentSignatures,
+} = require('./lib/story-clusters');
+const {
+  EXTRACTION_STATUS,
+  extractArticle,
+  loadCachedExtraction,
+  saveExtraction,
+} = require('./lib/article-extractor');
+const { mapWithConcurrency, createBatcher } = require('./lib/concurrency');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { createAIProvider, loadPromptTemplate } = require('./lib/ai-providers');
+const { LOG_FORMATS, createLogger, routeConsole } = require('./lib/logger');
+const {
+  RUN_STATUS,
+  RUN_THRESHOLD_DEFAULTS,
+  buildSourceStats,
+  buildRunReport,
+  buildFailedRunReport,
+  saveRunReport,
+} = require('./lib/run-report');
+const {
+  ENRICHMENT_STATUS,
+  enrichmentPendingFields,
+  enrichmentSuccessFields,
+  enrichmentFailureFields,
+  loadRetryQueue,
+} = require('./lib/enrichment-queue');
+const { parseWebhooks, loadTemplates, createNotifier } = require('./lib/notifier');
+const { detectArticleLanguage, parseLocales } = require('./lib/language');
+const { localizeCategories } = require('./lib/category-labels');
+const { loadEntityAliases, createEntityResolver, entityRows, findKnownEntities } = require('./lib/entities');
+const { extractKeywords } = require('./lib/extractive-provider');
+const { REVISION_DEFAULTS, fingerprintArticle, detectRevision, revisionRow } = require('./lib/article-revisions');
+const {
+  ALERT_DEFAULTS,
+  DIGEST_EVENT,
+  runHistory,
+  detectAlerts,
+  isDigestDue,
+  buildDigest,
+} = require('./lib/alerts');
+const { IMAGE_DEFAULTS, createImagePipeline, createImageProber, createImageDownloader } = require('./lib/images');
+const { createImageCache } = require('./lib/image-cache');
+const { loadContentRules, createContentFilter } = require('./lib/content-rules');
+const { IMPORTANCE_DEFAULTS, scoreArticles } = require('./lib/importance');
 
 // Load environment variables
 require('dotenv').config();
 
 // Environment variables
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const NEWSAPI_KEY = process.env.NEWSAPI_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-// Initialize clients
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
-
-// Constants
-const NEWSAPI_ENDPOINT = 'https://newsapi.org/v2/top-headlines';
-const MAX_PROMPT_CHARS = 8000;
-
-// Available categories for AI tagging
-const AVAILABLE_CATEGORIES = {
-  Tech: [
-    'Artificial Intelligence (AI)',
-    'Machine Learning',
-    'Software Development',
-    'Cybersecurity',
-    'Cloud Computing',
-    'Gadgets & Devices',
-    'Startups & Innovation',
-    'Blockchain & Crypto',
-    'Mobile & Apps',
-    'Data Science',
-    'Web Development',
-    'Big Data',
-    'Robotics',
-    'AR/VR (Augmented/Virtual Reality)',
-    'Tech Policy & Regulation'
-  ],
-  Business: [
-    'Markets & Stocks',
-    'Finance & Investing',
-    'Leadership',
-    'Management',
-    'Marketing & Advertising',
-    'E-commerce',
-    'Mergers & Acquisitions',
-    'Small Business',
-    'Corporate Strategy',
-    'Economics',
-    'Real Estate',
-    'Human Resources',
-    'Supply Chain & Logistics',
-    'Sustainability & ESG (Environmental, Social, Governance)',
-    'Business Law'
-  ],
-  Entrepreneurship: [
-    'Startup Stories',
-    'Fundraising & Venture Capital',
-    'Pitching & Networking',
-    'Growth Hacking',
-    'Product Management',
-    'Bootstrapping',
-    'Founder Interviews',
-    'Incubators & Accelerators',
-    'Failure & Lessons Learned',
-    'Side Hustles',
-    'Remote Work & Digital Nomads'
-  ],
-  General: [
-    'World News',
-    'Politics',
-    'Science & Research',
-    'Health & Wellness',
-    'Education',
-    'Lifestyle',
-    'Opinion & Analysis',
-    'Culture & Society',
-    'Technology in Society',
-    'Work & Careers',
-    'Events & Conferences'
-  ]
+// Store, AI provider and notifier for the current run, set by
+// syncArticles(). Created from the environment unless the caller passes its
+// own (see lib/storage.js, lib/ai-providers.js and lib/notifier.js).
+let store = null;
+let aiProvider = null;
+let notifier = null;
+// Parsed SUMMARY_LOCALES for the current run
+let locales = ['en'];
+// Entity alias map for the current run and its resolver (lib/entities.js)
+let entityAliases = [];
+let entityResolver = createEntityResolver();
+// Image pipeline for the current run, null with IMAGE_SELECTION=false
+let images = null;
+// Content rules for the current run (lib/content-rules.js)
+let contentFilter = createContentFilter();
+
+// Integer setting from the environment, or the fallback when unset/invalid
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Boolean setting from the environment ("true"/"1"/"yes")
+function envBool(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes'].includes(value.toLowerCase());
+}
+
+// NewsAPI (see lib/newsapi.js)
+const NEWSAPI_SETTINGS = {
+  baseUrl: process.env.NEWSAPI_BASE_URL || NEWSAPI_DEFAULTS.baseUrl,
+  pageSize: envInt('NEWSAPI_PAGE_SIZE', NEWSAPI_DEFAULTS.pageSize),
+  maxPages: envInt('NEWSAPI_MAX_PAGES', NEWSAPI_DEFAULTS.maxPages),
+  maxRequests: envInt('NEWSAPI_MAX_REQUESTS', NEWSAPI_DEFAULTS.maxRequests),
+};
+const NEWSAPI_EVERYTHING_HOURS = envInt('NEWSAPI_EVERYTHING_HOURS', NEWSAPI_DEFAULTS.everythingHours);
+// "all" drops the language filter
+const NEWSAPI_LANGUAGE = process.env.NEWSAPI_LANGUAGE === 'all' ? null : (process.env.NEWSAPI_LANGUAGE || NEWSAPI_DEFAULTS.language);
+// "none" turns the /everything queries off
+const NEWSAPI_QUERIES_PATH = process.env.NEWSAPI_QUERIES_PATH || undefined;
+
+// Feed fetching
+const FEED_CONCURRENCY = envInt('FEED_CONCURRENCY', 4);
+const FEED_REQUEST_OPTIONS = {
+  timeoutMs: envInt('FEED_TIMEOUT_MS', 15000),
+  retries: envInt('FEED_RETRIES', 2),
+  maxRedirects: envInt('FEED_MAX_REDIRECTS', 5),
+  maxBytes: envInt('FEED_MAX_BYTES', 10 * 1024 * 1024),
+  userAgent: process.env.FEED_USER_AGENT || undefined,
 };
 
-// Flatten categories for easier reference
-const ALL_CATEGORIES = Object.entries(AVAILABLE_CATEGORIES).flatMap(([section, cats]) => 
-  cats.map(cat => `${section}: ${cat}`)
-);
-
-// RSS Sources
-const RSS_SOURCES = [
-  { id: 'techcrunch', name: 'TechCrunch', url: 'https://techcrunch.com/feed/' },
-  { id: 'ars-technica', name: 'Ars Technica', url: 'https://arstechnica.com/feed/' },
-  { id: 'engadget', name: 'Engadget', url: 'https://www.engadget.com/rss.xml' },
-  { id: 'venturebeat', name: 'VentureBeat', url: 'https://venturebeat.com/feed/' },
-  { id: 'gizmodo', name: 'Gizmodo', url: 'https://gizmodo.com/rss' },
-  { id: 'forbes', name: 'Forbes', url: 'https://www.forbes.com/business/feed/' },
-  { id: 'mashable', name: 'Mashable', url: 'https://mashable.com/feeds/rss/all' },
-];
-
-// NewsAPI Sources
-const NEWS_SOURCES = [
-  { id: 'techcrunch', name: 'TechCrunch', url: 'techcrunch.com', trusted: true },
-  { id: 'the-verge', name: 'The Verge', url: 'theverge.com', trusted: true },
-  { id: 'wired', name: 'Wired', url: 'wired.com', trusted: true },
-  { id: 'engadget', name: 'Engladget', url: 'engadget.com', trusted: true },
-  { id: 'ars-technica', name: 'Ars Technica', url: 'arstechnica.com', trusted: true },
-  { id: 'bloomberg', name: 'Bloomberg', url: 'bloomberg.com', trusted: true },
-  { id: 'forbes', name: 'Forbes', url: 'forbes.com', trusted: true },
-  { id: 'cnbc', name: 'CNBC', url: 'cnbc.com', trusted: true },
-  { id: 'financial-times', name: 'Financial Times', url: 'ft.com', trusted: true },
-  { id: 'business-insider', name: 'Business Insider', url: 'businessinsider.com', trusted: true },
-];
-
-const SOURCE_IDS = NEWS_SOURCES.map(s => s.id).join(',');
-
-// Logos
-const TECHCRUNCH_LOGO = 'https://upload.wikimedia.org/wikipedia/commons/thumb/b/b9/TechCrunch_logo.svg/2560px-TechCrunch_logo.svg.png';
-const ENGADGET_LOGO = 'https://static.tumblr.com/ea8828fc01b1c071a0dee325bea11572/s7zj4yw/FwVo10l6n/tumblr_static_tumblr_static_dyzju4tuhoo4kk8ckgogw4ggc_focused_v3.png';
-
-// Helper functions
-function decodeXMLEntities(text) {
-  return text
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
-    .replace(/&#x([\da-fA-F]+);/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-}
-
-function parseDate(dateString) {
-  try {
-    const date = new Date(dateString);
-    return date.toISOString();
-  } catch (error) {
-    console.error('Error parsing date:', dateString, error);
-    return new Date().toISOString();
-  }
+// Full-text extraction for sources with "fullText": true
+const FULL_TEXT_EXTRACTION = envBool('FULL_TEXT_EXTRACTION', true);
+const FULL_TEXT_CONCURRENCY = envInt('FULL_TEXT_CONCURRENCY', 2);
+const FULL_TEXT_CACHE_HOURS = envInt('FULL_TEXT_CACHE_HOURS', 7 * 24);
+const FULL_TEXT_FAILURE_CACHE_HOURS = envInt('FULL_TEXT_FAILURE_CACHE_HOURS', 1);
+const FULL_TEXT_REQUEST_OPTIONS = {
+  timeoutMs: envInt('FULL_TEXT_TIMEOUT_MS', 15000),
+  retries: 1,
+  maxBytes: envInt('FULL_TEXT_MAX_BYTES', 5 * 1024 * 1024),
+  userAgent: FEED_REQUEST_OPTIONS.userAgent,
+};
+
+// Image selection: rank every image a feed item offers, probe the best few
+// and optionally copy the chosen one (see lib/images.js and
+// lib/image-cache.js)
+const IMAGE_SELECTION = envBool('IMAGE_SELECTION', true);
+const IMAGE_PROBES = envBool('IMAGE_PROBES', true);
+const IMAGE_CONCURRENCY = envInt('IMAGE_CONCURRENCY', 4);
+const IMAGE_SETTINGS = {
+  maxProbes: envInt('IMAGE_MAX_PROBES', IMAGE_DEFAULTS.maxProbes),
+  minWidth: envInt('IMAGE_MIN_WIDTH', IMAGE_DEFAULTS.minWidth),
+};
+const IMAGE_REQUEST_OPTIONS = {
+  timeoutMs: envInt('IMAGE_PROBE_TIMEOUT_MS', IMAGE_DEFAULTS.probeTimeoutMs),
+  userAgent: FEED_REQUEST_OPTIONS.userAgent,
+};
+const IMAGE_MAX_BYTES = envInt('IMAGE_MAX_BYTES', IMAGE_DEFAULTS.maxBytes);
+
+function createDefaultImagePipeline() {
+  if (!IMAGE_SELECTION) return null;
+  return createImagePipeline({
+    ...IMAGE_SETTINGS,
+    probe: IMAGE_PROBES ? createImageProber(IMAGE_REQUEST_OPTIONS) : null,
+    download: createImageDownloader({ userAgent: IMAGE_REQUEST_OPTIONS.userAgent, maxBytes: IMAGE_MAX_BYTES }),
+    cache: createImageCache(),
+  });
 }
 
-// RSS Parsing - UNLIMITED FETCHING (removed slice limit)
-function parseRSSXML(xmlText, source) {
-  try {
-    const itemRegex = /<item[^>]*>([\s\S]*?)<\/item>/gi;
-    const titleRegex = /<title[^>]*>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/title>/i;
-    const descriptionRegex = /<description[^>]*>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/description>/i;
-    const linkRegex = /<link[^>]*>\s*(?:<!\[CDATA\[)?([^<]+?)(?:\]\]>)?\s*<\/link>/i;
-    const pubDateRegex = /<pubDate[^>]*>([^<]+)<\/pubDate>/i;
-    const mediaContentRegex = /<media:content[^>]*url=["']([^"']+)["'][^>]*>/i;
-    const mediaThumbnailRegex = /<media:thumbnail[^>]*url=["']([^"']+)["'][^>]*>/i;
-    const contentEncodedRegex = /<content:encoded[^>]*>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/content:encoded>/i;
-    const imgSrcRegex = /<img[^>]*src=["']([^"']+)["'][^>]*>/i;
-
-    const items = [];
-    let match;
-
-    while ((match = itemRegex.exec(xmlText)) !== null) {
-      const itemXml = match[1];
-
-      const titleMatch = itemXml.match(titleRegex);
-      const descriptionMatch = itemXml.match(descriptionRegex);
-      const linkMatch = itemXml.match(linkRegex);
-      const pubDateMatch = itemXml.match(pubDateRegex);
-      const mediaContentMatch = itemXml.match(mediaContentRegex);
-      const mediaThumbnailMatch = itemXml.match(mediaThumbnailRegex);
-      const contentEncodedMatch = itemXml.match(contentEncodedRegex);
-
-      let imageUrl = undefined;
-
-      if (source.id === 'engadget') {
-        const engadgetMediaRegex = /<media:content[^>]*url=["']([^"']+)["'][^>]*medium=["']image["'][^>]*>/gi;
-        const engadgetMatches = itemXml.match(engadgetMediaRegex);
-        if (engadgetMatches && engadgetMatches.length > 0) {
-          const urlMatch = engadgetMatches[0].match(/url=["']([^"']+)["']/);
-          if (urlMatch) {
-            imageUrl = urlMatch[1];
-          }
-        }
-      } else {
-        if (mediaContentMatch) {
-          imageUrl = mediaContentMatch[1];
-        } else if (mediaThumbnailMatch) {
-          imageUrl = mediaThumbnailMatch[1];
-        } else {
-          let html = '';
-          if (descriptionMatch) html += descriptionMatch[1];
-          if (contentEncodedMatch) html += contentEncodedMatch[1];
-          const imgMatch = html.match(imgSrcRegex);
-          if (imgMatch) {
-            imageUrl = imgMatch[1];
-          }
-        }
-      }
+// Near-duplicate clustering against articles published in the last window
+const CLUSTER_WINDOW_HOURS = envInt('CLUSTER_WINDOW_HOURS', 72);
+const CLUSTER_SIMILARITY = envInt('CLUSTER_SIMILARITY_PERCENT', 50) / 100;
 
-      if (!imageUrl && source.id === 'techcrunch') {
-        imageUrl = TECHCRUNCH_LOGO;
-      }
-      if (!imageUrl && source.id === 'engadget') {
-        imageUrl = ENGADGET_LOGO;
-      }
+// Retention of stored articles
+const RETENTION_POLICY = {
+  keepDays: envInt('RETENTION_DAYS', RETENTION_DEFAULTS.keepDays),
+  minPerSource: envInt('RETENTION_MIN_PER_SOURCE', RETENTION_DEFAULTS.minPerSource),
+  maxRemovePercent: envInt('RETENTION_MAX_REMOVE_PERCENT', RETENTION_DEFAULTS.maxRemovePercent),
+  mode: RETENTION_MODES.includes(process.env.RETENTION_MODE) ? process.env.RETENTION_MODE : RETENTION_DEFAULTS.mode,
+};
 
-      let mainContent = '';
-      if (contentEncodedMatch) {
-        mainContent = decodeXMLEntities(contentEncodedMatch[1].trim());
-      } else if (descriptionMatch) {
-        mainContent = decodeXMLEntities(descriptionMatch[1].trim());
-      }
+// AI enrichment pipeline
+const AI_CONCURRENCY = envInt('AI_CONCURRENCY', 4);
+const SAVE_BATCH_SIZE = envInt('SAVE_BATCH_SIZE', 50);
+const AI_BATCH_API = envBool('AI_BATCH_API', false);
+const AI_BATCH_MIN_ARTICLES = envInt('AI_BATCH_MIN_ARTICLES', 100);
+const AI_BATCH_MAX_WAIT_MS = envInt('AI_BATCH_MAX_WAIT_MS', 15 * 60 * 1000);
+const ENRICHMENT_RETRY_LIMIT = envInt('ENRICHMENT_RETRY_LIMIT', 100);
+// Share of --limit kept for material updates and retries (see applyLimit)
+const LIMIT_BACKLOG_PERCENT = envInt('LIMIT_BACKLOG_PERCENT', 50);
+
+// Shared by every AI worker
+const aiRateLimiter = createRateLimiter({
+  requestsPerMinute: envInt('ANTHROPIC_REQUESTS_PER_MINUTE', 50),
+  tokensPerMinute: envInt('ANTHROPIC_TOKENS_PER_MINUTE', 40000),
+});
 
-      if (titleMatch && linkMatch) {
-        let cleanTitle = decodeXMLEntities(titleMatch[1].trim());
-        cleanTitle = cleanTitle.replace(/<!\[CDATA\[(.*?)\]\]>/g, '$1').trim();
-        
-        let cleanLink = linkMatch[1].trim();
-        cleanLink = cleanLink.replace(/<!\[CDATA\[(.*?)\]\]>/g, '$1').trim();
-
-        items.push({
-          title: cleanTitle,
-          description: mainContent,
-          link: cleanLink,
-          pubDate: pubDateMatch ? pubDateMatch[1].trim() : new Date().toISOString(),
-          imageUrl,
-        });
-      }
-    }
+// Model provider for summaries and categories, configured from the environment
+function createDefaultAIProvider() {
+  return createAIProvider({
+    provider: process.env.AI_PROVIDER || 'anthropic',
+    fallbackProvider: process.env.AI_FALLBACK_PROVIDER || null,
+    model: process.env.AI_MODEL || undefined,
+    maxTokens: envInt('AI_MAX_TOKENS', 400),
+    maxPromptChars: envInt('AI_MAX_PROMPT_CHARS', 8000),
+    promptTemplate: process.env.AI_PROMPT_FILE ? loadPromptTemplate(process.env.AI_PROMPT_FILE) : undefined,
+    limiter: aiRateLimiter,
+    defaultCategory: getDefaultCategory,
+    entityAliases,
+    anthropic: {
+      apiKey: ANTHROPIC_API_KEY,
+      batch: { enabled: AI_BATCH_API, minArticles: AI_BATCH_MIN_ARTICLES, maxWaitMs: AI_BATCH_MAX_WAIT_MS },
+    },
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || undefined,
+      apiKey: process.env.OPENAI_API_KEY || null,
+      requestOptions: { timeoutMs: envInt('OPENAI_TIMEOUT_MS', 60000) },
+    },
+  });
+}
 
-    // UNLIMITED FETCHING - Return ALL items instead of limiting to 100
-    return items.map((item, index) => ({
-      id: item.link || `${item.title}-${index}`,
-      title: item.title,
-      description: item.description,
-      url: item.link,
-      urlToImage: item.imageUrl,
-      publishedAt: parseDate(item.pubDate),
-      source: {
-        id: source.id,
-        name: source.name,
-      },
-    }));
+// Locales summaries are written in, primary first (see lib/language.js)
+const SUMMARY_LOCALES = process.env.SUMMARY_LOCALES || 'en';
+
+// Entity alias map (default config/entity-aliases.json), and how many
+// articles enriched before entities existed get them each run
+const ENTITY_ALIASES_PATH = process.env.ENTITY_ALIASES_PATH || undefined;
+const ENTITY_BACKFILL_LIMIT = envInt('ENTITY_BACKFILL_LIMIT', 200);
+
+// Content rules dropping fetched articles before enrichment (default
+// config/content-rules.json, "none" for no filtering)
+const CONTENT_RULES_PATH = process.env.CONTENT_RULES_PATH || undefined;
+
+// Importance scores and trending flags for the top stories rail (see
+// lib/importance.js), recomputed for the last IMPORTANCE_WINDOW_HOURS of
+// articles every run
+const IMPORTANCE_SCORING = envBool('IMPORTANCE_SCORING', true);
+const IMPORTANCE_SETTINGS = {
+  windowHours: envInt('IMPORTANCE_WINDOW_HOURS', IMPORTANCE_DEFAULTS.windowHours),
+  halfLifeHours: envInt('IMPORTANCE_HALF_LIFE_HOURS', IMPORTANCE_DEFAULTS.halfLifeHours),
+  trendingMinOutlets: envInt('TRENDING_MIN_OUTLETS', IMPORTANCE_DEFAULTS.trendingMinOutlets),
+  trendingWindowHours: envInt('TRENDING_WINDOW_HOURS', IMPORTANCE_DEFAULTS.trendingWindowHours),
+};
+const IMPORTANCE_LIMIT = envInt('IMPORTANCE_LIMIT', 5000);
 
-  } catch (error) {
-    console.error('Error parsing RSS XML:', error);
-    return [];
-  }
+// Update stored articles whose title, description or image changed (see
+// lib/article-revisions.js)
+const ARTICLE_UPDATES = envBool('ARTICLE_UPDATES', true);
+const REVISION_SETTINGS = {
+  materialSimilarity: envInt('REVISION_MATERIAL_SIMILARITY_PERCENT', REVISION_DEFAULTS.materialSimilarity * 100) / 100,
+};
+
+// Run report and error thresholds (see lib/run-report.js)
+const SYNC_REPORT_FILE = process.env.SYNC_REPORT_FILE || 'sync-report.json';
+const RUN_THRESHOLDS = {
+  maxFailedSourcePercent: envInt('SYNC_MAX_FAILED_SOURCES_PERCENT', RUN_THRESHOLD_DEFAULTS.maxFailedSourcePercent),
+  maxFlaggedPercent: envInt('SYNC_MAX_FLAGGED_PERCENT', RUN_THRESHOLD_DEFAULTS.maxFlaggedPercent),
+  maxSaveErrors: envInt('SYNC_MAX_SAVE_ERRORS', RUN_THRESHOLD_DEFAULTS.maxSaveErrors),
+};
+
+// Webhook notifications (see lib/notifier.js and lib/alerts.js)
+const ALERT_SETTINGS = {
+  ...ALERT_DEFAULTS,
+  sourceFailureRuns: envInt('NOTIFY_SOURCE_FAILURE_RUNS', ALERT_DEFAULTS.sourceFailureRuns),
+  aiErrorPercent: envInt('NOTIFY_AI_ERROR_PERCENT', ALERT_DEFAULTS.aiErrorPercent),
+  aiMinAttempts: envInt('NOTIFY_AI_MIN_ATTEMPTS', ALERT_DEFAULTS.aiMinAttempts),
+  cleanupMinRows: envInt('NOTIFY_CLEANUP_MIN_ROWS', ALERT_DEFAULTS.cleanupMinRows),
+  cleanupFactor: envInt('NOTIFY_CLEANUP_FACTOR', ALERT_DEFAULTS.cleanupFactor),
+};
+const NOTIFY_DAILY_DIGEST = envBool('NOTIFY_DAILY_DIGEST', false);
+const NOTIFY_DIGEST_HOUR = envInt('NOTIFY_DIGEST_HOUR', 8);
+// Earlier runs loaded for alerts and the digest
+const NOTIFY_HISTORY_RUNS = Math.max(100, ALERT_SETTINGS.sourceFailureRuns);
+
+function createDefaultNotifier() {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return createNotifier({
+    webhooks: parseWebhooks(process.env.NOTIFY_WEBHOOKS),
+    templates: process.env.NOTIFY_TEMPLATES_FILE ? loadTemplates(process.env.NOTIFY_TEMPLATES_FILE) : undefined,
+    events: process.env.NOTIFY_EVENTS ? process.env.NOTIFY_EVENTS.split(',').map(event => event.trim()) : undefined,
+    runUrl: GITHUB_RUN_ID ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}` : null,
+  });
 }
 
-// Fetch RSS Feed
-async function fetchRSSFeed(source) {
+// Logging (see lib/logger.js)
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'text';
+const LOG_FILE = process.env.LOG_FILE || null;
+
+// Outcome of fetching one source
+const FETCH_STATUS = {
+  OK: 'ok',
+  NOT_MODIFIED: 'not-modified',
+  SKIPPED: 'skipped',
+  TIMEOUT: 'timeout',
+  HTTP_ERROR: 'http-error',
+  PARSE_ERROR: 'parse-error',
+  TOO_LARGE: 'too-large',
+  NETWORK_ERROR: 'network-error',
+  API_ERROR: 'api-error',
+  QUOTA_EXCEEDED: 'quota-exceeded',
+};
+
+// Source registry, loaded at the start of each sync (see lib/sources.js)
+let sources = [];
+
+// The registry entry an article came from, or null. Ids are only unique per
+// source type; rows stored before their source_type was saved match by id
+// when only one source has it.
+function articleSource(article) {
+  const { id, type } = article.source;
+  if (type) return findSource(sources, type, id) || null;
+  const matches = sources.filter(s => s.id === id);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// The category of the NewsAPI query that found the article, or the source's
+// configured defaultCategory. Used when the model returns a good summary but
+// no category we recognize.
+function getDefaultCategory(article) {
+  if (article.queryCategory) return article.queryCategory;
+  const source = articleSource(article);
+  return source ? source.defaultCategory : null;
+}
+
+// Fetch RSS Feed with a conditional GET. Always resolves to a structured
+// result: { sourceId, status, articles, error, httpStatus, attempts,
+// durationMs, fetchState }. A 304 skips parsing entirely.
+async function fetchRSSFeed(source, fetchState = emptyFetchState(source.id)) {
+  const startedAt = Date.now();
+  const result = (status, fields) => ({
+    sourceId: source.id,
+    sourceName: source.name,
+    status,
+    articles: [],
+    error: null,
+    httpStatus: null,
+    attempts: 0,
+    durationMs: Date.now() - startedAt,
+    ...fields,
+  });
+
   try {
     console.log(`Fetching RSS feed for ${source.name}: ${source.url}`);
     
-    const response = await fetch(source.url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const { response, body: articles, attempts } = await requestWithRetry(
+      source.url,
+      { ...FEED_REQUEST_OPTIONS, headers: conditionalHeaders(fetchState) },
+      (res, stream) => parseFeedStream(stream, source)
+    );
+
+    if (response.status === 304) {
+      console.log(`♻️  ${source.name} not modified since last fetch`);
+      return result(FETCH_STATUS.NOT_MODIFIED, {
+        httpStatus: 304,
+        attempts,
+        fetchState: recordFetchSuccess(fetchState, { status: 304 }),
+      });
     }
     
-    const xmlText = await response.text();
-    console.log(`RSS response length: ${xmlText.length} characters`);
-    
-    const articles = parseRSSXML(xmlText, source);
     console.log(`📰 Parsed ${articles.length} articles from ${source.name} (UNLIMITED)`);
     
-    return articles;
+    return result(FETCH_STATUS.OK, {
+      articles,
+      httpStatus: response.status,
+      attempts,
+      fetchState: recordFetchSuccess(fetchState, {
+        status: response.status,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        itemCount: articles.length,
+      }),
+    });
   } catch (error) {
-    console.error(`Error fetching RSS feed for ${source.name}:`, error);
-    return [];
+    console.error(`Error fetching RSS feed for ${source.name}: ${error.message}`);
+    const httpStatus = error instanceof HTTPError ? error.status : null;
+    return result(classifyFetchError(error), {
+      error: error.message,
+      httpStatus,
+      attempts: error.attempts || 1,
+      fetchState: recordFetchFailure(fetchState, error, httpStatus),
+    });
   }
 }
 
-// Fetch all RSS feeds with unlimited articles
-async function fetchAllRSSFeeds() {
+function classifyFetchError(error) {
+  if (isQuotaError(error)) return FETCH_STATUS.QUOTA_EXCEEDED;
+  if (error instanceof NewsAPIError) return FETCH_STATUS.API_ERROR;
+  if (error instanceof TimeoutError) return FETCH_STATUS.TIMEOUT;
+  if (error instanceof HTTPError) return FETCH_STATUS.HTTP_ERROR;
+  if (error instanceof FeedParseError) return FETCH_STATUS.PARSE_ERROR;
+  if (error instanceof ResponseSizeError) return FETCH_STATUS.TOO_LARGE;
+  return FETCH_STATUS.NETWORK_ERROR;
+}
+
+// Fetch all due RSS feeds in parallel (at most FEED_CONCURRENCY at a time).
+// Feeds that were not due, answered 304 or failed are reported in
+// unfetchedSourceIds so their stored articles are kept; `results` has one
+// entry per source. The state of feeds that returned articles is saved
+// later, by saveFeedFetchStates; with dryRun no state is saved.
+async function fetchAllRSSFeeds({ dryRun = false } = {}) {
   console.log('🚀 Fetching ALL RSS feeds with unlimited articles...');
   
   const allArticles = [];
+  const unfetchedSourceIds = new Set();
+  const fetchStates = await loadFetchState(store);
   
-  for (const source of RSS_SOURCES) {
-    try {
-      const articles = await fetchRSSFeed(source);
-      const filtered = articles.filter(a => !/^test\d*$/i.test(a.title.trim()));
-      allArticles.push(...filtered);
-      console.log(`✅ Added ${filtered.length} articles from ${source.name}`);
-    } catch (error) {
-      console.error(`❌ Error fetching RSS for ${source.name}:`, error);
+  const results = await mapWithConcurrency(getEnabledSources(sources, 'rss'), FEED_CONCURRENCY, async (source) => {
+    const fetchState = fetchStates.get(source.id) || emptyFetchState(source.id);
+
+    if (!isFetchDue(source, fetchState)) {
+      const next = getNextFetchTime(source, fetchState);
+      const reason = fetchState.consecutiveFailures > 0
+        ? `backing off after ${fetchState.consecutiveFailures} failures`
+        : 'fetched recently';
+      console.log(`⏭️  Skipping ${source.name} (${reason}), next fetch after ${next.toISOString()}`);
+      return {
+        sourceId: source.id,
+        sourceName: source.name,
+        status: FETCH_STATUS.SKIPPED,
+        articles: [],
+        error: null,
+        httpStatus: null,
+        attempts: 0,
+        durationMs: 0,
+        fetchState,
+      };
+    }
+
+    const result = await fetchRSSFeed(source, fetchState);
+    if (!dryRun && result.status !== FETCH_STATUS.OK) await saveFetchState(store, result.fetchState);
+    return { ...result, previousFetchState: fetchState };
+  });
+
+  for (const result of results) {
+    if (result.status !== FETCH_STATUS.OK) {
+      unfetchedSourceIds.add(result.sourceId);
+    }
+
+    if (result.status === FETCH_STATUS.OK) {
+      allArticles.push(...result.articles);
+      console.log(`✅ Added ${result.articles.length} articles from ${result.sourceName}`);
+    } else if (result.status !== FETCH_STATUS.SKIPPED && result.status !== FETCH_STATUS.NOT_MODIFIED) {
+      console.error(`❌ ${result.sourceName}: ${result.status} after ${result.attempts} attempt(s) (${result.fetchState.consecutiveFailures} failures in a row): ${result.error}`);
     }
   }
   
   console.log(`🎉 Total RSS articles fetched: ${allArticles.length}`);
-  return allArticles;
+  return { articles: allArticles, unfetchedSourceIds, results };
 }
 
-// Fetch from NewsAPI (keep existing logic)
+// Save the fetch state of the feeds that returned articles, once the run
+// has saved those articles. A feed whose articles failed to save keeps its
+// previous validators, so the next conditional GET returns the items again
+// instead of a 304.
+async function saveFeedFetchStates(results, unsavedSourceIds) {
+  for (const result of results.filter(r => r.status === FETCH_STATUS.OK)) {
+    const { fetchState, previousFetchState } = result;
+    await saveFetchState(store, unsavedSourceIds.has(result.sourceId)
+      ? { ...fetchState, etag: previousFetchState.etag, lastModified: previousFetchState.lastModified }
+      : fetchState);
+  }
+}
+
+// Fetch from NewsAPI: top headlines of every NewsAPI source, then each
+// /everything query (NEWSAPI_QUERIES_PATH) restricted to those sources.
+// Resolves to { articles, unfetchedSourceIds, results } with one result per
+// NewsAPI source, shaped like fetchRSSFeed's. A source is unfetched when its
+// top-headlines request failed; a failed query is logged and skipped.
+// Without NEWSAPI_KEY every source is skipped, like a feed that isn't due.
 async function fetchFromNewsAPI() {
-  try {
-    const url = `${NEWSAPI_ENDPOINT}?apiKey=${NEWSAPI_KEY}&language=en&pageSize=100&sources=${SOURCE_IDS}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (!data.articles) throw new Error('No articles found');
+  const newsSources = getEnabledSources(sources, 'newsapi');
+  if (newsSources.length === 0) {
+    console.log('No NewsAPI sources enabled');
+    return { articles: [], unfetchedSourceIds: new Set(), results: [] };
+  }
+  if (!NEWSAPI_KEY) {
+    console.log(`⏭️  Skipping ${newsSources.length} NewsAPI sources (NEWSAPI_KEY is not set)`);
+    return {
+      articles: [],
+      unfetchedSourceIds: new Set(newsSources.map(s => s.id)),
+      results: newsSources.map(source => ({
+        sourceId: source.id,
+        sourceName: source.name,
+        status: FETCH_STATUS.SKIPPED,
+        articles: [],
+        error: null,
+      })),
+    };
+  }
+  const queries = NEWSAPI_QUERIES_PATH === 'none' ? [] : loadNewsAPIQueries(NEWSAPI_QUERIES_PATH);
 
-    const filtered = data.articles.filter((a) =>
-      NEWS_SOURCES.some(s => a.source && a.source.name && a.source.name.toLowerCase().includes(s.name.toLowerCase()))
-    );
+  const client = createNewsAPIClient({
+    apiKey: NEWSAPI_KEY,
+    ...NEWSAPI_SETTINGS,
+    requestOptions: { timeoutMs: FEED_REQUEST_OPTIONS.timeoutMs },
+  });
+  const articles = [];
+  const failures = new Map();
 
-    const articles = filtered.map((a, idx) => {
-      const source = NEWS_SOURCES.find(s => a.source && a.source.name && a.source.name.toLowerCase().includes(s.name.toLowerCase()));
-      return {
-        id: a.url || `${a.title}-${idx}`,
-        title: a.title,
-        description: a.description || '',
-        url: a.url,
-        urlToImage: a.urlToImage,
-        publishedAt: a.publishedAt,
-        source: { id: source?.id || 'unknown', name: a.source?.name || 'Unknown' },
-      };
-    });
+  for (const chunk of chunkSources(newsSources)) {
+    try {
+      const { articles: raw, pages } = await client.fetchPages('top-headlines', { sources: chunk.map(s => s.id).join(',') });
+      articles.push(...toArticles(raw, chunk));
+      console.log(`Fetched ${raw.length} NewsAPI top headlines (${pages} pages) for ${chunk.length} sources`);
+    } catch (error) {
+      console.error(`Error fetching NewsAPI top headlines: ${error.message}`);
+      chunk.forEach(source => failures.set(source.id, error));
+    }
+  }
 
-    console.log(`Fetched ${articles.length} articles from NewsAPI`);
-    return articles;
-  } catch (error) {
-    console.error('Error fetching from NewsAPI:', error);
-    return [];
+  const from = new Date(Date.now() - NEWSAPI_EVERYTHING_HOURS * 60 * 60 * 1000).toISOString();
+  for (const query of queries) {
+    try {
+      const { articles: raw } = await client.fetchPages('everything', {
+        q: query.q,
+        domains: newsSources.map(s => s.url).filter(Boolean).join(','),
+        language: NEWSAPI_LANGUAGE,
+        from,
+        sortBy: 'publishedAt',
+      });
+      const matched = toArticles(raw, newsSources, { queryCategory: query.category });
+      articles.push(...matched);
+      console.log(`🔎 NewsAPI query "${query.id}": ${matched.length} articles`);
+    } catch (error) {
+      console.error(`Error running NewsAPI query "${query.id}": ${error.message}`);
+    }
   }
+
+  console.log(`Fetched ${articles.length} articles from NewsAPI in ${client.requests} requests`);
+  const results = newsSources.map((source) => {
+    const error = failures.get(source.id);
+    return {
+      sourceId: source.id,
+      sourceName: source.name,
+      status: error ? classifyFetchError(error) : FETCH_STATUS.OK,
+      articles: error ? [] : articles.filter(a => a.source.id === source.id),
+      error: error ? error.message : null,
+    };
+  });
+  return { articles, unfetchedSourceIds: new Set(failures.keys()), results };
 }
 
 // Get all existing article URLs from database (optimized query)
-async function getExistingArticleUrls() {
+// Stored articles keyed by URL and canonical URL, deleted ones included
+async function getExistingArticles() {
   try {
-    console.log('🔍 Fetching existing article URLs from database...');
+    console.log('🔍 Fetching existing articles from database...');
     
-    const { data, error } = await supabase
-      .from('article_summaries')
-      .select('article_url');
-
-    if (error) {
-      console.error('Error fetching existing articles:', error);
-      return new Set();
-    }
+    const data = await store.listArticles({
+      columns: ['article_url', 'canonical_url', 'source_id', 'fingerprint', 'enrichment_status', 'deleted_at'],
+      includeDeleted: true,
+    });
 
-    const existingUrls = new Set(data.map(article => article.article_url));
-    console.log(`📊 Found ${existingUrls.size} existing articles in database`);
+    // Both forms, so a variant of a stored URL is not treated as new
+    const existing = new Map();
+    data.forEach(article => {
+      existing.set(article.article_url, article);
+      existing.set(article.canonical_url || canonicalizeUrl(article.article_url), article);
+    });
+    console.log(`📊 Found ${data.length} existing articles in database`);
     
-    return existingUrls;
+    return existing;
   } catch (error) {
-    console.error('Error getting existing article URLs:', error);
-    return new Set();
+    console.error('Error getting existing articles:', error.message);
+    return new Map();
   }
 }
 
-// Generate AI Summary and Categories
-async function generateAISummaryAndCategories(article) {
-  try {
-    let content = article.description || '';
-    if (content.length > MAX_PROMPT_CHARS) {
-      content = content.slice(0, MAX_PROMPT_CHARS);
+// Fetched articles we already store whose fingerprint changed:
+// [{ article, row, changes, material }], with article.url set to the stored
+// URL. Rows saved before fingerprints existed are compared field by field;
+// unchanged ones come back with no changes so their fingerprint gets saved.
+// Only live, enriched rows are checked (the retry queue has the others),
+// and only against their own source: a syndicated copy isn't an edit.
+async function detectArticleUpdates(articles, existing) {
+  if (!ARTICLE_UPDATES) return [];
+
+  const updates = [];
+  for (const article of articles) {
+    const stored = existing.get(article.url) || existing.get(articleCanonicalUrl(article));
+    if (!stored || stored.deleted_at || stored.enrichment_status !== ENRICHMENT_STATUS.DONE) continue;
+    if (stored.source_id !== article.source.id) continue;
+    if (stored.fingerprint === fingerprintArticle(article)) continue;
+
+    try {
+      const row = await store.getArticle(stored.article_url);
+      if (!row) continue;
+      updates.push({ article: { ...article, id: row.article_url, url: row.article_url }, row, ...detectRevision(row, article, REVISION_SETTINGS) });
+    } catch (error) {
+      console.error(`Error loading stored article ${stored.article_url}:`, error.message);
     }
+  }
+  return updates;
+}
 
-    const categoriesList = ALL_CATEGORIES.join('\n');
-
-    const response = await anthropic.messages.create({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 300,
-      messages: [{
-        role: 'user',
-        content: `Analyze this news article and provide:
-1. A 3-4 sentence summary focusing on the most important facts, broader context, and potential impact
-2. Select 1-3 most relevant categories from the list below
-
-Title: ${article.title}
-Content: ${content}
-
-Available categories:
-${categoriesList}
-
-Format your response as:
-SUMMARY: [your summary]
-CATEGORIES: [category1, category2, category3]
-
-Rules for categories:
-- Select minimum 1, maximum 3 categories
-- Use exact category names from the list
-- Choose the most specific and relevant categories
-- Order by relevance (most relevant first)`
-      }]
-    });
+// Save updates that keep their summary: a new image or small text edits
+// update the row and are recorded as revisions; rows that only lacked a
+// fingerprint get one. Resolves to the number of articles revised.
+async function saveMinorUpdates(updates, now = new Date()) {
+  let revised = 0;
+  for (const update of updates) {
+    const { article, row, changes } = update;
+    // The description is always rewritten so rows stored before HTML
+    // sanitizing get the plain text and sanitized HTML
+    const fields = {
+      fingerprint: article.fingerprint || fingerprintArticle(article),
+      description: article.description,
+      description_html: article.descriptionHtml || null,
+    };
+    if (changes.length > 0) {
+      if (changes.includes('image')) await selectImages([article]);
+      Object.assign(fields, {
+        article_title: article.title,
+        ...imageFields(article),
+        revision_count: (row.revision_count || 0) + 1,
+        content_updated_at: now.toISOString(),
+      });
+    }
 
-    const responseText = response.content[0]?.type === 'text' ? response.content[0].text : '';
-    
-    // Parse the response
-    const summaryMatch = responseText.match(/SUMMARY:\s*([\s\S]*?)(?=CATEGORIES:|$)/);
-    const categoriesMatch = responseText.match(/CATEGORIES:\s*([\s\S]*?)$/);
-    
-    const summary = summaryMatch ? summaryMatch[1].trim() : 'Summary not available';
-    let categories = [];
-    
-    if (categoriesMatch) {
-      const categoriesText = categoriesMatch[1].trim();
-      // Extract categories from the text
-      categories = categoriesText.split(',')
-        .map(cat => cat.trim())
-        .filter(cat => ALL_CATEGORIES.includes(cat))
-        .slice(0, 3); // Ensure max 3 categories
+    try {
+      await store.updateArticle(row.article_url, fields);
+      if (changes.length > 0) {
+        await store.insertRevisions([revisionRow(row, update, now)]);
+        console.log(`✏️  Updated: ${article.title.substring(0, 50)}... (${changes.join(', ')})`);
+        revised++;
+      }
+    } catch (error) {
+      console.error(`Error updating ${row.article_url}:`, error.message);
     }
-    
-    // Fallback to at least one category if none were properly parsed
-    if (categories.length === 0) {
-      categories = ['General: Opinion & Analysis'];
+  }
+  return revised;
+}
+
+// Material updates are enriched again like new articles; article.revision
+// carries the revision to record once the new summary is saved
+function toRevisedArticle({ article, row, changes, material }, now = new Date()) {
+  return {
+    ...article,
+    clustering: { minhash: row.minhash || null, cluster_id: row.cluster_id || null },
+    revision: { row: revisionRow(row, { changes, material }, now), count: (row.revision_count || 0) + 1 },
+  };
+}
+
+// robots.txt is read once per site per run. A 4xx means there is none.
+const robots = createRobotsChecker(async (robotsUrl) => {
+  try {
+    const { body } = await requestWithRetry(robotsUrl, FULL_TEXT_REQUEST_OPTIONS, (res, stream) => readText(stream));
+    return body;
+  } catch (error) {
+    if (error instanceof HTTPError && error.status >= 400 && error.status < 500) return null;
+    throw error;
+  }
+});
+
+function wantsFullText(article) {
+  const source = articleSource(article);
+  return FULL_TEXT_EXTRACTION && Boolean(source && source.fullText);
+}
+
+// Fetch the article page (respecting robots.txt) and extract its text.
+// Results, including failures, are cached in article_extractions.
+async function fetchFullText(article) {
+  const cached = await loadCachedExtraction(store, article.url, {
+    maxAgeHours: FULL_TEXT_CACHE_HOURS,
+    failedMaxAgeHours: FULL_TEXT_FAILURE_CACHE_HOURS,
+  });
+  if (cached) return cached;
+
+  let extraction;
+  try {
+    if (!(await robots.isAllowed(article.url))) {
+      extraction = { status: EXTRACTION_STATUS.DISALLOWED, text: null, textLength: 0 };
+    } else {
+      const { body } = await requestWithRetry(article.url, FULL_TEXT_REQUEST_OPTIONS, (res, stream) => readText(stream));
+      extraction = extractArticle(body, article.url);
     }
-    
-    return { summary, categories };
   } catch (error) {
-    console.error('Error generating AI summary and categories:', error);
-    return {
-      summary: 'AI summary temporarily unavailable',
-      categories: ['General: Opinion & Analysis']
-    };
+    extraction = { status: EXTRACTION_STATUS.FAILED, text: null, textLength: 0, error: error.message };
   }
+
+  await saveExtraction(store, article.url, extraction);
+  return extraction;
 }
 
-// Get or create AI summary and categories from Supabase
+// Attach extracted text (and the page's og:image and author when the feed
+// had none) to articles from opted-in sources. Paywalled, disallowed and
+// failed pages keep the feed description.
+async function addFullText(articles) {
+  const candidates = articles.filter(wantsFullText);
+  if (candidates.length === 0) return;
+
+  const counts = {};
+  await mapWithConcurrency(candidates, FULL_TEXT_CONCURRENCY, async (article) => {
+    const extraction = await fetchFullText(article);
+    counts[extraction.status] = (counts[extraction.status] || 0) + 1;
+    if (extraction.canonicalUrl) article.canonicalUrl = extraction.canonicalUrl;
+    if (extraction.status !== EXTRACTION_STATUS.OK) return;
+
+    article.fullText = extraction.text;
+    article.extractedTextLength = extraction.textLength;
+    if (extraction.author && !article.author) article.author = extraction.author;
+    article.pageImageUrl = extraction.imageUrl;
+
+    const source = articleSource(article);
+    if (extraction.imageUrl && (!article.urlToImage || (source && source.fallbackLogo && article.urlToImage === source.fallbackLogo))) {
+      article.urlToImage = extraction.imageUrl;
+    }
+  });
+
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`📰 Full-text extraction for ${candidates.length} articles: ${summary}`);
+}
+
+// Choose each article's image with the run's image pipeline. Rows from the
+// retry queue keep the image chosen when they were first saved.
+async function selectImages(articles) {
+  if (!images) return;
+  const pending = articles.filter(article => article.image === undefined);
+  const logos = sources.map(source => source.fallbackLogo).filter(Boolean);
+
+  await mapWithConcurrency(pending, IMAGE_CONCURRENCY, async (article) => {
+    const source = articleSource(article);
+    try {
+      article.image = await images.select(article, { fallbackLogo: source ? source.fallbackLogo : null, logos });
+    } catch (error) {
+      console.error(`🖼️  Image selection failed for ${article.url}: ${error.message}`);
+      return;
+    }
+    article.urlToImage = article.image ? article.image.url : null;
+  });
+}
+
+// Get or create AI summary and categories, reusing a stored enrichment
+// (except for revised articles, whose stored analysis is out of date)
 async function getOrCreateAISummaryAndCategories(article) {
   try {
     // Check if summary and categories already exist
-    const { data, error } = await supabase
-      .from('article_summaries')
-      .select('ai_summary, category_tags')
-      .eq('article_url', article.url)
-      .single();
+    const data = article.revision ? null : await store.getArticle(article.url);
 
-    if (data && data.ai_summary && data.category_tags && data.category_tags.length > 0) {
+    if (data && data.enrichment_status === ENRICHMENT_STATUS.DONE && data.ai_summary && data.category_tags && data.category_tags.length > 0) {
       return {
         summary: data.ai_summary,
-        categories: data.category_tags
+        categories: data.category_tags,
+        provider: data.ai_provider,
+        model: data.ai_model,
+        translations: data.translations,
+        significance: data.significance,
       };
     }
-
-    // Generate new summary and categories
-    const result = await generateAISummaryAndCategories(article);
-    return result;
   } catch (error) {
-    console.error('Error with summary/categories cache:', error);
-    return generateAISummaryAndCategories(article);
+    console.error('Error with summary/categories cache:', error.message);
   }
+
+  // Generate new summary and categories
+  return aiProvider.analyze(article, { locale: locales[0] });
 }
 
-// Save article to Supabase
-async function saveArticleToSupabase(article) {
-  try {
-    const { error } = await supabase
-      .from('article_summaries')
-      .upsert({
-        article_url: article.url,
-        article_title: article.title,
-        description: article.description,
-        ai_summary: article.aiSummary,
-        image_url: article.urlToImage,
-        published_at: article.publishedAt,
-        source_id: article.source.id,
-        source_name: article.source.name,
-        category_tags: article.categoryTags,
-        // Keep category field for backward compatibility, use first tag's main category
-        category: article.categoryTags[0]?.split(':')[0] || 'General',
-      }, { onConflict: 'article_url' });
-
-    if (error) {
-      console.error('Error saving article to Supabase:', error.message);
-      return false;
+function translationEntry({ summary, categories, provider, model }, locale) {
+  return { summary, categories: localizeCategories(categories, locale), provider: provider || null, model: model || null };
+}
+
+// The translations column: a summary and localized category labels per
+// SUMMARY_LOCALES locale. The primary locale's is the analysis itself; the
+// others are asked for one at a time. A locale that fails is left out rather
+// than flagging the article, and ones already stored are kept.
+async function buildTranslations(article, analysis) {
+  const [primary, ...others] = locales;
+  const translations = { ...(analysis.translations || {}) };
+  translations[primary] = translations[primary] || translationEntry(analysis, primary);
+
+  for (const locale of others.filter(locale => !translations[locale])) {
+    try {
+      const localized = await aiProvider.analyze(article, { locale });
+      // Categories stay the primary analysis', only their labels are localized
+      translations[locale] = translationEntry({ ...localized, categories: analysis.categories }, locale);
+    } catch (error) {
+      console.error(`🌐 No ${locale} summary for "${article.title.substring(0, 50)}": ${error.message}`);
     }
+  }
+  return translations;
+}
+
+// The image columns: the chosen image with its dimensions, blurhash and
+// copy, or just the feed's image URL when no image was selected
+function imageFields(article) {
+  const image = article.image || {};
+  return {
+    image_url: image.url || article.urlToImage || null,
+    image_width: image.width || null,
+    image_height: image.height || null,
+    image_blurhash: image.blurhash || null,
+    image_cached_url: image.cachedUrl || null,
+  };
+}
+
+function articleToRow(article) {
+  return {
+    article_url: article.url,
+    canonical_url: articleCanonicalUrl(article),
+    article_title: article.title,
+    description: article.description,
+    description_html: article.descriptionHtml || null,
+    ai_summary: article.aiSummary,
+    language: article.language || null,
+    translations: article.translations || {},
+    ...imageFields(article),
+    published_at: article.publishedAt,
+    source_id: article.source.id,
+    source_name: article.source.name,
+    source_type: article.source.type || null,
+    category_tags: article.categoryTags,
+    // Keep category field for backward compatibility, use first tag's main category
+    category: article.categoryTags[0]?.split(':')[0] || 'General',
+    author: article.author || null,
+    // Characters of page text the summary was written from; null means the
+    // feed description was used
+    extracted_text_length: article.extractedTextLength || null,
+    significance: article.significance ?? null,
+    fingerprint: article.fingerprint || fingerprintArticle(article),
+    // Every row of a batch carries the same columns: a bulk upsert writes
+    // null to the columns a row leaves out
+    revision_count: article.revision ? article.revision.count : article.revisionCount || 0,
+    content_updated_at: article.revision ? article.revision.row.revised_at : article.contentUpdatedAt || null,
+    // New articles are clustered before saving; retried and revised rows
+    // carry their stored cluster
+    minhash: article.clustering ? article.clustering.minhash : null,
+    cluster_id: article.clustering ? article.clustering.cluster_id : null,
+    ...article.enrichment,
+  };
+}
+
+// Save a batch of articles in one upsert
+async function saveArticles(articles) {
+  try {
+    await store.upsertArticles(articles.map(articleToRow));
     return true;
   } catch (error) {
-    console.error('Error saving article:', error);
+    console.error(`Error saving ${articles.length} article(s):`, error.message);
     return false;
   }
 }
 
+// Replace the stored entities of articles that have fresh ones
+// (article.entityRows). Runs after the articles are saved since rows
+// reference them. Entities are extra: a failure is logged, and the articles
+// stay unmarked so the backfill picks them up.
+async function saveArticleEntities(articles) {
+  const extracted = articles.filter(article => article.entityRows);
+  if (extracted.length === 0) return;
+  try {
+    await store.replaceArticleEntities(extracted.map(article => article.url), extracted.flatMap(article => article.entityRows), new Date());
+  } catch (error) {
+    console.error(`Error saving entities for ${extracted.length} article(s):`, error.message);
+  }
+}
+
+// Record the revisions of saved material updates
+async function saveRevisions(articles) {
+  const rows = articles.filter(article => article.revision).map(article => article.revision.row);
+  if (rows.length === 0) return;
+  try {
+    await store.insertRevisions(rows);
+  } catch (error) {
+    console.error(`Error saving ${rows.length} article revision(s):`, error.message);
+  }
+}
+
+// Entities for articles enriched before entity extraction (or whose entities
+// failed to save), up to ENTITY_BACKFILL_LIMIT per run. Uses the alias map
+// and keyword frequency on the stored title and summaries rather than a
+// model call. Resolves to the number of articles backfilled.
+async function backfillEntities() {
+  if (ENTITY_BACKFILL_LIMIT <= 0) return 0;
+  try {
+    const rows = await store.listEntityBackfill({ limit: ENTITY_BACKFILL_LIMIT });
+    if (rows.length === 0) return 0;
+
+    const entities = rows.flatMap((row) => {
+      const text = [row.description, row.ai_summary].filter(Boolean).join(' ');
+      return entityRows(row.article_url, {
+        entities: findKnownEntities({ title: row.article_title || '', text }, entityAliases),
+        keywords: extractKeywords(row.article_title, text),
+      }, entityResolver);
+    });
+    await store.replaceArticleEntities(rows.map(row => row.article_url), entities, new Date());
+    console.log(`🏷️  Extracted entities for ${rows.length} older articles`);
+    return rows.length;
+  } catch (error) {
+    console.error('Error backfilling entities:', error.message);
+    return 0;
+  }
+}
+
+// Summarize, categorize and save articles with AI_CONCURRENCY workers.
+// Handles both new articles and rows from the retry queue. Saves are batched
+// SAVE_BATCH_SIZE rows at a time. Articles whose analysis failed are saved
+// with enrichment_status "failed" (no placeholder summary) so a later run
+// retries them, and are returned in `flagged` with the reason. Revised
+// articles that fail keep their stored version instead; their changed
+// fingerprint brings them back on the next run. unsavedSourceIds has the
+// sources of the articles that could not be saved.
+async function enrichAndSaveArticles(articles) {
+  let savedCount = 0;
+  let healedCount = 0;
+  let revisedCount = 0;
+  let errorCount = 0;
+  const flagged = [];
+  const unsavedSourceIds = new Set();
+
+  const saver = createBatcher(SAVE_BATCH_SIZE, async (batch) => {
+    if (!(await saveArticles(batch))) {
+      errorCount += batch.length;
+      batch.forEach(article => unsavedSourceIds.add(article.source.id));
+    } else {
+      await saveArticleEntities(batch);
+      await saveRevisions(batch);
+    }
+  });
+
+  // Fingerprint the fetched values before the page image or image selection
+  // replace urlToImage, so the next fetch of the same item isn't an edit
+  articles.forEach((article) => {
+    article.fingerprint = article.fingerprint || fingerprintArticle(article);
+  });
+  await addFullText(articles);
+  await selectImages(articles);
+  articles.forEach((article) => {
+    article.language = detectArticleLanguage(article);
+  });
+  const batchSummaries = aiProvider.analyzeMany ? await aiProvider.analyzeMany(articles, { locale: locales[0] }) : new Map();
+
+  await mapWithConcurrency(articles, AI_CONCURRENCY, async (article) => {
+    const attempts = (article.enrichmentAttempts || 0) + 1;
+    try {
+      // Generate or get AI summary and categories
+      const analysis = batchSummaries.get(article.url) || await getOrCreateAISummaryAndCategories(article);
+      const { summary, categories, provider, model } = analysis;
+      article.aiSummary = summary;
+      article.categoryTags = categories;
+      article.significance = analysis.significance;
+      article.translations = await buildTranslations(article, analysis);
+      // A stored analysis has no entities; the backfill covers those
+      article.entityRows = analysis.entities ? entityRows(article.url, analysis, entityResolver) : null;
+      article.enrichment = { ...enrichmentSuccessFields(attempts), ai_provider: provider || null, ai_model: model || null };
+      
+      const label = article.revision ? 'UPDATED' : attempts > 1 ? `RETRY #${attempts - 1}` : 'NEW';
+      console.log(`✨ Processing ${label}: ${article.title.substring(0, 50)}... | Categories: ${categories.join(', ')}`);
+      savedCount++;
+      if (article.revision) revisedCount++;
+      else if (attempts > 1) healedCount++;
+    } catch (error) {
+      console.error(`🚩 Flagged (attempt ${attempts}): ${article.title} - ${error.message}`);
+      flagged.push({ url: article.url, title: article.title, sourceId: article.source.id, attempts, error: error.message });
+      article.aiSummary = null;
+      article.categoryTags = [];
+      article.significance = null;
+      article.translations = {};
+      article.entityRows = null;
+      article.enrichment = { ...enrichmentFailureFields(attempts, error), ai_provider: null, ai_model: null };
+      if (article.revision) return;
+    }
+
+    await saver.add(article);
+  });
+
+  await saver.flush();
+  return { savedCount: savedCount - errorCount, healedCount, revisedCount, errorCount, flagged, unsavedSourceIds };
+}
+
+// Save new articles without enriching them, as pending rows the retry
+// queue picks up on a later run. Used for the articles --limit leaves out:
+// the next fetch may not return them again (a 304, or the feed moved on).
+// Their image is chosen now, while the feed's candidates are at hand;
+// retried rows keep the stored one. Resolves to { saved, unsavedSourceIds }.
+async function savePendingArticles(articles) {
+  articles.forEach((article) => {
+    article.fingerprint = article.fingerprint || fingerprintArticle(article);
+  });
+  await selectImages(articles);
+
+  let saved = 0;
+  const unsavedSourceIds = new Set();
+  for (let start = 0; start < articles.length; start += SAVE_BATCH_SIZE) {
+    const batch = articles.slice(start, start + SAVE_BATCH_SIZE);
+    batch.forEach((article) => {
+      article.aiSummary = null;
+      article.categoryTags = [];
+      article.significance = null;
+      article.translations = {};
+      article.enrichment = { ...enrichmentPendingFields(), ai_provider: null, ai_model: null };
+    });
+    if (await saveArticles(batch)) {
+      saved += batch.length;
+    } else {
+      batch.forEach(article => unsavedSourceIds.add(article.source.id));
+    }
+  }
+  if (saved > 0) console.log(`⏸️  Saved ${saved} articles over the limit for a later run`);
+  return { saved, unsavedSourceIds };
+}
+
+// Split --limit between new articles and the backlog (material updates,
+// then retries). Up to LIMIT_BACKLOG_PERCENT of it is kept for the backlog
+// so a busy feed can't starve it, and either side's unused share goes to
+// the other. Returns { selected, leftOver }.
+function applyLimit(fresh, backlog, limit) {
+  const reserved = Math.min(backlog.length, Math.ceil((limit * LIMIT_BACKLOG_PERCENT) / 100));
+  const freshCount = Math.min(fresh.length, limit - reserved);
+  const backlogCount = Math.min(backlog.length, limit - freshCount);
+  return {
+    selected: [...fresh.slice(0, freshCount), ...backlog.slice(0, backlogCount)],
+    leftOver: [...fresh.slice(freshCount), ...backlog.slice(backlogCount)],
+  };
+}
+
+// Group new articles with near-duplicates among themselves and among
+// recently stored articles. Sets article.clustering to the minhash and
+// cluster_id columns.
+async function assignStoryClusters(articles) {
+  if (articles.length === 0) return;
+
+  const stored = await loadRecentSignatures(store, { windowHours: CLUSTER_WINDOW_HOURS });
+  const signatures = new Map(articles.map(article => [article.url, minhashSignature(shingles(article))]));
+  const entries = [
+    ...stored,
+    ...articles.map(article => ({ key: article.url, signature: signatures.get(article.url), clusterId: null })),
+  ];
+
+  const clusterIds = clusterSignatures(entries, { threshold: CLUSTER_SIMILARITY });
+  const sizes = new Map();
+  clusterIds.forEach(id => sizes.set(id, (sizes.get(id) || 0) + 1));
+
+  let duplicates = 0;
+  articles.forEach(article => {
+    const clusterId = clusterIds.get(article.url);
+    article.clustering = { minhash: signatures.get(article.url), cluster_id: clusterId };
+    if (sizes.get(clusterId) > 1) duplicates++;
+  });
+
+  console.log(`🧩 ${duplicates} of ${articles.length} new articles belong to a multi-outlet story cluster`);
+}
+
+// Whether a stored row's source is trusted. Trust is set per source entry,
+// and ids are only unique per type; rows saved before their source_type was
+// stored are trusted only when every entry with their id is.
+function createTrustCheck(registry) {
+  return (row) => {
+    const entries = registry.filter(s => s.id === row.source_id && (!row.source_type || s.type === row.source_type));
+    return entries.length > 0 && entries.every(s => s.trusted);
+  };
+}
+
+// Rescore recently published articles (and clear stories that stopped
+// trending) from their significance, story coverage, source trust and age.
+// Only rows whose values changed are written, SAVE_BATCH_SIZE at a time.
+// Never throws; resolves to { scored, trending }.
+async function updateImportanceScores(isTrusted, now = new Date()) {
+  if (!IMPORTANCE_SCORING) return { scored: 0, trending: 0 };
+  try {
+    const since = new Date(now.getTime() - IMPORTANCE_SETTINGS.windowHours * 60 * 60 * 1000);
+    const rows = await store.listRecentArticles({ since, limit: IMPORTANCE_LIMIT });
+    const scores = scoreArticles(rows, { isTrusted, now, ...IMPORTANCE_SETTINGS });
+
+    // Scores are stored as reals, so compare them to the rounding
+    const changed = rows.filter((row) => {
+      const score = scores.get(row.article_url);
+      return row.importance_score === null
+        || Math.abs(score.importance_score - row.importance_score) >= 0.0005
+        || score.outlet_count !== row.outlet_count
+        || score.trending !== Boolean(row.trending);
+    });
+    let errors = 0;
+    for (let start = 0; start < changed.length; start += SAVE_BATCH_SIZE) {
+      const batch = changed.slice(start, start + SAVE_BATCH_SIZE);
+      try {
+        await store.updateArticleScores(batch.map(row => ({ article_url: row.article_url, ...scores.get(row.article_url) })));
+      } catch (error) {
+        errors += batch.length;
+        console.error(`Error scoring ${batch.length} article(s):`, error.message);
+      }
+    }
+
+    const trending = [...scores.values()].filter(score => score.trending).length;
+    console.log(`📈 Scored ${rows.length} recent articles (${changed.length - errors} changed), ${trending} trending`);
+    return { scored: rows.length, trending };
+  } catch (error) {
+    console.error('Error updating importance scores:', error.message);
+    return { scored: 0, trending: 0 };
+  }
+}
+
 // Deduplicate articles
 function deduplicateArticles(articles) {
   const seen = new Set();
   return articles.filter(article => {
-    const key = article.url || article.title;
+    const key = canonicalizeUrl(article.url) || article.title;
     if (seen.has(key)) {
       return false;
     }
@@ -490,162 +1121,435 @@ function deduplicateArticles(articles) {
   });
 }
 
-// SMART CLEANUP - Only remove articles that don't exist in ANY current RSS feed
-async function intelligentCleanup(currentArticleUrls) {
+// Expire stored articles under the retention policy (see lib/retention.js).
+// Articles still in this run's feeds and sources in protectedSourceIds are
+// always kept; with onlySourceIds other sources are left alone. Never
+// throws; a safety cap breach skips cleanup for the run. With dryRun the
+// expired URLs are returned without changing anything.
+async function cleanupExpiredArticles(currentArticleUrls, protectedSourceIds = new Set(), { dryRun = false, onlySourceIds = null } = {}) {
   try {
-    console.log('🧹 Starting intelligent cleanup of outdated articles...');
-    
-    // Get all stored article URLs
-    const { data: storedArticles, error } = await supabase
-      .from('article_summaries')
-      .select('article_url');
-
-    if (error) {
-      console.error('Error fetching stored articles:', error);
-      return { removed: 0, errors: [error.message] };
+    console.log(`🧹 ${dryRun ? 'Planning' : 'Applying'} retention policy (${RETENTION_POLICY.keepDays} days, ${RETENTION_POLICY.minPerSource} per source minimum, ${RETENTION_POLICY.mode})...`);
+    if (protectedSourceIds.size > 0) {
+      console.log(`🛡️  Keeping every article from ${protectedSourceIds.size} sources not fetched this run: ${[...protectedSourceIds].join(', ')}`);
     }
 
-    const storedUrls = new Set(storedArticles.map(a => a.article_url));
-    const urlsToRemove = [];
-
-    // Only remove articles that are in database but NOT in any current RSS feed
-    storedUrls.forEach(url => {
-      if (!currentArticleUrls.has(url)) {
-        urlsToRemove.push(url);
+    const result = await applyRetention(store, {
+      ...RETENTION_POLICY,
+      protectedSourceIds,
+      onlySourceIds,
+      isCurrent: url => currentArticleUrls.has(url) || currentArticleUrls.has(canonicalizeUrl(url)),
+    }, { dryRun });
+
+    console.log(`📊 Database has ${result.total} live articles, ${result.expired.length} expired`);
+    if (dryRun) {
+      if (result.exceedsSafetyCap) {
+        console.log(`🛑 Expiring ${result.expired.length} articles would exceed the ${RETENTION_POLICY.maxRemovePercent}% safety cap; a real run would skip cleanup`);
       }
-    });
+    } else if (result.expired.length === 0) {
+      console.log('✅ No expired articles - nothing to clean up');
+    } else {
+      console.log(`🎉 Retention completed: ${result.removed} articles ${RETENTION_POLICY.mode === 'archive' ? 'archived' : 'soft-deleted'}`);
+    }
+    return { removed: result.removed, expired: result.expired, exceedsSafetyCap: result.exceedsSafetyCap, errors: result.errors };
+  } catch (error) {
+    if (error instanceof RetentionSafetyError) {
+      console.error(`🛑 ${error.message} - skipping cleanup this run`);
+    } else {
+      console.error('Error during retention cleanup:', error);
+    }
+    return { removed: 0, expired: [], exceedsSafetyCap: error instanceof RetentionSafetyError, errors: [error.message] };
+  }
+}
 
-    console.log(`📊 Database has ${storedUrls.size} articles`);
-    console.log(`📊 Current feeds have ${currentArticleUrls.size} articles`);
-    console.log(`🗑️  Found ${urlsToRemove.length} outdated articles to remove`);
+// Limit the registry to the --source ids; unknown ids are a usage error
+function selectSources(allSources, sourceIds) {
+  if (sourceIds.length === 0) return allSources;
+  const unknown = sourceIds.filter(id => !allSources.some(s => s.id === id));
+  if (unknown.length > 0) {
+    throw new CLIUsageError(`Unknown source id(s): ${unknown.join(', ')}`);
+  }
+  return allSources.filter(s => sourceIds.includes(s.id));
+}
 
-    if (urlsToRemove.length === 0) {
-      console.log('✅ No outdated articles to remove - database is perfectly synced!');
-      return { removed: 0, errors: [] };
+const articlePlanEntry = article => ({
+  url: article.url,
+  title: article.title,
+  sourceId: article.source.id,
+  publishedAt: article.publishedAt,
+});
+
+// Split fetched articles into the ones we keep and the ones a content rule
+// drops (see lib/content-rules.js), logging the rule and reason for each.
+// filtered is [{ url, title, sourceId, publishedAt, rule, reason }].
+function applyContentRules(articles) {
+  const kept = [];
+  const filtered = [];
+  for (const article of articles) {
+    // The source's full-text setting exempts it from length rules
+    const match = contentFilter.check(article, articleSource(article));
+    if (!match) {
+      kept.push(article);
+      continue;
     }
+    console.log(`🚫 Filtered (${match.rule}): ${article.title.substring(0, 50)}... - ${match.reason}`);
+    filtered.push({ ...articlePlanEntry(article), ...match });
+  }
+  return { kept, filtered };
+}
 
-    // Remove in batches
-    const batchSize = 50;
-    let removedCount = 0;
-    const errors = [];
+// The sync itself; see syncArticles()
+async function runSync({ dryRun, sourceIds, limit, cleanup }, services, startedAt) {
+  // Step 0: Load the source registry
+  const allSources = services.sources || await loadSources({ store });
+  sources = selectSources(allSources, sourceIds);
+  if (sourceIds.length > 0) {
+    console.log(`🎛️  Limited to ${sources.length} sources: ${sourceIds.join(', ')}`);
+  }
 
-    for (let i = 0; i < urlsToRemove.length; i += batchSize) {
-      const batch = urlsToRemove.slice(i, i + batchSize);
-      
-      const { error } = await supabase
-        .from('article_summaries')
-        .delete()
-        .in('article_url', batch);
-
-      if (error) {
-        console.error(`❌ Error removing batch ${i / batchSize + 1}:`, error);
-        errors.push(error.message);
-      } else {
-        removedCount += batch.length;
-        console.log(`✅ Removed batch ${i / batchSize + 1} with ${batch.length} articles`);
-      }
-    }
+  // Step 1: Get existing articles from database
+  const existing = await getExistingArticles();
+
+  // Step 2: Fetch articles from all sources (unlimited)
+  const [rss, newsApi] = await Promise.all([
+    fetchAllRSSFeeds({ dryRun }),
+    fetchFromNewsAPI(),
+  ]);
+
+  console.log(`📊 RSS articles: ${rss.articles.length}, NewsAPI articles: ${newsApi.articles.length}`);
+  // Sources we couldn't read this run keep all their stored articles
+  const protectedSourceIds = new Set([...rss.unfetchedSourceIds, ...newsApi.unfetchedSourceIds]);
+
+  // Step 3: Combine and deduplicate
+  const allArticles = [...rss.articles, ...newsApi.articles];
+  const deduplicated = deduplicateArticles(allArticles);
+
+  // Step 3b: Drop what the content rules filter out
+  const { kept: uniqueArticles, filtered } = applyContentRules(deduplicated);
+  console.log(`🎯 Total unique articles from feeds: ${uniqueArticles.length} (${filtered.length} filtered out)`);
+
+  // Step 4: Find NEW articles (in feeds but not in database)
+  const isNew = article => !existing.has(article.url) && !existing.has(articleCanonicalUrl(article));
+  const newArticles = uniqueArticles.filter(isNew);
+  console.log(`🆕 Found ${newArticles.length} NEW articles to add to database`);
+  console.log(`💾 Found ${uniqueArticles.length - newArticles.length} existing articles (will be kept)`);
+
+  // Step 4b: Find stored articles the publisher has changed since
+  const updates = await detectArticleUpdates(uniqueArticles.filter(article => !isNew(article)), existing);
+  const revisions = updates.filter(update => update.changes.length > 0);
+  const materialUpdates = revisions.filter(update => update.material);
+  if (revisions.length > 0) {
+    console.log(`✏️  Found ${revisions.length} updated articles (${materialUpdates.length} need a new summary)`);
+  }
+
+  // Step 5: Queue pending/failed rows whose retry is due
+  const retryArticles = await loadRetryQueue(store, { limit: ENRICHMENT_RETRY_LIMIT, sourceIds });
+  console.log(`🔁 Found ${retryArticles.length} articles due for another enrichment attempt`);
+
+  const now = new Date();
+  const backlog = [...materialUpdates.map(update => toRevisedArticle(update, now)), ...retryArticles];
+  let toEnrich = [...newArticles, ...backlog];
+  const newUrls = new Set(newArticles.map(a => a.url));
+  // New articles over the limit are saved as pending, retries stay queued,
+  // and material updates are detected again: their feeds keep their
+  // validators (see saveFeedFetchStates)
+  let deferred = [];
+  let postponedRevisions = [];
+  if (limit !== null && toEnrich.length > limit) {
+    console.log(`⏸️  Limiting this run to ${limit} of ${toEnrich.length} articles`);
+    const { selected, leftOver } = applyLimit(newArticles, backlog, limit);
+    toEnrich = selected;
+    deferred = leftOver.filter(a => newUrls.has(a.url));
+    postponedRevisions = leftOver.filter(a => a.revision);
+  }
+
+  const currentUrls = new Set(allArticles.flatMap(a => [a.url, canonicalizeUrl(a.url)]));
+  const onlySourceIds = sourceIds.length > 0 ? new Set(sourceIds) : null;
+
+  if (dryRun) {
+    const retention = cleanup
+      ? await cleanupExpiredArticles(currentUrls, protectedSourceIds, { dryRun, onlySourceIds })
+      : null;
+
+    const plan = {
+      dryRun: true,
+      sources: [...rss.results, ...newsApi.results].map(result => ({ id: result.sourceId, status: result.status, articles: result.articles.length, error: result.error })),
+      fetched: uniqueArticles.length,
+      filtered,
+      insert: toEnrich.filter(a => newUrls.has(a.url)).map(articlePlanEntry),
+      defer: deferred.map(articlePlanEntry),
+      update: revisions.map(({ article, changes, material }) => ({ ...articlePlanEntry(article), changes, resummarize: material })),
+      reenrich: toEnrich.filter(a => !newUrls.has(a.url) && !a.revision).map(a => ({ ...articlePlanEntry(a), attempts: a.enrichmentAttempts })),
+      expire: retention ? retention.expired : [],
+      cleanupSkipped: !cleanup ? 'disabled' : retention.exceedsSafetyCap ? 'safety-cap' : null,
+      cleanupErrors: retention ? retention.errors : [],
+      protectedSourceIds: [...protectedSourceIds],
+    };
+
+    console.log('\n📝 === DRY RUN PLAN ===');
+    plan.filtered.forEach(a => console.log(`🚫 filter  ${a.sourceId}: ${a.title} (${a.rule}: ${a.reason})`));
+    plan.insert.forEach(a => console.log(`➕ insert  ${a.sourceId}: ${a.title}`));
+    plan.defer.forEach(a => console.log(`⏸️  defer   ${a.sourceId}: ${a.title}`));
+    plan.update.forEach(a => console.log(`✏️  update  ${a.sourceId}: ${a.title} (${a.changes.join(', ')}${a.resummarize ? ', new summary' : ''})`));
+    plan.reenrich.forEach(a => console.log(`🔁 retry   ${a.sourceId}: ${a.title} (attempt ${a.attempts + 1})`));
+    plan.expire.forEach(url => console.log(`➖ expire  ${url}`));
+    console.log(`📊 ${plan.insert.length} to insert${plan.defer.length > 0 ? ` (${plan.defer.length} more deferred)` : ''}, ${plan.update.length} to update, ${plan.reenrich.length} to re-enrich, ${plan.expire.length} to expire${plan.cleanupSkipped ? ` (cleanup skipped: ${plan.cleanupSkipped})` : ''}`);
+    console.log('======================\n');
+    return plan;
+  }
+
+  await assignStoryClusters([...toEnrich.filter(a => newUrls.has(a.url)), ...deferred]);
+  const pending = await savePendingArticles(deferred);
+
+  // Step 5b: Save updates that keep their summary
+  const minorRevisedCount = await saveMinorUpdates(updates.filter(update => !update.material), now);
+
+  // Step 6: Process NEW articles, material updates and retries
+  let savedCount = 0;
+  let healedCount = 0;
+  let revisedCount = 0;
+  let errorCount = 0;
+  let flagged = [];
+  let unsavedSourceIds = new Set();
+
+  if (toEnrich.length > 0) {
+    console.log(`🔄 Processing ${toEnrich.length} articles with ${aiProvider.name} (${aiProvider.model}, ${AI_CONCURRENCY} workers)...`);
+    ({ savedCount, healedCount, revisedCount, errorCount, flagged, unsavedSourceIds } = await enrichAndSaveArticles(toEnrich));
+  } else {
+    console.log('✅ No new articles to process - all articles already exist in database!');
+  }
+
+  console.log(`💾 Saved ${savedCount} enriched articles (${healedCount} retries healed), ${flagged.length} flagged for retry, ${errorCount} save errors`);
+
+  // Step 6a: Now that their articles are saved, remember what the feeds sent
+  await saveFeedFetchStates(rss.results, new Set([
+    ...unsavedSourceIds,
+    ...pending.unsavedSourceIds,
+    ...postponedRevisions.map(article => article.source.id),
+  ]));
+
+  await backfillEntities();
+
+  // Step 6b: Rescore recent articles; every source's articles count towards
+  // story coverage, so trust comes from the whole registry
+  const importance = await updateImportanceScores(createTrustCheck(allSources));
+
+  // Step 7: Expire old articles under the retention policy
+  const cleanupResult = cleanup
+    ? await cleanupExpiredArticles(currentUrls, protectedSourceIds, { onlySourceIds })
+    : { removed: 0, errors: [] };
+  if (!cleanup) console.log('⏭️  Cleanup disabled with --no-cleanup');
+
+  // Final summary
+  console.log('\n🎉 === UNLIMITED SYNC SUMMARY ===');
+  console.log(`📊 Total articles from feeds: ${uniqueArticles.length}`);
+  console.log(`🆕 Articles enriched and saved: ${savedCount} (${healedCount} from the retry queue)`);
+  console.log(`🚩 Flagged for retry: ${flagged.length}`);
+  console.log(`💾 Existing articles kept: ${uniqueArticles.length - newArticles.length} (${minorRevisedCount + revisedCount} updated by their publisher)`);
+  console.log(`🗑️  Expired articles removed: ${cleanupResult.removed}`);
+  console.log(`📈 Trending articles: ${importance.trending}`);
+  console.log(`❌ Errors: ${errorCount + flagged.length}`);
+
+  const report = buildRunReport({
+    startedAt,
+    summary: {
+      fetched: uniqueArticles.length,
+      filtered,
+      attempted: toEnrich.length,
+      saved: savedCount,
+      deferred: pending.saved,
+      healed: healedCount,
+      updated: minorRevisedCount + revisedCount,
+      flagged,
+      saveErrors: errorCount,
+      expired: cleanupResult.removed,
+      cleanupErrors: cleanupResult.errors,
+      scored: importance.scored,
+      trending: importance.trending,
+    },
+    sources: buildSourceStats({
+      fetchResults: [...rss.results, ...newsApi.results],
+      filtered,
+      newArticles,
+      attempted: toEnrich,
+      flagged,
+    }),
+    ai: { provider: aiProvider.name, model: aiProvider.model, ...(aiProvider.usage ? aiProvider.usage.totals() : {}) },
+    thresholds: RUN_THRESHOLDS,
+  });
+
+  if (report.ai.calls !== undefined) {
+    const cost = report.ai.estimatedCostUsd === null ? 'unknown cost' : `~$${report.ai.estimatedCostUsd.toFixed(4)}`;
+    console.log(`🤖 AI calls: ${report.ai.calls} (${report.ai.inputTokens} in / ${report.ai.outputTokens} out tokens, ${cost})`);
+  }
+  report.thresholdsExceeded.forEach(message => console.error(`🚨 Threshold exceeded: ${message}`));
+  console.log(`⏰ Sync completed at: ${report.finishedAt} (${Math.round(report.durationMs / 1000)}s)`);
+  console.log('================================\n');
 
-    console.log(`🎉 Intelligent cleanup completed: ${removedCount} outdated articles removed`);
-    return { removed: removedCount, errors };
+  report.notifications = await notifyRun(report);
+  await saveRunReport(store, report, { filePath: SYNC_REPORT_FILE });
+  return report;
+}
+
+// Send the alerts a finished run calls for, plus the daily digest when it's
+// due. Resolves to the events that reached at least one webhook; they are
+// kept in the report so the digest goes out once a day.
+async function notifyRun(report) {
+  if (!notifier.enabled) return [];
+
+  let history = [];
+  try {
+    history = runHistory(await store.listSyncRuns({ limit: NOTIFY_HISTORY_RUNS }));
   } catch (error) {
-    console.error('Error during intelligent cleanup:', error);
-    return { removed: 0, errors: [error.message] };
+    console.error('Error loading sync run history:', error.message);
   }
+
+  const now = new Date(report.finishedAt);
+  const alerts = detectAlerts(report, history, ALERT_SETTINGS);
+  if (NOTIFY_DAILY_DIGEST && isDigestDue(history, { now, digestHour: NOTIFY_DIGEST_HOUR })) {
+    alerts.push({ event: DIGEST_EVENT, values: buildDigest([report, ...history], { now }) });
+  }
+
+  const sent = [];
+  for (const alert of alerts) {
+    if (await notifier.send(alert.event, alert.values) > 0) sent.push(alert.event);
+  }
+  return sent;
 }
 
-// Main sync function with intelligent database comparison
-async function syncArticles() {
-  console.log('🚀 Starting UNLIMITED article sync process...');
-  console.log(`⏰ Time: ${new Date().toISOString()}`);
-  
+// Main sync function with intelligent database comparison. Options are the
+// parsed CLI flags (see lib/cli.js). `services` can replace the store, AI
+// provider, notifier, source list, summary locales and entity aliases built
+// from the environment (the tests run the whole flow offline this way). Resolves to the run report (see
+// lib/run-report.js), or to the plan with --dry-run. Real runs are recorded
+// in SYNC_REPORT_FILE and sync_runs, including runs that throw, and trigger
+// webhook notifications (NOTIFY_WEBHOOKS).
+async function syncArticles(options = CLI_DEFAULTS, services = {}) {
+  const settings = { ...CLI_DEFAULTS, ...options };
+  const startedAt = new Date();
+  console.log(`🚀 Starting UNLIMITED article sync process${settings.dryRun ? ' (dry run: no writes, no AI calls)' : ''}...`);
+  console.log(`⏰ Time: ${startedAt.toISOString()}`);
+
+  // Supabase, or a local JSON file with STORAGE_BACKEND=file
+  store = services.store || createStorage();
+  entityAliases = services.entityAliases || loadEntityAliases(ENTITY_ALIASES_PATH);
+  entityResolver = createEntityResolver(entityAliases);
+  aiProvider = services.aiProvider || createDefaultAIProvider();
+  if (aiProvider.usage) aiProvider.usage.reset();
+  notifier = services.notifier || createDefaultNotifier();
+  locales = services.locales || parseLocales(SUMMARY_LOCALES);
+  images = services.images !== undefined ? services.images : createDefaultImagePipeline();
+  contentFilter = createContentFilter(services.contentRules || (CONTENT_RULES_PATH === 'none' ? [] : loadContentRules(CONTENT_RULES_PATH)));
+
   try {
-    // Step 1: Get existing articles from database
-    const existingUrls = await getExistingArticleUrls();
-
-    // Step 2: Fetch articles from all sources (unlimited)
-    const [rssArticles, newsApiArticles] = await Promise.all([
-      fetchAllRSSFeeds(),
-      fetchFromNewsAPI(),
-    ]);
-
-    console.log(`📊 RSS articles: ${rssArticles.length}, NewsAPI articles: ${newsApiArticles.length}`);
-
-    // Step 3: Combine and deduplicate
-    const allArticles = [...rssArticles, ...newsApiArticles];
-    const uniqueArticles = deduplicateArticles(allArticles);
-    console.log(`🎯 Total unique articles from feeds: ${uniqueArticles.length}`);
-
-    // Step 4: Find NEW articles (in feeds but not in database)
-    const newArticles = uniqueArticles.filter(article => !existingUrls.has(article.url));
-    console.log(`🆕 Found ${newArticles.length} NEW articles to add to database`);
-    console.log(`💾 Found ${uniqueArticles.length - newArticles.length} existing articles (will be kept)`);
-
-    // Step 5: Process only NEW articles
-    let savedCount = 0;
-    let errorCount = 0;
-    const currentUrls = new Set(uniqueArticles.map(a => a.url));
-
-    if (newArticles.length > 0) {
-      console.log('🔄 Processing new articles...');
-      
-      for (const article of newArticles) {
-        try {
-          // Special handling for TechCrunch
-          if (article.source.id === 'techcrunch') {
-            article.title = decodeXMLEntities(article.title);
-            article.urlToImage = article.urlToImage || TECHCRUNCH_LOGO;
-          }
-
-          // Generate or get AI summary and categories
-          const { summary, categories } = await getOrCreateAISummaryAndCategories(article);
-          article.aiSummary = summary;
-          article.categoryTags = categories;
-          
-          console.log(`✨ Processing NEW: ${article.title.substring(0, 50)}... | Categories: ${categories.join(', ')}`);
-          
-          // Save to database
-          const saved = await saveArticleToSupabase(article);
-          if (saved) {
-            savedCount++;
-          } else {
-            errorCount++;
-          }
-        } catch (error) {
-          console.error(`❌ Error processing article: ${article.title}`, error);
-          errorCount++;
-        }
-      }
-    } else {
-      console.log('✅ No new articles to process - all articles already exist in database!');
+    return await runSync(settings, services, startedAt);
+  } catch (error) {
+    // A bad --source is a usage error, not a failed run
+    if (!settings.dryRun && !(error instanceof CLIUsageError)) {
+      const report = buildFailedRunReport({ startedAt, error });
+      report.notifications = await notifyRun(report);
+      await saveRunReport(store, report, { filePath: SYNC_REPORT_FILE });
     }
+    throw error;
+  } finally {
+    await store.flush();
+  }
+}
 
-    console.log(`💾 Saved ${savedCount} new articles, ${errorCount} errors`);
-
-    // Step 6: Intelligent cleanup (only remove articles not in any current feed)
-    const cleanupResult = await intelligentCleanup(currentUrls);
+// --digest: send the digest of the last 24 hours of runs now, without
+// syncing. For deployments that schedule it separately instead of setting
+// NOTIFY_DAILY_DIGEST. Resolves to { digest, delivered }.
+async function sendDigest(services = {}) {
+  store = services.store || createStorage();
+  notifier = services.notifier || createDefaultNotifier();
+  if (!notifier.enabled) {
+    throw new CLIUsageError('--digest needs at least one webhook in NOTIFY_WEBHOOKS');
+  }
 
-    // Final summary
-    console.log('\n🎉 === UNLIMITED SYNC SUMMARY ===');
-    console.log(`📊 Total articles from feeds: ${uniqueArticles.length}`);
-    console.log(`🆕 New articles added: ${savedCount}`);
-    console.log(`💾 Existing articles kept: ${uniqueArticles.length - newArticles.length}`);
-    console.log(`🗑️  Outdated articles removed: ${cleanupResult.removed}`);
-    console.log(`❌ Errors: ${errorCount}`);
-    console.log(`⏰ Sync completed at: ${new Date().toISOString()}`);
-    console.log('================================\n');
+  const digest = buildDigest(runHistory(await store.listSyncRuns({ limit: NOTIFY_HISTORY_RUNS })));
+  const delivered = await notifier.send(DIGEST_EVENT, digest);
+  return { digest, delivered };
+}
 
+// Command line entry point
+function main(argv = process.argv.slice(2)) {
+  let cliOptions;
+  try {
+    cliOptions = parseArgs(argv);
   } catch (error) {
-    console.error('💥 Fatal error during sync:', error);
-    process.exit(1);
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
   }
+
+  if (cliOptions.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  // Logs go to stderr with --json, keeping stdout for the JSON document;
+  // warnings and errors always do
+  const logger = createLogger({
+    level: LOG_LEVEL,
+    format: LOG_FORMAT,
+    stream: cliOptions.json ? process.stderr : process.stdout,
+    errorStream: process.stderr,
+    filePath: LOG_FILE,
+  });
+  routeConsole(logger);
+
+  const exit = (code) => {
+    logger.close();
+    process.exit(code);
+  };
+
+  const fail = (error) => {
+    if (error instanceof CLIUsageError) {
+      console.error(error.message);
+      exit(2);
+      return;
+    }
+    console.error('💥 Sync process failed:', error);
+    exit(1);
+  };
+
+  if (cliOptions.digest) {
+    sendDigest().then(({ digest, delivered }) => {
+      const code = delivered > 0 ? 0 : 1;
+      if (cliOptions.json) {
+        process.stdout.write(`${JSON.stringify(digest, null, 2)}\n`, () => exit(code));
+      } else {
+        exit(code);
+      }
+    }).catch(fail);
+    return;
+  }
+
+  syncArticles(cliOptions).then((result) => {
+    // Exit 1 when the run went over an error threshold
+    const code = result.status === RUN_STATUS.THRESHOLD_EXCEEDED ? 1 : 0;
+    console.log(code === 0 ? '🎉 Sync process completed successfully' : '💥 Sync process completed with errors over the thresholds');
+    if (cliOptions.json) {
+      // Exit only once the document is flushed; stdout may be a pipe
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`, () => exit(code));
+    } else {
+      exit(code);
+    }
+  }).catch(fail);
 }
 
-// Run the sync
-syncArticles().then(() => {
-  console.log('🎉 Sync process completed successfully');
-  process.exit(0);
-}).catch(error => {
-  console.error('💥 Sync process failed:', error);
-  process.exit(1);
-});
+module.exports = {
+  FETCH_STATUS,
+  classifyFetchError,
+  fetchRSSFeed,
+  deduplicateArticles,
+  selectSources,
+  createTrustCheck,
+  articleToRow,
+  syncArticles,
+  sendDigest,
+  main,
+};
+
+// Run the sync when executed directly, not when required
+if (require.main === module) {
+  main();
+}
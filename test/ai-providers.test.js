@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ANALYSIS_TOOL_NAME } = require('../lib/article-analysis');
+const {
+  AIProviderConfigError,
+  loadPromptTemplate,
+  createAIProvider,
+} = require('../lib/ai-providers');
+
+const summary = 'Nvidia reported record revenue driven by data center demand. The results beat expectations.';
+const article = {
+  url: 'https://example.com/a',
+  title: 'Nvidia earnings',
+  description: 'Nvidia reported record revenue on Wednesday. Data center demand for AI chips doubled sales.',
+};
+
+function toolResponse(input) {
+  return {
+    content: [{ type: 'tool_use', id: 'toolu_1', name: ANALYSIS_TOOL_NAME, input }],
+    usage: { input_tokens: 10, output_tokens: 5 },
+  };
+}
+
+function fakeClient(responses) {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      create: async (params) => {
+        calls.push(params);
+        const response = responses.shift();
+        if (response instanceof Error) throw response;
+        return response;
+      },
+    },
+  };
+}
+
+const settings = { maxTokens: 400, maxPromptChars: 8000 };
+
+test.before(() => test.mock.method(console, 'log', () => {}));
+test.after(() => test.mock.restoreAll());
+
+test('the anthropic provider uses the configured model, tokens and prompt', async () => {
+  const client = fakeClient([toolResponse({ summary, categories: ['Tech: Robotics'] })]);
+  const provider = createAIProvider({
+    provider: 'anthropic',
+    model: 'claude-test',
+    ...settings,
+    maxTokens: 123,
+    promptTemplate: 'Summarize {{title}}: {{content}}',
+    anthropic: { client },
+  });
+
+  const analysis = await provider.analyze(article);
+
+  assert.deepEqual(analysis, { summary, categories: ['Tech: Robotics'], entities: [], keywords: [], significance: null, provider: 'anthropic', model: 'claude-test' });
+  assert.equal(client.calls[0].model, 'claude-test');
+  assert.equal(client.calls[0].max_tokens, 123);
+  assert.equal(client.calls[0].messages[0].content, `Summarize Nvidia earnings: ${article.description}`);
+});
+
+test('the anthropic provider sends one correction, then uses the default category', async () => {
+  const client = fakeClient([
+    toolResponse({ summary, categories: ['Nope'] }),
+    toolResponse({ summary, categories: ['Still nope'] }),
+  ]);
+  const provider = createAIProvider({ ...settings, defaultCategory: () => 'Tech: Robotics', anthropic: { client } });
+
+  const analysis = await provider.analyze(article);
+
+  assert.equal(client.calls.length, 2);
+  assert.equal(client.calls[1].messages[2].content[0].type, 'tool_result');
+  assert.deepEqual(analysis.categories, ['Tech: Robotics']);
+  assert.equal(analysis.model, 'claude-3-haiku-20240307');
+});
+
+test('a fallback provider handles articles the primary fails on', async () => {
+  const failure = new Error('bad request');
+  failure.status = 400;
+  const provider = createAIProvider({
+    provider: 'anthropic',
+    fallbackProvider: 'extractive',
+    ...settings,
+    anthropic: { client: fakeClient([failure]) },
+  });
+
+  const analysis = await provider.analyze(article);
+
+  assert.equal(provider.name, 'anthropic');
+  assert.equal(analysis.provider, 'extractive');
+  assert.deepEqual(analysis.categories, ['Business: Corporate Strategy']);
+});
+
+test('the batch path is skipped below the minimum', async () => {
+  const provider = createAIProvider({
+    ...settings,
+    anthropic: { client: fakeClient([]), batch: { enabled: true, minArticles: 2, maxWaitMs: 0 } },
+  });
+  assert.equal((await provider.analyzeMany([article])).size, 0);
+});
+
+test('createAIProvider rejects unknown providers', () => {
+  assert.throws(() => createAIProvider({ provider: 'gpt' }), AIProviderConfigError);
+});
+
+test('loadPromptTemplate requires a {{content}} placeholder', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'good.txt'), 'Summarize: {{content}}');
+    fs.writeFileSync(path.join(dir, 'bad.txt'), 'Summarize something');
+    assert.equal(loadPromptTemplate(path.join(dir, 'good.txt')), 'Summarize: {{content}}');
+    assert.throws(() => loadPromptTemplate(path.join(dir, 'bad.txt')), AIProviderConfigError);
+    assert.throws(() => loadPromptTemplate(path.join(dir, 'missing.txt')), AIProviderConfigError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ALERT_DEFAULTS, detectAlerts, isDigestDue, buildDigest } = require('../lib/alerts');
+
+const source = (id, status = 'ok') => ({ id, name: id, status, error: status === 'ok' ? null : 'HTTP 503', fetched: 0, new: 0, saved: 0, failed: 0 });
+
+function report(overrides = {}) {
+  return {
+    status: 'ok',
+    startedAt: '2026-10-19T10:00:00.000Z',
+    finishedAt: '2026-10-19T10:01:00.000Z',
+    attempted: 10,
+    saved: 10,
+    flagged: [],
+    expired: 0,
+    sources: [source('wired')],
+    ai: { provider: 'anthropic', model: 'claude-3-haiku-20240307', calls: 10, estimatedCostUsd: 0.01 },
+    thresholdsExceeded: [],
+    error: null,
+    ...overrides,
+  };
+}
+
+test('a healthy run raises no alerts', () => {
+  assert.deepEqual(detectAlerts(report(), [report()]), []);
+});
+
+test('failed runs, flagged enrichments and cleanup spikes raise alerts', () => {
+  const flagged = [{ url: 'a', error: 'timeout' }, { url: 'b', error: '529 overloaded' }];
+  const alerts = detectAlerts(report({
+    status: 'threshold-exceeded',
+    thresholdsExceeded: ['2/10 enrichments flagged (max 10%)'],
+    flagged,
+    saved: 8,
+    expired: 120,
+  }), [report({ expired: 20 }), report({ expired: 40 })]);
+
+  assert.deepEqual(alerts, [
+    { event: 'run-failed', values: { status: 'threshold-exceeded', problems: '2/10 enrichments flagged (max 10%)' } },
+    { event: 'ai-error-rate', values: { flagged: 2, attempted: 10, percent: 20, provider: 'anthropic', model: 'claude-3-haiku-20240307', lastError: '529 overloaded' } },
+    { event: 'cleanup-spike', values: { removed: 120, average: 30 } },
+  ]);
+
+  // Below the minimum attempts or rows nothing is raised
+  assert.deepEqual(detectAlerts(report({ attempted: 2, flagged, expired: 40 }), []), []);
+});
+
+test('a failing source is reported once, when it reaches the configured run count', () => {
+  const failing = report({ sources: [source('wired', 'http-error')] });
+  const settings = { ...ALERT_DEFAULTS, sourceFailureRuns: 3 };
+
+  assert.deepEqual(detectAlerts(failing, [failing, report()], settings), []);
+  assert.deepEqual(detectAlerts(failing, [failing, failing, report()], settings), [{
+    event: 'source-failing',
+    values: { sourceId: 'wired', sourceName: 'wired', runs: 3, status: 'http-error', error: 'HTTP 503' },
+  }]);
+  assert.deepEqual(detectAlerts(failing, [failing, failing, failing], settings), []);
+});
+
+test('the digest is due once a day after the digest hour', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const sent = report({ startedAt: '2026-10-19T09:00:00.000Z', notifications: ['daily-digest'] });
+  const yesterday = report({ startedAt: '2026-10-18T09:00:00.000Z', notifications: ['daily-digest'] });
+
+  assert.equal(isDigestDue([yesterday], { now, digestHour: 8 }), true);
+  assert.equal(isDigestDue([sent, yesterday], { now, digestHour: 8 }), false);
+  assert.equal(isDigestDue([], { now, digestHour: 11 }), false);
+});
+
+test('buildDigest totals the last 24 hours of runs', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const digest = buildDigest([
+    report({ startedAt: '2026-10-19T08:00:00.000Z', saved: 5, expired: 2 }),
+    report({ startedAt: '2026-10-19T06:00:00.000Z', status: 'failed', sources: [source('wired', 'network-error')], saved: 0, ai: null }),
+    report({ startedAt: '2026-10-18T04:00:00.000Z', saved: 100 }),
+  ], { now });
+
+  assert.deepEqual(digest, {
+    date: '2026-10-19',
+    runs: 2,
+    failedRuns: 1,
+    saved: 5,
+    flagged: 0,
+    removed: 2,
+    aiCalls: 10,
+    cost: '~$0.0100',
+    failingSources: ' Failing sources: wired (1/2 runs).',
+  });
+});
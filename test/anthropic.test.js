@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  retryAfterMs,
+  estimateTokens,
+  createMessage,
+  runMessageBatch,
+} = require('../lib/anthropic');
+
+const noSleep = async () => {};
+const params = { model: 'test-model', max_tokens: 100, messages: [{ role: 'user', content: 'Hello' }] };
+
+function apiError(status, headers = {}) {
+  const error = new Error(`${status} error`);
+  error.name = 'APIError';
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+test('retryAfterMs reads retry-after-ms and retry-after', () => {
+  assert.equal(retryAfterMs(apiError(429, { 'retry-after-ms': '250' })), 250);
+  assert.equal(retryAfterMs(apiError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(retryAfterMs(apiError(429)), null);
+});
+
+test('estimateTokens includes the completion budget', () => {
+  assert.ok(estimateTokens(params) > 100);
+});
+
+test('createMessage retries 429 and 529, pausing the limiter for retry-after', async () => {
+  const errors = [apiError(429, { 'retry-after': '3' }), apiError(529)];
+  let calls = 0;
+  const client = {
+    messages: {
+      create: async () => {
+        calls++;
+        if (errors.length) throw errors.shift();
+        return { content: [{ type: 'text', text: 'ok' }], usage: { input_tokens: 10, output_tokens: 5 } };
+      },
+    },
+  };
+  const pauses = [];
+  const settled = [];
+  const limiter = {
+    acquire: async () => {},
+    pause: (ms) => pauses.push(ms),
+    settle: (estimate, actual) => settled.push(actual),
+  };
+
+  const message = await createMessage(client, params, { limiter, sleep: noSleep });
+
+  assert.equal(message.content[0].text, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(pauses[0], 3000);
+  assert.deepEqual(settled, [15]);
+});
+
+test('createMessage does not retry 400 errors', async () => {
+  let calls = 0;
+  const client = {
+    messages: {
+      create: async () => {
+        calls++;
+        throw apiError(400);
+      },
+    },
+  };
+
+  await assert.rejects(createMessage(client, params, { sleep: noSleep }), /400/);
+  assert.equal(calls, 1);
+});
+
+test('runMessageBatch polls until the batch ends and maps results', async () => {
+  let polls = 0;
+  const posted = [];
+  const client = {
+    post: async (path, opts) => {
+      posted.push([path, opts]);
+      return { id: 'batch_1', processing_status: 'in_progress' };
+    },
+    get: async (path) => {
+      if (path.endsWith('/results')) {
+        return {
+          text: async () => [
+            JSON.stringify({ custom_id: 'a', result: { type: 'succeeded', message: { content: [{ type: 'text', text: 'A' }] } } }),
+            JSON.stringify({ custom_id: 'b', result: { type: 'errored', error: { error: { message: 'bad request' } } } }),
+            JSON.stringify({ custom_id: 'c', result: { type: 'expired' } }),
+          ].join('\n'),
+        };
+      }
+      polls++;
+      return { id: 'batch_1', processing_status: polls < 2 ? 'in_progress' : 'ended', request_counts: { succeeded: 1, errored: 1, expired: 1 } };
+    },
+  };
+
+  const results = await runMessageBatch(client, [
+    { customId: 'a', params },
+    { customId: 'b', params },
+    { customId: 'c', params },
+  ], { sleep: noSleep });
+
+  assert.equal(posted[0][0], '/v1/messages/batches');
+  assert.equal(posted[0][1].body.requests[0].custom_id, 'a');
+  assert.equal(results.get('a').message.content[0].text, 'A');
+  assert.match(results.get('b').error.message, /bad request/);
+  assert.equal(results.has('c'), false);
+});
+
+test('runMessageBatch cancels a batch that runs past maxWaitMs', async () => {
+  let time = 0;
+  let canceled = false;
+  const client = {
+    post: async (path) => {
+      if (path.endsWith('/cancel')) canceled = true;
+      return { id: 'batch_2', processing_status: 'in_progress' };
+    },
+    get: async (path) => {
+      if (path.endsWith('/results')) return { text: async () => '' };
+      return { id: 'batch_2', processing_status: canceled ? 'ended' : 'in_progress' };
+    },
+  };
+
+  const results = await runMessageBatch(client, [{ customId: 'a', params }], {
+    maxWaitMs: 1000,
+    pollIntervalMs: 400,
+    now: () => time,
+    sleep: async (ms) => {
+      time += ms;
+    },
+  });
+
+  assert.equal(canceled, true);
+  assert.equal(results.size, 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ALL_CATEGORIES } = require('../lib/categories');
+const {
+  ANALYSIS_TOOL,
+  ANALYSIS_TOOL_NAME,
+  AnalysisValidationError,
+  renderPrompt,
+  buildAnalysisRequest,
+  validateAnalysis,
+  finalizeAnalysis,
+  buildCorrectionRequest,
+} = require('../lib/article-analysis');
+
+const summary = 'Nvidia reported record revenue driven by data center demand. The results beat expectations.';
+
+function toolResponse(input) {
+  return { content: [{ type: 'tool_use', id: 'toolu_1', name: ANALYSIS_TOOL_NAME, input }] };
+}
+
+test('the tool schema restricts categories to the known list', () => {
+  assert.deepEqual(ANALYSIS_TOOL.input_schema.properties.categories.items.enum, ALL_CATEGORIES);
+});
+
+test('buildAnalysisRequest forces the tool and truncates content', () => {
+  const request = buildAnalysisRequest(
+    { title: 'Title', description: 'x'.repeat(50) },
+    { model: 'm', maxTokens: 10, maxPromptChars: 20 }
+  );
+
+  assert.deepEqual(request.tool_choice, { type: 'tool', name: ANALYSIS_TOOL_NAME });
+  assert.match(request.messages[0].content, /Content: x{20}\n/);
+});
+
+test('validateAnalysis accepts valid output and fuzzy matches labels', () => {
+  const { analysis, problems } = validateAnalysis(toolResponse({
+    summary,
+    categories: ['[Tech: Artificial Intelligence (AI)]', 'markets & stocks', 'Tech: Artificial Intelligence (AI)', 'Business: Economics', 'Business: Leadership'],
+  }));
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(analysis, {
+    summary,
+    categories: ['Tech: Artificial Intelligence (AI)', 'Business: Markets & Stocks', 'Business: Economics'],
+    entities: [],
+    keywords: [],
+    significance: null,
+  });
+});
+
+test('validateAnalysis keeps well-formed entities and keywords without failing on the rest', () => {
+  const { analysis, problems } = validateAnalysis(toolResponse({
+    summary,
+    categories: ['Tech: Robotics'],
+    entities: [
+      { name: 'Jensen Huang', type: 'person', salience: 0.4 },
+      { name: ' Nvidia ', type: 'company', salience: 1.7 },
+      { name: 'Somewhere', type: 'planet', salience: 0.5 },
+      { name: '', type: 'company' },
+      'Google',
+    ],
+    keywords: [{ keyword: 'Data Centers', salience: 0.6 }, { keyword: 'data centers', salience: 0.8 }, { salience: 1 }],
+  }));
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(analysis.entities, [
+    { name: 'Nvidia', type: 'company', salience: 1 },
+    { name: 'Jensen Huang', type: 'person', salience: 0.4 },
+  ]);
+  assert.deepEqual(analysis.keywords, [{ keyword: 'data centers', salience: 0.8 }]);
+  assert.equal(validateAnalysis(toolResponse({ summary, categories: ['Tech: Robotics'], entities: 'Nvidia' })).analysis.entities.length, 0);
+});
+
+test('validateAnalysis clamps the significance and leaves a missing one null', () => {
+  const significance = value => validateAnalysis(toolResponse({ summary, categories: ['Tech: Robotics'], significance: value })).analysis.significance;
+  assert.equal(significance(0.734), 0.73);
+  assert.equal(significance(3), 1);
+  assert.equal(significance(-1), 0);
+  assert.equal(significance('high'), null);
+  assert.equal(significance(undefined), null);
+});
+
+test('validateAnalysis reports unknown categories and short summaries', () => {
+  const result = validateAnalysis(toolResponse({ summary: 'Too short.', categories: ['Sports'] }));
+
+  assert.equal(result.analysis, null);
+  assert.equal(result.summary, null);
+  assert.equal(result.problems.length, 2);
+  assert.match(result.problems[1], /Sports/);
+});
+
+test('validateAnalysis keeps a valid summary when only categories are wrong', () => {
+  const result = validateAnalysis(toolResponse({ summary, categories: [] }));
+
+  assert.equal(result.analysis, null);
+  assert.equal(result.summary, summary);
+});
+
+test('validateAnalysis requires the tool call', () => {
+  const result = validateAnalysis({ content: [{ type: 'text', text: 'SUMMARY: ...' }] });
+
+  assert.equal(result.analysis, null);
+  assert.match(result.problems[0], /no record_article_analysis tool call/);
+});
+
+test('buildCorrectionRequest returns the problems as a tool_result error', () => {
+  const request = buildAnalysisRequest({ title: 'T', description: 'D' }, { model: 'm', maxTokens: 10, maxPromptChars: 100 });
+  const response = toolResponse({ summary: 'short', categories: ['Sports'] });
+  const correction = buildCorrectionRequest(request, response, validateAnalysis(response));
+
+  assert.equal(correction.messages.length, 3);
+  assert.equal(correction.messages[1].role, 'assistant');
+  assert.deepEqual(correction.messages[1].content, response.content);
+  const [toolResult] = correction.messages[2].content;
+  assert.equal(toolResult.type, 'tool_result');
+  assert.equal(toolResult.tool_use_id, 'toolu_1');
+  assert.equal(toolResult.is_error, true);
+});
+
+test('renderPrompt fills a custom template and leaves unknown placeholders', () => {
+  const prompt = renderPrompt(
+    { title: 'Chips', fullText: 'Full text', description: 'Teaser' },
+    { maxPromptChars: 100, promptTemplate: '{{title}} / {{content}} / {{maxCategories}} / {{other}}' }
+  );
+  assert.equal(prompt, 'Chips / Full text / 3 / {{other}}');
+});
+
+test('renderPrompt asks for the summary in the locale language', () => {
+  const article = { title: 'Chips', description: 'Teaser' };
+  assert.match(renderPrompt(article, { maxPromptChars: 100 }), /Write the summary in English/);
+  assert.match(renderPrompt(article, { maxPromptChars: 100, locale: 'de-AT' }), /Write the summary in German/);
+});
+
+test('finalizeAnalysis falls back to the default category only with a valid summary', () => {
+  assert.deepEqual(
+    finalizeAnalysis({ analysis: null, summary, problems: ['bad categories'] }, 'Tech: Robotics'),
+    { summary, categories: ['Tech: Robotics'], entities: [], keywords: [], significance: null }
+  );
+  assert.throws(() => finalizeAnalysis({ analysis: null, summary, problems: ['bad categories'] }, null), AnalysisValidationError);
+  assert.throws(() => finalizeAnalysis({ analysis: null, summary: null, problems: ['short'] }, 'Tech: Robotics'), AnalysisValidationError);
+});
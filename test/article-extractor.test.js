@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EXTRACTION_STATUS, extractArticle, loadCachedExtraction, saveExtraction } = require('../lib/article-extractor');
+const { createFileStore } = require('../lib/file-store');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'article.html'), 'utf8');
+const pageUrl = 'https://example.com/tech/chipmaker-ai-accelerator?utm_source=rss';
+
+test('extractArticle keeps article paragraphs and drops page chrome', () => {
+  const result = extractArticle(page, pageUrl);
+
+  assert.equal(result.status, EXTRACTION_STATUS.OK);
+  const paragraphs = result.text.split('\n\n');
+  assert.equal(paragraphs.length, 4);
+  assert.match(paragraphs[0], /^The company said on Tuesday/);
+  assert.match(paragraphs[1], /3 nm process, would ship to cloud providers in the first quarter & reach/);
+  assert.equal(result.textLength, result.text.length);
+  assert.doesNotMatch(result.text, /newsletter|Copyright|Read more|ad slot|Short caption/);
+});
+
+test('extractArticle reads metadata from JSON-LD, Open Graph and the canonical link', () => {
+  const result = extractArticle(page, pageUrl);
+
+  assert.equal(result.author, 'Dana Reyes');
+  assert.equal(result.imageUrl, 'https://cdn.example.com/images/accelerator.jpg');
+  assert.equal(result.canonicalUrl, 'https://example.com/tech/chipmaker-ai-accelerator');
+});
+
+test('extractArticle flags paywalled and teaser-only pages', () => {
+  const paywalled = page.replace('"isAccessibleForFree": true', '"isAccessibleForFree": "False"');
+  assert.equal(extractArticle(paywalled, pageUrl).status, EXTRACTION_STATUS.PAYWALLED);
+  assert.equal(extractArticle(paywalled, pageUrl).text, null);
+
+  const teaser = '<html><body><article><p>Only the first sentence of this story is visible without JavaScript.</p></article></body></html>';
+  const result = extractArticle(teaser, pageUrl);
+  assert.equal(result.status, EXTRACTION_STATUS.TOO_SHORT);
+  assert.equal(result.text, null);
+});
+
+test('extractArticle prefers a longer JSON-LD articleBody', () => {
+  const body = 'Rendered client side. '.repeat(40).trim();
+  const html = `<html><head><script type="application/ld+json">{"@type":"Article","articleBody":${JSON.stringify(body)}}</script></head><body><div id="app"></div></body></html>`;
+
+  const result = extractArticle(html, pageUrl);
+  assert.equal(result.status, EXTRACTION_STATUS.OK);
+  assert.equal(result.text, body);
+});
+
+test('failed fetches are cached for a much shorter time than extractions', async () => {
+  const store = createFileStore();
+  const savedAt = new Date('2026-10-19T00:00:00Z');
+  await saveExtraction(store, 'https://example.com/ok', { status: EXTRACTION_STATUS.OK, text: 'Text', textLength: 4 }, savedAt);
+  await saveExtraction(store, 'https://example.com/down', { status: EXTRACTION_STATUS.FAILED, text: null, textLength: 0, error: 'HTTP 503' }, savedAt);
+
+  const later = new Date('2026-10-19T02:00:00Z');
+  assert.equal((await loadCachedExtraction(store, 'https://example.com/ok', { maxAgeHours: 168, now: later })).status, 'ok');
+  assert.equal(await loadCachedExtraction(store, 'https://example.com/down', { maxAgeHours: 168, now: later }), null);
+  const soon = new Date('2026-10-19T00:30:00Z');
+  assert.equal((await loadCachedExtraction(store, 'https://example.com/down', { maxAgeHours: 168, now: soon })).status, 'failed');
+});
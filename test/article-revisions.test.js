@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  fingerprintArticle,
+  textSimilarity,
+  isMaterialChange,
+  detectRevision,
+  revisionRow,
+} = require('../lib/article-revisions');
+
+const article = {
+  title: 'Chipmaker posts record quarter',
+  description: 'Revenue more than doubled as cloud providers bought accelerators.',
+  urlToImage: 'https://example.com/chip.jpg',
+};
+const row = {
+  article_url: 'https://example.com/chip',
+  article_title: article.title,
+  description: article.description,
+  image_url: article.urlToImage,
+  ai_summary: 'The old summary.',
+};
+
+test('fingerprints ignore case, punctuation and whitespace', () => {
+  assert.equal(fingerprintArticle(article), fingerprintArticle({ ...article, title: 'Chipmaker  posts record quarter!', description: `${article.description.toUpperCase()} ` }));
+  assert.notEqual(fingerprintArticle(article), fingerprintArticle({ ...article, title: 'Chipmaker posts record year' }));
+  assert.notEqual(fingerprintArticle(article), fingerprintArticle({ ...article, urlToImage: null }));
+  assert.match(fingerprintArticle({ title: 'Only a title' }), /^[0-9a-f]{64}$/);
+});
+
+test('textSimilarity is the share of distinct words in common', () => {
+  assert.equal(textSimilarity('A B c', 'a, b. C'), 1);
+  assert.equal(textSimilarity('', null), 1);
+  assert.equal(textSimilarity('one two three four', 'one two three five'), 0.6);
+});
+
+test('only text changes below the similarity threshold are material', () => {
+  const previous = { title: article.title, description: article.description, image: 'a.jpg' };
+
+  assert.equal(isMaterialChange(previous, { ...previous, image: 'b.jpg' }), false);
+  assert.equal(isMaterialChange(previous, { ...previous, title: 'Chipmaker posts record quarter, beats estimates' }), true);
+  assert.equal(isMaterialChange(previous, { ...previous, title: 'Chipmaker posts record quarter, beats estimates' }, { materialSimilarity: 0.5 }), false);
+});
+
+test('detectRevision lists the changed fields and revisionRow keeps the previous values', () => {
+  assert.deepEqual(detectRevision(row, { ...article, title: 'CHIPMAKER posts record quarter.' }), { changes: [], material: false });
+  // Rows stored before sanitizing hold the feed's HTML
+  assert.deepEqual(detectRevision({ ...row, description: `<p>${article.description}</p>` }, article), { changes: [], material: false });
+  // The stored image was chosen among the feed's candidates
+  const withCandidates = {
+    ...article,
+    urlToImage: 'https://example.com/chip-thumb.jpg',
+    imageCandidates: [{ url: 'https://example.com/chip-thumb.jpg' }, { url: 'https://example.com/chip.jpg' }],
+  };
+  assert.deepEqual(detectRevision(row, withCandidates), { changes: [], material: false });
+
+  const revision = detectRevision(row, { ...article, title: 'Chipmaker misses estimates', urlToImage: 'https://example.com/new.jpg' });
+  assert.deepEqual(revision, { changes: ['title', 'image'], material: true });
+
+  const revisedAt = new Date('2026-10-19T10:00:00Z');
+  assert.deepEqual(revisionRow(row, revision, revisedAt), {
+    article_url: 'https://example.com/chip',
+    revised_at: '2026-10-19T10:00:00.000Z',
+    changed_fields: ['title', 'image'],
+    material: true,
+    previous_title: article.title,
+    previous_description: article.description,
+    previous_image_url: 'https://example.com/chip.jpg',
+    previous_summary: 'The old summary.',
+  });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeBlurhash } = require('../lib/blurhash');
+
+function solid(width, height, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set([r, g, b, 255], i * 4);
+  return { width, height, data };
+}
+
+test('a solid image hashes to its color with flat components', () => {
+  assert.equal(encodeBlurhash(solid(64, 48, [255, 0, 0])), 'LDTI:j]9fQ]9|co1fQo1fQfQfQfQ');
+});
+
+test('the hash length follows the component counts', () => {
+  const pixels = solid(8, 8, [10, 20, 30]);
+  assert.equal(encodeBlurhash(pixels).length, 4 + 2 * 4 * 3);
+  assert.equal(encodeBlurhash(pixels, { componentsX: 1, componentsY: 1 }).length, 6);
+  assert.equal(encodeBlurhash(pixels, { componentsX: 9, componentsY: 9 }).length, 4 + 2 * 81);
+});
+
+test('downscaling first gives the same hash as the thumbnail', () => {
+  // A left-to-right gradient: each half of the large image averages to the
+  // matching pixel of the small one
+  const gradient = (width, height) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) data.set([x < width / 2 ? 40 : 200, 90, 140, 255], (y * width + x) * 4);
+    }
+    return { width, height, data };
+  };
+  assert.equal(encodeBlurhash(gradient(256, 128)), encodeBlurhash(gradient(32, 16)));
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalizeUrl, articleCanonicalUrl } = require('../lib/canonical-url');
+
+test('canonicalizeUrl maps URL variants of one article to the same key', () => {
+  const expected = 'https://example.com/2024/05/chip-launch';
+  assert.equal(canonicalizeUrl('https://example.com/2024/05/chip-launch'), expected);
+  assert.equal(canonicalizeUrl('http://www.Example.com/2024/05/chip-launch/'), expected);
+  assert.equal(canonicalizeUrl('https://example.com:443/2024/05/chip-launch?utm_source=rss&utm_medium=feed#comments'), expected);
+  assert.equal(canonicalizeUrl('https://example.com//2024/05/chip-launch/amp/'), expected);
+});
+
+test('canonicalizeUrl keeps meaningful query parameters in a stable order', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com/story?p=42&fbclid=abc&id=7&utm_campaign=x'),
+    'https://example.com/story?id=7&p=42'
+  );
+});
+
+test('canonicalizeUrl rejects non-http URLs', () => {
+  assert.equal(canonicalizeUrl('mailto:tips@example.com'), null);
+  assert.equal(canonicalizeUrl('not a url'), null);
+});
+
+test('articleCanonicalUrl prefers a known rel=canonical', () => {
+  assert.equal(
+    articleCanonicalUrl({ url: 'https://feeds.example.com/r/123', canonicalUrl: 'https://www.example.com/story/' }),
+    'https://example.com/story'
+  );
+  assert.equal(articleCanonicalUrl({ url: 'https://example.com/story?utm_source=x' }), 'https://example.com/story');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ALL_CATEGORIES, matchCategory } = require('../lib/categories');
+
+test('every category matches itself', () => {
+  for (const category of ALL_CATEGORIES) {
+    assert.equal(matchCategory(category), category);
+  }
+});
+
+test('matchCategory strips brackets, quotes and trailing punctuation', () => {
+  assert.equal(matchCategory('[Tech: Cybersecurity]'), 'Tech: Cybersecurity');
+  assert.equal(matchCategory('"Business: Markets & Stocks"'), 'Business: Markets & Stocks');
+  assert.equal(matchCategory('General: World news.'), 'General: World News');
+});
+
+test('matchCategory accepts a missing or wrong section prefix', () => {
+  assert.equal(matchCategory('cybersecurity'), 'Tech: Cybersecurity');
+  assert.equal(matchCategory('Technology: Robotics'), 'Tech: Robotics');
+});
+
+test('matchCategory fixes small typos but rejects unrelated labels', () => {
+  assert.equal(matchCategory('Tech: Artifical Intelligence (AI)'), 'Tech: Artificial Intelligence (AI)');
+  assert.equal(matchCategory('Tech: Cyber security'), 'Tech: Cybersecurity');
+  assert.equal(matchCategory('Sports'), null);
+  assert.equal(matchCategory(''), null);
+  assert.equal(matchCategory(42), null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CLI_DEFAULTS, CLIUsageError, parseArgs } = require('../lib/cli');
+
+test('parseArgs returns the defaults without flags', () => {
+  assert.deepEqual(parseArgs([]), CLI_DEFAULTS);
+});
+
+test('parseArgs reads every flag', () => {
+  assert.deepEqual(
+    parseArgs(['--dry-run', '--source', 'techcrunch,wired', '--source=forbes', '--limit', '10', '--no-cleanup', '--digest', '--json']),
+    { dryRun: true, sourceIds: ['techcrunch', 'wired', 'forbes'], limit: 10, cleanup: false, digest: true, json: true, help: false }
+  );
+  assert.equal(parseArgs(['--limit=0']).limit, 0);
+  assert.equal(parseArgs(['-h']).help, true);
+});
+
+test('parseArgs rejects bad input', () => {
+  assert.throws(() => parseArgs(['--limit', 'ten']), CLIUsageError);
+  assert.throws(() => parseArgs(['--limit', '-1']), CLIUsageError);
+  assert.throws(() => parseArgs(['--source']), /--source needs a value/);
+  assert.throws(() => parseArgs(['--source', '--json']), /--source needs a value/);
+  assert.throws(() => parseArgs(['--force']), /Unknown option "--force"/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sleep, mapWithConcurrency, createBatcher } = require('../lib/concurrency');
+
+test('mapWithConcurrency keeps order and caps calls in flight', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxInFlight, 2);
+});
+
+test('mapWithConcurrency rejects when a call throws', async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 3, async (n) => {
+      if (n === 2) throw new Error('boom');
+      return n;
+    }),
+    /boom/
+  );
+});
+
+test('mapWithConcurrency handles an empty list', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
+
+test('createBatcher flushes full groups and the remainder', async () => {
+  const flushed = [];
+  const batcher = createBatcher(2, async (items) => {
+    flushed.push(items);
+  });
+
+  for (const item of [1, 2, 3, 4, 5]) await batcher.add(item);
+  await batcher.flush();
+
+  assert.deepEqual(flushed, [[1, 2], [3, 4], [5]]);
+});
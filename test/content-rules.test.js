@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ContentRulesConfigError,
+  validateContentRules,
+  loadContentRules,
+  createContentFilter,
+} = require('../lib/content-rules');
+
+const article = (fields = {}) => ({
+  title: 'Chipmaker posts record quarter',
+  description: 'Revenue more than doubled as cloud providers bought accelerators.',
+  url: 'https://example.com/2026/10/chipmaker-record-quarter',
+  source: { id: 'example' },
+  ...fields,
+});
+
+test('the shipped rules drop sponsored posts, deals, podcasts and short items', () => {
+  const filter = createContentFilter(loadContentRules());
+  const rule = fields => (filter.check(article(fields)) || {}).rule || null;
+
+  assert.equal(rule({}), null);
+  assert.equal(rule({ title: 'test2' }), 'test-posts');
+  assert.equal(rule({ title: 'Sponsored: How banks move to the cloud' }), 'sponsored');
+  assert.equal(rule({ title: 'How banks move to the cloud (Partner Content)' }), 'sponsored');
+  assert.equal(rule({ url: 'https://example.com/sponsored/cloud-banking' }), 'sponsored');
+  assert.equal(rule({ description: 'Sponsored by Acme. Banks are moving their core systems to the cloud.' }), 'sponsored');
+  assert.equal(rule({ title: 'The best Prime Day deals on laptops and tablets' }), 'deal-roundups');
+  assert.equal(rule({ title: 'Best practices for deals between startups and investors' }), null);
+  assert.equal(rule({ title: 'The Vergecast podcast: what comes after the iPhone' }), 'podcasts');
+  assert.equal(rule({ feedCategories: ['Gadgets', 'Deals'] }), 'feed-categories');
+  assert.equal(rule({ description: 'Watch the video.' }), 'short-items');
+});
+
+test('check reports the first matching rule and its reason', () => {
+  const filter = createContentFilter([
+    { id: 'chips', type: 'title', pattern: 'chip\\w*' },
+    { id: 'keywords', type: 'keywords', keywords: ['record  quarter'] },
+  ]);
+  assert.deepEqual(filter.check(article()), { rule: 'chips', reason: 'title matches "Chipmaker"' });
+  assert.deepEqual(filter.check(article({ title: 'A record quarter' })), { rule: 'keywords', reason: 'title contains "record quarter"' });
+  // Whole words only
+  assert.equal(filter.check(article({ title: 'A recorded quarterly loss', description: '' })), null);
+});
+
+test('rules can be limited to sources, exempt sources or be disabled', () => {
+  const filter = createContentFilter([
+    { id: 'only-other', type: 'url', pattern: 'example', sources: ['other'] },
+    { id: 'not-example', type: 'title', pattern: 'chipmaker', exceptSources: ['example'] },
+    { id: 'off', type: 'title', pattern: '.', enabled: false },
+  ]);
+  assert.equal(filter.size, 2);
+  assert.equal(filter.check(article()), null);
+  assert.equal(filter.check(article({ source: { id: 'other' } })).rule, 'only-other');
+});
+
+test('category rules deny and allow feed and NewsAPI query categories', () => {
+  const filter = createContentFilter([
+    { id: 'no-markets', type: 'category', deny: ['Business'] },
+    { id: 'gadgets-only', type: 'category', sources: ['gadgets'], allow: ['Reviews', 'Tech'] },
+  ]);
+  assert.deepEqual(filter.check(article({ queryCategory: 'Business: Markets & Stocks' })), {
+    rule: 'no-markets',
+    reason: 'category "Business: Markets & Stocks" is denied',
+  });
+  assert.equal(filter.check(article({ feedCategories: ['Business Travel'] })), null);
+
+  const gadgets = fields => article({ source: { id: 'gadgets' }, ...fields });
+  assert.equal(filter.check(gadgets({ feedCategories: ['reviews'] })), null);
+  assert.equal(filter.check(gadgets({ feedCategories: ['Culture'] })).reason, 'no category in Reviews, Tech (has Culture)');
+  // Nothing to judge by
+  assert.equal(filter.check(gadgets({})), null);
+});
+
+test('length rules skip sources whose text comes from the page', () => {
+  const filter = createContentFilter([{ id: 'short', type: 'min-length', minLength: 20 }]);
+  const short = article({ description: 'Too short.' });
+  assert.equal(filter.check(short, { id: 'example' }).reason, 'description has 10 characters (min 20)');
+  assert.equal(filter.check(short, { id: 'example', fullText: true }), null);
+});
+
+test('invalid rules are reported together', () => {
+  assert.throws(() => validateContentRules([
+    { id: 'a', type: 'title', pattern: '(' },
+    { id: 'a', type: 'keywords', keywords: [] },
+    { type: 'nope' },
+    { id: 'b', type: 'category', sources: 'example' },
+    { id: 'c', type: 'min-length', minLength: 0 },
+  ]), (error) => {
+    assert.ok(error instanceof ContentRulesConfigError);
+    assert.match(error.message, /rules\[0\] \(a\): "pattern" is not a valid regex/);
+    assert.match(error.message, /rules\[1\] \(a\): duplicate rule id/);
+    assert.match(error.message, /rules\[1\] \(a\): "keywords" must be a non-empty array/);
+    assert.match(error.message, /rules\[2\]: "id" is required/);
+    assert.match(error.message, /rules\[2\]: "type" must be one of/);
+    assert.match(error.message, /rules\[3\] \(b\): "sources" must be an array of source ids/);
+    assert.match(error.message, /rules\[3\] \(b\): "allow" or "deny" is required/);
+    assert.match(error.message, /rules\[4\] \(c\): "minLength" must be a positive integer/);
+    return true;
+  });
+});
+
+test('loadContentRules names the file it could not read', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-rules-'));
+  try {
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, '{ "rules": [');
+    assert.throws(() => loadContentRules(file), error => error.message.startsWith(`Could not read content rules ${file}:`));
+    assert.throws(() => loadContentRules(path.join(dir, 'missing.json')), ContentRulesConfigError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
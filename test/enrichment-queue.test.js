@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ENRICHMENT_STATUS,
+  MAX_ENRICHMENT_ATTEMPTS,
+  nextAttemptAt,
+  enrichmentSuccessFields,
+  enrichmentFailureFields,
+  rowToArticle,
+  loadRetryQueue,
+} = require('../lib/enrichment-queue');
+const { createSupabaseStore } = require('../lib/supabase-store');
+const { createFileStore } = require('../lib/file-store');
+
+const now = new Date('2024-05-22T12:00:00.000Z');
+
+test('nextAttemptAt backs off exponentially up to a day', () => {
+  assert.equal(nextAttemptAt(1, now), '2024-05-22T12:30:00.000Z');
+  assert.equal(nextAttemptAt(2, now), '2024-05-22T13:00:00.000Z');
+  assert.equal(nextAttemptAt(7, now), '2024-05-23T12:00:00.000Z');
+  assert.equal(nextAttemptAt(MAX_ENRICHMENT_ATTEMPTS, now), null);
+});
+
+test('success and failure fields describe the attempt', () => {
+  assert.deepEqual(enrichmentSuccessFields(3, now), {
+    enrichment_status: ENRICHMENT_STATUS.DONE,
+    enrichment_attempts: 3,
+    enrichment_last_error: null,
+    enrichment_last_attempt_at: now.toISOString(),
+    enrichment_next_attempt_at: null,
+  });
+
+  const failed = enrichmentFailureFields(1, new Error('overloaded'), now);
+  assert.equal(failed.enrichment_status, ENRICHMENT_STATUS.FAILED);
+  assert.equal(failed.enrichment_last_error, 'overloaded');
+  assert.equal(failed.enrichment_next_attempt_at, '2024-05-22T12:30:00.000Z');
+});
+
+test('loadRetryQueue selects pending and due failed rows', async () => {
+  const calls = {};
+  const query = {
+    select(columns) { calls.select = columns; return query; },
+    or(filter) { calls.or = filter; return query; },
+    is() { return query; },
+    order() { return query; },
+    limit(limit) {
+      calls.limit = limit;
+      return Promise.resolve({
+        data: [{ article_url: 'https://example.com/a', article_title: 'A', source_id: 'example', source_name: 'Example', enrichment_attempts: 2 }],
+        error: null,
+      });
+    },
+  };
+  const supabase = { from: () => query };
+
+  const articles = await loadRetryQueue(createSupabaseStore(supabase), { limit: 10, now });
+
+  assert.equal(calls.limit, 10);
+  assert.equal(calls.or, 'enrichment_status.eq.pending,and(enrichment_status.eq.failed,enrichment_next_attempt_at.lte.2024-05-22T12:00:00.000Z)');
+  assert.deepEqual(articles, [rowToArticle({ article_url: 'https://example.com/a', article_title: 'A', source_id: 'example', source_name: 'Example', enrichment_attempts: 2 })]);
+  assert.equal(articles[0].enrichmentAttempts, 2);
+  assert.deepEqual(articles[0].source, { id: 'example', name: 'Example', type: null });
+});
+
+test('loadRetryQueue orders the file store queue by last attempt', async () => {
+  const store = createFileStore();
+  const base = { source_id: 'example', source_name: 'Example', published_at: now.toISOString() };
+  await store.upsertArticles([
+    { ...base, article_url: 'https://example.com/done', article_title: 'Done', enrichment_status: 'done' },
+    { ...base, article_url: 'https://example.com/later', article_title: 'Later', ...enrichmentFailureFields(1, 'x', new Date(now.getTime() + 60 * 1000)) },
+    { ...base, article_url: 'https://example.com/due', article_title: 'Due', ...enrichmentFailureFields(2, 'x', new Date('2024-05-20T00:00:00.000Z')) },
+    { ...base, article_url: 'https://example.com/pending', article_title: 'Pending', enrichment_status: 'pending' },
+    { ...base, article_url: 'https://example.com/deleted', article_title: 'Deleted', enrichment_status: 'pending', deleted_at: now.toISOString() },
+  ]);
+
+  const articles = await loadRetryQueue(store, { now });
+
+  assert.deepEqual(articles.map(a => a.title), ['Pending', 'Due']);
+  assert.equal(articles[1].enrichmentAttempts, 2);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EntityConfigError,
+  normalizeEntityName,
+  slugify,
+  sanitizeEntities,
+  sanitizeKeywords,
+  loadEntityAliases,
+  createEntityResolver,
+  entityRows,
+  findKnownEntities,
+} = require('../lib/entities');
+
+const aliases = [
+  { id: 'alphabet', name: 'Alphabet', type: 'company', aliases: ['Google', 'Google LLC'] },
+  { id: 'sam-altman', name: 'Sam Altman', type: 'person', aliases: ['Altman'] },
+  { id: 'united-states', name: 'United States', type: 'place', aliases: ['U.S.', 'US'] },
+];
+
+test('names are normalized and slugged for keys', () => {
+  assert.equal(normalizeEntityName('  The Nvidia  Corp.'), 'Nvidia');
+  assert.equal(normalizeEntityName("Apple's", 'company'), 'Apple');
+  // Only companies lose their suffix
+  assert.equal(normalizeEntityName('Galaxy S Co', 'product'), 'Galaxy S Co');
+  assert.equal(slugify('Société Générale'), 'societe-generale');
+  assert.equal(slugify('AT&T'), 'at-and-t');
+});
+
+test('sanitizeEntities and sanitizeKeywords keep well-formed items, most salient first', () => {
+  assert.deepEqual(sanitizeEntities([
+    { name: 'Nvidia', type: 'company', salience: 0.456 },
+    { name: 'Jensen Huang', type: 'person', salience: -1 },
+    { name: 'Mars', type: 'planet', salience: 1 },
+    { name: 'TSMC', type: 'company' },
+  ]), [
+    { name: 'TSMC', type: 'company', salience: 0.5 },
+    { name: 'Nvidia', type: 'company', salience: 0.46 },
+    { name: 'Jensen Huang', type: 'person', salience: 0 },
+  ]);
+  assert.deepEqual(sanitizeEntities(null), []);
+  assert.deepEqual(sanitizeKeywords([{ keyword: ' Chip  Exports', salience: 0.3 }, { keyword: 'chip exports', salience: 0.9 }, { keyword: '' }]), [
+    { keyword: 'chip exports', salience: 0.9 },
+  ]);
+});
+
+test('the resolver maps aliases to one canonical entity', () => {
+  const resolver = createEntityResolver(aliases);
+
+  assert.deepEqual(resolver.resolve('Google', 'company'), { key: 'company:alphabet', name: 'Alphabet', type: 'company' });
+  assert.deepEqual(resolver.resolve('Alphabet Inc.', 'company'), { key: 'company:alphabet', name: 'Alphabet', type: 'company' });
+  // The alias map's type wins over the model's
+  assert.deepEqual(resolver.resolve('google', 'organization'), { key: 'company:alphabet', name: 'Alphabet', type: 'company' });
+  assert.deepEqual(resolver.resolve('The Nvidia Corporation', 'company'), { key: 'company:nvidia', name: 'Nvidia', type: 'company' });
+});
+
+test('entityRows merges aliases, keeping the highest salience', () => {
+  const rows = entityRows('https://example.com/a', {
+    entities: [
+      { name: 'Google', type: 'company', salience: 0.6 },
+      { name: 'Alphabet', type: 'company', salience: 0.9 },
+      { name: '!!!', type: 'product', salience: 0.5 },
+    ],
+    keywords: [{ keyword: 'search ads', salience: 0.4 }],
+  }, createEntityResolver(aliases));
+
+  assert.deepEqual(rows, [
+    { article_url: 'https://example.com/a', entity_key: 'company:alphabet', name: 'Alphabet', type: 'company', salience: 0.9 },
+    { article_url: 'https://example.com/a', entity_key: 'keyword:search-ads', name: 'search ads', type: 'keyword', salience: 0.4 },
+  ]);
+});
+
+test('findKnownEntities counts whole-word alias mentions, title mentions double', () => {
+  const entities = findKnownEntities({
+    title: 'Altman meets U.S. officials',
+    text: 'Sam Altman said the US rules were fair. Google declined to comment. USB sales rose.',
+  }, aliases);
+
+  assert.deepEqual(entities, [
+    { name: 'Sam Altman', type: 'person', salience: 1 },
+    { name: 'United States', type: 'place', salience: 1 },
+    { name: 'Alphabet', type: 'company', salience: 0.33 },
+  ]);
+  assert.deepEqual(findKnownEntities({ title: 'Nothing here', text: '' }, aliases), []);
+});
+
+test('short names only count as standalone mentions', () => {
+  const shortNames = [
+    { id: 'x-corp', name: 'X', type: 'company', aliases: ['Twitter'] },
+    { id: 'federal-reserve', name: 'Federal Reserve', type: 'organization', aliases: ['Fed'] },
+    { id: 'united-states', name: 'United States', type: 'place', aliases: ['US'] },
+  ];
+  const names = article => findKnownEntities(article, shortNames).map(entity => entity.name);
+
+  assert.deepEqual(names({ title: 'Xbox Series X review', text: 'The Xbox Series X is fast.' }), []);
+  assert.deepEqual(names({ title: 'A new X-ray scanner', text: 'Hospitals bought X-ray machines via X.com deals.' }), []);
+  assert.deepEqual(names({ title: 'Shoppers are tired', text: 'Fed up with prices, shoppers stayed home.' }), []);
+
+  assert.deepEqual(names({ title: 'The Fed holds rates', text: 'The move, posted on X, lifted US stocks.' }), ['Federal Reserve', 'X', 'United States']);
+  assert.deepEqual(names({ title: 'Stocks rise', text: 'US markets rallied after the Fed spoke (on X).' }), ['X', 'Federal Reserve', 'United States']);
+});
+
+test('loadEntityAliases validates the alias map', () => {
+  assert.ok(loadEntityAliases().some(entity => entity.id === 'alphabet'));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-aliases-'));
+  const filePath = path.join(dir, 'aliases.json');
+  fs.writeFileSync(filePath, JSON.stringify({ entities: [
+    { id: 'Alphabet', name: 'Alphabet', type: 'company', aliases: ['Google'] },
+    { id: 'google-maps', name: 'Google Maps', type: 'app', aliases: ['Google'] },
+  ] }));
+  assert.throws(() => loadEntityAliases(filePath), (error) => {
+    assert.ok(error instanceof EntityConfigError);
+    assert.match(error.message, /"id" must be a lowercase slug/);
+    assert.match(error.message, /"type" must be one of/);
+    assert.match(error.message, /alias "Google" is also used by Alphabet/);
+    return true;
+  });
+  assert.throws(() => loadEntityAliases(path.join(dir, 'missing.json')), /Could not read entity aliases/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
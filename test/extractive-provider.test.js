@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ALL_CATEGORIES } = require('../lib/categories');
+const { AnalysisValidationError } = require('../lib/article-analysis');
+const {
+  CATEGORY_KEYWORDS,
+  splitSentences,
+  extractSummary,
+  extractKeywords,
+  classifyText,
+  createExtractiveProvider,
+} = require('../lib/extractive-provider');
+
+const fullText = [
+  'Nvidia reported record quarterly revenue on Wednesday as demand for its AI chips kept climbing.',
+  'The company said data center sales more than doubled from a year earlier.',
+  'Shares rose 6% in after-hours trading as investors cheered the results.',
+  'The weather in Santa Clara was mild.',
+  'Analysts expect AI chips demand to stay strong as cloud providers expand data center capacity.',
+].join(' ');
+
+test('every keyword category is a known category', () => {
+  for (const category of Object.keys(CATEGORY_KEYWORDS)) {
+    assert.ok(ALL_CATEGORIES.includes(category), category);
+  }
+});
+
+test('splitSentences keeps terminal punctuation and a trailing fragment', () => {
+  assert.deepEqual(splitSentences('One here. Two "quoted!" Three'), ['One here.', 'Two "quoted!"', 'Three']);
+});
+
+test('extractSummary picks the most representative sentences in order', () => {
+  const summary = extractSummary(fullText, 2);
+  assert.equal(summary, 'Nvidia reported record quarterly revenue on Wednesday as demand for its AI chips kept climbing. '
+    + 'Analysts expect AI chips demand to stay strong as cloud providers expand data center capacity.');
+  assert.equal(extractSummary(fullText, 2), summary);
+});
+
+test('classifyText weighs title matches and drops incidental mentions', () => {
+  assert.deepEqual(
+    classifyText('OpenAI launches a new ChatGPT model', 'The AI company says the chatbot is faster. Its office has a robot.'),
+    ['Tech: Artificial Intelligence (AI)']
+  );
+  assert.deepEqual(classifyText('Nothing to see', 'Plain words only'), []);
+  // Whole words only: "said" must not match "ai"
+  assert.deepEqual(classifyText('', 'He said hello'), []);
+});
+
+test('analyze summarizes the full text and falls back to the default category', async () => {
+  const provider = createExtractiveProvider({ defaultCategory: () => 'Tech: Robotics' });
+
+  const analysis = await provider.analyze({ title: 'Nvidia earnings beat expectations', fullText });
+  assert.equal(analysis.provider, 'extractive');
+  assert.ok(analysis.summary.startsWith('Nvidia reported record quarterly revenue'));
+  assert.ok(analysis.categories.includes('Tech: Artificial Intelligence (AI)'));
+  assert.ok(analysis.categories.length <= 3);
+
+  const unmatched = await provider.analyze({ title: 'Plain', description: 'A long enough description that mentions nothing in particular at all.' });
+  assert.deepEqual(unmatched.categories, ['Tech: Robotics']);
+
+  await assert.rejects(provider.analyze({ title: 'Short', description: 'Too short.' }), AnalysisValidationError);
+});
+
+test('extractKeywords ranks repeated terms and phrases within sentences', () => {
+  const keywords = extractKeywords('Nvidia earnings beat expectations', fullText);
+
+  assert.deepEqual(keywords.slice(0, 3).map(({ keyword }) => keyword), ['data center', 'nvidia', 'chips']);
+  assert.equal(keywords[0].salience, 1);
+  // Words of a chosen phrase aren't repeated on their own
+  assert.ok(!keywords.some(({ keyword }) => keyword === 'data' || keyword === 'center'));
+  assert.deepEqual(extractKeywords('Once', 'Mentioned once.'), []);
+});
+
+test('analyze finds alias map entities and keywords', async () => {
+  const provider = createExtractiveProvider({ entityAliases: [{ id: 'nvidia', name: 'Nvidia', type: 'company', aliases: ['NVDA'] }] });
+
+  const analysis = await provider.analyze({ title: 'Nvidia earnings beat expectations', fullText });
+  assert.deepEqual(analysis.entities, [{ name: 'Nvidia', type: 'company', salience: 1 }]);
+  assert.ok(analysis.keywords.length > 0);
+});
+
+test('analyze only writes summaries in the article language', async () => {
+  const provider = createExtractiveProvider();
+
+  assert.ok((await provider.analyze({ title: 'Nvidia', fullText, language: 'en' }, { locale: 'en-GB' })).summary);
+  await assert.rejects(provider.analyze({ title: 'Nvidia', fullText, language: 'en' }, { locale: 'es' }), /cannot write a Spanish summary of a English article/);
+});
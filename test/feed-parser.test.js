@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const {
+  FEED_FORMATS,
+  detectFeedFormat,
+  parseRSSXML,
+  parseFeedStream,
+} = require('../lib/feed-parser');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+}
+
+// Split a buffer into small chunks so tokens straddle chunk boundaries
+function chunkedStream(text, size) {
+  const buffer = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+const source = { id: 'example', name: 'Example' };
+
+test('detectFeedFormat recognizes RSS 2.0, Atom and RDF', () => {
+  assert.equal(detectFeedFormat(fixture('rss2.xml')), FEED_FORMATS.RSS);
+  assert.equal(detectFeedFormat(fixture('atom.xml')), FEED_FORMATS.ATOM);
+  assert.equal(detectFeedFormat(fixture('rdf.xml')), FEED_FORMATS.RDF);
+  assert.equal(detectFeedFormat('<html><body></body></html>'), null);
+});
+
+test('parses RSS 2.0 items', () => {
+  const articles = parseRSSXML(fixture('rss2.xml'), source);
+
+  assert.equal(articles.length, 2);
+  assert.deepEqual(articles[0], {
+    id: 'https://example.com/2024/05/chipmaker-record-quarter',
+    title: 'Chipmaker posts record quarter',
+    description: 'Revenue grew 262% year over year.',
+    descriptionHtml: '<p>Revenue grew <strong>262%</strong> year over year.</p>',
+    url: 'https://example.com/2024/05/chipmaker-record-quarter',
+    urlToImage: 'https://example.com/images/chip.jpg',
+    imageCandidates: [{ url: 'https://example.com/images/chip.jpg', width: null, height: null }],
+    feedCategories: ['Earnings', 'Chips & Semiconductors'],
+    publishedAt: '2024-05-22T20:15:00.000Z',
+    source: { id: 'example', name: 'Example', type: 'rss' },
+  });
+  assert.equal(articles[1].title, 'Startups & the new funding winter');
+  assert.equal(articles[1].urlToImage, 'https://example.com/images/winter.png');
+  assert.deepEqual(articles[1].feedCategories, []);
+});
+
+test('parses Atom entries', () => {
+  const articles = parseRSSXML(fixture('atom.xml'), source);
+
+  assert.equal(articles.length, 2);
+  assert.equal(articles[0].title, 'Apple’s new iPad reviewed');
+  assert.equal(articles[0].url, 'https://verge.example.com/2024/5/22/ipad-review');
+  assert.equal(articles[0].publishedAt, '2024-05-22T16:00:00.000Z');
+  assert.equal(articles[0].urlToImage, 'https://verge.example.com/images/ipad.jpg');
+  assert.match(articles[0].description, /^The thinnest Apple device yet\./);
+  assert.match(articles[0].descriptionHtml, /<p>The thinnest Apple device yet\.<\/p>/);
+  assert.deepEqual(articles[0].feedCategories, ['Reviews']);
+
+  // No <published>, so <updated> is used; no rel means rel="alternate"
+  assert.equal(articles[1].url, 'https://blog.example.com/posts/shipping-faster');
+  assert.equal(articles[1].publishedAt, '2024-05-20T08:00:00.000Z');
+  assert.equal(articles[1].description, 'How we cut our deploy time in half.');
+  assert.equal(articles[1].urlToImage, undefined);
+});
+
+test('parses RDF/RSS 1.0 items with dc:date', () => {
+  const articles = parseRSSXML(fixture('rdf.xml'), source);
+
+  assert.equal(articles.length, 1);
+  assert.equal(articles[0].title, 'Open source project reaches 1.0');
+  assert.equal(articles[0].url, 'https://rdf.example.com/story/1');
+  assert.equal(articles[0].publishedAt, '2024-05-19T14:45:00.000Z');
+  assert.equal(articles[0].source.id, 'example');
+  assert.deepEqual(articles[0].feedCategories, ['Open Source']);
+});
+
+test('falls back to the source logo when an item has no image', () => {
+  const logo = 'https://example.com/logo.png';
+  const articles = parseRSSXML(fixture('rdf.xml'), { ...source, fallbackLogo: logo });
+
+  assert.equal(articles[0].urlToImage, logo);
+});
+
+test('media-image strategy matches images regardless of attribute order', () => {
+  const engadget = { id: 'engadget', name: 'Engadget', imageStrategy: 'media-image' };
+  const articles = parseRSSXML(fixture('quirks/engadget-attribute-order.xml'), engadget);
+
+  assert.equal(articles.length, 1);
+  assert.equal(articles[0].urlToImage, 'https://s.yimg.example.com/handheld.jpg');
+});
+
+test('handles CDATA sections split to embed "]]>"', () => {
+  const [article] = parseRSSXML(fixture('quirks/nested-cdata.xml'), source);
+
+  assert.equal(article.title, 'Why ]]> breaks naive parsers');
+  assert.equal(article.url, 'https://example.com/cdata?a=1&b=2');
+  assert.equal(article.description, 'Code sample: a[b[0]]\n\nx = y[z[1]]>');
+  assert.equal(article.descriptionHtml, '<p>Code sample: <code>a[b[0]]</code></p><pre>x = y[z[1]]&gt;</pre>');
+});
+
+test('falls back to a permalink guid when <link/> is empty', () => {
+  const articles = parseRSSXML(fixture('quirks/self-closing-link.xml'), source);
+
+  assert.equal(articles.length, 1);
+  assert.equal(articles[0].url, 'https://example.com/posts/guid-permalink');
+  assert.equal(articles[0].description, 'Falls back to the guid.');
+});
+
+test('resolves namespace prefixes by URI', () => {
+  const xml = fixture('quirks/namespaced.xml');
+  const [article] = parseRSSXML(xml, source);
+
+  assert.equal(detectFeedFormat(xml), FEED_FORMATS.ATOM);
+  assert.equal(article.title, 'Prefixed entries still parse');
+  assert.equal(article.url, 'https://ns.example.com/prefixed');
+  assert.equal(article.urlToImage, 'https://ns.example.com/thumb.jpg');
+  assert.equal(article.publishedAt, '2024-05-16T12:00:00.000Z');
+  assert.equal(article.description, 'Inline XHTML & entities');
+  assert.equal(article.descriptionHtml, '<p>Inline <em>XHTML</em> &amp; entities</p>');
+});
+
+test('reads media groups, enclosures and skips DOCTYPE subsets', () => {
+  const articles = parseRSSXML(fixture('quirks/media-group.xml'), source);
+
+  assert.equal(articles.length, 2);
+  assert.equal(articles[0].urlToImage, 'https://example.com/gallery/1.jpg');
+  assert.equal(articles[0].description, 'A caption with a "quoted > arrow" and a tag-like string.');
+  assert.equal(articles[0].descriptionHtml, 'A caption with a "quoted &gt; arrow" and a tag-like <b>string</b>.');
+  assert.equal(articles[1].urlToImage, 'https://example.com/podcast/42.png');
+});
+
+test('collects every image candidate with its declared size', () => {
+  const xml = `<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"><channel><item>
+    <title>Launch day</title>
+    <link>https://example.com/2024/05/launch</link>
+    <media:group>
+      <media:content url="https://example.com/launch-small.jpg" medium="image" width="320" height="180"/>
+      <media:content url="https://example.com/launch.mp4" medium="video" width="1920" height="1080"/>
+    </media:group>
+    <media:thumbnail url="https://example.com/launch-thumb.jpg" width="150" height="150"/>
+    <description><![CDATA[<img src="/launch.jpg" width="800" height="450" srcset="/launch-1600.jpg 1600w, /launch-400.jpg 400w">
+      <img src="https://feeds.feedburner.com/~r/example/~4/abc" width="1" height="1">]]></description>
+  </item></channel></rss>`;
+
+  const [article] = parseRSSXML(xml, source);
+
+  assert.equal(article.urlToImage, 'https://example.com/launch-small.jpg');
+  assert.deepEqual(article.imageCandidates, [
+    { url: 'https://example.com/launch-small.jpg', width: 320, height: 180 },
+    { url: 'https://example.com/launch-thumb.jpg', width: 150, height: 150 },
+    { url: 'https://example.com/launch.jpg', width: 800, height: 450 },
+    { url: 'https://example.com/launch-1600.jpg', width: 1600, height: 900 },
+    { url: 'https://example.com/launch-400.jpg', width: 400, height: 225 },
+    { url: 'https://feeds.feedburner.com/~r/example/~4/abc', width: 1, height: 1 },
+  ]);
+});
+
+test('parseFeedStream matches parseRSSXML for every fixture', async () => {
+  const fixtures = [
+    'rss2.xml',
+    'atom.xml',
+    'rdf.xml',
+    ...fs.readdirSync(path.join(__dirname, 'fixtures', 'feeds', 'quirks')).map(name => `quirks/${name}`),
+  ];
+
+  for (const name of fixtures) {
+    const xml = fixture(name);
+    const expected = parseRSSXML(xml, source).map(({ publishedAt, ...rest }) => rest);
+    const streamed = (await parseFeedStream(chunkedStream(xml, 7), source)).map(({ publishedAt, ...rest }) => rest);
+    assert.deepEqual(streamed, expected, name);
+  }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  emptyFetchState,
+  conditionalHeaders,
+  backoffMinutes,
+  getNextFetchTime,
+  isFetchDue,
+  recordFetchSuccess,
+  recordFetchFailure,
+} = require('../lib/fetch-state');
+
+const source = { id: 'example', fetchIntervalMinutes: 120 };
+const now = new Date('2024-05-22T12:00:00.000Z');
+
+test('conditionalHeaders sends stored validators', () => {
+  assert.deepEqual(conditionalHeaders(emptyFetchState('example')), {});
+  assert.deepEqual(
+    conditionalHeaders({ etag: '"abc"', lastModified: 'Wed, 22 May 2024 10:00:00 GMT' }),
+    { 'If-None-Match': '"abc"', 'If-Modified-Since': 'Wed, 22 May 2024 10:00:00 GMT' }
+  );
+});
+
+test('recordFetchSuccess stores validators and resets failures', () => {
+  const failing = { ...emptyFetchState('example'), consecutiveFailures: 3, etag: '"old"' };
+  const state = recordFetchSuccess(failing, { status: 200, etag: '"new"', lastModified: null, itemCount: 12 }, now);
+
+  assert.equal(state.etag, '"new"');
+  assert.equal(state.consecutiveFailures, 0);
+  assert.equal(state.itemCount, 12);
+  assert.equal(state.lastSuccessAt, now.toISOString());
+
+  const unchanged = recordFetchSuccess(state, { status: 304 }, now);
+  assert.equal(unchanged.etag, '"new"');
+  assert.equal(unchanged.itemCount, 12);
+  assert.equal(unchanged.lastStatus, 304);
+});
+
+test('recordFetchFailure counts consecutive failures', () => {
+  let state = emptyFetchState('example');
+  state = recordFetchFailure(state, new Error('HTTP 503: Service Unavailable'), 503, now);
+  state = recordFetchFailure(state, new Error('socket hang up'), null, now);
+
+  assert.equal(state.consecutiveFailures, 2);
+  assert.equal(state.lastError, 'socket hang up');
+  assert.equal(state.lastErrorAt, now.toISOString());
+});
+
+test('feeds are due once their interval has passed', () => {
+  assert.equal(isFetchDue(source, emptyFetchState('example'), now), true);
+
+  const fetched = { ...emptyFetchState('example'), lastFetchedAt: '2024-05-22T11:00:00.000Z' };
+  assert.equal(isFetchDue(source, fetched, now), false);
+
+  // A cron run a couple of minutes early still counts as due
+  const almost = { ...fetched, lastFetchedAt: '2024-05-22T10:02:00.000Z' };
+  assert.equal(isFetchDue(source, almost, now), true);
+});
+
+test('failing feeds back off exponentially', () => {
+  assert.equal(backoffMinutes(source, 1), 120);
+  assert.equal(backoffMinutes(source, 3), 480);
+  assert.equal(backoffMinutes(source, 20), 24 * 60);
+
+  const failing = { ...emptyFetchState('example'), lastFetchedAt: '2024-05-22T06:00:00.000Z', consecutiveFailures: 3 };
+  assert.equal(getNextFetchTime(source, failing).toISOString(), '2024-05-22T14:00:00.000Z');
+  assert.equal(isFetchDue(source, failing, now), false);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore } = require('../lib/file-store');
+const { createStorage, StorageConfigError } = require('../lib/storage');
+const { applyRetention } = require('../lib/retention');
+
+const now = new Date('2024-05-22T12:00:00.000Z');
+const row = (url, fields = {}) => ({
+  article_url: url,
+  article_title: url,
+  source_id: 'example',
+  source_name: 'Example',
+  published_at: now.toISOString(),
+  ...fields,
+});
+
+test('upsertArticles applies column defaults and merges partial rows', async () => {
+  const store = createFileStore();
+  await store.upsertArticles([row('https://example.com/a', { ai_summary: 'Summary', cluster_id: 'c1' })]);
+  await store.upsertArticles([row('https://example.com/a', { ai_summary: 'Updated' })]);
+
+  const stored = await store.getArticle('https://example.com/a');
+  assert.equal(stored.ai_summary, 'Updated');
+  assert.equal(stored.cluster_id, 'c1');
+  assert.equal(stored.enrichment_status, 'done');
+  assert.equal(stored.deleted_at, null);
+  assert.equal(await store.getArticle('https://example.com/missing'), null);
+});
+
+test('a file-backed store persists across instances', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'nested', 'articles.json');
+  const first = createStorage({ backend: 'file', filePath });
+  await first.upsertArticles([row('https://example.com/a')]);
+  await first.upsertFetchState({ source_id: 'example', etag: '"abc"' });
+  await first.upsertExtraction({ article_url: 'https://example.com/a', status: 'ok', text_length: 900 });
+  await first.flush();
+
+  const second = createFileStore({ filePath });
+  assert.deepEqual((await second.listArticles({ columns: ['article_url'] })), [{ article_url: 'https://example.com/a' }]);
+  assert.equal((await second.listFetchStates())[0].etag, '"abc"');
+  assert.equal((await second.getExtraction('https://example.com/a')).text_length, 900);
+});
+
+test('a file-backed store writes a run of changes once', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'articles.json');
+  const store = createFileStore({ filePath });
+  const writes = test.mock.method(fs, 'writeFileSync');
+  try {
+    for (let i = 0; i < 20; i++) {
+      await store.upsertArticles([row(`https://example.com/${i}`)]);
+      await store.updateArticle(`https://example.com/${i}`, { fingerprint: String(i) });
+    }
+    assert.equal(writes.mock.callCount(), 0);
+
+    // Written on its own shortly after the last change
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(writes.mock.callCount(), 1);
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).article_summaries).length, 20);
+
+    await store.flush();
+    assert.equal(writes.mock.callCount(), 1);
+  } finally {
+    writes.mock.restore();
+  }
+});
+
+test('retention soft-deletes or archives through the store', async () => {
+  const old = { published_at: '2024-01-01T00:00:00.000Z' };
+  const policy = { keepDays: 30, minPerSource: 1, maxRemovePercent: 100 };
+
+  const softStore = createFileStore();
+  await softStore.upsertArticles([row('https://example.com/new'), row('https://example.com/old', old)]);
+  const soft = await applyRetention(softStore, { ...policy, mode: 'soft-delete' }, { now });
+  assert.deepEqual(soft.expired, ['https://example.com/old']);
+  assert.equal((await softStore.listArticles()).length, 1);
+  assert.equal((await softStore.listArticles({ includeDeleted: true })).length, 2);
+
+  const archiveStore = createFileStore();
+  await archiveStore.upsertArticles([row('https://example.com/new'), row('https://example.com/old', old)]);
+  await applyRetention(archiveStore, { ...policy, mode: 'archive' }, { now });
+  assert.equal(await archiveStore.getArticle('https://example.com/old'), null);
+  assert.equal(archiveStore.data.article_summaries_archive['https://example.com/old'].archived_at, now.toISOString());
+});
+
+test('article entities are replaced per article and removed with it', async () => {
+  const store = createFileStore();
+  await store.upsertArticles([row('https://example.com/a'), row('https://example.com/b')]);
+  const entity = (url, key, salience) => ({ article_url: url, entity_key: key, name: key, type: 'keyword', salience });
+
+  await store.replaceArticleEntities(['https://example.com/a', 'https://example.com/b'], [
+    entity('https://example.com/a', 'keyword:chips', 0.4),
+    entity('https://example.com/a', 'keyword:robots', 0.9),
+    entity('https://example.com/b', 'keyword:chips', 1),
+  ], now);
+  assert.equal((await store.getArticle('https://example.com/a')).entities_extracted_at, now.toISOString());
+  assert.deepEqual((await store.listArticleEntities({ articleUrl: 'https://example.com/a' })).map(e => e.entity_key), ['keyword:robots', 'keyword:chips']);
+  assert.deepEqual((await store.listArticleEntities({ entityKey: 'keyword:chips' })).map(e => e.article_url), ['https://example.com/b', 'https://example.com/a']);
+  assert.deepEqual(await store.listEntityBackfill({ limit: 10 }), []);
+
+  await store.replaceArticleEntities(['https://example.com/a'], [], now);
+  assert.deepEqual(await store.listArticleEntities({ articleUrl: 'https://example.com/a' }), []);
+
+  await store.deleteArticles(['https://example.com/b']);
+  assert.deepEqual(await store.listArticleEntities(), []);
+});
+
+test('updateArticle sets columns and revisions are listed newest first', async () => {
+  const store = createFileStore();
+  await store.upsertArticles([row('https://example.com/a')]);
+
+  await store.updateArticle('https://example.com/a', { fingerprint: 'abc', revision_count: 2 });
+  await store.updateArticle('https://example.com/missing', { fingerprint: 'abc' });
+  const stored = await store.getArticle('https://example.com/a');
+  assert.equal(stored.fingerprint, 'abc');
+  assert.equal(stored.revision_count, 2);
+  assert.equal(await store.getArticle('https://example.com/missing'), null);
+
+  await store.insertRevisions([
+    { article_url: 'https://example.com/a', revised_at: '2026-10-18T00:00:00.000Z', changed_fields: ['title'] },
+    { article_url: 'https://example.com/a', revised_at: '2026-10-19T00:00:00.000Z', changed_fields: ['image'] },
+  ]);
+  assert.deepEqual((await store.listRevisions({ articleUrl: 'https://example.com/a' })).map(r => r.changed_fields), [['image'], ['title']]);
+
+  await store.deleteArticles(['https://example.com/a']);
+  assert.deepEqual(await store.listRevisions(), []);
+});
+
+test('listRecentArticles returns live recent rows and any still trending', async () => {
+  const store = createFileStore();
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString();
+  await store.upsertArticles([
+    row('https://example.com/new', { cluster_id: 'c1' }),
+    row('https://example.com/old'),
+    row('https://example.com/old-trending', { trending: true }),
+    row('https://example.com/deleted', { deleted_at: now.toISOString() }),
+  ].map(r => (r.article_url.includes('old') ? { ...r, published_at: dayAgo } : r)));
+
+  const recent = await store.listRecentArticles({ since: new Date(now.getTime() - 60 * 60 * 1000), limit: 10 });
+  assert.deepEqual(recent.map(r => r.article_url), ['https://example.com/new', 'https://example.com/old-trending']);
+  assert.deepEqual(recent[0], {
+    article_url: 'https://example.com/new',
+    source_id: 'example',
+    source_type: null,
+    cluster_id: 'c1',
+    published_at: now.toISOString(),
+    significance: null,
+    importance_score: null,
+    outlet_count: null,
+    trending: false,
+  });
+
+  await store.updateArticleScores([
+    { article_url: 'https://example.com/new', importance_score: 0.5, outlet_count: 2, trending: true },
+    { article_url: 'https://example.com/missing', importance_score: 0.1, outlet_count: 1, trending: false },
+  ]);
+  assert.deepEqual(await store.listRecentArticles({ since: new Date(now.getTime() - 60 * 60 * 1000), limit: 1 }), [
+    { ...recent[0], importance_score: 0.5, outlet_count: 2, trending: true },
+  ]);
+  assert.equal(await store.getArticle('https://example.com/missing'), null);
+});
+
+test('createStorage validates the backend settings', () => {
+  assert.throws(() => createStorage({ backend: 'mongo' }), StorageConfigError);
+  assert.throws(() => createStorage({ backend: 'supabase', supabaseUrl: '', supabaseKey: '' }), /SUPABASE_URL/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  decodeHTMLEntities,
+  sanitizeHTML,
+  htmlToPlainText,
+} = require('../lib/html-sanitizer');
+
+test('decodeHTMLEntities decodes HTML5 named and numeric references', () => {
+  assert.equal(decodeHTMLEntities('a&nbsp;b &mdash; c&hellip;'), 'a b — c…');
+  assert.equal(decodeHTMLEntities('&#128512; &#x1F600; &#X1f4f0;'), '😀 😀 📰');
+  // C1 references mean windows-1252; invalid code points are replaced
+  assert.equal(decodeHTMLEntities('2019&#150;2024 &#146;s'), '2019–2024 ’s');
+  assert.equal(decodeHTMLEntities('&#0;&#xD800;&#1114112;'), '���');
+  // Legacy names work without a semicolon; unknown names are kept
+  assert.equal(decodeHTMLEntities('&copy 2024 &ampnbsp; &notit; &bogus;'), '© 2024 &nbsp; ¬it; &bogus;');
+  assert.equal(decodeHTMLEntities('?a=1&copy=2&amp;b', { attribute: true }), '?a=1&copy=2&b');
+  assert.equal(decodeHTMLEntities(''), '');
+});
+
+test('sanitizeHTML keeps allow-listed tags and attributes only', () => {
+  const html = [
+    '<div class="post" style="color:red"><p onclick="track()">Read <a href="/story?a=1&amp;b=2" target="_blank">more</a>',
+    ' or <a href="javascript:alert(1)">this</a>.</p>',
+    '<script>alert(1)</script><style>p { color: red }</style><iframe src="https://ads.example.com"></iframe>',
+    '<!-- comment --><p><SPAN>Un</SPAN><font>wrapped</font></p><p> </p></div>',
+  ].join('');
+
+  assert.equal(
+    sanitizeHTML(html, { baseUrl: 'https://example.com/2024/05/post' }),
+    '<p>Read <a href="https://example.com/story?a=1&amp;b=2" rel="nofollow noopener">more</a> or this.</p><p>Unwrapped</p>'
+  );
+  assert.equal(sanitizeHTML(''), '');
+});
+
+test('sanitizeHTML drops tracking pixels and unsafe images, resolving relative URLs', () => {
+  const html = '<p>Chart<img src="https://pixel.example.com/t.gif" width="1" height="1">'
+    + '<img src="chart.png" alt="Q1 &amp; Q2" width="600" style="border:0">'
+    + '<img src="data:image/gif;base64,R0lGOD"></p>';
+
+  assert.equal(
+    sanitizeHTML(html, { baseUrl: 'https://example.com/news/' }),
+    '<p>Chart<img src="https://example.com/news/chart.png" alt="Q1 &amp; Q2" width="600"></p>'
+  );
+  // Without a base URL relative images can't be resolved
+  assert.equal(sanitizeHTML('<p>x<img src="chart.png"></p>'), '<p>x</p>');
+});
+
+test('sanitizeHTML balances tags and escapes text', () => {
+  assert.equal(sanitizeHTML('<p>one<p>two <b>bold</i><ul><li>a<li>b'), '<p>one</p><p>two <b>bold</b></p><ul><li>a</li><li>b</li></ul>');
+  assert.equal(sanitizeHTML('a < b &amp;&amp; c > d</em>'), 'a &lt; b &amp;&amp; c &gt; d');
+  assert.equal(sanitizeHTML('<p title="x">Q&#38;A</p>'), '<p>Q&amp;A</p>');
+});
+
+test('htmlToPlainText keeps paragraphs and line breaks', () => {
+  const html = '<h2>Results</h2><p>Revenue grew <strong>262%</strong>&nbsp;year&nbsp;over year.\n  Shares rose.</p>'
+    + '<p>Line one<br/>line two</p><ul><li>First</li><li>Second</li></ul>'
+    + '<script>var tracking = true;</script><img src="https://pixel.example.com/t.gif">';
+
+  assert.equal(
+    htmlToPlainText(html),
+    'Results\n\nRevenue grew 262% year over year. Shares rose.\n\nLine one\nline two\n\nFirst\n\nSecond'
+  );
+  assert.equal(htmlToPlainText('Already plain &amp; simple'), 'Already plain & simple');
+  assert.equal(htmlToPlainText(null), '');
+});
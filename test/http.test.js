@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const {
+  DEFAULT_USER_AGENT,
+  HTTPError,
+  TimeoutError,
+  ResponseSizeError,
+  parseRetryAfter,
+  readText,
+  requestWithRetry,
+} = require('../lib/http');
+
+// Local server whose behaviour is set per test via `handler`
+let handler = (req, res) => res.end();
+const server = http.createServer((req, res) => handler(req, res));
+let baseUrl;
+
+test.before(async () => {
+  // Keep retry logs out of the reporter output
+  test.mock.method(console, 'log', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  return new Promise(resolve => server.close(resolve));
+});
+
+const noSleep = async () => {};
+
+test('sends the User-Agent and reads the body', async () => {
+  let userAgent;
+  handler = (req, res) => {
+    userAgent = req.headers['user-agent'];
+    res.end('hello');
+  };
+
+  const { response, body, attempts } = await requestWithRetry(`${baseUrl}/ok`, {}, (res, stream) => readText(stream));
+
+  assert.equal(response.status, 200);
+  assert.equal(body, 'hello');
+  assert.equal(attempts, 1);
+  assert.equal(userAgent, DEFAULT_USER_AGENT);
+});
+
+test('retries 5xx responses and then succeeds', async () => {
+  let calls = 0;
+  handler = (req, res) => {
+    calls++;
+    if (calls < 3) {
+      res.statusCode = 503;
+      res.end();
+    } else {
+      res.end('recovered');
+    }
+  };
+
+  const { body, attempts } = await requestWithRetry(`${baseUrl}/flaky`, { retries: 2, sleep: noSleep }, (res, stream) => readText(stream));
+
+  assert.equal(body, 'recovered');
+  assert.equal(attempts, 3);
+});
+
+test('does not retry 4xx responses', async () => {
+  let calls = 0;
+  handler = (req, res) => {
+    calls++;
+    res.statusCode = 404;
+    res.end();
+  };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/missing`, { retries: 3, sleep: noSleep }),
+    error => error instanceof HTTPError && error.status === 404 && error.attempts === 1
+  );
+  assert.equal(calls, 1);
+});
+
+test('isRetryable and readErrorBody override the retry policy and keep error bodies', async () => {
+  let calls = 0;
+  handler = (req, res) => {
+    calls++;
+    res.statusCode = 429;
+    res.end('{"status":"error","code":"rateLimited"}');
+  };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/limited`, { retries: 3, sleep: noSleep, readErrorBody: true, isRetryable: () => false }),
+    error => error.status === 429 && error.body === '{"status":"error","code":"rateLimited"}'
+  );
+  assert.equal(calls, 1);
+});
+
+test('passes 304 responses through without reading a body', async () => {
+  handler = (req, res) => {
+    assert.equal(req.headers['if-none-match'], '"v1"');
+    res.statusCode = 304;
+    res.end();
+  };
+
+  let bodyRead = false;
+  const { response } = await requestWithRetry(`${baseUrl}/cached`, { headers: { 'If-None-Match': '"v1"' } }, () => {
+    bodyRead = true;
+  });
+
+  assert.equal(response.status, 304);
+  assert.equal(bodyRead, false);
+});
+
+test('times out a hanging server, including retries', async () => {
+  let calls = 0;
+  handler = (req, res) => {
+    calls++;
+    res.write('<rss>');
+    setTimeout(() => res.end('</rss>'), 500);
+  };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/slow`, { timeoutMs: 50, retries: 1, sleep: noSleep }, (res, stream) => readText(stream)),
+    error => error instanceof TimeoutError && error.attempts === 2
+  );
+  assert.equal(calls, 2);
+});
+
+test('logLabel keeps the URL out of retry logs and error messages', async () => {
+  handler = (req, res) => {
+    res.write('x'.repeat(600));
+    res.end('x'.repeat(600));
+  };
+  const options = { logLabel: 'slack webhook', retries: 1, sleep: noSleep };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/hooks/secret`, { ...options, maxBytes: 1000 }, (res, stream) => readText(stream)),
+    error => error.message === 'Response from slack webhook is larger than 1000 bytes'
+  );
+  // node-fetch names the URL in connection errors
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+  await assert.rejects(
+    requestWithRetry(`http://127.0.0.1:${port}/hooks/secret`, options),
+    error => error.attempts === 2 && error.message.includes('slack webhook') && !error.message.includes('secret')
+  );
+  const logged = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(logged, /Retrying slack webhook/);
+  assert.doesNotMatch(logged, /hooks\/secret/);
+});
+
+test('rejects bodies over maxBytes', async () => {
+  handler = (req, res) => {
+    res.write('x'.repeat(600));
+    res.end('x'.repeat(600));
+  };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/huge`, { maxBytes: 1000 }, (res, stream) => readText(stream)),
+    ResponseSizeError
+  );
+});
+
+test('limits redirects', async () => {
+  handler = (req, res) => {
+    res.statusCode = 302;
+    res.setHeader('Location', '/loop');
+    res.end();
+  };
+
+  await assert.rejects(
+    requestWithRetry(`${baseUrl}/loop`, { maxRedirects: 2 }),
+    error => error.type === 'max-redirect'
+  );
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+});
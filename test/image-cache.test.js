@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { ImageCacheConfigError, imageCacheKey, createImageCache } = require('../lib/image-cache');
+
+test('keys are stable per URL and carry the format extension', () => {
+  const key = imageCacheKey('https://example.com/a.jpg', 'jpeg');
+  assert.match(key, /^[0-9a-f]{40}\.jpg$/);
+  assert.equal(imageCacheKey('https://example.com/a.jpg', 'jpeg'), key);
+  assert.notEqual(imageCacheKey('https://example.com/b.jpg', 'jpeg'), key);
+  assert.match(imageCacheKey('https://example.com/a', null), /^[0-9a-f]{40}$/);
+});
+
+test('the directory cache writes files and returns their public URL', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+  try {
+    const served = createImageCache({ backend: 'directory', dir: path.join(dir, 'images'), publicUrl: 'https://cdn.example.org/images/' });
+    assert.equal(await served.save('abc.png', Buffer.from('png')), 'https://cdn.example.org/images/abc.png');
+    assert.equal(fs.readFileSync(path.join(dir, 'images', 'abc.png'), 'utf8'), 'png');
+
+    const local = createImageCache({ backend: 'directory', dir, publicUrl: '' });
+    assert.equal(await local.save('def.jpg', Buffer.from('jpg')), pathToFileURL(path.join(dir, 'def.jpg')).href);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('"none" disables copies and bad configuration is rejected', () => {
+  assert.equal(createImageCache({ backend: 'none' }), null);
+  assert.throws(() => createImageCache({ backend: 's3' }), ImageCacheConfigError);
+  assert.throws(() => createImageCache({ backend: 'supabase', supabaseUrl: '', supabaseKey: '' }), /SUPABASE_URL/);
+});
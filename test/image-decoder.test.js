@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { readImageSize, decodePixels } = require('../lib/image-decoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'images');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name));
+
+// The 16x16 reference pixels (binary PPM) the other fixtures were made from
+function referencePixels() {
+  const ppm = fixture('python.ppm');
+  const header = ppm.toString('latin1', 0, 20).match(/^P6\s+(\d+)\s+(\d+)\s+255\s/);
+  return { width: Number(header[1]), height: Number(header[2]), rgb: ppm.subarray(header[0].length) };
+}
+
+test('readImageSize reads PNG, GIF, WebP and JPEG headers', () => {
+  assert.deepEqual(readImageSize(fixture('python.png')), { type: 'png', width: 16, height: 16 });
+  assert.deepEqual(readImageSize(fixture('python.gif')), { type: 'gif', width: 16, height: 16 });
+  assert.deepEqual(readImageSize(fixture('python.webp')), { type: 'webp', width: 16, height: 16 });
+  assert.deepEqual(readImageSize(fixture('python.jpg')), { type: 'jpeg', width: 16, height: 16 });
+  assert.equal(readImageSize(Buffer.from('<html></html>')), null);
+  // Only the first bytes of a probed file are available
+  assert.equal(readImageSize(fixture('python.png').subarray(0, 10)), null);
+});
+
+test('a PNG decodes to the reference pixels', () => {
+  const { width, height, rgb } = referencePixels();
+  const pixels = decodePixels(fixture('python.png'));
+
+  assert.equal(pixels.width, width);
+  assert.equal(pixels.height, height);
+  for (let i = 0; i < width * height; i++) {
+    assert.deepEqual([...pixels.data.subarray(i * 4, i * 4 + 3)], [...rgb.subarray(i * 3, i * 3 + 3)]);
+  }
+});
+
+test('a JPEG decodes to its 8x8 block averages', () => {
+  const { width, rgb } = referencePixels();
+  const pixels = decodePixels(fixture('python.jpg'));
+  assert.equal(pixels.width, 2);
+  assert.equal(pixels.height, 2);
+
+  // Each decoded pixel is close to the average of its block in the original
+  for (let by = 0; by < 2; by++) {
+    for (let bx = 0; bx < 2; bx++) {
+      const sum = [0, 0, 0];
+      for (let y = by * 8; y < by * 8 + 8; y++) {
+        for (let x = bx * 8; x < bx * 8 + 8; x++) {
+          for (let c = 0; c < 3; c++) sum[c] += rgb[(y * width + x) * 3 + c];
+        }
+      }
+      const decoded = pixels.data.subarray((by * 2 + bx) * 4, (by * 2 + bx) * 4 + 3);
+      const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+      assert.ok(Math.abs(luma(decoded) - luma(sum.map(value => value / 64))) < 12, `block ${bx},${by}`);
+    }
+  }
+});
+
+test('formats without a pixel decoder decode to null, corrupt files throw', () => {
+  assert.equal(decodePixels(fixture('python.gif')), null);
+  assert.equal(decodePixels(fixture('python.webp')), null);
+  const truncated = fixture('python.png').subarray(0, 100);
+  assert.throws(() => decodePixels(truncated));
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  imageCandidate,
+  htmlImageCandidates,
+  isTrackingPixel,
+  imageScore,
+  rankImageCandidates,
+  createImageProber,
+  createImagePipeline,
+} = require('../lib/images');
+const { createDirectoryImageCache } = require('../lib/image-cache');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'images');
+const jpeg = fs.readFileSync(path.join(FIXTURES, 'python.jpg'));
+const png = fs.readFileSync(path.join(FIXTURES, 'python.png'));
+
+// Serves the fixture images; HEAD is refused for /no-head/ paths
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname.startsWith('/no-head/') && req.method === 'HEAD') {
+    res.statusCode = 405;
+    res.end();
+  } else if (pathname.endsWith('/python.jpg')) {
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Content-Length', jpeg.length);
+    res.end(req.method === 'HEAD' ? undefined : jpeg);
+  } else if (pathname === '/page.html') {
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<html></html>');
+  } else {
+    res.statusCode = 404;
+    res.end();
+  }
+});
+let baseUrl;
+
+test.before(async () => {
+  test.mock.method(console, 'error', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test('imageCandidate resolves relative URLs and rejects other schemes', () => {
+  assert.deepEqual(imageCandidate('/a.jpg', { width: '640', height: 'auto' }, 'https://example.com/post'), {
+    url: 'https://example.com/a.jpg',
+    width: 640,
+    height: null,
+  });
+  assert.equal(imageCandidate('data:image/gif;base64,R0lGOD'), null);
+  assert.equal(imageCandidate(''), null);
+});
+
+test('htmlImageCandidates reads src, data-src and srcset', () => {
+  const html = `
+    <img src="small.jpg" width="320" height="180" srcset="medium.jpg 2x, https://cdn.example.com/large.jpg 1280w">
+    <img data-src="/lazy.jpg?w=1&amp;h=2">
+    <picture><source srcset="wide.webp 1600w"></picture>`;
+  assert.deepEqual(htmlImageCandidates(html, 'https://example.com/2026/post'), [
+    { url: 'https://example.com/2026/small.jpg', width: 320, height: 180 },
+    { url: 'https://example.com/2026/medium.jpg', width: 640, height: 360 },
+    { url: 'https://cdn.example.com/large.jpg', width: 1280, height: 720 },
+    { url: 'https://example.com/lazy.jpg?w=1&h=2', width: null, height: null },
+    { url: 'https://example.com/2026/wide.webp', width: 1600, height: null },
+  ]);
+});
+
+test('tracking pixels are recognized by size, host and path', () => {
+  assert.equal(isTrackingPixel({ url: 'https://example.com/a.jpg', width: 1, height: 1 }), true);
+  assert.equal(isTrackingPixel({ url: 'https://feeds.feedburner.com/~r/example/~4/abc' }), true);
+  assert.equal(isTrackingPixel({ url: 'https://example.com/img/spacer.gif' }), true);
+  assert.equal(isTrackingPixel({ url: 'https://example.com/img/photo.jpg', width: 1200, height: 675 }), false);
+});
+
+test('imageScore prefers wide 16:9 images', () => {
+  const ideal = imageScore({ width: 1200, height: 675 });
+  assert.equal(ideal, 1);
+  assert.ok(imageScore({ width: 600, height: 338 }) < ideal);
+  assert.ok(imageScore({ width: 1200, height: 1200 }) < ideal);
+  assert.ok(imageScore({ width: 150, height: 150 }) < imageScore({}));
+});
+
+test('rankImageCandidates drops duplicates, pixels and logos', () => {
+  const ranked = rankImageCandidates([
+    { url: 'https://example.com/thumb.jpg', width: 150, height: 150 },
+    { url: 'https://example.com/logo.png', width: null, height: null },
+    { url: 'https://example.com/hero.jpg', width: 1600, height: 900 },
+    { url: 'https://example.com/hero.jpg', width: null, height: null },
+    { url: 'https://example.com/unknown.jpg', width: null, height: null },
+    { url: 'https://pixel.wp.com/g.gif', width: null, height: null },
+  ], { exclude: ['https://example.com/logo.png'] });
+  assert.deepEqual(ranked.map(candidate => candidate.url), [
+    'https://example.com/hero.jpg',
+    'https://example.com/unknown.jpg',
+    'https://example.com/thumb.jpg',
+  ]);
+});
+
+test('the prober reads dimensions and rejects broken links and non-images', async () => {
+  const probe = createImageProber({ timeoutMs: 2000 });
+
+  assert.deepEqual(await probe(`${baseUrl}/python.jpg`), { contentType: 'image/jpeg', bytes: jpeg.length, width: 16, height: 16 });
+  assert.deepEqual(await probe(`${baseUrl}/no-head/python.jpg`), { contentType: 'image/jpeg', bytes: null, width: 16, height: 16 });
+  assert.equal(await probe(`${baseUrl}/missing.jpg`), null);
+  assert.equal(await probe(`${baseUrl}/page.html`), null);
+});
+
+test('the pipeline skips images its probe rejects and falls back to the logo', async () => {
+  const sizes = {
+    'https://example.com/hero.jpg': null,
+    'https://example.com/inline.jpg': { contentType: 'image/jpeg', bytes: 90000, width: 800, height: 450 },
+    'https://example.com/icon.png': { contentType: 'image/png', bytes: 4000, width: 64, height: 64 },
+  };
+  const pipeline = createImagePipeline({ probe: async url => sizes[url] });
+  const article = {
+    imageCandidates: [
+      { url: 'https://example.com/hero.jpg', width: 1600, height: 900 },
+      { url: 'https://example.com/icon.png', width: null, height: null },
+    ],
+    urlToImage: 'https://example.com/hero.jpg',
+    pageImageUrl: 'https://example.com/inline.jpg',
+  };
+
+  assert.deepEqual(await pipeline.select(article, { fallbackLogo: 'https://example.com/logo.png' }), {
+    url: 'https://example.com/inline.jpg',
+    width: 800,
+    height: 450,
+    blurhash: null,
+    cachedUrl: null,
+  });
+
+  const onlyBroken = { imageCandidates: [{ url: 'https://example.com/hero.jpg', width: 1600, height: 900 }] };
+  assert.equal((await pipeline.select(onlyBroken, { fallbackLogo: 'https://example.com/logo.png' })).url, 'https://example.com/logo.png');
+  assert.equal(await pipeline.select(onlyBroken), null);
+});
+
+test('unreachable candidates are kept unverified', async () => {
+  const pipeline = createImagePipeline({ probe: async () => { throw new Error('timeout'); } });
+  const image = await pipeline.select({ urlToImage: 'https://example.com/a.jpg' });
+  assert.equal(image.url, 'https://example.com/a.jpg');
+});
+
+test('a cached image gets its real dimensions, a blurhash and a copy', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+  try {
+    const pipeline = createImagePipeline({
+      download: async () => ({ buffer: png, contentType: 'image/png' }),
+      cache: createDirectoryImageCache(dir, 'https://cdn.example.org/images/'),
+    });
+    const image = await pipeline.select({ urlToImage: 'https://example.com/a.png' });
+
+    assert.equal(image.url, 'https://example.com/a.png');
+    assert.equal(image.width, 16);
+    assert.equal(image.height, 16);
+    assert.equal(image.blurhash, 'LdHUwHK94?WDA3Ng==xU0Q-Nw?M{');
+    assert.match(image.cachedUrl, /^https:\/\/cdn\.example\.org\/images\/[0-9a-f]{40}\.png$/);
+    assert.deepEqual(fs.readFileSync(path.join(dir, path.basename(image.cachedUrl))), png);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed copy keeps the hot-linked image', async () => {
+  const pipeline = createImagePipeline({
+    download: async () => ({ buffer: Buffer.from('<html></html>'), contentType: 'text/html' }),
+    cache: { save: async () => assert.fail('nothing to save') },
+  });
+  const image = await pipeline.select({ urlToImage: 'https://example.com/a.png' });
+  assert.deepEqual(image, { url: 'https://example.com/a.png', width: null, height: null, blurhash: null, cachedUrl: null });
+});
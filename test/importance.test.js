@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { coverageScore, recencyFactor, importanceScore, scoreArticles } = require('../lib/importance');
+
+const now = new Date('2026-10-19T12:00:00.000Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+test('coverage grows logarithmically up to the saturation point', () => {
+  assert.equal(coverageScore(1), 0);
+  assert.ok(coverageScore(2) > 0 && coverageScore(2) < coverageScore(3));
+  assert.equal(coverageScore(6), 1);
+  assert.equal(coverageScore(20), 1);
+});
+
+test('recency halves every half-life and ignores future dates', () => {
+  assert.equal(recencyFactor(hoursAgo(0), now), 1);
+  assert.equal(recencyFactor(hoursAgo(24), now), 0.5);
+  assert.equal(recencyFactor(hoursAgo(6), now, { halfLifeHours: 6 }), 0.5);
+  assert.equal(recencyFactor(hoursAgo(-3), now), 1);
+  assert.equal(recencyFactor('not a date', now), 0);
+});
+
+test('importanceScore combines significance, coverage and trust', () => {
+  const base = { publishedAt: hoursAgo(0) };
+  assert.equal(importanceScore({ ...base, significance: 1, outlets: 6, trusted: true }, { now }), 1);
+  assert.equal(importanceScore({ ...base, significance: 0, outlets: 1, trusted: false }, { now }), 0);
+  assert.equal(importanceScore({ ...base, significance: 0.8 }, { now }), 0.36);
+  assert.ok(importanceScore({ ...base, significance: 0.8, trusted: true }, { now }) > importanceScore({ ...base, significance: 0.8 }, { now }));
+  // An unrated article counts as moderately significant
+  assert.equal(importanceScore({ ...base, significance: null }, { now }), 0.18);
+  assert.equal(importanceScore({ significance: 0.8, publishedAt: hoursAgo(24) }, { now }), 0.18);
+});
+
+test('scoreArticles counts outlets per story cluster and flags trending stories', () => {
+  const rows = [
+    { article_url: 'https://a.example/1', source_id: 'a', cluster_id: 'c1', published_at: hoursAgo(1), significance: 0.7 },
+    { article_url: 'https://b.example/1', source_id: 'b', cluster_id: 'c1', published_at: hoursAgo(2), significance: 0.6 },
+    { article_url: 'https://c.example/1', source_id: 'c', cluster_id: 'c1', published_at: hoursAgo(3), significance: null },
+    // A second article from the same outlet doesn't add coverage
+    { article_url: 'https://c.example/2', source_id: 'c', cluster_id: 'c1', published_at: hoursAgo(30), significance: 0.6 },
+    { article_url: 'https://a.example/2', source_id: 'a', cluster_id: null, published_at: hoursAgo(1), significance: 0.9 },
+    { article_url: 'https://b.example/2', source_id: 'b', cluster_id: null, published_at: hoursAgo(1), significance: 0.9 },
+  ];
+  const scores = scoreArticles(rows, { isTrusted: row => row.source_id === 'a', now });
+
+  assert.deepEqual(scores.get('https://a.example/1'), {
+    importance_score: importanceScore({ significance: 0.7, outlets: 3, trusted: true, publishedAt: hoursAgo(1) }, { now }),
+    outlet_count: 3,
+    trending: true,
+  });
+  assert.equal(scores.get('https://c.example/1').trending, true);
+  // Same story, but too old to be part of the trend
+  assert.equal(scores.get('https://c.example/2').outlet_count, 3);
+  assert.equal(scores.get('https://c.example/2').trending, false);
+  // Articles without a cluster are their own story
+  assert.equal(scores.get('https://b.example/2').outlet_count, 1);
+  assert.equal(scores.get('https://b.example/2').trending, false);
+  assert.ok(scores.get('https://a.example/2').importance_score > scores.get('https://b.example/2').importance_score);
+
+  const stricter = scoreArticles(rows, { now, trendingMinOutlets: 4 });
+  assert.equal(stricter.get('https://a.example/1').trending, false);
+});
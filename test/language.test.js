@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ALL_CATEGORIES } = require('../lib/categories');
+const { LocaleConfigError, detectLanguage, detectArticleLanguage, languageName, parseLocales } = require('../lib/language');
+const { localizeCategory, localizeCategories, missingCategoryLabels } = require('../lib/category-labels');
+
+test('detectLanguage recognizes news copy in each language', () => {
+  assert.equal(detectLanguage('The company said on Wednesday that it will cut prices for its cloud customers in the spring.').language, 'en');
+  assert.equal(detectLanguage('El gobierno aprobó este martes una ley que regula el uso de la inteligencia artificial en las empresas.').language, 'es');
+  assert.equal(detectLanguage('Die Bundesregierung hat sich auf ein neues Gesetz für den Einsatz von künstlicher Intelligenz geeinigt.').language, 'de');
+  assert.equal(detectLanguage('Le gouvernement a présenté mardi un projet de loi sur les plateformes numériques et la protection des données.').language, 'fr');
+});
+
+test('detectLanguage leaves short or unrecognizable text undetermined', () => {
+  assert.deepEqual(detectLanguage('Nvidia earnings'), { language: null, confidence: 0 });
+  assert.equal(detectLanguage('GPU TPU NPU CPU RAM SSD HDD').language, null);
+  assert.equal(detectArticleLanguage({ title: 'Nvidia earnings', description: 'Shares rose after the results beat expectations for the quarter.' }), 'en');
+});
+
+test('parseLocales keeps order, drops duplicates and rejects unsupported locales', () => {
+  assert.deepEqual(parseLocales('es, en ,de-AT,es'), ['es', 'en', 'de-AT']);
+  assert.deepEqual(parseLocales(''), ['en']);
+  assert.throws(() => parseLocales('en,fr'), LocaleConfigError);
+  assert.throws(() => parseLocales('english'), LocaleConfigError);
+  assert.equal(languageName('es-MX'), 'Spanish');
+});
+
+test('every category has Spanish and German labels', () => {
+  assert.deepEqual(missingCategoryLabels(), []);
+  assert.equal(localizeCategory('Tech: Robotics', 'es'), 'Tecnología: Robótica');
+  assert.equal(localizeCategory('Business: Markets & Stocks', 'de-CH'), 'Wirtschaft: Märkte & Aktien');
+  assert.deepEqual(localizeCategories(ALL_CATEGORIES, 'en'), ALL_CATEGORIES);
+  assert.equal(new Set(localizeCategories(ALL_CATEGORIES, 'es')).size, ALL_CATEGORIES.length);
+});
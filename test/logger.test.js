@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildRecord, createLogger, routeConsole } = require('../lib/logger');
+
+function memoryStream() {
+  const lines = [];
+  return { lines, write: chunk => lines.push(chunk) };
+}
+
+test('buildRecord formats console arguments and keeps errors', () => {
+  const error = new Error('boom');
+  const record = buildRecord('error', ['Failed %d times:', 2, error], { run: 'r1' }, new Date('2026-10-19T00:00:00Z'));
+
+  assert.equal(record.time, '2026-10-19T00:00:00.000Z');
+  assert.equal(record.level, 'error');
+  assert.match(record.msg, /^Failed 2 times: Error: boom/);
+  assert.equal(record.run, 'r1');
+  assert.equal(record.error.message, 'boom');
+});
+
+test('the json format writes one object per line and filters by level', () => {
+  const stream = memoryStream();
+  const logger = createLogger({ level: 'info', format: 'json', stream });
+
+  logger.debug('hidden');
+  logger.info('📰 Parsed', 3, 'articles');
+  logger.warn('careful');
+
+  assert.equal(stream.lines.length, 2);
+  const first = JSON.parse(stream.lines[0]);
+  assert.equal(first.level, 'info');
+  assert.equal(first.msg, '📰 Parsed 3 articles');
+  assert.equal(JSON.parse(stream.lines[1]).level, 'warn');
+});
+
+test('the text format writes the message, the log file gets JSON lines', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  try {
+    const stream = memoryStream();
+    const filePath = path.join(dir, 'logs', 'sync.log');
+    const logger = createLogger({ stream, filePath });
+
+    logger.info('hello');
+    logger.error('oops');
+    logger.close();
+
+    assert.deepEqual(stream.lines, ['hello\n', 'oops\n']);
+    const records = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => [record.level, record.msg]), [['info', 'hello'], ['error', 'oops']]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('warn and error records go to the error stream', () => {
+  const stream = memoryStream();
+  const errorStream = memoryStream();
+  const logger = createLogger({ stream, errorStream });
+
+  logger.info('hello');
+  logger.warn('careful');
+  logger.error('oops');
+
+  assert.deepEqual(stream.lines, ['hello\n']);
+  assert.deepEqual(errorStream.lines, ['careful\n', 'oops\n']);
+});
+
+test('routeConsole sends console calls to the logger until restored', () => {
+  const stream = memoryStream();
+  const restore = routeConsole(createLogger({ format: 'json', stream }));
+  try {
+    console.log('info line');
+    console.error('error line');
+  } finally {
+    restore();
+  }
+
+  assert.deepEqual(stream.lines.map(line => JSON.parse(line).level), ['info', 'error']);
+});
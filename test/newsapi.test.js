@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  NewsAPIError,
+  NewsAPIConfigError,
+  isQuotaError,
+  loadNewsAPIQueries,
+  chunkSources,
+  matchSource,
+  toArticles,
+  createNewsAPIClient,
+} = require('../lib/newsapi');
+
+const raw = (n, sourceId = 'wired') => ({
+  source: { id: sourceId, name: sourceId },
+  title: `Story ${n}`,
+  description: 'Description',
+  url: `https://www.${sourceId}.com/story-${n}`,
+  urlToImage: null,
+  publishedAt: '2026-10-19T08:00:00Z',
+});
+
+// Local NewsAPI answering from `responses` in order: { status, body }
+let responses = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers });
+  const { status = 200, body } = responses.shift();
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+});
+let baseUrl;
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v2`;
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+function client(options = {}) {
+  return createNewsAPIClient({ apiKey: 'secret', baseUrl, pageSize: 2, maxPages: 3, requestOptions: { retries: 2, retryBaseMs: 1 }, ...options });
+}
+
+test('fetchPages pages until the results run out, with the key in a header', async () => {
+  responses = [
+    { body: { status: 'ok', totalResults: 3, articles: [raw(1), raw(2)] } },
+    { body: { status: 'ok', totalResults: 3, articles: [raw(3)] } },
+  ];
+
+  const result = await client().fetchPages('top-headlines', { sources: 'wired' });
+
+  assert.equal(result.articles.length, 3);
+  assert.equal(result.pages, 2);
+  assert.deepEqual(requests.map(request => request.url.searchParams.get('page')), ['1', '2']);
+  assert.equal(requests[0].url.pathname, '/v2/top-headlines');
+  assert.equal(requests[0].url.searchParams.get('sources'), 'wired');
+  assert.equal(requests[0].url.searchParams.has('apiKey'), false);
+  assert.equal(requests[0].headers['x-api-key'], 'secret');
+});
+
+test('a paging limit keeps the pages already read', async () => {
+  responses = [
+    { body: { status: 'ok', totalResults: 500, articles: [raw(1), raw(2)] } },
+    { status: 426, body: { status: 'error', code: 'maximumResultsReached', message: 'Developer accounts are limited to 100 results.' } },
+  ];
+
+  const result = await client().fetchPages('everything', { q: 'robots' });
+
+  assert.equal(result.articles.length, 2);
+  assert.equal(result.pages, 1);
+});
+
+test('error bodies become NewsAPIError and quota errors stop the client without retries', async () => {
+  responses = [
+    { status: 429, body: { status: 'error', code: 'rateLimited', message: 'You have made too many requests recently.' } },
+  ];
+  const api = client();
+
+  await assert.rejects(api.request('top-headlines', { sources: 'wired' }), (error) => {
+    assert.ok(error instanceof NewsAPIError);
+    assert.equal(error.code, 'rateLimited');
+    assert.equal(error.status, 429);
+    assert.ok(isQuotaError(error));
+    return true;
+  });
+  await assert.rejects(api.request('everything', { q: 'robots' }), /rateLimited/);
+  assert.equal(requests.length, 1);
+  assert.equal(api.requests, 1);
+
+  responses = [{ body: { status: 'error', code: 'sourceDoesNotExist', message: 'Unknown source.' } }];
+  await assert.rejects(client().request('top-headlines', { sources: 'nope' }), error => error.code === 'sourceDoesNotExist' && !isQuotaError(error));
+});
+
+test('the per-run request budget is enforced', async () => {
+  responses = [{ body: { status: 'ok', totalResults: 4, articles: [raw(1), raw(2)] } }];
+  const api = client({ maxRequests: 1 });
+
+  const result = await api.fetchPages('top-headlines', { sources: 'wired' });
+
+  assert.equal(result.articles.length, 2);
+  await assert.rejects(api.request('top-headlines', {}), error => error.code === 'requestBudgetExhausted' && isQuotaError(error));
+  assert.equal(requests.length, 1);
+  await assert.rejects(createNewsAPIClient({ apiKey: '' }).request('top-headlines', {}), /apiKeyMissing/);
+});
+
+test('articles are matched to sources by id, or by domain when NewsAPI has no id', () => {
+  const newsSources = [
+    { id: 'engadget', name: 'Engadget', url: 'engadget.com', fallbackLogo: 'https://example.com/logo.png' },
+    { id: 'ft', name: 'Financial Times', url: 'ft.com', fallbackLogo: null },
+  ];
+
+  assert.equal(matchSource(raw(1, 'engadget'), newsSources).id, 'engadget');
+  assert.equal(matchSource(raw(1, 'wired'), newsSources), null);
+  assert.equal(matchSource({ source: { id: null, name: 'FT' }, url: 'https://markets.ft.com/story' }, newsSources).id, 'ft');
+  assert.equal(matchSource({ source: { id: null, name: 'Engadget Weekly' }, url: 'https://notengadget.com/a' }, newsSources), null);
+
+  const articles = toArticles([raw(1, 'engadget'), raw(2, 'wired'), { ...raw(3, 'engadget'), title: '[Removed]' }], newsSources, { queryCategory: 'Tech: Robotics' });
+  assert.equal(articles.length, 1);
+  assert.deepEqual(articles[0].source, { id: 'engadget', name: 'Engadget', type: 'newsapi' });
+  assert.equal(articles[0].urlToImage, 'https://example.com/logo.png');
+  assert.equal(articles[0].queryCategory, 'Tech: Robotics');
+
+  const [html] = toArticles([{ ...raw(4, 'engadget'), title: 'Q&amp;A &mdash; robots', description: '<p>Hands&nbsp;on<img src="/px.gif" width="1" height="1"></p>' }], newsSources);
+  assert.equal(html.title, 'Q&A — robots');
+  assert.equal(html.description, 'Hands on');
+  assert.equal(html.descriptionHtml, '<p>Hands\u00a0on</p>');
+});
+
+test('chunkSources respects the 20 sources per request limit', () => {
+  const many = Array.from({ length: 45 }, (_, i) => ({ id: `s${i}` }));
+  assert.deepEqual(chunkSources(many).map(chunk => chunk.length), [20, 20, 5]);
+});
+
+test('loadNewsAPIQueries validates the query config', () => {
+  assert.ok(loadNewsAPIQueries().length > 0);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsapi-queries-'));
+  const filePath = path.join(dir, 'queries.json');
+  fs.writeFileSync(filePath, JSON.stringify({ queries: [{ id: 'ai', q: '', category: 'Tech: Nope' }] }));
+  assert.throws(() => loadNewsAPIQueries(filePath), (error) => {
+    assert.ok(error instanceof NewsAPIConfigError);
+    assert.match(error.message, /"q" is required/);
+    assert.match(error.message, /"Tech: Nope" is not a known category/);
+    return true;
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const {
+  NotifierConfigError,
+  parseWebhooks,
+  renderTemplate,
+  formatPayload,
+  createNotifier,
+} = require('../lib/notifier');
+const { createLogger, routeConsole } = require('../lib/logger');
+
+// Local webhook receiver. Records every POST; /broken always answers 500 and
+// /slow/... answers too late for short timeouts.
+let received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.statusCode = req.url === '/broken' ? 500 : 204;
+    setTimeout(() => res.end(), req.url.startsWith('/slow/') ? 200 : 0);
+  });
+});
+let baseUrl;
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  received = [];
+});
+
+test('parseWebhooks reads typed and bare URLs', () => {
+  assert.deepEqual(parseWebhooks('slack:https://hooks.slack.com/services/T/B/x, https://example.com/hook'), [
+    { type: 'slack', url: 'https://hooks.slack.com/services/T/B/x' },
+    { type: 'generic', url: 'https://example.com/hook' },
+  ]);
+  assert.deepEqual(parseWebhooks(''), []);
+  assert.throws(() => parseWebhooks('discord:not a url'), NotifierConfigError);
+});
+
+test('renderTemplate fills dotted placeholders and keeps unknown ones', () => {
+  assert.equal(renderTemplate('{{source.id}} failed {{ runs }}x {{missing}}', { source: { id: 'wired' }, runs: 3 }), 'wired failed 3x {{missing}}');
+});
+
+test('formatPayload shapes messages per webhook type', () => {
+  const message = { event: 'run-failed', text: 'x'.repeat(2500), values: { status: 'failed' }, time: '2026-10-19T08:00:00.000Z' };
+  assert.deepEqual(formatPayload('slack', message), { text: message.text });
+  assert.equal(formatPayload('discord', message).content.length, 2000);
+  assert.deepEqual(formatPayload('generic', message), { event: 'run-failed', text: message.text, data: { status: 'failed' }, time: message.time });
+});
+
+test('send posts to every webhook and survives a failing one', async () => {
+  const notifier = createNotifier({
+    webhooks: parseWebhooks(`slack:${baseUrl}/slack,discord:${baseUrl}/discord,${baseUrl}/broken`),
+    templates: { 'run-failed': 'Sync {{status}}: {{problems}}{{runLink}}' },
+    runUrl: 'https://github.com/example/news/actions/runs/1',
+    requestOptions: { retries: 0 },
+  });
+
+  const delivered = await notifier.send('run-failed', { status: 'failed', problems: 'database unreachable' });
+
+  assert.equal(delivered, 2);
+  const text = 'Sync failed: database unreachable (https://github.com/example/news/actions/runs/1)';
+  assert.deepEqual(received.map(request => [request.url, request.headers['content-type']]), [
+    ['/slack', 'application/json'],
+    ['/discord', 'application/json'],
+    ['/broken', 'application/json'],
+  ]);
+  assert.deepEqual(received[0].body, { text });
+  assert.deepEqual(received[1].body, { content: text });
+  assert.equal(received[2].body.event, 'run-failed');
+});
+
+test('send skips events that are not enabled', async () => {
+  const notifier = createNotifier({ webhooks: parseWebhooks(`${baseUrl}/hook`), events: ['daily-digest'] });
+
+  assert.equal(await notifier.send('run-failed', { status: 'failed' }), 0);
+  assert.deepEqual(received, []);
+  assert.throws(() => createNotifier({ events: ['run-exploded'] }), NotifierConfigError);
+  assert.equal(createNotifier().enabled, false);
+});
+
+test('send never logs the token in a webhook URL', async () => {
+  const lines = [];
+  const logger = createLogger({ level: 'debug', stream: { write: line => lines.push(line) } });
+  const notifier = createNotifier({
+    webhooks: parseWebhooks(`slack:${baseUrl}/slow/T000/B000/secret-token`),
+    requestOptions: { timeoutMs: 50, retries: 1, sleep: async () => {} },
+  });
+
+  const restore = routeConsole(logger);
+  let delivered;
+  try {
+    delivered = await notifier.send('run-failed', { status: 'failed', problems: 'database unreachable' });
+  } finally {
+    restore();
+  }
+
+  assert.equal(delivered, 0);
+  assert.equal(received.length, 2);
+  const output = lines.join('');
+  assert.match(output, /Retrying slack webhook \(127\.0\.0\.1:\d+\)/);
+  assert.match(output, /Request to slack webhook \(127\.0\.0\.1:\d+\) timed out/);
+  assert.doesNotMatch(output, /secret-token|\/slow\//);
+});
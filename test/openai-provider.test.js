@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { ANALYSIS_TOOL_NAME, AnalysisValidationError } = require('../lib/article-analysis');
+const { validateCompletion, createOpenAIProvider } = require('../lib/openai-provider');
+
+const summary = 'Nvidia reported record revenue driven by data center demand. The results beat expectations.';
+const article = { url: 'https://example.com/a', title: 'Nvidia earnings', description: 'Record revenue.' };
+
+function completion(args, { content = null, id = 'call_1' } = {}) {
+  const message = { role: 'assistant', content };
+  if (args) {
+    message.tool_calls = [{ id, type: 'function', function: { name: ANALYSIS_TOOL_NAME, arguments: JSON.stringify(args) } }];
+  }
+  return { choices: [{ message }], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+}
+
+// Local OpenAI-compatible server answering from `responses` in order
+let responses = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(responses.shift()));
+  });
+});
+let baseUrl;
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+function provider(options = {}) {
+  return createOpenAIProvider({ baseUrl, model: 'local-model', maxTokens: 400, maxPromptChars: 8000, ...options });
+}
+
+test('validateCompletion reads function arguments or JSON content', () => {
+  assert.ok(validateCompletion(completion({ summary, categories: ['Tech: Robotics'] })).analysis);
+  assert.ok(validateCompletion(completion(null, { content: JSON.stringify({ summary, categories: ['Tech: Robotics'] }) })).analysis);
+  assert.match(validateCompletion(completion(null, { content: 'Sure! Here is a summary.' })).problems[0], /no record_article_analysis/);
+});
+
+test('analyze posts a forced function call to /chat/completions', async () => {
+  responses = [completion({ summary, categories: ['Business: Markets & Stocks'], entities: [{ name: 'Nvidia', type: 'company', salience: 0.9 }] })];
+
+  const analysis = await provider({ apiKey: 'sk-test' }).analyze(article);
+
+  assert.deepEqual(analysis, {
+    summary,
+    categories: ['Business: Markets & Stocks'],
+    entities: [{ name: 'Nvidia', type: 'company', salience: 0.9 }],
+    keywords: [],
+    significance: null,
+    provider: 'openai',
+    model: 'local-model',
+  });
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+  assert.equal(requests[0].body.model, 'local-model');
+  assert.equal(requests[0].body.tool_choice.function.name, ANALYSIS_TOOL_NAME);
+  assert.match(requests[0].body.messages[0].content, /Title: Nvidia earnings/);
+});
+
+test('analyze sends one correction with the tool call result', async () => {
+  responses = [
+    completion({ summary, categories: ['Not A Category'] }),
+    completion({ summary, categories: ['Tech: Robotics'] }),
+  ];
+
+  const analysis = await provider().analyze(article);
+
+  assert.deepEqual(analysis.categories, ['Tech: Robotics']);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].headers.authorization, undefined);
+  const [, assistant, followUp] = requests[1].body.messages;
+  assert.equal(assistant.tool_calls[0].id, 'call_1');
+  assert.equal(followUp.role, 'tool');
+  assert.equal(followUp.tool_call_id, 'call_1');
+});
+
+test('analyze throws when the correction is still invalid', async () => {
+  responses = [completion({ summary: 'short', categories: [] }), completion({ summary: 'short', categories: [] })];
+  await assert.rejects(provider().analyze(article), AnalysisValidationError);
+
+  responses = [completion({ summary, categories: [] }), completion({ summary, categories: [] })];
+  const analysis = await provider({ defaultCategory: () => 'Tech: Robotics' }).analyze(article);
+  assert.deepEqual(analysis.categories, ['Tech: Robotics']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('../lib/rate-limiter');
+
+// Fake clock: sleep() advances time instead of waiting
+function fakeClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    sleep: async (ms) => {
+      time += ms;
+    },
+  };
+}
+
+test('allows a burst up to the per-minute limit, then spaces requests', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ requestsPerMinute: 60, ...clock });
+
+  for (let i = 0; i < 60; i++) await limiter.acquire();
+  assert.equal(clock.now(), 0);
+
+  await limiter.acquire();
+  assert.equal(clock.now(), 1000);
+});
+
+test('limits estimated tokens per minute', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ tokensPerMinute: 6000, ...clock });
+
+  await limiter.acquire(6000);
+  await limiter.acquire(3000);
+
+  assert.equal(clock.now(), 30000);
+});
+
+test('settle() charges the difference between estimate and actual usage', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ tokensPerMinute: 6000, ...clock });
+
+  await limiter.acquire(1000);
+  limiter.settle(1000, 6000);
+  await limiter.acquire(1000);
+
+  assert.equal(clock.now(), 10000);
+});
+
+test('pause() holds back every caller', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ ...clock });
+
+  limiter.pause(5000);
+  await Promise.all([limiter.acquire(), limiter.acquire()]);
+
+  assert.equal(clock.now(), 5000);
+});
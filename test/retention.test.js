@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RetentionSafetyError,
+  planRetention,
+  assertWithinSafetyCap,
+} = require('../lib/retention');
+
+const now = new Date('2024-05-22T12:00:00.000Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const row = (url, sourceId, age) => ({ article_url: url, source_id: sourceId, published_at: daysAgo(age) });
+
+const policy = { keepDays: 30, minPerSource: 1, now };
+
+test('planRetention expires old articles that left the feeds', () => {
+  const rows = [
+    row('https://a.example/new', 'a', 1),
+    row('https://a.example/old', 'a', 45),
+    row('https://a.example/old-but-current', 'a', 60),
+  ];
+
+  const { expired, kept } = planRetention(rows, { ...policy, isCurrent: url => url.endsWith('current') });
+
+  assert.deepEqual(expired, ['https://a.example/old']);
+  assert.deepEqual(kept.sort(), ['https://a.example/new', 'https://a.example/old-but-current']);
+});
+
+test('planRetention keeps the newest articles of each source', () => {
+  const rows = [
+    row('https://a.example/1', 'a', 40),
+    row('https://a.example/2', 'a', 50),
+    row('https://a.example/3', 'a', 60),
+    row('https://b.example/1', 'b', 90),
+  ];
+
+  const { expired } = planRetention(rows, { ...policy, minPerSource: 2 });
+
+  assert.deepEqual(expired, ['https://a.example/3']);
+});
+
+test('planRetention never expires protected sources or undated rows', () => {
+  const rows = [
+    row('https://a.example/1', 'a', 1),
+    row('https://a.example/2', 'a', 90),
+    row('https://b.example/1', 'b', 1),
+    row('https://b.example/2', 'b', 90),
+    { article_url: 'https://b.example/undated', source_id: 'b', published_at: null },
+  ];
+
+  const { expired } = planRetention(rows, { ...policy, protectedSourceIds: new Set(['a']) });
+
+  assert.deepEqual(expired, ['https://b.example/2']);
+});
+
+test('assertWithinSafetyCap aborts large removals', () => {
+  assert.doesNotThrow(() => assertWithinSafetyCap(25, 100, 25));
+  assert.doesNotThrow(() => assertWithinSafetyCap(0, 0, 25));
+  assert.throws(() => assertWithinSafetyCap(26, 100, 25), RetentionSafetyError);
+});
+
+test('planRetention leaves sources outside onlySourceIds alone', () => {
+  const rows = [
+    row('https://a.example/old', 'a', 90),
+    row('https://b.example/old', 'b', 90),
+  ];
+
+  const { expired } = planRetention(rows, { ...policy, minPerSource: 0, onlySourceIds: new Set(['b']) });
+
+  assert.deepEqual(expired, ['https://b.example/old']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRobotsTxt, isPathAllowed, createRobotsChecker } = require('../lib/robots');
+
+const robotsTxt = `
+# Crawlers
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/press/
+
+User-agent: GPTBot
+User-agent: news-app-sync
+Disallow: /premium
+`;
+
+test('parseRobotsTxt picks the group for our token over "*"', () => {
+  assert.deepEqual(parseRobotsTxt(robotsTxt, 'news-app-sync'), [{ allow: false, pattern: '/premium' }]);
+  assert.equal(parseRobotsTxt(robotsTxt, 'other-bot').length, 3);
+});
+
+test('isPathAllowed uses the longest match and wildcards', () => {
+  const rules = parseRobotsTxt(robotsTxt, 'other-bot');
+
+  assert.equal(isPathAllowed(rules, '/news/story'), true);
+  assert.equal(isPathAllowed(rules, '/private/drafts'), false);
+  assert.equal(isPathAllowed(rules, '/private/press/release'), true);
+  assert.equal(isPathAllowed(rules, '/files/report.pdf'), false);
+  assert.equal(isPathAllowed(rules, '/files/report.pdf?download=1'), true);
+});
+
+test('createRobotsChecker fetches robots.txt once per origin', async () => {
+  const fetched = [];
+  const checker = createRobotsChecker(async (url) => {
+    fetched.push(url);
+    if (url.startsWith('https://missing.example')) return null;
+    if (url.startsWith('https://down.example')) throw new Error('HTTP 503');
+    return robotsTxt;
+  });
+
+  assert.equal(await checker.isAllowed('https://example.com/premium/story'), false);
+  assert.equal(await checker.isAllowed('https://example.com/news/story'), true);
+  assert.equal(await checker.isAllowed('https://missing.example/anything'), true);
+  assert.equal(await checker.isAllowed('https://down.example/anything'), false);
+  assert.deepEqual(fetched, [
+    'https://example.com/robots.txt',
+    'https://missing.example/robots.txt',
+    'https://down.example/robots.txt',
+  ]);
+});
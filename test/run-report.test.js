@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFileStore } = require('../lib/file-store');
+const { estimateCost, createUsageTracker } = require('../lib/ai-usage');
+const {
+  RUN_THRESHOLD_DEFAULTS,
+  buildSourceStats,
+  checkThresholds,
+  buildRunReport,
+  buildFailedRunReport,
+  runReportRow,
+  saveRunReport,
+} = require('../lib/run-report');
+
+const article = (url, sourceId) => ({ url, source: { id: sourceId, name: sourceId } });
+
+test('estimateCost uses per-million prices and the batch discount', () => {
+  assert.equal(estimateCost({ model: 'claude-3-haiku-20240307', inputTokens: 1e6, outputTokens: 1e6 }), 1.5);
+  assert.equal(estimateCost({ model: 'claude-3-haiku-20240307', inputTokens: 1e6, outputTokens: 0, batch: true }), 0.125);
+  assert.equal(estimateCost({ model: 'unknown', inputTokens: 1, outputTokens: 1 }), null);
+});
+
+test('the usage tracker totals calls, tokens and cost per model', () => {
+  const usage = createUsageTracker({ prices: { 'local-model': { input: 0, output: 0 } } });
+  usage.record({ provider: 'anthropic', model: 'claude-3-haiku-20240307', inputTokens: 2000, outputTokens: 400 });
+  usage.record({ provider: 'openai', model: 'local-model', inputTokens: 100, outputTokens: 10 });
+
+  const totals = usage.totals();
+  assert.equal(totals.calls, 2);
+  assert.equal(totals.inputTokens, 2100);
+  assert.equal(totals.estimatedCostUsd, 0.001);
+  assert.equal(totals.byModel['openai/local-model'].calls, 1);
+
+  usage.record({ provider: 'openai', model: 'mystery', inputTokens: 1, outputTokens: 1 });
+  assert.equal(usage.totals().estimatedCostUsd, null);
+  usage.reset();
+  assert.equal(usage.totals().calls, 0);
+});
+
+test('buildSourceStats merges fetch results and enrichment outcomes per source', () => {
+  const stats = buildSourceStats({
+    fetchResults: [
+      { sourceId: 'tc', sourceName: 'TechCrunch', status: 'ok', articles: [{}, {}], error: null },
+      { sourceId: 'tc', sourceName: 'TechCrunch', status: 'http-error', articles: [], error: 'HTTP 500' },
+      { sourceId: 'ars', sourceName: 'Ars', status: 'not-modified', articles: [], error: null },
+    ],
+    filtered: [{ url: 'c', sourceId: 'tc', rule: 'sponsored' }],
+    newArticles: [article('a', 'tc'), article('b', 'tc')],
+    attempted: [article('a', 'tc'), article('b', 'tc'), article('old', 'gone')],
+    flagged: [{ url: 'b' }],
+  });
+
+  assert.deepEqual(stats, [
+    { id: 'ars', name: 'Ars', status: 'not-modified', error: null, fetched: 0, filtered: 0, new: 0, saved: 0, failed: 0 },
+    { id: 'gone', name: 'gone', status: null, error: null, fetched: 0, filtered: 0, new: 0, saved: 1, failed: 0 },
+    { id: 'tc', name: 'TechCrunch', status: 'http-error', error: 'HTTP 500', fetched: 2, filtered: 1, new: 2, saved: 1, failed: 1 },
+  ]);
+});
+
+test('checkThresholds flags failed sources, flagged enrichments and save errors', () => {
+  const report = {
+    sources: [{ id: 'a', status: 'timeout' }, { id: 'b', status: 'http-error' }, { id: 'c', status: 'ok' }, { id: 'd', status: null }],
+    attempted: 4,
+    flagged: [{}, {}],
+    saveErrors: 1,
+  };
+
+  const exceeded = checkThresholds(report, RUN_THRESHOLD_DEFAULTS);
+  assert.equal(exceeded.length, 2);
+  assert.match(exceeded[0], /^2\/3 sources failed .*: a, b$/);
+  assert.match(exceeded[1], /1 articles could not be saved/);
+
+  assert.deepEqual(checkThresholds(report, { maxFailedSourcePercent: 100, maxFlaggedPercent: 100, maxSaveErrors: 5 }), []);
+});
+
+test('buildRunReport sets duration and status', () => {
+  const report = buildRunReport({
+    startedAt: new Date('2026-10-19T00:00:00Z'),
+    finishedAt: new Date('2026-10-19T00:01:30Z'),
+    summary: { fetched: 5, attempted: 2, saved: 2, flagged: [], saveErrors: 0, expired: 1 },
+    sources: [],
+    ai: { provider: 'extractive', calls: 2 },
+  });
+
+  assert.equal(report.status, 'ok');
+  assert.equal(report.durationMs, 90000);
+  assert.equal(runReportRow(report).removed, 1);
+  assert.deepEqual(runReportRow(report).errors, []);
+});
+
+test('saveRunReport stores a row and survives store errors', async () => {
+  const store = createFileStore();
+  const failed = buildFailedRunReport({ startedAt: new Date(Date.now() - 1000), error: new Error('no network') });
+  await saveRunReport(store, failed);
+
+  assert.equal(store.data.sync_runs.length, 1);
+  assert.equal(store.data.sync_runs[0].status, 'failed');
+  assert.deepEqual(store.data.sync_runs[0].errors, ['no network']);
+
+  const logged = [];
+  test.mock.method(console, 'error', (...args) => logged.push(args.join(' ')));
+  try {
+    await saveRunReport({ insertSyncRun: async () => { throw new Error('table missing'); } }, failed);
+  } finally {
+    test.mock.restoreAll();
+  }
+  assert.match(logged[0], /table missing/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  SOURCE_DEFAULTS,
+  SourceConfigError,
+  validateSources,
+  loadSources,
+  loadSourcesFromFile,
+  getEnabledSources,
+  findSource,
+} = require('../lib/sources');
+const { createSupabaseStore } = require('../lib/supabase-store');
+
+test('the bundled config/sources.json is valid', () => {
+  const sources = loadSourcesFromFile();
+
+  assert.ok(getEnabledSources(sources, 'rss').length > 0);
+  assert.ok(getEnabledSources(sources, 'newsapi').length > 0);
+  assert.equal(findSource(sources, 'rss', 'engadget').imageStrategy, 'media-image');
+});
+
+test('validateSources applies defaults', () => {
+  const [source] = validateSources([{ id: 'blog', name: 'Blog', type: 'rss', url: 'https://blog.example.com/feed' }]);
+
+  assert.deepEqual(source, { ...SOURCE_DEFAULTS, id: 'blog', name: 'Blog', type: 'rss', url: 'https://blog.example.com/feed' });
+});
+
+test('validateSources reports every problem', () => {
+  assert.throws(
+    () => validateSources([
+      { id: 'a', name: 'A', type: 'rss', url: 'not a url', imageStrategy: 'biggest' },
+      { id: 'b', name: 'B', type: 'newsapi', defaultCategory: 'Tech: Nonsense', fetchIntervalMinutes: 0 },
+      { id: 'b', name: 'B again', type: 'newsapi', fullText: 'yes' },
+    ]),
+    error => {
+      assert.ok(error instanceof SourceConfigError);
+      assert.equal(error.problems.length, 6);
+      return true;
+    }
+  );
+});
+
+test('getEnabledSources skips disabled sources', () => {
+  const sources = validateSources([
+    { id: 'on', name: 'On', type: 'rss', url: 'https://on.example.com/feed' },
+    { id: 'off', name: 'Off', type: 'rss', url: 'https://off.example.com/feed', enabled: false },
+  ]);
+
+  assert.deepEqual(getEnabledSources(sources, 'rss').map(s => s.id), ['on']);
+});
+
+test('loadSources reads the Supabase sources table', async () => {
+  const rows = [{ id: 'wired', type: 'newsapi', name: 'Wired', url: 'wired.com', enabled: true, trusted: true, fallback_logo: null, image_strategy: null, default_category: 'Tech: Gadgets & Devices', fetch_interval_minutes: null }];
+  const supabase = {
+    from: () => ({ select: () => ({ order: async () => ({ data: rows, error: null }) }) }),
+  };
+
+  const [source] = await loadSources({ backend: 'supabase', store: createSupabaseStore(supabase) });
+
+  assert.equal(source.defaultCategory, 'Tech: Gadgets & Devices');
+  assert.equal(source.fetchIntervalMinutes, SOURCE_DEFAULTS.fetchIntervalMinutes);
+});
+
+test('loadSources falls back to the config file when Supabase fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  const filePath = path.join(dir, 'sources.json');
+  fs.writeFileSync(filePath, JSON.stringify({ sources: [{ id: 'x', name: 'X', type: 'rss', url: 'https://x.example.com/rss' }] }));
+  const supabase = {
+    from: () => ({ select: () => ({ order: async () => ({ data: null, error: { message: 'relation "sources" does not exist' } }) }) }),
+  };
+
+  const sources = await loadSources({ backend: 'supabase', filePath, store: createSupabaseStore(supabase) });
+
+  assert.deepEqual(sources.map(s => s.id), ['x']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SIGNATURE_SIZE,
+  shingles,
+  minhashSignature,
+  estimateSimilarity,
+  clusterSignatures,
+} = require('../lib/story-clusters');
+
+const wire = {
+  title: 'Chipmaker unveils low-power AI accelerator for data centers',
+  description: 'The company said on Tuesday that its new accelerator runs large language models at a fraction of the power drawn by current GPUs.',
+};
+const syndicated = {
+  title: 'Chipmaker Unveils Low-Power AI Accelerator for Data Centers',
+  description: 'The company said Tuesday that its new accelerator runs large language models at a fraction of the power drawn by current GPUs, analysts said.',
+};
+const unrelated = {
+  title: 'City council approves new bike lanes downtown',
+  description: 'The plan adds twelve miles of protected lanes and removes parking on three major streets over the next two years.',
+};
+
+const signature = article => minhashSignature(shingles(article));
+
+test('minhash signatures are deterministic and estimate similarity', () => {
+  const a = signature(wire);
+  assert.equal(a.length, SIGNATURE_SIZE);
+  assert.deepEqual(signature(wire), a);
+  assert.ok(a.every(value => Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31));
+
+  assert.ok(estimateSimilarity(a, signature(syndicated)) >= 0.5);
+  assert.ok(estimateSimilarity(a, signature(unrelated)) < 0.2);
+});
+
+test('clusterSignatures groups near-duplicates and keeps stored cluster ids', () => {
+  const clusters = clusterSignatures([
+    { key: 'stored', signature: signature(wire), clusterId: 'existing-cluster' },
+    { key: 'new-syndicated', signature: signature(syndicated), clusterId: null },
+    { key: 'new-unrelated', signature: signature(unrelated), clusterId: null },
+  ]);
+
+  assert.equal(clusters.get('stored'), 'existing-cluster');
+  assert.equal(clusters.get('new-syndicated'), 'existing-cluster');
+  assert.notEqual(clusters.get('new-unrelated'), 'existing-cluster');
+  assert.match(clusters.get('new-unrelated'), /^[0-9a-f]{16}$/);
+});
+
+test('clusterSignatures gives new clusters ids derived from their first member', () => {
+  const first = clusterSignatures([
+    { key: 'a', signature: signature(wire), clusterId: null },
+    { key: 'b', signature: signature(syndicated), clusterId: null },
+  ]);
+  const again = clusterSignatures([{ key: 'a', signature: signature(wire), clusterId: null }]);
+
+  assert.equal(first.get('a'), first.get('b'));
+  assert.equal(again.get('a'), first.get('a'));
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSupabaseStore } = require('../lib/supabase-store');
+
+// Fake Supabase client over an in-memory result: records each query's
+// calls and answers .range() with that slice, capped at 1000 rows like
+// PostgREST. RPC calls are recorded and answer with no error.
+function fakeClient(result) {
+  const queries = [];
+  const rpcs = [];
+  const from = (table) => {
+    const query = { table, calls: [] };
+    queries.push(query);
+    const builder = new Proxy({}, {
+      get: (target, method) => (...args) => {
+        query.calls.push([method, ...args]);
+        if (method !== 'range') return builder;
+        const [start, end] = args;
+        return Promise.resolve({ data: result.slice(start, Math.min(end + 1, start + 1000)), error: null });
+      },
+    });
+    return builder;
+  };
+  const rpc = async (name, args) => {
+    rpcs.push([name, args]);
+    return { data: null, error: null };
+  };
+  return { queries, rpcs, from, rpc };
+}
+
+const rows = count => Array.from({ length: count }, (_, i) => ({ article_url: `https://example.com/${i}` }));
+
+test('listRecentSignatures pages past the response cap, newest first', async () => {
+  const client = fakeClient(rows(2500));
+  const store = createSupabaseStore(client);
+
+  const result = await store.listRecentSignatures({ since: new Date('2026-10-16T00:00:00Z'), limit: 2200 });
+
+  assert.equal(result.length, 2200);
+  assert.deepEqual(client.queries.map(q => q.calls.find(call => call[0] === 'range')), [
+    ['range', 0, 999],
+    ['range', 1000, 1999],
+    ['range', 2000, 2199],
+  ]);
+  assert.deepEqual(client.queries[0].calls.find(call => call[0] === 'order'), ['order', 'published_at', { ascending: false }]);
+});
+
+test('a short page ends the read', async () => {
+  const client = fakeClient(rows(10));
+  const store = createSupabaseStore(client);
+
+  assert.equal((await store.listRecentSignatures({ since: new Date(), limit: 5000 })).length, 10);
+  assert.equal(client.queries.length, 1);
+});
+
+test('listRecentArticles reads every page of the scoring window', async () => {
+  const client = fakeClient(rows(1500));
+  const store = createSupabaseStore(client);
+
+  const result = await store.listRecentArticles({ since: new Date('2026-10-16T00:00:00Z'), limit: 5000 });
+
+  assert.equal(result.length, 1500);
+  assert.equal(client.queries.length, 2);
+  assert.deepEqual(client.queries[0].calls.find(call => call[0] === 'or'), ['or', 'published_at.gte.2026-10-16T00:00:00.000Z,trending.eq.true']);
+});
+
+test('updateArticleScores writes a batch in one call', async () => {
+  const client = fakeClient([]);
+  const store = createSupabaseStore(client);
+  const scores = [
+    { article_url: 'https://example.com/0', importance_score: 0.5, outlet_count: 2, trending: true },
+    { article_url: 'https://example.com/1', importance_score: 0.1, outlet_count: 1, trending: false },
+  ];
+
+  await store.updateArticleScores(scores);
+
+  assert.deepEqual(client.rpcs, [['update_article_scores', { scores }]]);
+  assert.equal(client.queries.length, 0);
+});
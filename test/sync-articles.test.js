@@ -0,0 +1,880 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { ANALYSIS_TOOL_NAME } = require('../lib/article-analysis');
+const { validateSources } = require('../lib/sources');
+const { createFileStore } = require('../lib/file-store');
+const { createAIProvider } = require('../lib/ai-providers');
+const { CLI_DEFAULTS, CLIUsageError } = require('../lib/cli');
+const { parseWebhooks, createNotifier } = require('../lib/notifier');
+const { createImagePipeline } = require('../lib/images');
+const { createDirectoryImageCache } = require('../lib/image-cache');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'sync');
+const feedXml = fs.readFileSync(path.join(FIXTURES, 'feed.xml'), 'utf8');
+const newsApiJson = fs.readFileSync(path.join(FIXTURES, 'newsapi.json'), 'utf8');
+
+// Stub for the feed, NewsAPI and a webhook receiver. Counts requests per
+// path and keeps webhook bodies.
+let requests = {};
+let webhookBodies = [];
+let feedStatus = 200;
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  requests[pathname] = (requests[pathname] || 0) + 1;
+
+  if (pathname === '/hooks/slack') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      webhookBodies.push(JSON.parse(body));
+      res.end('ok');
+    });
+  } else if (pathname === '/feed.xml') {
+    res.statusCode = req.headers['if-none-match'] === '"v1"' ? 304 : feedStatus;
+    res.setHeader('ETag', '"v1"');
+    res.end(res.statusCode === 200 ? feedXml : '');
+  } else if (pathname === '/v2/top-headlines' && req.headers['x-api-key'] === 'test-key' && !searchParams.has('apiKey')) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(newsApiJson);
+  } else {
+    res.statusCode = 404;
+    res.end();
+  }
+});
+
+let sync;
+let sources;
+let baseUrl;
+const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-report-'));
+const reportFile = path.join(reportDir, 'report.json');
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Settings are read when the module loads
+  Object.assign(process.env, {
+    NEWSAPI_KEY: 'test-key',
+    NEWSAPI_BASE_URL: `${baseUrl}/v2`,
+    NEWSAPI_QUERIES_PATH: 'none',
+    FEED_RETRIES: '0',
+    IMAGE_PROBES: 'false',
+    RETENTION_MIN_PER_SOURCE: '0',
+    SYNC_REPORT_FILE: reportFile,
+  });
+  sync = require('../sync-articles');
+
+  sources = validateSources([
+    { id: 'example-tech', name: 'Example Tech', type: 'rss', url: `${baseUrl}/feed.xml`, defaultCategory: 'Tech: Robotics' },
+    { id: 'example-news', name: 'Example News', type: 'newsapi', url: 'news.example.org' },
+  ]);
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  fs.rmSync(reportDir, { recursive: true, force: true });
+  return new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  requests = {};
+  webhookBodies = [];
+  feedStatus = 200;
+});
+
+// Fake Anthropic client answering every request with a valid analysis,
+// except for titles in `failTitles`, which get a non-retryable 400
+function fakeAnthropic({ failTitles = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      create: async (params) => {
+        calls.push(params);
+        const prompt = params.messages[0].content;
+        const title = prompt.match(/Title: (.*)/)[1];
+        if (failTitles.includes(title)) {
+          const error = new Error('400 invalid request');
+          error.status = 400;
+          throw error;
+        }
+        return {
+          content: [{
+            type: 'tool_use',
+            id: `toolu_${calls.length}`,
+            name: ANALYSIS_TOOL_NAME,
+            input: {
+              summary: `Summary of "${title}" with enough detail to pass validation.`,
+              categories: ['Tech: Robotics'],
+              entities: [{ name: 'Alphabet Inc.', type: 'company', salience: 0.4 }, { name: 'Google', type: 'company', salience: 0.7 }],
+              keywords: [{ keyword: 'Automation', salience: 0.5 }],
+              significance: 0.6,
+            },
+          }],
+          usage: { input_tokens: 100, output_tokens: 50 },
+        };
+      },
+    },
+  };
+}
+
+function services({ store = createFileStore(), client = fakeAnthropic() } = {}) {
+  return {
+    store,
+    client,
+    sources,
+    aiProvider: createAIProvider({ provider: 'anthropic', model: 'claude-test', maxTokens: 400, maxPromptChars: 8000, anthropic: { client } }),
+  };
+}
+
+// Wraps a store to keep the rows of every upsertArticles call. Supabase
+// sends a batch with the union of its rows' columns and writes null to the
+// ones a row lacks, so every row must carry the same columns.
+function recordUpserts(store) {
+  const batches = [];
+  return {
+    batches,
+    store: {
+      ...store,
+      upsertArticles: async (rows) => {
+        batches.push(rows.map(row => ({ ...row })));
+        return store.upsertArticles(rows);
+      },
+    },
+  };
+}
+
+function assertUniformColumns(batches) {
+  for (const batch of batches) {
+    const columns = [...new Set(batch.flatMap(Object.keys))].sort();
+    batch.forEach(row => assert.deepEqual(Object.keys(row).sort(), columns, row.article_url));
+  }
+}
+
+test('deduplicateArticles keeps the first of each canonical URL', () => {
+  const articles = [
+    { url: 'https://example.com/a?utm_source=rss', title: 'A' },
+    { url: 'https://www.example.com/a/', title: 'A (syndicated)' },
+    { url: 'https://example.com/b', title: 'B' },
+  ];
+  assert.deepEqual(sync.deduplicateArticles(articles).map(a => a.title), ['A', 'B']);
+});
+
+test('selectSources rejects unknown ids', () => {
+  assert.equal(sync.selectSources(sources, ['example-tech']).length, 1);
+  assert.equal(sync.selectSources(sources, []).length, 2);
+  assert.throws(() => sync.selectSources(sources, ['nope']), CLIUsageError);
+});
+
+test('trust is checked per source type, and all of an id\'s entries for untyped rows', () => {
+  const isTrusted = sync.createTrustCheck(validateSources([
+    { id: 'techcrunch', name: 'TechCrunch', type: 'rss', url: 'https://techcrunch.com/feed/' },
+    { id: 'techcrunch', name: 'TechCrunch', type: 'newsapi', url: 'techcrunch.com', trusted: true },
+    { id: 'wired', name: 'Wired', type: 'newsapi', url: 'wired.com', trusted: true },
+  ]));
+  assert.equal(isTrusted({ source_id: 'techcrunch', source_type: 'newsapi' }), true);
+  assert.equal(isTrusted({ source_id: 'techcrunch', source_type: 'rss' }), false);
+  assert.equal(isTrusted({ source_id: 'techcrunch', source_type: null }), false);
+  assert.equal(isTrusted({ source_id: 'wired', source_type: null }), true);
+  assert.equal(isTrusted({ source_id: 'unknown', source_type: 'rss' }), false);
+});
+
+test('a sync fetches, deduplicates, enriches and saves every new article', async () => {
+  const run = services();
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(result.fetched, 4);
+  assert.equal(result.saved, 4);
+  assert.deepEqual(result.flagged, []);
+  assert.equal(run.client.calls.length, 4);
+
+  const rows = await run.store.listArticles();
+  assert.equal(rows.length, 4);
+  for (const row of rows) {
+    assert.equal(row.enrichment_status, 'done');
+    assert.equal(row.ai_provider, 'anthropic');
+    assert.equal(row.ai_model, 'claude-test');
+    assert.deepEqual(row.category_tags, ['Tech: Robotics']);
+    assert.ok(row.cluster_id);
+  }
+
+  const robots = await run.store.getArticle('https://example.com/2026/10/warehouse-robots?utm_source=rss');
+  assert.equal(robots.canonical_url, 'https://example.com/2026/10/warehouse-robots');
+  assert.equal(robots.source_id, 'example-tech');
+  assert.equal(robots.image_url, 'https://example.com/images/robots.jpg');
+
+  const transit = await run.store.getArticle('https://news.example.org/transit-plan');
+  assert.equal(transit.source_id, 'example-news');
+
+  const [fetchState] = await run.store.listFetchStates();
+  assert.equal(fetchState.source_id, 'example-tech');
+  assert.equal(fetchState.etag, '"v1"');
+});
+
+test('a feed whose articles failed to save is fetched in full again', async () => {
+  const run = services();
+  let failSaves = true;
+  const store = {
+    ...run.store,
+    upsertArticles: async (rows) => {
+      if (failSaves) throw new Error('database unreachable');
+      return run.store.upsertArticles(rows);
+    },
+  };
+
+  const failed = await sync.syncArticles(CLI_DEFAULTS, { ...run, store });
+
+  assert.equal(failed.saved, 0);
+  const [fetchState] = await run.store.listFetchStates();
+  assert.equal(fetchState.etag, null);
+  assert.ok(fetchState.last_fetched_at);
+
+  // Once the feed is due again it isn't answered with a 304
+  failSaves = false;
+  run.store.data.feed_fetch_state['example-tech'].last_fetched_at = null;
+  const retried = await sync.syncArticles(CLI_DEFAULTS, { ...run, store });
+
+  assert.equal(requests['/feed.xml'], 2);
+  assert.equal(retried.saved, 4);
+  assert.ok(await run.store.getArticle('https://example.com/2026/10/warehouse-robots?utm_source=rss'));
+  assert.equal((await run.store.listFetchStates())[0].etag, '"v1"');
+});
+
+test('articles only use the settings of the source entry of their own type', async () => {
+  // An RSS entry sharing the NewsAPI source's id, with full text and a logo
+  const run = {
+    ...services(),
+    sources: validateSources([
+      ...sources,
+      { id: 'example-news', name: 'Example News', type: 'rss', url: `${baseUrl}/missing.xml`, fullText: true, fallbackLogo: 'https://example.org/logo.png' },
+    ]),
+  };
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  const transit = await run.store.getArticle('https://news.example.org/transit-plan');
+  assert.equal(transit.source_type, 'newsapi');
+  assert.equal(transit.extracted_text_length, null);
+  assert.equal(await run.store.getExtraction('https://news.example.org/transit-plan'), null);
+  assert.equal((await run.store.getArticle('https://example.com/2026/10/seed-rounds-shrink')).source_type, 'rss');
+});
+
+test('every summary locale gets a summary and localized categories', async () => {
+  const run = { ...services(), locales: ['en', 'es'] };
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(run.client.calls.length, 8);
+  const spanishPrompts = run.client.calls.filter(params => params.messages[0].content.includes('Write the summary in Spanish'));
+  assert.equal(spanishPrompts.length, 4);
+
+  const robots = await run.store.getArticle('https://example.com/2026/10/warehouse-robots?utm_source=rss');
+  assert.equal(robots.language, 'en');
+  assert.equal(robots.translations.en.summary, robots.ai_summary);
+  assert.deepEqual(robots.translations.en.categories, ['Tech: Robotics']);
+  assert.deepEqual(robots.translations.es.categories, ['Tecnología: Robótica']);
+  assert.equal(robots.translations.es.model, 'claude-test');
+});
+
+test('entities are resolved through the alias map and stored per article', async () => {
+  const run = services();
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  const url = 'https://example.com/2026/10/warehouse-robots?utm_source=rss';
+  assert.deepEqual(await run.store.listArticleEntities({ articleUrl: url }), [
+    { article_url: url, entity_key: 'company:alphabet', name: 'Alphabet', type: 'company', salience: 0.7 },
+    { article_url: url, entity_key: 'keyword:automation', name: 'automation', type: 'keyword', salience: 0.5 },
+  ]);
+  assert.equal((await run.store.listArticleEntities({ entityKey: 'company:alphabet' })).length, 4);
+  assert.ok((await run.store.getArticle(url)).entities_extracted_at);
+});
+
+test('articles enriched before entities are backfilled from the alias map', async () => {
+  const run = services();
+  await run.store.upsertArticles([{
+    article_url: 'https://example.com/2026/10/older-story',
+    article_title: 'Google opens a data center',
+    source_id: 'example-tech',
+    published_at: '2026-10-18T00:00:00Z',
+    ai_summary: 'Alphabet said the data center in the U.S. will serve cloud customers.',
+    category_tags: ['Tech: Cloud Computing'],
+  }]);
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  const entities = await run.store.listArticleEntities({ articleUrl: 'https://example.com/2026/10/older-story' });
+  assert.deepEqual(entities.filter(row => row.type !== 'keyword').map(row => [row.entity_key, row.salience]), [
+    ['company:alphabet', 1],
+    ['place:united-states', 0.33],
+  ]);
+  assert.ok(entities.some(row => row.entity_key === 'keyword:data-center'));
+  // Already backfilled: not picked up again
+  assert.deepEqual(await run.store.listEntityBackfill({ limit: 10 }), []);
+});
+
+test('articles changed by their publisher are updated and keep a revision history', async () => {
+  const run = services();
+  const stored = (fields) => ({
+    source_id: 'example-tech',
+    source_name: 'Example Tech',
+    published_at: '2026-10-17T20:15:00Z',
+    ai_summary: 'Summary written before the update.',
+    category_tags: ['Tech: Robotics'],
+    enrichment_status: 'done',
+    ...fields,
+  });
+  await run.store.upsertArticles([
+    // Headline and description rewritten: a new summary
+    stored({
+      article_url: 'https://news.example.org/transit-plan',
+      source_id: 'example-news',
+      source_name: 'Example News',
+      article_title: 'City council delays vote on transit',
+      description: 'Members asked for more time to study the bus plan.',
+      image_url: 'https://news.example.org/transit.jpg',
+    }),
+    // Only the image changed: the summary stays
+    stored({
+      article_url: 'https://example.com/2026/10/chipmaker-record-quarter',
+      article_title: 'Chipmaker posts record quarter on data center demand',
+      description: '<p>Revenue more than doubled as cloud providers bought AI accelerators!</p>',
+      image_url: 'https://example.com/images/old-chip.jpg',
+    }),
+    // Unchanged, stored before fingerprints
+    stored({
+      article_url: 'https://example.com/2026/10/seed-rounds-shrink',
+      article_title: 'Seed rounds shrink as investors turn cautious',
+      description: 'Early-stage founders are raising less money on tougher terms.',
+    }),
+  ]);
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(result.updated, 2);
+  assert.equal(run.client.calls.length, 2);
+  assert.ok(run.client.calls.some(params => params.messages[0].content.includes('Title: City council approves new transit plan')));
+
+  const transit = await run.store.getArticle('https://news.example.org/transit-plan');
+  assert.equal(transit.article_title, 'City council approves new transit plan');
+  assert.match(transit.ai_summary, /City council approves new transit plan/);
+  assert.equal(transit.revision_count, 1);
+  assert.ok(transit.content_updated_at);
+  const [transitRevision] = await run.store.listRevisions({ articleUrl: transit.article_url });
+  assert.deepEqual(transitRevision.changed_fields, ['title', 'description']);
+  assert.equal(transitRevision.material, true);
+  assert.equal(transitRevision.previous_title, 'City council delays vote on transit');
+  assert.equal(transitRevision.previous_summary, 'Summary written before the update.');
+
+  const chip = await run.store.getArticle('https://example.com/2026/10/chipmaker-record-quarter');
+  assert.equal(chip.ai_summary, 'Summary written before the update.');
+  assert.equal(chip.image_url, null);
+  assert.equal(chip.revision_count, 1);
+  assert.equal(chip.description, 'Revenue more than doubled as cloud providers bought AI accelerators.');
+  assert.equal(chip.description_html, '<p>Revenue more than doubled as cloud providers bought AI accelerators.</p>');
+  const [chipRevision] = await run.store.listRevisions({ articleUrl: chip.article_url });
+  assert.deepEqual(chipRevision.changed_fields, ['image']);
+  assert.equal(chipRevision.material, false);
+
+  const seed = await run.store.getArticle('https://example.com/2026/10/seed-rounds-shrink');
+  assert.ok(seed.fingerprint);
+  assert.equal(seed.revision_count, 0);
+  assert.equal((await run.store.listRevisions()).length, 2);
+
+  // Nothing changed since: no more updates
+  run.store.data.feed_fetch_state = {};
+  run.client.calls.length = 0;
+  assert.equal((await sync.syncArticles(CLI_DEFAULTS, run)).updated, 0);
+  assert.equal(run.client.calls.length, 0);
+});
+
+test('a batch of new and revised articles gives every row the revision columns', async () => {
+  const { batches, store } = recordUpserts(createFileStore());
+  const run = services({ store });
+  await run.store.upsertArticles([{
+    article_url: 'https://news.example.org/transit-plan',
+    article_title: 'City council delays vote on transit',
+    description: 'Members asked for more time to study the bus plan.',
+    source_id: 'example-news',
+    published_at: '2026-10-18T12:00:00Z',
+    ai_summary: 'Summary written before the update.',
+    category_tags: ['Tech: Robotics'],
+    revision_count: 2,
+    cluster_id: 'transit-story',
+  }]);
+  batches.length = 0;
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  const [batch] = batches;
+  assert.equal(batch.length, 4);
+  assertUniformColumns(batches);
+  const byUrl = new Map(batch.map(row => [row.article_url, row]));
+  assert.equal(byUrl.get('https://news.example.org/transit-plan').revision_count, 3);
+  assert.equal(byUrl.get('https://news.example.org/transit-plan').cluster_id, 'transit-story');
+  assert.equal(byUrl.get('https://example.com/2026/10/seed-rounds-shrink').revision_count, 0);
+  assert.equal(byUrl.get('https://example.com/2026/10/seed-rounds-shrink').content_updated_at, null);
+});
+
+test('retried rows are saved with their stored cluster alongside new articles', async () => {
+  const { batches, store } = recordUpserts(createFileStore());
+  const run = services({ store });
+  await run.store.upsertArticles([{
+    article_url: 'https://example.com/2026/10/pending-story',
+    article_title: 'Pending story',
+    description: 'Saved before the model could summarize it.',
+    source_id: 'example-tech',
+    source_name: 'Example Tech',
+    published_at: '2026-10-18T06:00:00Z',
+    enrichment_status: 'pending',
+    cluster_id: 'pending-story',
+    minhash: [1, 2, 3],
+  }]);
+  batches.length = 0;
+
+  await sync.syncArticles(CLI_DEFAULTS, run);
+
+  const [batch] = batches;
+  assert.equal(batch.length, 5);
+  assertUniformColumns(batches);
+  const retried = batch.find(row => row.article_url === 'https://example.com/2026/10/pending-story');
+  assert.equal(retried.cluster_id, 'pending-story');
+  assert.deepEqual(retried.minhash, [1, 2, 3]);
+  assert.ok(batch.filter(row => row !== retried).every(row => row.cluster_id && row.minhash));
+});
+
+test('article images are probed, copied with their size and blurhash, and kept on the next fetch', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-images-'));
+  const png = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'python.png'));
+  const probed = [];
+  const run = {
+    ...services(),
+    images: createImagePipeline({
+      probe: async (url) => {
+        probed.push(url);
+        return { contentType: 'image/png', bytes: png.length * 100, width: 1200, height: 675 };
+      },
+      download: async () => ({ buffer: png, contentType: 'image/png' }),
+      cache: createDirectoryImageCache(dir, 'https://cdn.example.org/images'),
+    }),
+  };
+
+  try {
+    await sync.syncArticles(CLI_DEFAULTS, run);
+
+    assert.deepEqual(probed.sort(), ['https://example.com/images/robots.jpg', 'https://news.example.org/transit.jpg']);
+    const robots = await run.store.getArticle('https://example.com/2026/10/warehouse-robots?utm_source=rss');
+    assert.equal(robots.image_url, 'https://example.com/images/robots.jpg');
+    assert.equal(robots.image_width, 16);
+    assert.equal(robots.image_height, 16);
+    assert.equal(robots.image_blurhash, 'LdHUwHK94?WDA3Ng==xU0Q-Nw?M{');
+    assert.match(robots.image_cached_url, /^https:\/\/cdn\.example\.org\/images\/[0-9a-f]{40}\.png$/);
+    assert.equal(fs.readdirSync(dir).length, 2);
+
+    const chip = await run.store.getArticle('https://example.com/2026/10/chipmaker-record-quarter');
+    assert.equal(chip.image_url, null);
+    assert.equal(chip.image_cached_url, null);
+
+    // The same items again are not edits
+    run.store.data.feed_fetch_state = {};
+    assert.equal((await sync.syncArticles(CLI_DEFAULTS, run)).updated, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('articles over --limit get their image chosen before they are saved as pending', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-images-'));
+  const png = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'python.png'));
+  const probed = [];
+  const run = {
+    ...services(),
+    images: createImagePipeline({
+      probe: async (url) => {
+        probed.push(url);
+        return { contentType: 'image/png', bytes: png.length * 100, width: 1200, height: 675 };
+      },
+      download: async () => ({ buffer: png, contentType: 'image/png' }),
+      cache: createDirectoryImageCache(dir, 'https://cdn.example.org/images'),
+    }),
+  };
+
+  try {
+    const first = await sync.syncArticles({ ...CLI_DEFAULTS, limit: 1 }, run);
+
+    assert.equal(first.deferred, 3);
+    assert.deepEqual(probed.sort(), ['https://example.com/images/robots.jpg', 'https://news.example.org/transit.jpg']);
+    const pending = await run.store.getArticle('https://news.example.org/transit-plan');
+    assert.equal(pending.enrichment_status, 'pending');
+    assert.match(pending.image_cached_url, /^https:\/\/cdn\.example\.org\/images\/[0-9a-f]{40}\.png$/);
+    assert.equal(pending.image_blurhash, 'LdHUwHK94?WDA3Ng==xU0Q-Nw?M{');
+
+    // The retry keeps the chosen image instead of probing again
+    await sync.syncArticles(CLI_DEFAULTS, run);
+
+    assert.equal(probed.length, 2);
+    const retried = await run.store.getArticle('https://news.example.org/transit-plan');
+    assert.equal(retried.enrichment_status, 'done');
+    assert.equal(retried.image_cached_url, pending.image_cached_url);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('content rules drop articles before enrichment and report why', async () => {
+  const run = {
+    ...services(),
+    contentRules: [
+      { id: 'earnings', type: 'keywords', keywords: ['record quarter'] },
+      { id: 'short-newsapi-items', type: 'min-length', minLength: 60, sources: ['example-news'] },
+      { id: 'disabled', type: 'url', pattern: '.', enabled: false },
+    ],
+  };
+
+  const report = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(report.saved, 2);
+  assert.equal(run.client.calls.length, 2);
+  assert.deepEqual(report.filtered.map(item => [item.sourceId, item.rule, item.reason]), [
+    ['example-tech', 'earnings', 'title contains "record quarter"'],
+    ['example-news', 'short-newsapi-items', 'description has 52 characters (min 60)'],
+  ]);
+  assert.deepEqual(report.sources.map(source => [source.id, source.filtered]), [['example-news', 1], ['example-tech', 1]]);
+  assert.equal(await run.store.getArticle('https://example.com/2026/10/chipmaker-record-quarter'), null);
+});
+
+test('recent articles are scored and stories covered by enough outlets trend', async () => {
+  const run = services();
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const stored = (url, fields) => ({ article_url: url, article_title: url, ai_summary: 'Summary', category_tags: ['Tech: Robotics'], ...fields });
+  await run.store.upsertArticles([
+    stored('https://wire-a.example/merger', { source_id: 'wire-a', cluster_id: 'merger', published_at: hoursAgo(1), significance: 0.9 }),
+    stored('https://wire-b.example/merger', { source_id: 'wire-b', cluster_id: 'merger', published_at: hoursAgo(2), significance: 0.8 }),
+    stored('https://wire-c.example/merger', { source_id: 'wire-c', cluster_id: 'merger', published_at: hoursAgo(3), significance: 0.8 }),
+    // Trended a few days ago; no longer recent enough to be rescored
+    stored('https://wire-a.example/old-trend', { source_id: 'wire-a', published_at: hoursAgo(96), trending: true, importance_score: 0.8, outlet_count: 4 }),
+  ]);
+  const scoreBatches = [];
+  const store = {
+    ...run.store,
+    updateArticleScores: async (rows) => {
+      scoreBatches.push(rows);
+      return run.store.updateArticleScores(rows);
+    },
+  };
+
+  const report = await sync.syncArticles(CLI_DEFAULTS, { ...run, store });
+
+  assert.equal(report.trending, 3);
+  // Every changed score goes out in one batch
+  assert.equal(scoreBatches.length, 1);
+  assert.ok(scoreBatches[0].some(row => row.article_url === 'https://wire-a.example/old-trend' && row.trending === false));
+  const merger = await run.store.getArticle('https://wire-a.example/merger');
+  assert.equal(merger.outlet_count, 3);
+  assert.equal(merger.trending, true);
+  assert.ok(merger.importance_score > 0.5);
+
+  const oldTrend = await run.store.getArticle('https://wire-a.example/old-trend');
+  assert.equal(oldTrend.trending, false);
+  assert.equal(oldTrend.outlet_count, 1);
+  assert.ok(oldTrend.importance_score < 0.1);
+
+  // The model's rating is stored with each enriched article
+  const robots = await run.store.getArticle('https://example.com/2026/10/warehouse-robots?utm_source=rss');
+  assert.equal(robots.significance, 0.6);
+  assert.equal(robots.trending, false);
+});
+
+test('only the article\'s own source entry exempts it from length rules', async () => {
+  const run = {
+    ...services(),
+    sources: validateSources([
+      ...sources,
+      { id: 'example-news', name: 'Example News', type: 'rss', url: `${baseUrl}/missing.xml`, fullText: true },
+    ]),
+    contentRules: [{ id: 'short-items', type: 'min-length', minLength: 60, sources: ['example-news'] }],
+  };
+
+  const report = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.deepEqual(report.filtered.map(item => [item.sourceId, item.rule]), [['example-news', 'short-items']]);
+});
+
+test('a sync reports per-source counts and AI usage to a file and sync_runs', async () => {
+  const run = services();
+
+  const report = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.sources, [
+    { id: 'example-news', name: 'Example News', status: 'ok', error: null, fetched: 2, filtered: 0, new: 1, saved: 1, failed: 0 },
+    { id: 'example-tech', name: 'Example Tech', status: 'ok', error: null, fetched: 3, filtered: 0, new: 3, saved: 3, failed: 0 },
+  ]);
+  assert.equal(report.ai.calls, 4);
+  assert.equal(report.ai.inputTokens, 400);
+  assert.equal(report.ai.outputTokens, 200);
+  assert.equal(report.ai.estimatedCostUsd, null);
+  assert.ok(report.durationMs >= 0);
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(reportFile, 'utf8')), report);
+  const [row] = run.store.data.sync_runs;
+  assert.equal(row.status, 'ok');
+  assert.equal(row.saved, 4);
+  assert.equal(row.ai_calls, 4);
+  assert.deepEqual(row.report, report);
+});
+
+test('a run over an error threshold is reported as such', async () => {
+  const run = services({ client: fakeAnthropic({ failTitles: [
+    'Warehouse robots learn to sort parcels on their own',
+    'Chipmaker posts record quarter on data center demand',
+    'Seed rounds shrink as investors turn cautious',
+  ] }) });
+
+  const report = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(report.status, 'threshold-exceeded');
+  assert.match(report.thresholdsExceeded[0], /3\/4 enrichments flagged/);
+  assert.equal(run.store.data.sync_runs[0].errors.length, 1);
+});
+
+test('a run that throws is recorded as failed', async () => {
+  const run = services();
+  run.aiProvider.analyzeMany = async () => {
+    throw new Error('provider exploded');
+  };
+
+  await assert.rejects(sync.syncArticles(CLI_DEFAULTS, run), /provider exploded/);
+
+  const [row] = run.store.data.sync_runs;
+  assert.equal(row.status, 'failed');
+  assert.deepEqual(row.errors, ['provider exploded']);
+});
+
+test('a run that throws is posted to the webhooks', async () => {
+  const run = {
+    ...services(),
+    notifier: createNotifier({ webhooks: parseWebhooks(`slack:${baseUrl}/hooks/slack`) }),
+  };
+  run.aiProvider.analyzeMany = async () => {
+    throw new Error('provider exploded');
+  };
+
+  await assert.rejects(sync.syncArticles(CLI_DEFAULTS, run), /provider exploded/);
+
+  assert.deepEqual(webhookBodies, [{ text: '🚨 News sync failed: provider exploded' }]);
+  assert.deepEqual(run.store.data.sync_runs[0].report.notifications, ['run-failed']);
+});
+
+test('sendDigest posts the last day of runs', async () => {
+  const run = { ...services(), notifier: createNotifier({ webhooks: parseWebhooks(`slack:${baseUrl}/hooks/slack`) }) };
+  await sync.syncArticles(CLI_DEFAULTS, run);
+  assert.deepEqual(webhookBodies, []);
+
+  const { digest, delivered } = await sync.sendDigest(run);
+
+  assert.equal(delivered, 1);
+  assert.equal(digest.runs, 1);
+  assert.equal(digest.saved, 4);
+  assert.match(webhookBodies[0].text, /^📰 News sync digest for \d{4}-\d{2}-\d{2}: 1 runs \(0 failed\), 4 articles saved/);
+  await assert.rejects(sync.sendDigest({ store: run.store, notifier: createNotifier() }), CLIUsageError);
+});
+
+test('a dry run plans the sync without writing or calling the model', async () => {
+  const run = services();
+
+  const plan = await sync.syncArticles({ ...CLI_DEFAULTS, dryRun: true }, run);
+
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.insert.length, 4);
+  assert.deepEqual(plan.filtered, []);
+  assert.deepEqual(plan.update, []);
+  assert.deepEqual(plan.sources, [
+    { id: 'example-tech', status: 'ok', articles: 3, error: null },
+    { id: 'example-news', status: 'ok', articles: 2, error: null },
+  ]);
+  assert.equal(run.client.calls.length, 0);
+  assert.deepEqual(await run.store.listArticles(), []);
+  assert.deepEqual(await run.store.listFetchStates(), []);
+});
+
+test('failed enrichments are flagged and stored for retry', async () => {
+  const run = services({ client: fakeAnthropic({ failTitles: ['City council approves new transit plan'] }) });
+  const { batches, store } = recordUpserts(run.store);
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, { ...run, store });
+
+  assert.equal(result.saved, 3);
+  assert.equal(result.flagged.length, 1);
+  const row = await run.store.getArticle('https://news.example.org/transit-plan');
+  assert.equal(row.enrichment_status, 'failed');
+  assert.equal(row.ai_summary, null);
+  assert.equal(row.enrichment_attempts, 1);
+  assert.ok(row.enrichment_next_attempt_at);
+  // Failed rows are saved in the same batch as enriched ones
+  assertUniformColumns(batches);
+});
+
+test('a second run skips feeds fetched recently and keeps their articles', async () => {
+  const run = services();
+  await sync.syncArticles(CLI_DEFAULTS, run);
+  run.client.calls.length = 0;
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(requests['/feed.xml'], 1);
+  assert.equal(result.saved, 0);
+  assert.equal(result.expired, 0);
+  assert.equal(run.client.calls.length, 0);
+  assert.equal((await run.store.listArticles()).length, 4);
+});
+
+test('articles left over by --limit are saved as pending and enriched on the next run', async () => {
+  const run = services();
+  const limited = { ...CLI_DEFAULTS, limit: 2 };
+
+  const first = await sync.syncArticles(limited, run);
+
+  assert.equal(first.saved, 2);
+  assert.equal(first.deferred, 2);
+  assert.equal(run.client.calls.length, 2);
+  const statuses = rows => rows.map(row => row.enrichment_status).sort();
+  assert.deepEqual(statuses(await run.store.listArticles()), ['done', 'done', 'pending', 'pending']);
+  const transit = 'https://news.example.org/transit-plan';
+  assert.equal((await run.store.getArticle(transit)).author, 'Sam Reporter');
+
+  // The feed isn't read again, so the leftovers come from the retry queue
+  const second = await sync.syncArticles(limited, run);
+
+  assert.equal(requests['/feed.xml'], 1);
+  assert.equal(second.saved, 2);
+  assert.equal(second.deferred, 0);
+  assert.equal(run.client.calls.length, 4);
+  const rows = await run.store.listArticles();
+  assert.deepEqual(statuses(rows), ['done', 'done', 'done', 'done']);
+  assert.ok(rows.every(row => row.ai_summary && row.cluster_id));
+  // The retry saves the row back with the feed's author
+  assert.equal((await run.store.getArticle(transit)).author, 'Sam Reporter');
+});
+
+test('--limit keeps part of the run for updated articles and retries', async () => {
+  const run = services();
+  await run.store.upsertArticles([
+    // Rewritten by its publisher since: a material update
+    {
+      article_url: 'https://news.example.org/transit-plan',
+      article_title: 'City council delays vote on transit',
+      description: 'Members asked for more time to study the bus plan.',
+      source_id: 'example-news',
+      source_name: 'Example News',
+      published_at: '2026-10-17T20:15:00Z',
+      ai_summary: 'Summary written before the update.',
+      category_tags: ['Tech: Robotics'],
+      enrichment_status: 'done',
+    },
+    // Due for another attempt
+    {
+      article_url: 'https://example.com/2026/10/pending-story',
+      article_title: 'Pending story',
+      description: 'Saved before the model could summarize it.',
+      source_id: 'example-tech',
+      source_name: 'Example Tech',
+      published_at: '2026-10-18T06:00:00Z',
+      enrichment_status: 'failed',
+      enrichment_attempts: 1,
+      enrichment_next_attempt_at: '2026-10-18T07:00:00Z',
+    },
+  ]);
+
+  // Three new articles, one update and one retry for four places
+  const result = await sync.syncArticles({ ...CLI_DEFAULTS, limit: 4 }, run);
+
+  assert.equal(result.attempted, 4);
+  assert.equal(result.deferred, 1);
+  assert.equal(result.healed, 1);
+  assert.equal(result.updated, 1);
+  assert.equal((await run.store.getArticle('https://example.com/2026/10/pending-story')).enrichment_status, 'done');
+  assert.match((await run.store.getArticle('https://news.example.org/transit-plan')).ai_summary, /City council approves new transit plan/);
+  const statuses = (await run.store.listArticles()).map(row => row.enrichment_status).sort();
+  assert.deepEqual(statuses, ['done', 'done', 'done', 'done', 'pending']);
+});
+
+test('NewsAPI sources are skipped, not failed, without an API key', async () => {
+  // Settings are read when the module loads, so load a copy without the key
+  const modulePath = require.resolve('../sync-articles');
+  const loaded = require.cache[modulePath];
+  delete require.cache[modulePath];
+  process.env.NEWSAPI_KEY = '';
+  let keyless;
+  try {
+    keyless = require('../sync-articles');
+  } finally {
+    process.env.NEWSAPI_KEY = 'test-key';
+    require.cache[modulePath] = loaded;
+  }
+  const run = services();
+  await run.store.upsertArticles([{
+    article_url: 'https://news.example.org/older-story',
+    article_title: 'Older story',
+    source_id: 'example-news',
+    source_name: 'Example News',
+    published_at: '2020-01-01T00:00:00Z',
+    ai_summary: 'Summary',
+    category_tags: ['Tech: Robotics'],
+  }]);
+
+  const report = await keyless.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(requests['/v2/top-headlines'], undefined);
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.thresholdsExceeded, []);
+  assert.deepEqual(report.sources.find(source => source.id === 'example-news'), {
+    id: 'example-news', name: 'Example News', status: 'skipped', error: null, fetched: 0, filtered: 0, new: 0, saved: 0, failed: 0,
+  });
+  // An unread source keeps its stored articles
+  assert.ok(await run.store.getArticle('https://news.example.org/older-story'));
+});
+
+test('articles that left a fetched feed expire under the retention policy', async () => {
+  const run = services();
+  await run.store.upsertArticles([{
+    article_url: 'https://example.com/2026/08/old-story',
+    article_title: 'Old story',
+    source_id: 'example-tech',
+    published_at: '2026-08-01T00:00:00Z',
+    ai_summary: 'Old summary',
+    category_tags: ['Tech: Robotics'],
+  }]);
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(result.expired, 1);
+  const old = await run.store.getArticle('https://example.com/2026/08/old-story');
+  assert.ok(old.deleted_at);
+});
+
+test('a failing feed protects its stored articles from retention', async () => {
+  feedStatus = 500;
+  const run = services();
+  await run.store.upsertArticles([{
+    article_url: 'https://example.com/2026/08/old-story',
+    article_title: 'Old story',
+    source_id: 'example-tech',
+    published_at: '2026-08-01T00:00:00Z',
+  }]);
+
+  const result = await sync.syncArticles(CLI_DEFAULTS, run);
+
+  assert.equal(result.expired, 0);
+  assert.equal((await run.store.getArticle('https://example.com/2026/08/old-story')).deleted_at, null);
+  const [fetchState] = await run.store.listFetchStates();
+  assert.equal(fetchState.consecutive_failures, 1);
+});
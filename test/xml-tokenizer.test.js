@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createXMLTokenizer, decodeEntities } = require('../lib/xml-tokenizer');
+
+function tokenize(chunks) {
+  const events = [];
+  const tokenizer = createXMLTokenizer({
+    onOpenTag: tag => events.push(['open', tag.name, tag.attributes, tag.selfClosing]),
+    onCloseTag: (name, selfClosing) => events.push(['close', name, selfClosing]),
+    onText: text => events.push(['text', text]),
+    onCDATA: text => events.push(['cdata', text]),
+  });
+  for (const chunk of chunks) tokenizer.write(chunk);
+  tokenizer.end();
+  return events;
+}
+
+test('emits tags, attributes, text and CDATA', () => {
+  const events = tokenize(['<?xml version="1.0"?><!-- c --><a x="1" y=\'&lt;2&gt;\'>t &amp; u<![CDATA[<b>]]><br/></a>']);
+
+  assert.deepEqual(events, [
+    ['open', 'a', { x: '1', y: '<2>' }, false],
+    ['text', 't & u'],
+    ['cdata', '<b>'],
+    ['open', 'br', {}, true],
+    ['close', 'br', true],
+    ['close', 'a', false],
+  ]);
+});
+
+test('produces the same events however the input is chunked', () => {
+  const xml = '<root a="x>y"><![CDATA[one]]><!-- note --><p>caf&#233; &amp; more</p><empty /></root>';
+  const whole = tokenize([xml]);
+
+  for (let size = 1; size < xml.length; size++) {
+    const chunks = [];
+    for (let i = 0; i < xml.length; i += size) chunks.push(xml.slice(i, i + size));
+    const merged = tokenize(chunks).reduce((acc, event) => {
+      const last = acc[acc.length - 1];
+      if (event[0] === 'text' && last && last[0] === 'text') last[1] += event[1];
+      else acc.push(event);
+      return acc;
+    }, []);
+    assert.deepEqual(merged, whole, `chunk size ${size}`);
+  }
+});
+
+test('stop() ends tokenizing early', () => {
+  const names = [];
+  const tokenizer = createXMLTokenizer({
+    onOpenTag: ({ name }) => {
+      names.push(name);
+      tokenizer.stop();
+    },
+  });
+  tokenizer.write('<first><second/></first>');
+  tokenizer.end();
+
+  assert.deepEqual(names, ['first']);
+});
+
+test('decodeEntities handles numeric and astral code points', () => {
+  assert.equal(decodeEntities('&#x1F600; &#8217; &unknown;'), '😀 ’ &unknown;');
+});